@@ -6,7 +6,7 @@ Description: Main entry point and Navigation setup.
 ================================================================================
 */
 import 'react-native-gesture-handler'; // This must be the very first import
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useState, useCallback, useMemo } from 'react';
 import { NavigationContainer } from '@react-navigation/native';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 import { createStackNavigator } from '@react-navigation/stack';
@@ -23,7 +23,26 @@ import CustomerDetailScreen from './src/screens/CustomerDetailScreen';
 import ManageProductsScreen from './src/screens/ManageProductsScreen';
 import ManageGlobalProductsScreen from './src/screens/ManageGlobalProductsScreen';
 import ExpensesScreen from './src/screens/ExpensesScreen'; // NEW
-import { initDatabase } from './src/db/Database';
+import RestoreBackupScreen from './src/screens/RestoreBackupScreen';
+import BackupsScreen from './src/screens/BackupsScreen';
+import ImportCustomersScreen from './src/screens/ImportCustomersScreen';
+import AuditHistoryScreen from './src/screens/AuditHistoryScreen';
+import ArchivedCustomersScreen from './src/screens/ArchivedCustomersScreen';
+import RecycleBinScreen from './src/screens/RecycleBinScreen';
+import DataCheckScreen from './src/screens/DataCheckScreen';
+import ProfilesScreen from './src/screens/ProfilesScreen';
+import PriceHistoryScreen from './src/screens/PriceHistoryScreen';
+import StockScreen from './src/screens/StockScreen';
+import SuppliersScreen from './src/screens/SuppliersScreen';
+import SupplierDetailScreen from './src/screens/SupplierDetailScreen';
+import MilkCollectionScreen from './src/screens/MilkCollectionScreen';
+import RateChartScreen from './src/screens/RateChartScreen';
+import StandingOrdersScreen from './src/screens/StandingOrdersScreen';
+import ProfileHeaderTitle from './src/components/ProfileHeaderTitle';
+import { ProfileContext } from './src/components/ProfileContext';
+import { initDatabase, purgeExpiredRecycleBin, applyDuePriceChanges, autoPostStandingOrders } from './src/db/Database';
+import { loadProfiles, getProfiles, getActiveProfile, switchProfile } from './src/db/profiles';
+import { runScheduledBackup } from './src/utils/backupFiles';
 
 const Stack = createStackNavigator();
 const Tab = createBottomTabNavigator();
@@ -45,11 +64,17 @@ function CustomerStack() {
         headerStyle: { backgroundColor: theme.colors.primary },
         headerTintColor: '#fff',
         headerTitleStyle: { fontWeight: 'bold' },
+        headerTitle: (props) => <ProfileHeaderTitle {...props} />,
       }}>
       <Stack.Screen name="CustomersList" component={CustomersScreen} options={{ title: 'Customers' }} />
       <Stack.Screen name="AddEditCustomer" component={AddEditCustomerScreen} options={{ title: 'Manage Customer' }} />
       <Stack.Screen name="CustomerDetail" component={CustomerDetailScreen} options={{ title: 'Customer Details' }} />
       <Stack.Screen name="ManageProducts" component={ManageProductsScreen} options={{ title: 'Assign Products' }} />
+      <Stack.Screen name="ImportCustomers" component={ImportCustomersScreen} options={{ title: 'Import Customers' }} />
+      <Stack.Screen name="AuditHistory" component={AuditHistoryScreen} options={{ title: 'Change History' }} />
+      <Stack.Screen name="ArchivedCustomers" component={ArchivedCustomersScreen} options={{ title: 'Archived Customers' }} />
+      <Stack.Screen name="PriceHistory" component={PriceHistoryScreen} options={{ title: 'Price History' }} />
+      <Stack.Screen name="StandingOrders" component={StandingOrdersScreen} options={{ title: 'Standing Orders' }} />
     </Stack.Navigator>
   );
 }
@@ -62,6 +87,7 @@ function DashboardStack() {
                 headerStyle: { backgroundColor: theme.colors.primary },
                 headerTintColor: '#fff',
                 headerTitleStyle: { fontWeight: 'bold' },
+                headerTitle: (props) => <ProfileHeaderTitle {...props} />,
             }}>
             <Stack.Screen 
                 name="DashboardMain" 
@@ -78,6 +104,18 @@ function DashboardStack() {
                 })} 
             />
             <Stack.Screen name="ManageGlobalProducts" component={ManageGlobalProductsScreen} options={{ title: 'Product Inventory' }} />
+            <Stack.Screen name="Backups" component={BackupsScreen} options={{ title: 'Backups' }} />
+            <Stack.Screen name="RestoreBackup" component={RestoreBackupScreen} options={{ title: 'Restore Backup' }} />
+            <Stack.Screen name="AuditHistory" component={AuditHistoryScreen} options={{ title: 'Change History' }} />
+            <Stack.Screen name="RecycleBin" component={RecycleBinScreen} options={{ title: 'Recycle Bin' }} />
+            <Stack.Screen name="DataCheck" component={DataCheckScreen} options={{ title: 'Check Data' }} />
+            <Stack.Screen name="Profiles" component={ProfilesScreen} options={{ title: 'Businesses' }} />
+            <Stack.Screen name="PriceHistory" component={PriceHistoryScreen} options={{ title: 'Price History' }} />
+            <Stack.Screen name="Stock" component={StockScreen} options={{ title: 'Milk Stock' }} />
+            <Stack.Screen name="Suppliers" component={SuppliersScreen} options={{ title: 'Suppliers' }} />
+            <Stack.Screen name="SupplierDetail" component={SupplierDetailScreen} options={{ title: 'Supplier' }} />
+            <Stack.Screen name="MilkCollection" component={MilkCollectionScreen} options={{ title: 'Milk Collection' }} />
+            <Stack.Screen name="RateChart" component={RateChartScreen} options={{ title: 'Fat / SNF Rate Chart' }} />
         </Stack.Navigator>
     );
 }
@@ -101,8 +139,8 @@ function MainTabs() {
       })}>
       <Tab.Screen name="Dashboard" component={DashboardStack} />
       <Tab.Screen name="Customers" component={CustomerStack} />
-      <Tab.Screen name="Expenses" component={ExpensesScreen} options={{ title: 'Expenses', headerShown: true, headerStyle: { backgroundColor: theme.colors.primary }, headerTintColor: '#fff' }} /> 
-      <Tab.Screen name="Reports" component={ReportsScreen} options={{ title: 'Reports', headerShown: true, headerStyle: { backgroundColor: theme.colors.primary }, headerTintColor: '#fff' }} />
+      <Tab.Screen name="Expenses" component={ExpensesScreen} options={{ title: 'Expenses', headerShown: true, headerStyle: { backgroundColor: theme.colors.primary }, headerTintColor: '#fff', headerTitle: (props) => <ProfileHeaderTitle {...props} /> }} /> 
+      <Tab.Screen name="Reports" component={ReportsScreen} options={{ title: 'Reports', headerShown: true, headerStyle: { backgroundColor: theme.colors.primary }, headerTintColor: '#fff', headerTitle: (props) => <ProfileHeaderTitle {...props} /> }} />
     </Tab.Navigator>
   );
 }
@@ -110,17 +148,71 @@ function MainTabs() {
 
 export default function App() {
     const [dbInitialized, setDbInitialized] = useState(false);
+    const [dbError, setDbError] = useState(null);
+    const [activeProfile, setActiveProfile] = useState(null);
+    const [profiles, setProfiles] = useState([]);
 
-    useEffect(() => {
-        initDatabase()
+    const refreshProfiles = useCallback(() => {
+        setProfiles([...getProfiles()]);
+        setActiveProfile(getActiveProfile());
+    }, []);
+
+    // Runs once the active profile's database file is selected - at launch and after each switch
+    const openActiveDatabase = useCallback(() => {
+        setDbInitialized(false);
+        return initDatabase()
             .then(() => {
                 console.log('Database initialized successfully.');
+                refreshProfiles();
                 setDbInitialized(true);
+                // Daily automatic backup - runs on the first launch of each day
+                runScheduledBackup();
+                // Deleted records past the retention period are removed for good
+                purgeExpiredRecycleBin().catch(err => console.error('Recycle bin purge failed:', err));
+                // Price changes scheduled for today or earlier become the current prices
+                applyDuePriceChanges()
+                    .catch(err => console.error('Applying price changes failed:', err))
+                    // Standing orders create today's sales and those of any days the app was not opened
+                    .then(() => autoPostStandingOrders())
+                    .catch(err => console.error('Posting standing orders failed:', err));
             })
             .catch(err => {
                 console.error('Database initialization failed:', err);
+                setDbError(err);
             });
-    }, []);
+    }, [refreshProfiles]);
+
+    useEffect(() => {
+        loadProfiles()
+            .then(openActiveDatabase)
+            .catch(err => {
+                console.error('Loading profiles failed:', err);
+                setDbError(err);
+            });
+    }, [openActiveDatabase]);
+
+    const profileContext = useMemo(() => ({
+        activeProfile,
+        profiles,
+        refreshProfiles,
+        switchProfile: (id) => switchProfile(id)
+            .then(openActiveDatabase)
+            .catch(err => {
+                console.error('Switching business failed:', err);
+                setDbError(err);
+            }),
+    }), [activeProfile, profiles, refreshProfiles, openActiveDatabase]);
+
+    // A failed migration leaves the data untouched at its last good version; stop here instead of running on a half-upgraded schema
+    if (dbError) {
+        return (
+            <View style={{ flex: 1, justifyContent: 'center', alignItems: 'center', padding: 24 }}>
+                <Icon name="database-alert" size={48} color="#d32f2f" />
+                <Text style={{ marginTop: 10, fontWeight: 'bold' }}>Could not open the database</Text>
+                <Text style={{ marginTop: 8, color: '#666', textAlign: 'center' }}>{dbError.message}</Text>
+            </View>
+        );
+    }
 
     if (!dbInitialized) {
         return (
@@ -133,9 +225,12 @@ export default function App() {
 
     return (
         <PaperProvider theme={theme}>
-            <NavigationContainer>
-                <MainTabs />
-            </NavigationContainer>
+            <ProfileContext.Provider value={profileContext}>
+                {/* Keyed by profile so switching starts every screen afresh on the other business's data */}
+                <NavigationContainer key={activeProfile ? activeProfile.id : 'none'}>
+                    <MainTabs />
+                </NavigationContainer>
+            </ProfileContext.Provider>
         </PaperProvider>
     );
 }
\ No newline at end of file
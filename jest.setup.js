@@ -5,14 +5,12 @@
 require('@testing-library/jest-native/extend-expect');
 
 // Mock expo-sqlite
+// There is no device database under Jest. Tests that exercise the data layer install an
+// in-memory one: setDatabaseAdapter(await createSqlJsAdapter()) - see src/db/adapter.js.
 jest.mock('expo-sqlite', () => ({
-  openDatabaseSync: jest.fn(() => ({
-    withTransactionSync: jest.fn((callback) => callback()),
-    execSync: jest.fn(),
-    runSync: jest.fn((query, ...args) => ({ lastInsertRowId: 1, changes: 1 })),
-    getAllSync: jest.fn(),
-    getFirstSync: jest.fn(),
-  })),
+  openDatabaseSync: jest.fn(() => {
+    throw new Error('No database adapter installed; use createSqlJsAdapter() in tests.');
+  }),
 }));
 
 // Mock Alert
@@ -0,0 +1,103 @@
+/*
+================================================================================
+File: src/components/PassphraseModal.js
+Description: Asks for a backup passphrase. In 'encrypt' mode the passphrase is
+entered twice and the backup can also be shared without encryption; in
+'decrypt' mode it unlocks an encrypted backup file.
+================================================================================
+*/
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, Modal } from 'react-native';
+import { Text, Card, Button, TextInput, IconButton, Divider, HelperText } from 'react-native-paper';
+import { MIN_PASSPHRASE_LENGTH } from '../utils/backupCrypto';
+
+const PassphraseModal = ({ visible, mode = 'encrypt', busy = false, error = '', onSubmit, onSkip, onDismiss }) => {
+    const [passphrase, setPassphrase] = useState('');
+    const [confirm, setConfirm] = useState('');
+    const [hidden, setHidden] = useState(true);
+    const isEncrypt = mode === 'encrypt';
+
+    // Start empty every time the modal opens
+    useEffect(() => {
+        if (visible) {
+            setPassphrase('');
+            setConfirm('');
+            setHidden(true);
+        }
+    }, [visible]);
+
+    let validationError = '';
+    if (isEncrypt && passphrase.length > 0 && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        validationError = `Use at least ${MIN_PASSPHRASE_LENGTH} characters.`;
+    } else if (isEncrypt && confirm.length > 0 && confirm !== passphrase) {
+        validationError = 'Passphrases do not match.';
+    }
+    const canSubmit = !busy && passphrase.length > 0 && !validationError && (!isEncrypt || confirm === passphrase);
+
+    return (
+        <Modal visible={visible} transparent animationType="fade" onRequestClose={onDismiss}>
+            <View style={styles.modalOverlay}>
+                <Card style={styles.modalCard}>
+                    <View style={styles.modalHeader}>
+                        <Text variant="titleLarge">{isEncrypt ? 'Encrypt Backup' : 'Encrypted Backup'}</Text>
+                        <IconButton icon="close" size={20} onPress={onDismiss} disabled={busy} />
+                    </View>
+                    <Divider />
+                    <Card.Content style={{ paddingTop: 16 }}>
+                        <Text style={styles.helpText}>
+                            {isEncrypt
+                                ? 'Protect the shared file with a passphrase. Without it the backup cannot be restored, so keep it somewhere safe.'
+                                : 'Enter the passphrase used when this backup was created.'}
+                        </Text>
+                        <TextInput
+                            label="Passphrase"
+                            mode="outlined"
+                            value={passphrase}
+                            onChangeText={setPassphrase}
+                            secureTextEntry={hidden}
+                            autoCapitalize="none"
+                            autoCorrect={false}
+                            right={<TextInput.Icon icon={hidden ? 'eye' : 'eye-off'} onPress={() => setHidden(!hidden)} />}
+                            style={styles.input}
+                        />
+                        {isEncrypt && (
+                            <TextInput
+                                label="Confirm Passphrase"
+                                mode="outlined"
+                                value={confirm}
+                                onChangeText={setConfirm}
+                                secureTextEntry={hidden}
+                                autoCapitalize="none"
+                                autoCorrect={false}
+                                style={styles.input}
+                            />
+                        )}
+                        <HelperText type="error" visible={!!(validationError || error)}>
+                            {validationError || error}
+                        </HelperText>
+
+                        <Button mode="contained" icon={isEncrypt ? 'lock' : 'lock-open-variant'} onPress={() => onSubmit(passphrase)} disabled={!canSubmit} loading={busy}>
+                            {isEncrypt ? 'Encrypt & Share' : 'Unlock'}
+                        </Button>
+                        {isEncrypt && onSkip && (
+                            <Button mode="text" onPress={onSkip} disabled={busy} style={styles.skipButton}>
+                                Share Without Encryption
+                            </Button>
+                        )}
+                    </Card.Content>
+                </Card>
+            </View>
+        </Modal>
+    );
+};
+
+const styles = StyleSheet.create({
+    modalOverlay: { flex: 1, justifyContent: 'center', alignItems: 'center', backgroundColor: 'rgba(0,0,0,0.5)' },
+    modalCard: { width: '90%', borderRadius: 16, backgroundColor: 'white', paddingBottom: 16 },
+    modalHeader: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', padding: 16 },
+    helpText: { color: '#666', marginBottom: 8 },
+    input: { marginTop: 8, backgroundColor: 'white' },
+    skipButton: { marginTop: 8 },
+});
+
+export default PassphraseModal;
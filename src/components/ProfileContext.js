@@ -0,0 +1,18 @@
+/*
+================================================================================
+File: src/components/ProfileContext.js
+Description: The active business profile and the list of businesses, provided
+by App. switchProfile reopens the app on another business's database;
+refreshProfiles picks up businesses that were added or renamed.
+================================================================================
+*/
+import { createContext, useContext } from 'react';
+
+export const ProfileContext = createContext({
+    activeProfile: null,
+    profiles: [],
+    switchProfile: async () => {},
+    refreshProfiles: () => {},
+});
+
+export const useProfiles = () => useContext(ProfileContext);
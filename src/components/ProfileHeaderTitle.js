@@ -0,0 +1,32 @@
+/*
+================================================================================
+File: src/components/ProfileHeaderTitle.js
+Description: Header title that names the open business underneath the screen
+title, once there is more than one business to tell apart.
+================================================================================
+*/
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Text } from 'react-native-paper';
+import { useProfiles } from './ProfileContext';
+
+const ProfileHeaderTitle = ({ children, tintColor }) => {
+    const { activeProfile, profiles } = useProfiles();
+    const showProfile = activeProfile && profiles.length > 1;
+
+    return (
+        <View>
+            <Text style={[styles.title, { color: tintColor }]} numberOfLines={1}>{children}</Text>
+            {showProfile && (
+                <Text style={[styles.profile, { color: tintColor }]} numberOfLines={1}>{activeProfile.name}</Text>
+            )}
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    title: { fontSize: 18, fontWeight: 'bold' },
+    profile: { fontSize: 12, opacity: 0.85 },
+});
+
+export default ProfileHeaderTitle;
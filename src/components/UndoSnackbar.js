@@ -0,0 +1,36 @@
+/*
+================================================================================
+File: src/components/UndoSnackbar.js
+Description: Shown right after a record is moved to the recycle bin. "Undo"
+restores it; otherwise it stays in the bin until restored or purged.
+================================================================================
+*/
+import React from 'react';
+import { Alert } from 'react-native';
+import { Snackbar } from 'react-native-paper';
+import { restoreFromRecycleBin } from '../db/Database';
+
+// item: { binId, message } for the last deleted record, or null when hidden
+const UndoSnackbar = ({ item, onDismiss, onRestored }) => {
+    const handleUndo = () => {
+        restoreFromRecycleBin(item.binId)
+            .then(() => onRestored && onRestored())
+            .catch(err => {
+                Alert.alert("Could Not Undo", err.message);
+                console.error(err);
+            });
+    };
+
+    return (
+        <Snackbar
+            visible={!!item}
+            onDismiss={onDismiss}
+            duration={6000}
+            action={{ label: 'Undo', onPress: handleUndo }}
+        >
+            {item ? item.message : ''}
+        </Snackbar>
+    );
+};
+
+export default UndoSnackbar;
@@ -0,0 +1,55 @@
+/*
+================================================================================
+File: src/components/UnitPicker.js
+Description: Base unit and optional pack size for a product form. The pack
+size is typed the way it is printed on the pack ("500 ml", "200 g") and read
+with parseQuantity when the form is saved.
+================================================================================
+*/
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Text, Chip, TextInput } from 'react-native-paper';
+import { BASE_UNITS, normaliseUnit } from '../utils/units';
+
+// unit: base unit code; packSize: the pack size text as typed
+const UnitPicker = ({ unit, onUnitChange, packSize, onPackSizeChange, style }) => {
+    // A product saved before units were structured keeps its old unit until another is chosen
+    const legacyUnit = unit && !normaliseUnit(unit) ? unit : null;
+
+    return (
+        <View style={style}>
+            <Text style={styles.label}>Sold by</Text>
+            <View style={styles.chips}>
+                {BASE_UNITS.map(option => (
+                    <Chip
+                        key={option.code}
+                        selected={unit === option.code}
+                        onPress={() => onUnitChange(option.code)}
+                        style={styles.chip}
+                    >
+                        {`${option.label} (${option.code})`}
+                    </Chip>
+                ))}
+                {legacyUnit && (
+                    <Chip selected style={styles.chip}>{legacyUnit}</Chip>
+                )}
+            </View>
+            <TextInput
+                label="Pack Size (optional, e.g. 500 ml)"
+                value={packSize}
+                onChangeText={onPackSizeChange}
+                mode="outlined"
+                style={styles.input}
+            />
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    label: { color: '#666', marginBottom: 4 },
+    chips: { flexDirection: 'row', flexWrap: 'wrap' },
+    chip: { marginRight: 6, marginBottom: 6 },
+    input: { marginTop: 4 },
+});
+
+export default UnitPicker;
@@ -2,124 +2,111 @@
 ================================================================================
 File: src/db/Database.js
 Description: SQLite Database setup and helper functions.
-*** UPDATED: getAllCustomers now includes default product info ***
+*** UPDATED: Schema setup moved to versioned migrations (migrations.js) ***
 ================================================================================
 */
-import * as SQLite from 'expo-sqlite';
-import { format, startOfMonth } from 'date-fns';
+import { format, startOfMonth, parseISO, eachDayOfInterval } from 'date-fns';
+import { db } from './adapter';
+import { runMigrations, getSchemaVersion, upgradeBackupData, LATEST_SCHEMA_VERSION, PRICE_HISTORY_START } from './migrations';
+import { lineTotal, formatRupees } from '../utils/money';
+import { normaliseUnit } from '../utils/units';
+import { SHIFTS, findRate, roundReading } from '../utils/milkCollection';
+import { SCHEDULES, parseWeekdays, formatWeekdays, datesToPost, dayBefore, datesAddedByEarlierStart } from '../utils/standingOrders';
 
-// Initialize DB connection synchronously (the object itself), but use async methods for ops.
-const db = SQLite.openDatabaseSync('MilkwalaExpo.db');
+// `db` is the on-device expo-sqlite database unless a test has swapped in another adapter - see ./adapter.js.
+
+// All money (prices, sale totals, payments, expenses and the dues computed from them) is
+// stored, passed in and returned as integer paise - see ../utils/money.js.
 
 // --- Database Initialization ---
+// Schema changes live in ./migrations.js; a failed migration rejects so the app can stop cleanly.
 export const initDatabase = async () => {
     try {
+        const version = await runMigrations(db);
         await db.execAsync('PRAGMA foreign_keys = ON;');
-        
-        await db.withTransactionAsync(async () => {
-            // Customers Table
-            await db.execAsync(
-                `CREATE TABLE IF NOT EXISTS customers(
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    name VARCHAR(50) NOT NULL,
-                    address TEXT,
-                    phone VARCHAR(15),
-                    isActive INTEGER DEFAULT 1
-                );`
-            );
-
-            // Products Table
-            await db.execAsync(
-                `CREATE TABLE IF NOT EXISTS products(
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    name VARCHAR(50) NOT NULL,
-                    unit VARCHAR(20) NOT NULL,
-                    default_price REAL NOT NULL
-                );`
-            );
-
-            // Customer Products Assignment Table
-            await db.execAsync(
-                `CREATE TABLE IF NOT EXISTS customer_products(
-                    customer_id INTEGER,
-                    product_id INTEGER,
-                    custom_price REAL,
-                    default_quantity REAL DEFAULT 1,
-                    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
-                    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
-                    PRIMARY KEY (customer_id, product_id)
-                );`
-            );
+        console.log(`Database initialized successfully (schema v${version}).`);
+    } catch (error) {
+        console.error("Database initialization error:", error);
+        throw error;
+    }
+};
 
-            // Daily Sales Table
-            await db.execAsync(
-                `CREATE TABLE IF NOT EXISTS daily_sales(
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    customer_id INTEGER,
-                    product_id INTEGER,
-                    quantity REAL,
-                    price_per_unit REAL,
-                    total_amount REAL,
-                    sale_date DATE,
-                    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
-                    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
-                );`
-            );
+// --- Audit Trail ---
+// Writes go through applyAuditedChange, which stores the row before and after the change
+// in audit_log. It must run inside a transaction so the change and its entry commit together;
+// runAudited opens one for single-row writes.
 
-            // Payments Table
-            await db.execAsync(
-                `CREATE TABLE IF NOT EXISTS payments(
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    customer_id INTEGER,
-                    amount_paid REAL,
-                    payment_date DATE,
-                    notes TEXT,
-                    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE
-                );`
-            );
+// Reads the row identified by `key` (column -> value), e.g. { id: 5 } or { customer_id, product_id }
+const getAuditRow = async (table, key) => {
+    const columns = Object.keys(key);
+    return db.getFirstAsync(
+        `SELECT * FROM ${table} WHERE ${columns.map(column => `${column} = ?`).join(' AND ')}`,
+        columns.map(column => key[column])
+    );
+};
 
-            // Expenses Table
-            await db.execAsync(
-                `CREATE TABLE IF NOT EXISTS expenses(
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    amount REAL NOT NULL,
-                    category VARCHAR(50),
-                    note TEXT,
-                    expense_date DATE NOT NULL
-                );`
-            );
-        });
+const writeAuditEntry = async (table, action, before, after) => {
+    const row = after || before || {};
+    const customerId = table === 'customers' ? row.id : row.customer_id;
+    await db.runAsync(
+        'INSERT INTO audit_log (table_name, record_id, customer_id, action, before_json, after_json, changed_at) VALUES (?,?,?,?,?,?,?)',
+        [
+            table,
+            row.id ?? null,
+            customerId ?? null,
+            action,
+            before ? JSON.stringify(before) : null,
+            after ? JSON.stringify(after) : null,
+            new Date().toISOString(),
+        ]
+    );
+};
 
-        // --- MIGRATIONS & OPTIMIZATIONS ---
-        try {
-            const tableInfo = await db.getAllAsync("PRAGMA table_info(expenses)");
-            
-            // 1. Add 'note' if missing
-            if (!tableInfo.some(column => column.name === 'note')) {
-                await db.execAsync("ALTER TABLE expenses ADD COLUMN note TEXT;");
-            }
-            // 2. Add 'category' if missing
-            if (!tableInfo.some(column => column.name === 'category')) {
-                await db.execAsync("ALTER TABLE expenses ADD COLUMN category VARCHAR(50);");
-            }
-            // 3. Remove 'title' if present
-            if (tableInfo.some(column => column.name === 'title')) {
-                await db.execAsync("ALTER TABLE expenses DROP COLUMN title;");
-            }
+// action is 'create', 'update', 'delete' or 'upsert' (recorded as create or update).
+// Pass key = null for inserts; the new row is found through lastInsertRowId. Returns the row key.
+const applyAuditedChange = async (table, action, key, change) => {
+    const before = key ? await getAuditRow(table, key) : null;
+    const result = await change();
+    const rowKey = key || { id: result.lastInsertRowId };
+    const after = action === 'delete' ? null : await getAuditRow(table, rowKey);
 
-            // 4. PERFORMANCE INDEXES (Crucial for fast dashboard loading)
-            await db.execAsync("CREATE INDEX IF NOT EXISTS idx_sales_date ON daily_sales(sale_date);");
-            await db.execAsync("CREATE INDEX IF NOT EXISTS idx_expenses_date ON expenses(expense_date);");
-            await db.execAsync("CREATE INDEX IF NOT EXISTS idx_payments_date ON payments(payment_date);");
-            await db.execAsync("CREATE INDEX IF NOT EXISTS idx_sales_customer ON daily_sales(customer_id);");
+    const resolvedAction = action === 'upsert' ? (before ? 'update' : 'create') : action;
+    const unchanged = resolvedAction === 'update' && JSON.stringify(before) === JSON.stringify(after);
+    if ((before || after) && !unchanged) {
+        await writeAuditEntry(table, resolvedAction, before, after);
+    }
+    return rowKey;
+};
 
-        } catch (migrationError) {
-            console.error("Migration/Indexing failed:", migrationError);
-        }
+const runAudited = async (table, action, key, change) => {
+    let rowKey;
+    await db.withTransactionAsync(async () => {
+        rowKey = await applyAuditedChange(table, action, key, change);
+    });
+    return rowKey;
+};
 
-        console.log("Database initialized successfully.");
+// History for one customer (every table) or one record, newest first.
+// Returns entries with `before` / `after` parsed back into objects.
+export const getAuditHistory = async ({ customerId, tableName, recordId, limit = 200 }) => {
+    try {
+        const byCustomer = customerId !== undefined && customerId !== null;
+        // product_name comes from the product referenced in the logged row, if it still exists
+        const rows = await db.getAllAsync(`
+            SELECT a.*, p.name as product_name
+            FROM audit_log a
+            LEFT JOIN products p ON p.id = json_extract(COALESCE(a.after_json, a.before_json), '$.product_id')
+            WHERE ${byCustomer ? 'a.customer_id = ?' : 'a.table_name = ? AND a.record_id = ?'}
+            ORDER BY a.id DESC
+            LIMIT ?
+        `, byCustomer ? [customerId, limit] : [tableName, recordId, limit]);
+        return rows.map(row => ({
+            ...row,
+            before: row.before_json ? JSON.parse(row.before_json) : null,
+            after: row.after_json ? JSON.parse(row.after_json) : null,
+        }));
     } catch (error) {
-        console.error("Database initialization error:", error);
+        console.error("Error fetching audit history:", error);
         throw error;
     }
 };
@@ -127,11 +114,11 @@ export const initDatabase = async () => {
 // --- Customer Operations ---
 export const addCustomer = async (name, address, phone) => {
     try {
-        const result = await db.runAsync(
+        const { id } = await runAudited('customers', 'create', null, () => db.runAsync(
             'INSERT INTO customers (name, address, phone) VALUES (?,?,?)', 
             [name, address, phone]
-        );
-        return result.lastInsertRowId;
+        ));
+        return id;
     } catch (error) {
         console.error("Error adding customer:", error);
         throw error;
@@ -140,10 +127,10 @@ export const addCustomer = async (name, address, phone) => {
 
 export const updateCustomer = async (id, name, address, phone) => {
     try {
-        await db.runAsync(
+        await runAudited('customers', 'update', { id }, () => db.runAsync(
             'UPDATE customers SET name = ?, address = ?, phone = ? WHERE id = ?', 
             [name, address, phone, id]
-        );
+        ));
     } catch (error) {
         console.error("Error updating customer:", error);
         throw error;
@@ -180,20 +167,183 @@ export const getCustomerById = async (id) => {
     }
 };
 
+// Archives the customer (isActive = 0): they leave the customer list, but their history is kept
+// and any balance they still owe stays in the dues reports until they are reactivated.
 export const deleteCustomer = async (id) => {
     try {
         // Soft delete
-        await db.runAsync('UPDATE customers SET isActive = 0 WHERE id = ?', [id]);
+        await runAudited('customers', 'update', { id }, () => db.runAsync('UPDATE customers SET isActive = 0 WHERE id = ?', [id]));
     } catch (error) {
         console.error("Error deleting customer:", error);
         throw error;
     }
 };
 
+// Archived customers with their final balance (total_due), by name
+export const getArchivedCustomers = async () => {
+    try {
+        return await db.getAllAsync(`
+            SELECT c.*, IFNULL(b.total_sales, 0) - IFNULL(b.total_paid, 0) as total_due
+            FROM customers c
+            LEFT JOIN customer_balances b ON b.customer_id = c.id
+            WHERE c.isActive = 0
+            ORDER BY c.name ASC
+        `);
+    } catch (error) {
+        console.error("Error fetching archived customers:", error);
+        throw error;
+    }
+};
+
+export const reactivateCustomer = async (id) => {
+    try {
+        await runAudited('customers', 'update', { id }, () => db.runAsync('UPDATE customers SET isActive = 1 WHERE id = ?', [id]));
+    } catch (error) {
+        console.error("Error reactivating customer:", error);
+        throw error;
+    }
+};
+
+// audit_log is append-only (migration 3); purgeCustomer lifts these guards inside its own
+// transaction and puts them back before committing.
+const AUDIT_LOG_GUARDS = `
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+    BEGIN
+        SELECT RAISE(ABORT, 'audit_log is append-only');
+    END;
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+    BEGIN
+        SELECT RAISE(ABORT, 'audit_log is append-only');
+    END;
+`;
+
+const PURGE_MODES = ['delete', 'anonymise'];
+
+// Overwrites the personal fields present in a stored JSON snapshot of the customer row
+const anonymiseSnapshot = (json, replacement) => {
+    if (!json) return json;
+    const row = JSON.parse(json);
+    Object.keys(replacement).forEach(field => {
+        if (field in row) row[field] = replacement[field];
+    });
+    return JSON.stringify(row);
+};
+
+// Removes a customer's personal data for good, in one transaction.
+// mode 'delete' erases the customer with their sales, payments, product assignments, recycle bin
+// items and change history. mode 'anonymise' replaces the name, phone and address (also in the
+// history and recycle bin) and archives the customer, keeping every amount so past totals stay
+// the same. Either way one audit entry records that it happened. Backup files are not changed.
+export const purgeCustomer = async (id, mode) => {
+    if (!PURGE_MODES.includes(mode)) {
+        throw new Error(`Unknown purge mode: ${mode}`);
+    }
+    try {
+        await db.withTransactionAsync(async () => {
+            const customer = await getAuditRow('customers', { id });
+            if (!customer) throw new Error('This customer no longer exists.');
+
+            await db.execAsync('DROP TRIGGER IF EXISTS audit_log_no_update; DROP TRIGGER IF EXISTS audit_log_no_delete;');
+
+            if (mode === 'delete') {
+                for (const table of ['daily_sales', 'payments', 'customer_products', 'standing_orders', 'price_history', 'recycle_bin', 'audit_log']) {
+                    await db.runAsync(`DELETE FROM ${table} WHERE customer_id = ?`, [id]);
+                }
+                // A deleted product in the recycle bin may still hold this customer's assignment
+                const binnedProducts = await db.getAllAsync("SELECT id, row_json FROM recycle_bin WHERE table_name = 'products'");
+                for (const item of binnedProducts) {
+                    const snapshot = JSON.parse(item.row_json);
+                    const assignments = (snapshot.assignments || []).filter(a => a.customer_id !== id);
+                    if (assignments.length !== (snapshot.assignments || []).length) {
+                        await db.runAsync('UPDATE recycle_bin SET row_json = ? WHERE id = ?', [JSON.stringify({ ...snapshot, assignments }), item.id]);
+                    }
+                }
+                await db.runAsync('DELETE FROM customers WHERE id = ?', [id]);
+                await writeAuditEntry('customers', 'purge', null, { id });
+            } else {
+                const replacement = { name: `Former customer #${id}`, phone: null, address: null };
+                await db.runAsync(
+                    'UPDATE customers SET name = ?, phone = ?, address = ?, isActive = 0 WHERE id = ?',
+                    [replacement.name, replacement.phone, replacement.address, id]
+                );
+                const entries = await db.getAllAsync(
+                    "SELECT id, before_json, after_json FROM audit_log WHERE table_name = 'customers' AND record_id = ?", [id]
+                );
+                for (const entry of entries) {
+                    await db.runAsync(
+                        'UPDATE audit_log SET before_json = ?, after_json = ? WHERE id = ?',
+                        [anonymiseSnapshot(entry.before_json, replacement), anonymiseSnapshot(entry.after_json, replacement), entry.id]
+                    );
+                }
+                // Labels read "Sale: <name> - ..." / "Payment: <name> - ..."
+                await db.runAsync(
+                    "UPDATE recycle_bin SET label = REPLACE(label, ': ' || ? || ' - ', ': ' || ? || ' - ') WHERE customer_id = ?",
+                    [customer.name, replacement.name, id]
+                );
+                await writeAuditEntry('customers', 'anonymise', null, await getAuditRow('customers', { id }));
+            }
+
+            await db.execAsync(AUDIT_LOG_GUARDS);
+        });
+    } catch (error) {
+        console.error("Error purging customer:", error);
+        throw error;
+    }
+};
+
+// Creates customers and their product assignments from the CSV import in one transaction.
+// entries: [{ name, address, phone, products: [{ productId, customPrice, defaultQuantity }] }]
+// An active customer with the same name and phone is reused instead of duplicated.
+export const importCustomersWithProducts = async (entries) => {
+    const result = { customersAdded: 0, customersMatched: 0, productsAssigned: 0 };
+    try {
+        await db.withTransactionAsync(async () => {
+            for (const entry of entries) {
+                const existing = await db.getFirstAsync(
+                    "SELECT id FROM customers WHERE isActive = 1 AND name = ? AND IFNULL(phone, '') = ?",
+                    [entry.name, entry.phone || '']
+                );
+
+                let customerId;
+                if (existing) {
+                    customerId = existing.id;
+                    result.customersMatched++;
+                } else {
+                    const inserted = await applyAuditedChange('customers', 'create', null, () => db.runAsync(
+                        'INSERT INTO customers (name, address, phone) VALUES (?,?,?)',
+                        [entry.name, entry.address, entry.phone]
+                    ));
+                    customerId = inserted.id;
+                    result.customersAdded++;
+                }
+
+                for (const product of entry.products) {
+                    await applyAuditedChange('customer_products', 'upsert', { customer_id: customerId, product_id: product.productId }, () => db.runAsync(`
+                        INSERT INTO customer_products (customer_id, product_id, custom_price, default_quantity) 
+                        VALUES (?,?,?,?) 
+                        ON CONFLICT(customer_id, product_id) 
+                        DO UPDATE SET custom_price=excluded.custom_price, default_quantity=excluded.default_quantity
+                    `, [customerId, product.productId, product.customPrice, product.defaultQuantity]));
+                    await recordPriceFromToday(product.productId, customerId, product.customPrice);
+                    result.productsAssigned++;
+                }
+            }
+        });
+        return result;
+    } catch (error) {
+        console.error("Error importing customers:", error);
+        throw error;
+    }
+};
+
 // --- Product Operations ---
-export const getAllProducts = async () => {
+// Products are listed in the order set on the inventory screen. Archived products (isActive = 0)
+// keep their sales and history but are left out unless includeArchived is set.
+export const getAllProducts = async ({ includeArchived = false } = {}) => {
     try {
-        const result = await db.getAllAsync('SELECT * FROM products');
+        const result = await db.getAllAsync(
+            `SELECT * FROM products ${includeArchived ? '' : 'WHERE isActive = 1'} ORDER BY sort_order, id`
+        );
         return result;
     } catch (error) {
         console.error("Error fetching products:", error);
@@ -201,40 +351,155 @@ export const getAllProducts = async () => {
     }
 };
 
-export const addProduct = async (name, unit, defaultPrice) => {
+// A unit name is stored as its base unit code ("Liter" -> "L"). packSize is in that unit
+// (0.5 for a 500 ml pouch) or null for a product sold loose.
+const productUnitFields = (unit, packSize) => {
+    if (packSize !== null && !(typeof packSize === 'number' && packSize > 0)) {
+        throw new Error("Pack size must be more than 0.");
+    }
+    return [normaliseUnit(unit) || unit.trim(), packSize];
+};
+
+export const addProduct = async (name, unit, defaultPrice, packSize = null) => {
     try {
-        const result = await db.runAsync(
-            'INSERT INTO products (name, unit, default_price) VALUES (?,?,?)', 
-            [name, unit, defaultPrice]
-        );
-        return result.lastInsertRowId;
+        const unitFields = productUnitFields(unit, packSize);
+        let productId;
+        await db.withTransactionAsync(async () => {
+            // New products go to the end of the list
+            const { id } = await applyAuditedChange('products', 'create', null, () => db.runAsync(
+                'INSERT INTO products (name, unit, pack_size, default_price, sort_order) VALUES (?,?,?,?,(SELECT IFNULL(MAX(sort_order), 0) + 1 FROM products))', 
+                [name, ...unitFields, defaultPrice]
+            ));
+            await recordPriceFromToday(id, null, defaultPrice);
+            productId = id;
+        });
+        return productId;
     } catch (error) {
         console.error("Error adding product:", error);
         throw error;
     }
 };
 
-export const updateProduct = async (id, name, unit, defaultPrice) => {
+export const updateProduct = async (id, name, unit, defaultPrice, packSize = null) => {
     try {
-        await db.runAsync(
-            'UPDATE products SET name = ?, unit = ?, default_price = ? WHERE id = ?', 
-            [name, unit, defaultPrice, id]
-        );
+        const unitFields = productUnitFields(unit, packSize);
+        await db.withTransactionAsync(async () => {
+            await applyAuditedChange('products', 'update', { id }, () => db.runAsync(
+                'UPDATE products SET name = ?, unit = ?, pack_size = ?, default_price = ? WHERE id = ?', 
+                [name, ...unitFields, defaultPrice, id]
+            ));
+            await recordPriceFromToday(id, null, defaultPrice);
+        });
     } catch (error) {
         console.error("Error updating product:", error);
         throw error;
     }
 };
 
+// Moves an unused product (and its customer assignments) to the recycle bin; returns the bin entry id.
+// Products with recorded sales cannot be deleted.
+export const deleteProduct = async (id) => {
+    try {
+        return await moveToRecycleBin('products', id);
+    } catch (error) {
+        console.error("Error deleting product:", error);
+        throw error;
+    }
+};
+
+// Every product, archived ones included, with how many customers are assigned it and how much
+// of it has been sold in total, for the inventory screen.
+export const getProductInventory = async () => {
+    try {
+        return await db.getAllAsync(`
+            SELECT p.*,
+                (SELECT COUNT(*) FROM customer_products cp WHERE cp.product_id = p.id) as customer_count,
+                (SELECT IFNULL(SUM(quantity), 0) FROM daily_sales ds WHERE ds.product_id = p.id) as total_quantity,
+                (SELECT IFNULL(SUM(total_amount), 0) FROM daily_sales ds WHERE ds.product_id = p.id) as total_amount
+            FROM products p
+            ORDER BY p.isActive DESC, p.sort_order, p.id
+        `);
+    } catch (error) {
+        console.error("Error fetching product inventory:", error);
+        throw error;
+    }
+};
+
+// Archives a product so it is no longer offered for new assignments or imports.
+// A product still assigned to customers is refused unless reassignTo names another active product:
+// those customers are then moved to it at its default price, keeping their default quantity.
+// Throws an Error with a user-readable message when the product cannot be archived.
+export const archiveProduct = async (id, { reassignTo = null } = {}) => {
+    try {
+        await db.withTransactionAsync(async () => {
+            const assignments = await db.getAllAsync('SELECT * FROM customer_products WHERE product_id = ?', [id]);
+            if (assignments.length > 0 && reassignTo === null) {
+                throw new Error(`${assignments.length} customer${assignments.length === 1 ? ' is' : 's are'} still assigned this product. Move them to another product first.`);
+            }
+            if (assignments.length > 0) {
+                const target = await db.getFirstAsync('SELECT * FROM products WHERE id = ? AND isActive = 1', [reassignTo]);
+                if (!target || target.id === id) throw new Error("Choose another active product to move the customers to.");
+
+                for (const assignment of assignments) {
+                    const key = { customer_id: assignment.customer_id, product_id: target.id };
+                    const alreadyAssigned = await getAuditRow('customer_products', key);
+                    if (!alreadyAssigned) {
+                        await applyAuditedChange('customer_products', 'create', key, () => db.runAsync(
+                            'INSERT INTO customer_products (customer_id, product_id, custom_price, default_quantity) VALUES (?,?,?,?)',
+                            [assignment.customer_id, target.id, target.default_price, assignment.default_quantity]
+                        ));
+                        await recordPriceFromToday(target.id, assignment.customer_id, target.default_price);
+                    }
+                    await applyAuditedChange('customer_products', 'delete', { customer_id: assignment.customer_id, product_id: id }, () => db.runAsync(
+                        'DELETE FROM customer_products WHERE customer_id = ? AND product_id = ?', [assignment.customer_id, id]
+                    ));
+                }
+            }
+
+            await applyAuditedChange('products', 'update', { id }, () => db.runAsync('UPDATE products SET isActive = 0 WHERE id = ?', [id]));
+        });
+    } catch (error) {
+        console.error("Error archiving product:", error);
+        throw error;
+    }
+};
+
+export const unarchiveProduct = async (id) => {
+    try {
+        await runAudited('products', 'update', { id }, () => db.runAsync('UPDATE products SET isActive = 1 WHERE id = ?', [id]));
+    } catch (error) {
+        console.error("Error unarchiving product:", error);
+        throw error;
+    }
+};
+
+// Saves the display order of products, first to last. The order is only a display preference,
+// so it is not written to the audit log.
+export const reorderProducts = async (orderedIds) => {
+    try {
+        await db.withTransactionAsync(async () => {
+            for (const [index, id] of orderedIds.entries()) {
+                await db.runAsync('UPDATE products SET sort_order = ? WHERE id = ?', [index + 1, id]);
+            }
+        });
+    } catch (error) {
+        console.error("Error reordering products:", error);
+        throw error;
+    }
+};
+
 // --- Customer-Product Assignment ---
 export const assignProductToCustomer = async (customerId, productId, customPrice, defaultQuantity) => {
     try {
-        await db.runAsync(`
-            INSERT INTO customer_products (customer_id, product_id, custom_price, default_quantity) 
-            VALUES (?,?,?,?) 
-            ON CONFLICT(customer_id, product_id) 
-            DO UPDATE SET custom_price=excluded.custom_price, default_quantity=excluded.default_quantity
-        `, [customerId, productId, customPrice, defaultQuantity]);
+        await db.withTransactionAsync(async () => {
+            await applyAuditedChange('customer_products', 'upsert', { customer_id: customerId, product_id: productId }, () => db.runAsync(`
+                INSERT INTO customer_products (customer_id, product_id, custom_price, default_quantity) 
+                VALUES (?,?,?,?) 
+                ON CONFLICT(customer_id, product_id) 
+                DO UPDATE SET custom_price=excluded.custom_price, default_quantity=excluded.default_quantity
+            `, [customerId, productId, customPrice, defaultQuantity]));
+            await recordPriceFromToday(productId, customerId, customPrice);
+        });
     } catch (error) {
         console.error("Error assigning product:", error);
         throw error;
@@ -248,6 +513,7 @@ export const getCustomerProducts = async (customerId) => {
             FROM products p 
             JOIN customer_products cp ON p.id = cp.product_id 
             WHERE cp.customer_id = ?
+            ORDER BY p.sort_order, p.id
         `, [customerId]);
         return result;
     } catch (error) {
@@ -258,47 +524,254 @@ export const getCustomerProducts = async (customerId) => {
 
 export const updateAllCustomPricesForProduct = async (productId, newPrice) => {
     try {
+        await db.withTransactionAsync(async () => {
+            const assignments = await db.getAllAsync('SELECT customer_id FROM customer_products WHERE product_id = ?', [productId]);
+            for (const { customer_id } of assignments) {
+                await applyAuditedChange('customer_products', 'update', { customer_id, product_id: productId }, () => db.runAsync(
+                    'UPDATE customer_products SET custom_price = ? WHERE customer_id = ? AND product_id = ?', 
+                    [newPrice, customer_id, productId]
+                ));
+                await recordPriceFromToday(productId, customer_id, newPrice);
+            }
+        });
+    } catch (error) {
+        console.error("Error updating custom prices:", error);
+        throw error;
+    }
+};
+
+// --- Price History ---
+// price_history holds every price with the date it took effect: customer_id NULL for a product's
+// default price, set for a customer's own price. products.default_price and
+// customer_products.custom_price always hold the price in force today; changes scheduled for a
+// later date are copied into them by applyDuePriceChanges once that date arrives.
+
+export { PRICE_HISTORY_START };
+
+const todayDateString = () => format(new Date(), 'yyyy-MM-dd');
+
+const priceKeySql = 'product_id = ? AND customer_id IS ?';
+
+// The price of one product (customerId null) or one customer's product on `date`, or null if none is recorded
+const getRecordedPrice = async (productId, customerId, date) => {
+    const row = await db.getFirstAsync(
+        `SELECT price FROM price_history WHERE ${priceKeySql} AND effective_from <= ? ORDER BY effective_from DESC LIMIT 1`,
+        [productId, customerId, date]
+    );
+    return row ? row.price : null;
+};
+
+// Adds or replaces the change for one price on one date. Must run inside a transaction.
+const writePriceChange = async (productId, customerId, price, effectiveFrom) => {
+    const existing = await db.getFirstAsync(
+        `SELECT id FROM price_history WHERE ${priceKeySql} AND effective_from = ?`,
+        [productId, customerId, effectiveFrom]
+    );
+    await applyAuditedChange('price_history', 'upsert', existing ? { id: existing.id } : null, () => (existing
+        ? db.runAsync('UPDATE price_history SET price = ? WHERE id = ?', [price, existing.id])
+        : db.runAsync(
+            'INSERT INTO price_history (product_id, customer_id, price, effective_from) VALUES (?,?,?,?)',
+            [productId, customerId, price, effectiveFrom]
+        )));
+};
+
+// Records a price set from the product or assignment forms: a first price applies to every
+// date, a different one applies from today so earlier dates keep their old rate.
+// Must run inside a transaction.
+const recordPriceFromToday = async (productId, customerId, price) => {
+    if (price === null || price === undefined) return;
+    const today = todayDateString();
+    const hasHistory = await db.getFirstAsync(`SELECT id FROM price_history WHERE ${priceKeySql}`, [productId, customerId]);
+    if (!hasHistory) {
         await db.runAsync(
-            'UPDATE customer_products SET custom_price = ? WHERE product_id = ?', 
-            [newPrice, productId]
+            'INSERT INTO price_history (product_id, customer_id, price, effective_from) VALUES (?,?,?,?)',
+            [productId, customerId, price, PRICE_HISTORY_START]
         );
+    } else if ((await getRecordedPrice(productId, customerId, today)) !== price) {
+        await writePriceChange(productId, customerId, price, today);
+    }
+};
+
+// Copies today's recorded price into products / customer_products when it differs. Must run inside a transaction.
+const syncCurrentPrice = async (productId, customerId) => {
+    const price = await getRecordedPrice(productId, customerId, todayDateString());
+    if (price === null) return;
+    if (customerId === null) {
+        await applyAuditedChange('products', 'update', { id: productId }, () => db.runAsync(
+            'UPDATE products SET default_price = ? WHERE id = ?', [price, productId]
+        ));
+    } else {
+        await applyAuditedChange('customer_products', 'update', { customer_id: customerId, product_id: productId }, () => db.runAsync(
+            'UPDATE customer_products SET custom_price = ? WHERE customer_id = ? AND product_id = ?', [price, customerId, productId]
+        ));
+    }
+};
+
+// The rate that applied to a customer's product on `date`: the customer's own price if one was
+// recorded by then, else the product's default price. Null when neither is recorded.
+export const getRateForDate = async (customerId, productId, date) => {
+    try {
+        const row = await db.getFirstAsync(`
+            SELECT price FROM price_history
+            WHERE product_id = ? AND (customer_id = ? OR customer_id IS NULL) AND effective_from <= ?
+            ORDER BY customer_id IS NULL, effective_from DESC
+            LIMIT 1
+        `, [productId, customerId, date]);
+        return row ? row.price : null;
     } catch (error) {
-        console.error("Error updating custom prices:", error);
+        console.error("Error fetching rate for date:", error);
+        throw error;
+    }
+};
+
+// Every recorded price of a product's default (customerId null) or of one customer's product,
+// newest first. Prices from before history was kept have effective_from PRICE_HISTORY_START.
+export const getPriceHistory = async (productId, customerId = null) => {
+    try {
+        return await db.getAllAsync(
+            `SELECT * FROM price_history WHERE ${priceKeySql} ORDER BY effective_from DESC`,
+            [productId, customerId]
+        );
+    } catch (error) {
+        console.error("Error fetching price history:", error);
+        throw error;
+    }
+};
+
+// Sets a price from `effectiveFrom` (yyyy-MM-dd, today or later, or earlier to correct the past).
+// For a product's default price, applyToCustomers gives every customer assigned the product
+// the same change. Throws an Error with a user-readable message for an invalid price or date.
+export const schedulePriceChange = async ({ productId, customerId = null, price, effectiveFrom, applyToCustomers = false }) => {
+    if (!Number.isInteger(price) || price < 0) {
+        throw new Error("Price must be a number of 0 or more.");
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(effectiveFrom || '')) {
+        throw new Error("Choose the date the new price starts from.");
+    }
+    try {
+        await db.withTransactionAsync(async () => {
+            const customerIds = [customerId];
+            if (customerId === null && applyToCustomers) {
+                const assignments = await db.getAllAsync('SELECT customer_id FROM customer_products WHERE product_id = ?', [productId]);
+                customerIds.push(...assignments.map(a => a.customer_id));
+            }
+            for (const id of customerIds) {
+                await writePriceChange(productId, id, price, effectiveFrom);
+                await syncCurrentPrice(productId, id);
+            }
+        });
+    } catch (error) {
+        console.error("Error scheduling price change:", error);
+        throw error;
+    }
+};
+
+// Removes a change that has not taken effect yet; past prices are history and stay.
+export const cancelPriceChange = async (id) => {
+    try {
+        await db.withTransactionAsync(async () => {
+            const change = await getAuditRow('price_history', { id });
+            if (!change) throw new Error("This price change no longer exists.");
+            if (change.effective_from <= todayDateString()) {
+                throw new Error("Only price changes that have not started yet can be cancelled.");
+            }
+            await applyAuditedChange('price_history', 'delete', { id }, () => db.runAsync('DELETE FROM price_history WHERE id = ?', [id]));
+        });
+    } catch (error) {
+        console.error("Error cancelling price change:", error);
+        throw error;
+    }
+};
+
+// Brings products and customer prices up to the changes that have taken effect by today.
+// Runs at startup; returns how many prices changed.
+export const applyDuePriceChanges = async () => {
+    try {
+        let changed = 0;
+        await db.withTransactionAsync(async () => {
+            const today = todayDateString();
+            const due = await db.getAllAsync(`
+                SELECT DISTINCT ph.product_id, ph.customer_id FROM price_history ph
+                LEFT JOIN products p ON ph.customer_id IS NULL AND p.id = ph.product_id
+                LEFT JOIN customer_products cp ON cp.customer_id = ph.customer_id AND cp.product_id = ph.product_id
+                WHERE ph.effective_from <= ? AND IFNULL(p.default_price, cp.custom_price) IS NOT (
+                    SELECT latest.price FROM price_history latest
+                    WHERE latest.product_id = ph.product_id AND latest.customer_id IS ph.customer_id AND latest.effective_from <= ?
+                    ORDER BY latest.effective_from DESC LIMIT 1
+                ) AND (p.id IS NOT NULL OR cp.customer_id IS NOT NULL)
+            `, [today, today]);
+            for (const { product_id, customer_id } of due) {
+                await syncCurrentPrice(product_id, customer_id);
+                changed++;
+            }
+        });
+        return changed;
+    } catch (error) {
+        console.error("Error applying due price changes:", error);
         throw error;
     }
 };
 
 // --- Sales Operations ---
+// A customer has at most one sale per product per day (unique index idx_sales_customer_product_date).
+
+const assertValidSale = (quantity, pricePerUnit) => {
+    if (typeof quantity !== 'number' || !Number.isFinite(quantity) || quantity < 0) {
+        throw new Error("Quantity must be a number of 0 or more.");
+    }
+    if (!Number.isInteger(pricePerUnit) || pricePerUnit < 0) {
+        throw new Error("Rate must be a number of 0 or more.");
+    }
+};
+
+// Records the day's sale, replacing the quantity and rate if one already exists for that
+// customer, product and date. Returns the sale id.
 export const recordSale = async (customerId, productId, quantity, pricePerUnit, date) => {
     try {
-        const totalAmount = quantity * pricePerUnit;
-        const result = await db.runAsync(
-            'INSERT INTO daily_sales (customer_id, product_id, quantity, price_per_unit, total_amount, sale_date) VALUES (?,?,?,?,?,?)',
-            [customerId, productId, quantity, pricePerUnit, totalAmount, date]
-        );
-        return result.lastInsertRowId;
+        assertValidSale(quantity, pricePerUnit);
+        const totalAmount = lineTotal(quantity, pricePerUnit);
+        let saleId;
+        await db.withTransactionAsync(async () => {
+            const existing = await db.getFirstAsync(
+                'SELECT id FROM daily_sales WHERE customer_id = ? AND product_id = ? AND sale_date = ?',
+                [customerId, productId, date]
+            );
+            const { id } = await applyAuditedChange('daily_sales', 'upsert', existing ? { id: existing.id } : null, () => db.runAsync(`
+                INSERT INTO daily_sales (customer_id, product_id, quantity, price_per_unit, total_amount, sale_date) VALUES (?,?,?,?,?,?)
+                ON CONFLICT(customer_id, product_id, sale_date)
+                DO UPDATE SET quantity=excluded.quantity, price_per_unit=excluded.price_per_unit, total_amount=excluded.total_amount
+            `, [customerId, productId, quantity, pricePerUnit, totalAmount, date]));
+            saleId = id;
+        });
+        return saleId;
     } catch (error) {
         console.error("Error recording sale:", error);
         throw error;
     }
 };
 
+// Throws an Error with a user-readable message if the new date already has a sale of the same product.
 export const updateSale = async (saleId, quantity, pricePerUnit, date) => {
     try {
-        const totalAmount = quantity * pricePerUnit;
-        await db.runAsync(
+        assertValidSale(quantity, pricePerUnit);
+        const totalAmount = lineTotal(quantity, pricePerUnit);
+        await runAudited('daily_sales', 'update', { id: saleId }, () => db.runAsync(
             'UPDATE daily_sales SET quantity=?, price_per_unit=?, total_amount=?, sale_date=? WHERE id=?',
             [quantity, pricePerUnit, totalAmount, date, saleId]
-        );
+        ));
     } catch (error) {
         console.error("Error updating sale:", error);
+        if (/UNIQUE constraint failed/.test(error.message)) {
+            throw new Error(`There is already a sale of this product for this customer on ${date}.`);
+        }
         throw error;
     }
 };
 
+// Moves the sale to the recycle bin and returns the bin entry id (for Undo)
 export const deleteSale = async (saleId) => {
     try {
-        await db.runAsync('DELETE FROM daily_sales WHERE id = ?', [saleId]);
+        return await moveToRecycleBin('daily_sales', saleId);
     } catch (error) {
         console.error("Error deleting sale:", error);
         throw error;
@@ -347,10 +820,27 @@ export const getTotalSalesForPeriod = async (startDate, endDate) => {
     }
 };
 
+// Quantity (in each product's base unit) and amount sold of every product with sales in the period
+export const getProductVolumesForPeriod = async (startDate, endDate) => {
+    try {
+        return await db.getAllAsync(`
+            SELECT p.id, p.name, p.unit, SUM(ds.quantity) as quantity, SUM(ds.total_amount) as amount
+            FROM daily_sales ds
+            JOIN products p ON ds.product_id = p.id
+            WHERE ds.sale_date BETWEEN ? AND ?
+            GROUP BY p.id
+            ORDER BY p.sort_order, p.id
+        `, [startDate, endDate]);
+    } catch (error) {
+        console.error("Error getting product volumes:", error);
+        throw error;
+    }
+};
+
 export const getSalesForCustomer = async (customerId, startDate, endDate) => {
     try {
         const result = await db.getAllAsync(`
-            SELECT ds.*, p.name as product_name
+            SELECT ds.*, p.name as product_name, p.unit as product_unit
             FROM daily_sales ds
             JOIN products p ON ds.product_id = p.id
             WHERE ds.customer_id = ? AND ds.sale_date BETWEEN ? AND ?
@@ -363,62 +853,453 @@ export const getSalesForCustomer = async (customerId, startDate, endDate) => {
     }
 };
 
-export const getLastSevenDaysSalesForCustomer = async (customerId) => {
+// Which days each customer had a delivery on, for every calendar day from startDate to endDate
+// (inclusive), in one query. Returns { dates: ['yyyy-MM-dd', ...], byCustomer: { [customerId]: { [date]: quantity } } };
+// customers with no delivery in the window are left out of byCustomer.
+export const getDeliveryMatrix = async (startDate, endDate) => {
     try {
         const result = await db.getAllAsync(`
-            SELECT DISTINCT sale_date 
-            FROM daily_sales 
-            WHERE customer_id = ? 
-            ORDER BY sale_date DESC 
-            LIMIT 7
-        `, [customerId]);
-        return result.map(r => r.sale_date);
+            SELECT customer_id, sale_date, SUM(quantity) as quantity
+            FROM daily_sales
+            WHERE sale_date BETWEEN ? AND ?
+            GROUP BY customer_id, sale_date
+        `, [startDate, endDate]);
+
+        const byCustomer = {};
+        result.forEach(r => {
+            byCustomer[r.customer_id] = { ...byCustomer[r.customer_id], [r.sale_date]: r.quantity };
+        });
+        const dates = eachDayOfInterval({ start: parseISO(startDate), end: parseISO(endDate) })
+            .map(date => format(date, 'yyyy-MM-dd'));
+        return { dates, byCustomer };
     } catch (error) {
-        console.error("Error getting recent sales history:", error);
+        console.error("Error getting delivery matrix:", error);
         throw error;
     }
 };
 
-// --- Payment Operations ---
-export const recordPayment = async (customerId, amount, date, notes) => {
+// --- Standing Orders ---
+// A customer's regular delivery of one product (see ../utils/standingOrders.js). autoPostStandingOrders
+// turns the orders into daily_sales rows for each due date, so only the exceptions need entering by hand.
+// A date that already has a sale of the product is left as it is, and once a date is posted it is
+// never posted again: a sale deleted as an exception stays deleted.
+
+// The order with whether its customer and product are active; null when either is archived
+const getPostableOrder = async (id) => {
+    const order = await db.getFirstAsync(`
+        SELECT so.*, c.isActive as customer_active, p.isActive as product_active
+        FROM standing_orders so
+        JOIN customers c ON so.customer_id = c.id
+        JOIN products p ON so.product_id = p.id
+        WHERE so.id = ?
+    `, [id]);
+    return order && order.customer_active && order.product_active ? order : null;
+};
+
+// Creates the order's sale on each date that has none yet, at the rate of that date. Returns how many
+// were created. Must run inside a transaction.
+const postStandingOrderDates = async (order, dates) => {
+    let posted = 0;
+    for (const date of dates) {
+        if (await getSaleForCustomerProductAndDate(order.customer_id, order.product_id, date)) continue;
+        const rate = await getRateForDate(order.customer_id, order.product_id, date);
+        if (rate === null) continue;
+        await applyAuditedChange('daily_sales', 'create', null, () => db.runAsync(
+            'INSERT INTO daily_sales (customer_id, product_id, quantity, price_per_unit, total_amount, sale_date) VALUES (?,?,?,?,?,?)',
+            [order.customer_id, order.product_id, order.quantity, rate, lineTotal(order.quantity, rate), date]
+        ));
+        posted++;
+    }
+    return posted;
+};
+
+// Creates the order (id null) or changes it. Sales already posted keep their quantity; the
+// change applies from the next date posted. Moving the start date earlier posts the dates it adds
+// straight away; a new product is posted from today on, leaving the sales already posted as they are.
+// Returns the order id.
+// Throws an Error with a user-readable message for an invalid order.
+export const saveStandingOrder = async ({ id = null, customerId, productId, quantity, schedule, weekdays = null, startDate, endDate = null }) => {
+    if (typeof quantity !== 'number' || !Number.isFinite(quantity) || quantity <= 0) {
+        throw new Error("Quantity must be more than 0.");
+    }
+    if (!SCHEDULES.some(option => option.key === schedule)) {
+        throw new Error(`Unknown schedule: ${schedule}`);
+    }
+    const days = schedule === 'weekdays' ? formatWeekdays(parseWeekdays(weekdays)) : null;
+    if (schedule === 'weekdays' && !days) {
+        throw new Error("Choose at least one day of the week.");
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate || '')) {
+        throw new Error("Choose the date the order starts from.");
+    }
+    if (endDate && endDate < startDate) {
+        throw new Error("The end date must not be before the start date.");
+    }
     try {
-        await db.runAsync(
-            'INSERT INTO payments (customer_id, amount_paid, payment_date, notes) VALUES (?,?,?,?)',
-            [customerId, amount, date, notes]
-        );
+        let orderId = id;
+        await db.withTransactionAsync(async () => {
+            if (!id) {
+                ({ id: orderId } = await applyAuditedChange('standing_orders', 'create', null, () => db.runAsync(
+                    'INSERT INTO standing_orders (customer_id, product_id, quantity, schedule, weekdays, start_date, end_date) VALUES (?,?,?,?,?,?,?)',
+                    [customerId, productId, quantity, schedule, days, startDate, endDate]
+                )));
+                return;
+            }
+            const before = await getAuditRow('standing_orders', { id });
+            if (!before) throw new Error("This standing order no longer exists.");
+            const today = todayDateString();
+            const productChanged = productId !== before.product_id;
+            // Today may already be posted with the old product
+            const postedThrough = productChanged && before.posted_through && before.posted_through >= today
+                ? dayBefore(today)
+                : before.posted_through;
+            await applyAuditedChange('standing_orders', 'update', { id }, () => db.runAsync(
+                'UPDATE standing_orders SET product_id = ?, quantity = ?, schedule = ?, weekdays = ?, start_date = ?, end_date = ?, posted_through = ? WHERE id = ?',
+                [productId, quantity, schedule, days, startDate, endDate, postedThrough, id]
+            ));
+            if (!productChanged) {
+                const order = await getPostableOrder(id);
+                if (order) {
+                    await postStandingOrderDates(order, datesAddedByEarlierStart(order, before.start_date, before.posted_through, today));
+                }
+            }
+        });
+        return orderId;
     } catch (error) {
-        console.error("Error recording payment:", error);
+        console.error("Error saving standing order:", error);
+        if (/UNIQUE constraint failed/.test(error.message)) {
+            throw new Error("This customer already has a standing order for this product.");
+        }
         throw error;
     }
 };
 
-export const getPaymentsForCustomer = async (customerId, startDate, endDate) => {
+// A customer's orders with the product's name, unit and pack size, in product order
+export const getStandingOrders = async (customerId) => {
     try {
-        const result = await db.getAllAsync(
-            'SELECT * FROM payments WHERE customer_id = ? AND payment_date BETWEEN ? AND ? ORDER BY payment_date DESC',
-            [customerId, startDate, endDate]
-        );
-        return result;
+        return await db.getAllAsync(`
+            SELECT so.*, p.name as product_name, p.unit, p.pack_size, p.isActive as product_active
+            FROM standing_orders so
+            JOIN products p ON so.product_id = p.id
+            WHERE so.customer_id = ?
+            ORDER BY p.sort_order, p.id
+        `, [customerId]);
     } catch (error) {
-        console.error("Error getting payments:", error);
+        console.error("Error fetching standing orders:", error);
         throw error;
     }
 };
 
-// --- Dues Calculations ---
-export const getCustomerDues = async () => {
+// Stops the order. Sales it already posted are kept.
+export const deleteStandingOrder = async (id) => {
     try {
-        const result = await db.getAllAsync(`
-            SELECT c.id, c.name, 
-            (SELECT SUM(total_amount) FROM daily_sales WHERE customer_id = c.id) as total_sales,
-            (SELECT SUM(amount_paid) FROM payments WHERE customer_id = c.id) as total_paid
-            FROM customers c
-            WHERE c.isActive = 1
-        `);
-        
-        return result.map(r => ({
-            id: r.id,
+        await runAudited('standing_orders', 'delete', { id }, () => db.runAsync('DELETE FROM standing_orders WHERE id = ?', [id]));
+    } catch (error) {
+        console.error("Error deleting standing order:", error);
+        throw error;
+    }
+};
+
+// Creates the sales due from every order up to `today`, including the days since the app was last
+// opened (at most MAX_BACKFILL_DAYS back), at the rate that applied on each date. Orders of archived
+// customers or products post nothing while archived. Runs at startup and after an order is saved on the
+// standing orders screen; returns how many sales were created.
+export const autoPostStandingOrders = async (today = todayDateString()) => {
+    try {
+        let posted = 0;
+        await db.withTransactionAsync(async () => {
+            const orders = await db.getAllAsync(`
+                SELECT so.*, c.isActive as customer_active, p.isActive as product_active
+                FROM standing_orders so
+                JOIN customers c ON so.customer_id = c.id
+                JOIN products p ON so.product_id = p.id
+                WHERE so.posted_through IS NULL OR so.posted_through < ?
+            `, [today]);
+            for (const order of orders) {
+                if (order.customer_active && order.product_active) {
+                    posted += await postStandingOrderDates(order, datesToPost(order, today));
+                }
+                // Bookkeeping for the next run rather than a change to the order, so it is not audited
+                await db.runAsync('UPDATE standing_orders SET posted_through = ? WHERE id = ?', [today, order.id]);
+            }
+        });
+        return posted;
+    } catch (error) {
+        console.error("Error posting standing orders:", error);
+        throw error;
+    }
+};
+
+// --- Stock Ledger ---
+// stock_entries holds what came in and what was wasted per product and day; sold quantities come
+// from daily_sales. A product's stock is tracked from its first entry: each day opens with the
+// previous day's closing stock. A day that sold more than it had closes below 0, but the next day
+// opens at 0 so that one shortfall is not reported again every day after it. Record the stock on
+// hand as received on the first day. Quantities are in the product's unit.
+
+// Removes floating point noise from stock sums
+const roundStock = (value) => Math.round(value * 1000) / 1000;
+
+// Closing stock and shortfall (how much more was sold than there was) for one product and day
+const stockDay = ({ opening, received, sold, wastage }) => ({
+    opening: roundStock(opening),
+    received: roundStock(received),
+    sold: roundStock(sold),
+    wastage: roundStock(wastage),
+    closing: roundStock(opening + received - sold - wastage),
+    shortfall: roundStock(Math.max(0, sold - (opening + received))),
+});
+
+// What a day leaves for the next one to open with
+const carriedStock = (day) => Math.max(0, day.closing);
+
+// Opening stock of a product on `date`, carried day by day from trackedFrom (its first stock entry)
+const getOpeningStock = async (productId, trackedFrom, date) => {
+    const days = await db.getAllAsync(`
+        SELECT day, SUM(received) as received, SUM(wastage) as wastage, SUM(sold) as sold FROM (
+            SELECT entry_date as day, received, wastage, 0 as sold FROM stock_entries WHERE product_id = ? AND entry_date < ?
+            UNION ALL
+            SELECT sale_date, 0, 0, quantity FROM daily_sales WHERE product_id = ? AND sale_date >= ? AND sale_date < ?
+        )
+        GROUP BY day
+        ORDER BY day
+    `, [productId, date, productId, trackedFrom, date]);
+    return days.reduce((opening, day) => carriedStock(stockDay({ opening, ...day })), 0);
+};
+
+const assertValidStock = (received, wastage) => {
+    if (typeof received !== 'number' || !Number.isFinite(received) || received < 0) {
+        throw new Error("Received quantity must be a number of 0 or more.");
+    }
+    if (typeof wastage !== 'number' || !Number.isFinite(wastage) || wastage < 0) {
+        throw new Error("Wastage must be a number of 0 or more.");
+    }
+};
+
+// Saves the day's received and wasted quantity for a product, replacing any earlier entry for that day
+export const recordStockEntry = async (productId, date, { received = 0, wastage = 0, notes = '' } = {}) => {
+    try {
+        assertValidStock(received, wastage);
+        await db.withTransactionAsync(async () => {
+            const existing = await db.getFirstAsync('SELECT id FROM stock_entries WHERE product_id = ? AND entry_date = ?', [productId, date]);
+            await applyAuditedChange('stock_entries', 'upsert', existing ? { id: existing.id } : null, () => db.runAsync(`
+                INSERT INTO stock_entries (product_id, entry_date, received, wastage, notes) VALUES (?,?,?,?,?)
+                ON CONFLICT(product_id, entry_date)
+                DO UPDATE SET received=excluded.received, wastage=excluded.wastage, notes=excluded.notes
+            `, [productId, date, received, wastage, notes]));
+        });
+    } catch (error) {
+        console.error("Error recording stock entry:", error);
+        throw error;
+    }
+};
+
+// The day's stock for every active product: { product_id, name, unit, pack_size, tracked, opening,
+// received, sold, wastage, closing, shortfall, notes }. Products without a stock entry on or before
+// the date are not tracked yet and never show a shortfall.
+export const getStockForDate = async (date) => {
+    try {
+        const rows = await db.getAllAsync(`
+            SELECT p.id as product_id, p.name, p.unit, p.pack_size,
+                (SELECT MIN(entry_date) FROM stock_entries WHERE product_id = p.id) as tracked_from,
+                (SELECT IFNULL(SUM(quantity), 0) FROM daily_sales WHERE product_id = p.id AND sale_date = ?) as sold,
+                IFNULL(se.received, 0) as received, IFNULL(se.wastage, 0) as wastage, se.notes
+            FROM products p
+            LEFT JOIN stock_entries se ON se.product_id = p.id AND se.entry_date = ?
+            WHERE p.isActive = 1
+            ORDER BY p.sort_order, p.id
+        `, [date, date]);
+
+        const stock = [];
+        for (const row of rows) {
+            const tracked = row.tracked_from !== null && row.tracked_from <= date;
+            const day = stockDay({
+                opening: tracked ? await getOpeningStock(row.product_id, row.tracked_from, date) : 0,
+                received: row.received,
+                sold: row.sold,
+                wastage: row.wastage,
+            });
+            stock.push({
+                product_id: row.product_id,
+                name: row.name,
+                unit: row.unit,
+                pack_size: row.pack_size,
+                tracked,
+                ...day,
+                shortfall: tracked ? day.shortfall : 0,
+                notes: row.notes || '',
+            });
+        }
+        return stock;
+    } catch (error) {
+        console.error("Error getting stock for date:", error);
+        throw error;
+    }
+};
+
+// Day by day stock of one product, oldest first. Days before stock was first recorded are left out.
+export const getStockLedger = async (productId, startDate, endDate) => {
+    try {
+        const first = await db.getFirstAsync('SELECT MIN(entry_date) as tracked_from FROM stock_entries WHERE product_id = ?', [productId]);
+        if (!first?.tracked_from || first.tracked_from > endDate) return [];
+        const from = first.tracked_from > startDate ? first.tracked_from : startDate;
+
+        const [openingStock, entries, sales] = await Promise.all([
+            getOpeningStock(productId, first.tracked_from, from),
+            db.getAllAsync('SELECT * FROM stock_entries WHERE product_id = ? AND entry_date BETWEEN ? AND ?', [productId, from, endDate]),
+            db.getAllAsync(
+                'SELECT sale_date, SUM(quantity) as sold FROM daily_sales WHERE product_id = ? AND sale_date BETWEEN ? AND ? GROUP BY sale_date',
+                [productId, from, endDate]
+            ),
+        ]);
+
+        let opening = openingStock;
+        return eachDayOfInterval({ start: parseISO(from), end: parseISO(endDate) }).map(day => {
+            const date = format(day, 'yyyy-MM-dd');
+            const entry = entries.find(e => e.entry_date === date);
+            const sale = sales.find(s => s.sale_date === date);
+            const row = {
+                date,
+                ...stockDay({
+                    opening,
+                    received: entry ? entry.received : 0,
+                    sold: sale ? sale.sold : 0,
+                    wastage: entry ? entry.wastage : 0,
+                }),
+                notes: entry?.notes || '',
+            };
+            opening = carriedStock(row);
+            return row;
+        });
+    } catch (error) {
+        console.error("Error getting stock ledger:", error);
+        throw error;
+    }
+};
+
+// --- Payment Operations ---
+export const recordPayment = async (customerId, amount, date, notes) => {
+    try {
+        await runAudited('payments', 'create', null, () => db.runAsync(
+            'INSERT INTO payments (customer_id, amount_paid, payment_date, notes) VALUES (?,?,?,?)',
+            [customerId, amount, date, notes]
+        ));
+    } catch (error) {
+        console.error("Error recording payment:", error);
+        throw error;
+    }
+};
+
+// Moves the payment to the recycle bin and returns the bin entry id (for Undo)
+export const deletePayment = async (paymentId) => {
+    try {
+        return await moveToRecycleBin('payments', paymentId);
+    } catch (error) {
+        console.error("Error deleting payment:", error);
+        throw error;
+    }
+};
+
+export const getPaymentsForCustomer = async (customerId, startDate, endDate) => {
+    try {
+        const result = await db.getAllAsync(
+            'SELECT * FROM payments WHERE customer_id = ? AND payment_date BETWEEN ? AND ? ORDER BY payment_date DESC',
+            [customerId, startDate, endDate]
+        );
+        return result;
+    } catch (error) {
+        console.error("Error getting payments:", error);
+        throw error;
+    }
+};
+
+// --- Customer Timeline ---
+export const TIMELINE_PAGE_SIZE = 30;
+
+// A customer's sales and payments as one list, newest first, each with the balance due right
+// after it. Entries on the same day put sales before payments. Loads one page at a time:
+// pass the returned nextCursor to get the next (older) page, or upToDate ('yyyy-MM-dd') to
+// start from the last entry on or before that day. nextCursor is null on the last page.
+// Returns { entries: [{ key, kind: 'sale' | 'payment', id, date, amount, balance, ... }], nextCursor }.
+export const getCustomerTimeline = async (customerId, { cursor = null, upToDate = null, limit = TIMELINE_PAGE_SIZE } = {}) => {
+    try {
+        let where = '';
+        const params = [customerId, customerId];
+        if (cursor) {
+            where = 'WHERE (entry_date, kind_rank, id) < (?, ?, ?)';
+            params.push(cursor.date, cursor.rank, cursor.id);
+        } else if (upToDate) {
+            where = 'WHERE entry_date <= ?';
+            params.push(upToDate);
+        }
+        params.push(limit + 1);
+
+        // The running balance is a window over the customer's whole history, so it is right
+        // on every page; `change` is what the entry adds to the amount due.
+        const rows = await db.getAllAsync(`
+            SELECT * FROM (
+                SELECT t.*, SUM(t.change) OVER (ORDER BY t.entry_date, t.kind_rank, t.id ROWS UNBOUNDED PRECEDING) as balance
+                FROM (
+                    SELECT 'sale' as kind, 0 as kind_rank, ds.id, ds.sale_date as entry_date, ds.total_amount as change,
+                        ds.quantity, ds.price_per_unit, p.name as product_name, p.unit, NULL as notes
+                    FROM daily_sales ds
+                    LEFT JOIN products p ON ds.product_id = p.id
+                    WHERE ds.customer_id = ?
+                    UNION ALL
+                    SELECT 'payment', 1, pay.id, pay.payment_date, -pay.amount_paid,
+                        NULL, NULL, NULL, NULL, pay.notes
+                    FROM payments pay
+                    WHERE pay.customer_id = ?
+                ) t
+            )
+            ${where}
+            ORDER BY entry_date DESC, kind_rank DESC, id DESC
+            LIMIT ?
+        `, params);
+
+        const page = rows.slice(0, limit);
+        const last = page[page.length - 1];
+        return {
+            entries: page.map(r => ({
+                key: `${r.kind}-${r.id}`,
+                kind: r.kind,
+                id: r.id,
+                date: r.entry_date,
+                amount: Math.abs(r.change || 0),
+                balance: r.balance || 0,
+                quantity: r.quantity,
+                pricePerUnit: r.price_per_unit,
+                productName: r.product_name,
+                unit: r.unit,
+                notes: r.notes,
+            })),
+            nextCursor: rows.length > limit ? { date: last.entry_date, rank: last.kind_rank, id: last.id } : null,
+        };
+    } catch (error) {
+        console.error("Error getting customer timeline:", error);
+        throw error;
+    }
+};
+
+// --- Dues Calculations ---
+// Lifetime totals come from customer_balances, which triggers keep in step with every sale
+// and payment (migration 7); only the rows after a cut-off date or inside a period are summed.
+// Archived customers are included while they still owe money or are owed some; isActive tells them apart.
+const ACTIVE_OR_OWING = 'c.isActive = 1 OR IFNULL(b.total_sales, 0) != IFNULL(b.total_paid, 0)';
+
+export const getCustomerDues = async () => {
+    try {
+        const result = await db.getAllAsync(`
+            SELECT c.id, c.name, c.isActive, b.total_sales, b.total_paid
+            FROM customers c
+            LEFT JOIN customer_balances b ON b.customer_id = c.id
+            WHERE ${ACTIVE_OR_OWING}
+        `);
+        
+        return result.map(r => ({
+            id: r.id,
             name: r.name,
+            isActive: r.isActive,
             total_due: (r.total_sales || 0) - (r.total_paid || 0)
         }));
     } catch (error) {
@@ -429,16 +1310,16 @@ export const getCustomerDues = async () => {
 
 export const getTotalDuesForCustomerUpToDate = async (customerId, date) => {
     try {
-        const salesRes = await db.getFirstAsync(
-            'SELECT SUM(total_amount) as total FROM daily_sales WHERE customer_id = ? AND sale_date <= ?',
-            [customerId, date]
-        );
-        const payRes = await db.getFirstAsync(
-            'SELECT SUM(amount_paid) as total FROM payments WHERE customer_id = ? AND payment_date <= ?',
-            [customerId, date]
-        );
+        // The stored balance, less whatever was sold or paid after the date
+        const result = await db.getFirstAsync(`
+            SELECT b.total_sales - b.total_paid
+                - (SELECT IFNULL(SUM(total_amount), 0) FROM daily_sales WHERE customer_id = b.customer_id AND sale_date > ?)
+                + (SELECT IFNULL(SUM(amount_paid), 0) FROM payments WHERE customer_id = b.customer_id AND payment_date > ?) as total
+            FROM customer_balances b
+            WHERE b.customer_id = ?
+        `, [date, date, customerId]);
         
-        return (salesRes?.total || 0) - (payRes?.total || 0);
+        return result?.total || 0;
     } catch (error) {
         console.error("Error calculating total due up to date:", error);
         throw error;
@@ -449,13 +1330,14 @@ export const getComprehensiveCustomerDues = async (startDate, endDate) => {
     try {
         const result = await db.getAllAsync(`
             SELECT
-                c.id, c.name, c.phone,
-                (SELECT IFNULL(SUM(total_amount), 0) FROM daily_sales WHERE customer_id = c.id) as lifetime_sales,
-                (SELECT IFNULL(SUM(amount_paid), 0) FROM payments WHERE customer_id = c.id) as lifetime_payments,
+                c.id, c.name, c.phone, c.isActive,
+                IFNULL(b.total_sales, 0) as lifetime_sales,
+                IFNULL(b.total_paid, 0) as lifetime_payments,
                 (SELECT IFNULL(SUM(total_amount), 0) FROM daily_sales WHERE customer_id = c.id AND sale_date BETWEEN ? AND ?) as period_sales,
                 (SELECT IFNULL(SUM(amount_paid), 0) FROM payments WHERE customer_id = c.id AND payment_date BETWEEN ? AND ?) as period_payments
             FROM customers c
-            WHERE c.isActive = 1
+            LEFT JOIN customer_balances b ON b.customer_id = c.id
+            WHERE ${ACTIVE_OR_OWING}
             ORDER BY c.name ASC
         `, [startDate, endDate, startDate, endDate]);
 
@@ -463,6 +1345,7 @@ export const getComprehensiveCustomerDues = async (startDate, endDate) => {
             id: r.id,
             name: r.name,
             phone: r.phone,
+            isActive: r.isActive,
             total_due: r.lifetime_sales - r.lifetime_payments,
             period_due: r.period_sales - r.period_payments,
             period_sales: r.period_sales,
@@ -474,13 +1357,346 @@ export const getComprehensiveCustomerDues = async (startDate, endDate) => {
     }
 };
 
+// Recomputes every customer's stored balance from the full sales and payment history.
+// The triggers keep it current, so this is only needed to repair a balance the data check flags.
+export const rebuildCustomerBalances = async () => {
+    try {
+        await db.withTransactionAsync(async () => {
+            await db.runAsync('DELETE FROM customer_balances');
+            await db.runAsync(`
+                INSERT INTO customer_balances (customer_id, total_sales, total_paid)
+                SELECT c.id,
+                    (SELECT IFNULL(SUM(total_amount), 0) FROM daily_sales WHERE customer_id = c.id),
+                    (SELECT IFNULL(SUM(amount_paid), 0) FROM payments WHERE customer_id = c.id)
+                FROM customers c
+            `);
+        });
+    } catch (error) {
+        console.error("Error rebuilding customer balances:", error);
+        throw error;
+    }
+};
+
+// --- Supplier Operations ---
+// Suppliers are the customer ledger turned around: purchases are what the business owes the
+// dairy and supplier payments settle it. Purchases also count as expenses (getTotalExpensesForPeriod),
+// so milk bought is entered once, as a purchase.
+
+export const addSupplier = async (name, phone, address) => {
+    try {
+        const { id } = await runAudited('suppliers', 'create', null, () => db.runAsync(
+            'INSERT INTO suppliers (name, phone, address) VALUES (?,?,?)',
+            [name, phone, address]
+        ));
+        return id;
+    } catch (error) {
+        console.error("Error adding supplier:", error);
+        throw error;
+    }
+};
+
+export const updateSupplier = async (id, name, phone, address) => {
+    try {
+        await runAudited('suppliers', 'update', { id }, () => db.runAsync(
+            'UPDATE suppliers SET name = ?, phone = ?, address = ? WHERE id = ?',
+            [name, phone, address, id]
+        ));
+    } catch (error) {
+        console.error("Error updating supplier:", error);
+        throw error;
+    }
+};
+
+export const getSupplierById = async (id) => {
+    try {
+        return await db.getFirstAsync('SELECT * FROM suppliers WHERE id = ?', [id]);
+    } catch (error) {
+        console.error("Error fetching supplier by ID:", error);
+        throw error;
+    }
+};
+
+// Only a supplier with no purchases or payments can be deleted, so the ledger is never lost.
+// Throws an Error with a user-readable message otherwise.
+export const deleteSupplier = async (id) => {
+    try {
+        await db.withTransactionAsync(async () => {
+            const entries = await db.getFirstAsync(`
+                SELECT (SELECT COUNT(*) FROM supplier_purchases WHERE supplier_id = ?)
+                    + (SELECT COUNT(*) FROM supplier_payments WHERE supplier_id = ?) as count
+            `, [id, id]);
+            if (entries.count > 0) {
+                throw new Error(`This supplier has ${entries.count} recorded ${entries.count === 1 ? 'purchase or payment' : 'purchases and payments'} and cannot be deleted.`);
+            }
+            await applyAuditedChange('suppliers', 'delete', { id }, () => db.runAsync('DELETE FROM suppliers WHERE id = ?', [id]));
+        });
+    } catch (error) {
+        console.error("Error deleting supplier:", error);
+        throw error;
+    }
+};
+
+// Every supplier with what has been bought and paid, and the balance still payable (total_due), by name
+export const getSupplierDues = async () => {
+    try {
+        const result = await db.getAllAsync(`
+            SELECT s.id, s.name, s.phone, s.address,
+                (SELECT IFNULL(SUM(total_amount), 0) FROM supplier_purchases WHERE supplier_id = s.id) as total_purchases,
+                (SELECT IFNULL(SUM(amount_paid), 0) FROM supplier_payments WHERE supplier_id = s.id) as total_paid
+            FROM suppliers s
+            ORDER BY s.name ASC
+        `);
+
+        return result.map(r => ({
+            id: r.id,
+            name: r.name,
+            phone: r.phone,
+            address: r.address,
+            total_purchases: r.total_purchases,
+            total_paid: r.total_paid,
+            total_due: r.total_purchases - r.total_paid
+        }));
+    } catch (error) {
+        console.error("Error calculating supplier dues:", error);
+        throw error;
+    }
+};
+
+// Records milk (or any product) bought from a supplier. Returns the purchase id.
+export const recordPurchase = async (supplierId, productId, quantity, pricePerUnit, date, notes = '') => {
+    try {
+        assertValidSale(quantity, pricePerUnit);
+        const { id } = await runAudited('supplier_purchases', 'create', null, () => db.runAsync(
+            'INSERT INTO supplier_purchases (supplier_id, product_id, quantity, price_per_unit, total_amount, purchase_date, notes) VALUES (?,?,?,?,?,?,?)',
+            [supplierId, productId, quantity, pricePerUnit, lineTotal(quantity, pricePerUnit), date, notes]
+        ));
+        return id;
+    } catch (error) {
+        console.error("Error recording purchase:", error);
+        throw error;
+    }
+};
+
+// Moves the purchase to the recycle bin and returns the bin entry id (for Undo)
+export const deletePurchase = async (purchaseId) => {
+    try {
+        return await moveToRecycleBin('supplier_purchases', purchaseId);
+    } catch (error) {
+        console.error("Error deleting purchase:", error);
+        throw error;
+    }
+};
+
+export const recordSupplierPayment = async (supplierId, amount, date, notes) => {
+    try {
+        await runAudited('supplier_payments', 'create', null, () => db.runAsync(
+            'INSERT INTO supplier_payments (supplier_id, amount_paid, payment_date, notes) VALUES (?,?,?,?)',
+            [supplierId, amount, date, notes]
+        ));
+    } catch (error) {
+        console.error("Error recording supplier payment:", error);
+        throw error;
+    }
+};
+
+// Moves the payment to the recycle bin and returns the bin entry id (for Undo)
+export const deleteSupplierPayment = async (paymentId) => {
+    try {
+        return await moveToRecycleBin('supplier_payments', paymentId);
+    } catch (error) {
+        console.error("Error deleting supplier payment:", error);
+        throw error;
+    }
+};
+
+// A supplier's purchases and payments, newest first. Each row has a `type` ('purchase' or
+// 'payment'), `date` and `amount`; purchases also carry the product, quantity and rate.
+export const getSupplierLedger = async (supplierId) => {
+    try {
+        return await db.getAllAsync(`
+            SELECT 'purchase' as type, sp.id, sp.purchase_date as date, sp.total_amount as amount, sp.notes,
+                sp.product_id, p.name as product_name, p.unit, sp.quantity, sp.price_per_unit
+            FROM supplier_purchases sp
+            LEFT JOIN products p ON sp.product_id = p.id
+            WHERE sp.supplier_id = ?
+            UNION ALL
+            SELECT 'payment' as type, id, payment_date as date, amount_paid as amount, notes,
+                NULL, NULL, NULL, NULL, NULL
+            FROM supplier_payments
+            WHERE supplier_id = ?
+            ORDER BY date DESC, type DESC, id DESC
+        `, [supplierId, supplierId]);
+    } catch (error) {
+        console.error("Error getting supplier ledger:", error);
+        throw error;
+    }
+};
+
+// --- Farmer Milk Collection ---
+// Milk collected from farmers each morning and evening is paid by its fat and SNF readings, at
+// the rate the chart gives when the entry is saved. Collections count as expenses like purchases.
+
+export const addFarmer = async (name, phone, village) => {
+    try {
+        const { id } = await runAudited('farmers', 'create', null, () => db.runAsync(
+            'INSERT INTO farmers (name, phone, village) VALUES (?,?,?)',
+            [name, phone, village]
+        ));
+        return id;
+    } catch (error) {
+        console.error("Error adding farmer:", error);
+        throw error;
+    }
+};
+
+export const updateFarmer = async (id, name, phone, village) => {
+    try {
+        await runAudited('farmers', 'update', { id }, () => db.runAsync(
+            'UPDATE farmers SET name = ?, phone = ?, village = ? WHERE id = ?',
+            [name, phone, village, id]
+        ));
+    } catch (error) {
+        console.error("Error updating farmer:", error);
+        throw error;
+    }
+};
+
+export const getAllFarmers = async () => {
+    try {
+        return await db.getAllAsync('SELECT * FROM farmers ORDER BY name ASC');
+    } catch (error) {
+        console.error("Error fetching farmers:", error);
+        throw error;
+    }
+};
+
+// Only a farmer with no collections can be deleted. Throws an Error with a user-readable message otherwise.
+export const deleteFarmer = async (id) => {
+    try {
+        await db.withTransactionAsync(async () => {
+            const collections = await db.getFirstAsync('SELECT COUNT(*) as count FROM milk_collections WHERE farmer_id = ?', [id]);
+            if (collections.count > 0) {
+                throw new Error(`This farmer has ${collections.count} recorded ${collections.count === 1 ? 'collection' : 'collections'} and cannot be deleted.`);
+            }
+            await applyAuditedChange('farmers', 'delete', { id }, () => db.runAsync('DELETE FROM farmers WHERE id = ?', [id]));
+        });
+    } catch (error) {
+        console.error("Error deleting farmer:", error);
+        throw error;
+    }
+};
+
+// Every rate in the chart as { fat, snf, rate }, by fat and then SNF
+export const getRateChart = async () => {
+    try {
+        return await db.getAllAsync('SELECT fat, snf, rate FROM rate_chart ORDER BY fat ASC, snf ASC');
+    } catch (error) {
+        console.error("Error fetching rate chart:", error);
+        throw error;
+    }
+};
+
+// Replaces the whole chart. Collections already saved keep the rate they were saved with.
+export const saveRateChart = async (rates) => {
+    try {
+        if (rates.some(cell => !Number.isInteger(cell.rate) || cell.rate < 0)) {
+            throw new Error("Rates must be numbers of 0 or more.");
+        }
+        await db.withTransactionAsync(async () => {
+            const before = await db.getFirstAsync('SELECT COUNT(*) as rates FROM rate_chart');
+            await db.runAsync('DELETE FROM rate_chart');
+            for (const cell of rates) {
+                await db.runAsync('INSERT INTO rate_chart (fat, snf, rate) VALUES (?,?,?)', [roundReading(cell.fat), roundReading(cell.snf), cell.rate]);
+            }
+            // One entry for the chart rather than one per rate
+            await writeAuditEntry('rate_chart', 'update', { rates: before.rates }, { rates: rates.length });
+        });
+    } catch (error) {
+        console.error("Error saving rate chart:", error);
+        throw error;
+    }
+};
+
+// Records a farmer's milk for one shift, replacing the entry if the shift is already recorded.
+// The rate comes from the chart; throws an Error with a user-readable message when the chart
+// has no rate for the reading. Returns the collection id.
+export const recordCollection = async (farmerId, date, shift, quantity, fat, snf) => {
+    try {
+        if (!SHIFTS.some(option => option.key === shift)) {
+            throw new Error(`Unknown shift: ${shift}`);
+        }
+        if (typeof quantity !== 'number' || !Number.isFinite(quantity) || quantity <= 0) {
+            throw new Error("Quantity must be more than 0.");
+        }
+        let collectionId;
+        await db.withTransactionAsync(async () => {
+            const rate = findRate(await db.getAllAsync('SELECT fat, snf, rate FROM rate_chart'), fat, snf);
+            if (rate === null) {
+                throw new Error(`The rate chart has no rate for fat ${roundReading(fat)}% and SNF ${roundReading(snf)}%.`);
+            }
+            const existing = await db.getFirstAsync(
+                'SELECT id FROM milk_collections WHERE farmer_id = ? AND collection_date = ? AND shift = ?',
+                [farmerId, date, shift]
+            );
+            const { id } = await applyAuditedChange('milk_collections', 'upsert', existing ? { id: existing.id } : null, () => db.runAsync(`
+                INSERT INTO milk_collections (farmer_id, collection_date, shift, quantity, fat, snf, rate, total_amount) VALUES (?,?,?,?,?,?,?,?)
+                ON CONFLICT(farmer_id, collection_date, shift)
+                DO UPDATE SET quantity=excluded.quantity, fat=excluded.fat, snf=excluded.snf, rate=excluded.rate, total_amount=excluded.total_amount
+            `, [farmerId, date, shift, quantity, roundReading(fat), roundReading(snf), rate, lineTotal(quantity, rate)]));
+            collectionId = id;
+        });
+        return collectionId;
+    } catch (error) {
+        console.error("Error recording collection:", error);
+        throw error;
+    }
+};
+
+// Moves the collection to the recycle bin and returns the bin entry id (for Undo)
+export const deleteCollection = async (collectionId) => {
+    try {
+        return await moveToRecycleBin('milk_collections', collectionId);
+    } catch (error) {
+        console.error("Error deleting collection:", error);
+        throw error;
+    }
+};
+
+export const getCollectionsForDate = async (date) => {
+    try {
+        return await db.getAllAsync(`
+            SELECT mc.*, f.name as farmer_name
+            FROM milk_collections mc
+            JOIN farmers f ON mc.farmer_id = f.id
+            WHERE mc.collection_date = ?
+        `, [date]);
+    } catch (error) {
+        console.error("Error getting collections for date:", error);
+        throw error;
+    }
+};
+
+// A farmer's collections in the period, by date with the morning shift first
+export const getCollectionsForFarmer = async (farmerId, startDate, endDate) => {
+    try {
+        return await db.getAllAsync(`
+            SELECT * FROM milk_collections
+            WHERE farmer_id = ? AND collection_date BETWEEN ? AND ?
+            ORDER BY collection_date ASC, CASE shift WHEN 'morning' THEN 0 ELSE 1 END
+        `, [farmerId, startDate, endDate]);
+    } catch (error) {
+        console.error("Error getting collections for farmer:", error);
+        throw error;
+    }
+};
+
 // --- EXPENSE OPERATIONS ---
 export const addExpense = async (expense) => {
     try {
-        await db.runAsync(
+        await runAudited('expenses', 'create', null, () => db.runAsync(
             'INSERT INTO expenses (amount, category, note, expense_date) VALUES (?,?,?,?)',
             [expense.amount, expense.category, expense.note, expense.date]
-        );
+        ));
     } catch (err) {
         console.error("Failed to add expense", err);
         throw err;
@@ -489,10 +1705,10 @@ export const addExpense = async (expense) => {
 
 export const updateExpense = async (expense) => {
     try {
-        await db.runAsync(
+        await runAudited('expenses', 'update', { id: expense.id }, () => db.runAsync(
             'UPDATE expenses SET amount = ?, category = ?, note = ?, expense_date = ? WHERE id = ?',
             [expense.amount, expense.category, expense.note, expense.date, expense.id]
-        );
+        ));
     } catch (error) {
         console.error("Failed to update expense", error);
         throw error;
@@ -512,12 +1728,14 @@ export const getExpensesForPeriod = async (startDate, endDate) => {
     }
 };
 
+// Expenses plus milk bought from suppliers and collected from farmers
 export const getTotalExpensesForPeriod = async (startDate, endDate) => {
     try {
-        const result = await db.getFirstAsync(
-            'SELECT SUM(amount) as total FROM expenses WHERE expense_date BETWEEN ? AND ?',
-            [startDate, endDate]
-        );
+        const result = await db.getFirstAsync(`
+            SELECT (SELECT IFNULL(SUM(amount), 0) FROM expenses WHERE expense_date BETWEEN ? AND ?)
+                + (SELECT IFNULL(SUM(total_amount), 0) FROM supplier_purchases WHERE purchase_date BETWEEN ? AND ?)
+                + (SELECT IFNULL(SUM(total_amount), 0) FROM milk_collections WHERE collection_date BETWEEN ? AND ?) as total
+        `, [startDate, endDate, startDate, endDate, startDate, endDate]);
         return result?.total || 0;
     } catch (error) {
         console.error("Error calculating total expenses:", error);
@@ -535,41 +1753,615 @@ export const getUniqueCategories = async () => {
     }
 };
 
+// Moves the expense to the recycle bin and returns the bin entry id (for Undo)
 export const deleteExpense = async (id) => {
     try {
-        await db.runAsync('DELETE FROM expenses WHERE id = ?', [id]);
+        return await moveToRecycleBin('expenses', id);
     } catch (error) {
         console.error("Error deleting expense:", error);
         throw error;
     }
 };
 
+// --- Recycle Bin ---
+// Deleted sales, payments, expenses, purchases, collections and products are kept as JSON snapshots so they can be
+// restored, until they are purged by hand or after RECYCLE_BIN_RETENTION_DAYS.
+export const RECYCLE_BIN_RETENTION_DAYS = 30;
+
+// Short description shown in the recycle bin and the Undo snackbar
+const RECYCLE_BIN_LABELS = {
+    daily_sales: {
+        query: `SELECT c.name as customer_name, p.name as product_name, p.unit, ds.quantity, ds.sale_date
+                FROM daily_sales ds LEFT JOIN customers c ON ds.customer_id = c.id LEFT JOIN products p ON ds.product_id = p.id
+                WHERE ds.id = ?`,
+        format: (r) => `Sale: ${r.customer_name || 'Unknown'} - ${r.product_name || 'Unknown'} ${r.quantity} ${r.unit || ''} on ${r.sale_date}`,
+    },
+    payments: {
+        query: `SELECT c.name as customer_name, pay.amount_paid, pay.payment_date
+                FROM payments pay LEFT JOIN customers c ON pay.customer_id = c.id WHERE pay.id = ?`,
+        format: (r) => `Payment: ${r.customer_name || 'Unknown'} - ${formatRupees(r.amount_paid)} on ${r.payment_date}`,
+    },
+    expenses: {
+        query: 'SELECT category, amount, expense_date FROM expenses WHERE id = ?',
+        format: (r) => `Expense: ${r.category || 'Other'} - ${formatRupees(r.amount)} on ${r.expense_date}`,
+    },
+    supplier_purchases: {
+        query: `SELECT s.name as supplier_name, p.name as product_name, p.unit, sp.quantity, sp.purchase_date
+                FROM supplier_purchases sp LEFT JOIN suppliers s ON sp.supplier_id = s.id LEFT JOIN products p ON sp.product_id = p.id
+                WHERE sp.id = ?`,
+        format: (r) => `Purchase: ${r.supplier_name || 'Unknown'} - ${r.product_name || 'Unknown'} ${r.quantity} ${r.unit || ''} on ${r.purchase_date}`,
+    },
+    supplier_payments: {
+        query: `SELECT s.name as supplier_name, sp.amount_paid, sp.payment_date
+                FROM supplier_payments sp LEFT JOIN suppliers s ON sp.supplier_id = s.id WHERE sp.id = ?`,
+        format: (r) => `Supplier payment: ${r.supplier_name || 'Unknown'} - ${formatRupees(r.amount_paid)} on ${r.payment_date}`,
+    },
+    milk_collections: {
+        query: `SELECT f.name as farmer_name, mc.quantity, mc.shift, mc.collection_date
+                FROM milk_collections mc LEFT JOIN farmers f ON mc.farmer_id = f.id WHERE mc.id = ?`,
+        format: (r) => `Collection: ${r.farmer_name || 'Unknown'} - ${r.quantity} L (${r.shift}) on ${r.collection_date}`,
+    },
+    products: {
+        query: 'SELECT name, unit FROM products WHERE id = ?',
+        format: (r) => `Product: ${r.name} (${r.unit})`,
+    },
+};
+
+// Snapshots the row (a product keeps its customer assignments and price history), deletes it with an audit
+// entry in the same transaction and returns the new recycle bin id.
+const moveToRecycleBin = async (table, id) => {
+    let binId;
+    await db.withTransactionAsync(async () => {
+        const row = await getAuditRow(table, { id });
+        if (!row) throw new Error(`Record ${id} not found in ${table}.`);
+
+        const labelRow = await db.getFirstAsync(RECYCLE_BIN_LABELS[table].query, [id]);
+        const snapshot = { row };
+
+        if (table === 'products') {
+            const sales = await db.getFirstAsync('SELECT COUNT(*) as count FROM daily_sales WHERE product_id = ?', [id]);
+            if (sales.count > 0) {
+                throw new Error(`This product has ${sales.count} recorded sales and cannot be deleted.`);
+            }
+            const purchases = await db.getFirstAsync('SELECT COUNT(*) as count FROM supplier_purchases WHERE product_id = ?', [id]);
+            if (purchases.count > 0) {
+                throw new Error(`This product has ${purchases.count} recorded ${purchases.count === 1 ? 'purchase' : 'purchases'} and cannot be deleted. Archive it instead.`);
+            }
+            const stock = await db.getFirstAsync('SELECT COUNT(*) as count FROM stock_entries WHERE product_id = ?', [id]);
+            if (stock.count > 0) {
+                throw new Error(`This product has ${stock.count} stock ${stock.count === 1 ? 'entry' : 'entries'} and cannot be deleted. Archive it instead.`);
+            }
+            const orders = await db.getFirstAsync('SELECT COUNT(*) as count FROM standing_orders WHERE product_id = ?', [id]);
+            if (orders.count > 0) {
+                throw new Error(`This product is on ${orders.count} standing ${orders.count === 1 ? 'order' : 'orders'} and cannot be deleted. Remove ${orders.count === 1 ? 'it' : 'them'} first.`);
+            }
+            snapshot.assignments = await db.getAllAsync('SELECT * FROM customer_products WHERE product_id = ?', [id]);
+            for (const assignment of snapshot.assignments) {
+                const key = { customer_id: assignment.customer_id, product_id: id };
+                await applyAuditedChange('customer_products', 'delete', key, () => db.runAsync(
+                    'DELETE FROM customer_products WHERE customer_id = ? AND product_id = ?', [assignment.customer_id, id]
+                ));
+            }
+            snapshot.prices = await db.getAllAsync('SELECT * FROM price_history WHERE product_id = ?', [id]);
+            await db.runAsync('DELETE FROM price_history WHERE product_id = ?', [id]);
+        }
+
+        await applyAuditedChange(table, 'delete', { id }, () => db.runAsync(`DELETE FROM ${table} WHERE id = ?`, [id]));
+        const inserted = await db.runAsync(
+            'INSERT INTO recycle_bin (table_name, record_id, customer_id, label, row_json, deleted_at) VALUES (?,?,?,?,?,?)',
+            [table, id, row.customer_id ?? null, RECYCLE_BIN_LABELS[table].format(labelRow), JSON.stringify(snapshot), new Date().toISOString()]
+        );
+        binId = inserted.lastInsertRowId;
+    });
+    return binId;
+};
+
+// `key` is only needed for tables without an id column (customer_products)
+const reinsertRow = async (table, row, key = null) => {
+    const columns = (await getTableColumns(table)).filter(column => row[column] !== undefined);
+    return applyAuditedChange(table, 'restore', key, () => db.runAsync(
+        `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(',')})`,
+        columns.map(column => row[column])
+    ));
+};
+
+export const getRecycleBinItems = async () => {
+    try {
+        return await db.getAllAsync('SELECT id, table_name, record_id, customer_id, label, deleted_at FROM recycle_bin ORDER BY deleted_at DESC');
+    } catch (error) {
+        console.error("Error fetching recycle bin:", error);
+        throw error;
+    }
+};
+
+// Puts a deleted record back, with its original id when that id is still free.
+// Throws an Error with a user-readable message if the customer or product it belongs to is gone.
+export const restoreFromRecycleBin = async (binId) => {
+    try {
+        await db.withTransactionAsync(async () => {
+            const entry = await db.getFirstAsync('SELECT * FROM recycle_bin WHERE id = ?', [binId]);
+            if (!entry) throw new Error("This item is no longer in the recycle bin.");
+
+            const { row, assignments = [], prices = [] } = JSON.parse(entry.row_json);
+            if (row.customer_id !== undefined && !(await db.getFirstAsync('SELECT id FROM customers WHERE id = ?', [row.customer_id]))) {
+                throw new Error("The customer for this record no longer exists.");
+            }
+            if (row.supplier_id !== undefined && !(await db.getFirstAsync('SELECT id FROM suppliers WHERE id = ?', [row.supplier_id]))) {
+                throw new Error("The supplier for this record no longer exists.");
+            }
+            if (row.farmer_id !== undefined && !(await db.getFirstAsync('SELECT id FROM farmers WHERE id = ?', [row.farmer_id]))) {
+                throw new Error("The farmer for this record no longer exists.");
+            }
+            if (row.product_id !== undefined && !(await db.getFirstAsync('SELECT id FROM products WHERE id = ?', [row.product_id]))) {
+                throw new Error("The product for this record no longer exists.");
+            }
+            if (entry.table_name === 'daily_sales' && (await getSaleForCustomerProductAndDate(row.customer_id, row.product_id, row.sale_date))) {
+                throw new Error(`Another sale of this product is already recorded for ${row.sale_date}.`);
+            }
+            if (entry.table_name === 'milk_collections' && (await db.getFirstAsync(
+                'SELECT id FROM milk_collections WHERE farmer_id = ? AND collection_date = ? AND shift = ?',
+                [row.farmer_id, row.collection_date, row.shift]
+            ))) {
+                throw new Error(`Another ${row.shift} collection is already recorded for ${row.collection_date}.`);
+            }
+
+            const idTaken = await db.getFirstAsync(`SELECT id FROM ${entry.table_name} WHERE id = ?`, [row.id]);
+            const restored = idTaken ? { ...row, id: undefined } : row;
+            const { id: newId } = await reinsertRow(entry.table_name, restored);
+
+            for (const assignment of assignments) {
+                const customer = await db.getFirstAsync('SELECT id FROM customers WHERE id = ?', [assignment.customer_id]);
+                if (customer) {
+                    await reinsertRow('customer_products', { ...assignment, product_id: newId }, { customer_id: assignment.customer_id, product_id: newId });
+                }
+            }
+            for (const price of prices) {
+                const customerGone = price.customer_id !== null && !(await db.getFirstAsync('SELECT id FROM customers WHERE id = ?', [price.customer_id]));
+                if (!customerGone) {
+                    await db.runAsync(
+                        'INSERT INTO price_history (product_id, customer_id, price, effective_from) VALUES (?,?,?,?)',
+                        [newId, price.customer_id, price.price, price.effective_from]
+                    );
+                }
+            }
+
+            await db.runAsync('DELETE FROM recycle_bin WHERE id = ?', [binId]);
+        });
+    } catch (error) {
+        console.error("Error restoring from recycle bin:", error);
+        throw error;
+    }
+};
+
+// Permanently removes one bin entry
+export const purgeRecycleBinItem = async (binId) => {
+    try {
+        await db.runAsync('DELETE FROM recycle_bin WHERE id = ?', [binId]);
+    } catch (error) {
+        console.error("Error purging recycle bin item:", error);
+        throw error;
+    }
+};
+
+export const emptyRecycleBin = async () => {
+    try {
+        await db.runAsync('DELETE FROM recycle_bin');
+    } catch (error) {
+        console.error("Error emptying recycle bin:", error);
+        throw error;
+    }
+};
+
+// Removes entries older than the retention period. Returns how many were purged.
+export const purgeExpiredRecycleBin = async (retentionDays = RECYCLE_BIN_RETENTION_DAYS) => {
+    try {
+        const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+        const result = await db.runAsync('DELETE FROM recycle_bin WHERE deleted_at < ?', [cutoff]);
+        return result.changes;
+    } catch (error) {
+        console.error("Error purging expired recycle bin items:", error);
+        throw error;
+    }
+};
+
+// --- Data Integrity ---
+// Each check lists the rows that break one rule. `fix` is set only where the repair is
+// unambiguous; everything else is left for the user to sort out from the report.
+const INTEGRITY_CHECKS = [
+    {
+        key: 'sale_missing_customer',
+        title: 'Sales of a missing customer',
+        table: 'daily_sales',
+        query: `SELECT ds.*, p.name as product_name FROM daily_sales ds
+                LEFT JOIN customers c ON ds.customer_id = c.id LEFT JOIN products p ON ds.product_id = p.id
+                WHERE c.id IS NULL ORDER BY ds.sale_date`,
+        describe: (r) => `Sale #${r.id} on ${r.sale_date} (${r.product_name || 'unknown product'}, ${formatRupees(r.total_amount)}) belongs to customer #${r.customer_id}, who does not exist.`,
+    },
+    {
+        key: 'sale_missing_product',
+        title: 'Sales of a missing product',
+        table: 'daily_sales',
+        query: `SELECT ds.*, c.name as customer_name FROM daily_sales ds
+                JOIN customers c ON ds.customer_id = c.id LEFT JOIN products p ON ds.product_id = p.id
+                WHERE p.id IS NULL ORDER BY ds.sale_date`,
+        describe: (r) => `Sale #${r.id} on ${r.sale_date} for ${r.customer_name} (${formatRupees(r.total_amount)}) is for product #${r.product_id}, which does not exist.`,
+    },
+    {
+        key: 'sale_invalid_quantity',
+        title: 'Negative or non-numeric quantities',
+        table: 'daily_sales',
+        query: `SELECT ds.*, c.name as customer_name FROM daily_sales ds LEFT JOIN customers c ON ds.customer_id = c.id
+                WHERE typeof(ds.quantity) NOT IN ('integer', 'real') OR ds.quantity < 0 ORDER BY ds.sale_date`,
+        describe: (r) => `Sale #${r.id} on ${r.sale_date} for ${r.customer_name || 'unknown customer'} has quantity "${r.quantity ?? ''}".`,
+    },
+    {
+        key: 'sale_total_mismatch',
+        title: 'Sale totals that do not match quantity x rate',
+        table: 'daily_sales',
+        query: `SELECT ds.*, c.name as customer_name FROM daily_sales ds LEFT JOIN customers c ON ds.customer_id = c.id
+                WHERE typeof(ds.quantity) IN ('integer', 'real') AND ds.quantity >= 0 AND typeof(ds.price_per_unit) = 'integer'
+                AND (ds.total_amount IS NULL OR ds.total_amount != CAST(ROUND(ds.quantity * ds.price_per_unit) AS INTEGER))
+                ORDER BY ds.sale_date`,
+        describe: (r) => `Sale #${r.id} on ${r.sale_date} for ${r.customer_name || 'unknown customer'}: ${r.quantity} x ${formatRupees(r.price_per_unit)} should be ${formatRupees(lineTotal(r.quantity, r.price_per_unit))}, but the total is ${formatRupees(r.total_amount)}.`,
+        fix: {
+            label: 'Recalculate total',
+            apply: (r) => applyAuditedChange('daily_sales', 'update', { id: r.id }, () => db.runAsync(
+                'UPDATE daily_sales SET total_amount = ? WHERE id = ?', [lineTotal(r.quantity, r.price_per_unit), r.id]
+            )),
+        },
+    },
+    {
+        key: 'payment_missing_customer',
+        title: 'Payments from a missing customer',
+        table: 'payments',
+        query: `SELECT pay.* FROM payments pay LEFT JOIN customers c ON pay.customer_id = c.id
+                WHERE c.id IS NULL ORDER BY pay.payment_date`,
+        describe: (r) => `Payment #${r.id} of ${formatRupees(r.amount_paid)} on ${r.payment_date} belongs to customer #${r.customer_id}, who does not exist.`,
+    },
+    {
+        key: 'assignment_orphaned',
+        title: 'Product assignments to a missing customer or product',
+        table: 'customer_products',
+        query: `SELECT cp.* FROM customer_products cp
+                LEFT JOIN customers c ON cp.customer_id = c.id LEFT JOIN products p ON cp.product_id = p.id
+                WHERE c.id IS NULL OR p.id IS NULL`,
+        describe: (r) => `Customer #${r.customer_id} is assigned product #${r.product_id}, but one of them does not exist.`,
+        fix: {
+            label: 'Remove assignment',
+            apply: (r) => applyAuditedChange('customer_products', 'delete', { customer_id: r.customer_id, product_id: r.product_id }, () => db.runAsync(
+                'DELETE FROM customer_products WHERE customer_id = ? AND product_id = ?', [r.customer_id, r.product_id]
+            )),
+        },
+    },
+    {
+        key: 'balance_out_of_date',
+        title: 'Stored balances that do not match the history',
+        table: 'customer_balances',
+        query: `SELECT * FROM (
+                    SELECT c.id, c.id as customer_id, c.name as customer_name, b.total_sales, b.total_paid,
+                        (SELECT IFNULL(SUM(total_amount), 0) FROM daily_sales WHERE customer_id = c.id) as actual_sales,
+                        (SELECT IFNULL(SUM(amount_paid), 0) FROM payments WHERE customer_id = c.id) as actual_paid
+                    FROM customers c LEFT JOIN customer_balances b ON b.customer_id = c.id
+                ) WHERE total_sales IS NULL OR total_sales != actual_sales OR total_paid != actual_paid
+                ORDER BY customer_name`,
+        describe: (r) => `The stored balance of ${r.customer_name} is ${formatRupees((r.total_sales || 0) - (r.total_paid || 0))}, but their sales and payments come to ${formatRupees(r.actual_sales - r.actual_paid)}.`,
+        fix: {
+            label: 'Recalculate balance',
+            apply: (r) => db.runAsync(
+                'INSERT OR REPLACE INTO customer_balances (customer_id, total_sales, total_paid) VALUES (?,?,?)',
+                [r.id, r.actual_sales, r.actual_paid]
+            ),
+        },
+    },
+];
+
+// Runs every check over the whole database. Returns a flat list of problems:
+// [{ id, check, title, table, recordId, customerId, message, fixLabel, row }] - fixLabel is null
+// when there is no automatic fix.
+export const runIntegrityChecks = async () => {
+    try {
+        const issues = [];
+        for (const check of INTEGRITY_CHECKS) {
+            const rows = await db.getAllAsync(check.query);
+            rows.forEach(row => {
+                const recordId = row.id ?? null;
+                issues.push({
+                    id: `${check.key}:${recordId ?? `${row.customer_id}-${row.product_id}`}`,
+                    check: check.key,
+                    title: check.title,
+                    table: check.table,
+                    recordId,
+                    customerId: row.customer_id ?? null,
+                    message: check.describe(row),
+                    fixLabel: check.fix ? check.fix.label : null,
+                    row,
+                });
+            });
+        }
+        return issues;
+    } catch (error) {
+        console.error("Error running integrity checks:", error);
+        throw error;
+    }
+};
+
+// Applies the automatic fix of each given issue in one transaction; issues without a fix are skipped.
+// Returns the number of issues fixed.
+export const fixIntegrityIssues = async (issues) => {
+    try {
+        let fixed = 0;
+        await db.withTransactionAsync(async () => {
+            for (const issue of issues) {
+                const check = INTEGRITY_CHECKS.find(c => c.key === issue.check);
+                if (!check || !check.fix) continue;
+                await check.fix.apply(issue.row);
+                fixed++;
+            }
+        });
+        return fixed;
+    } catch (error) {
+        console.error("Error fixing integrity issues:", error);
+        throw error;
+    }
+};
+
+// --- Export Operations ---
+// Rows for the CSV export, with customer and product names joined next to their ids.
+// Sales, payments and expenses can be limited to a date range (inclusive, 'yyyy-MM-dd');
+// customers, products and customer_products are always exported in full.
+export const getDataForCsvExport = async (startDate = null, endDate = null) => {
+    try {
+        const rangeFilter = (column) => (startDate && endDate ? `WHERE ${column} BETWEEN ? AND ?` : '');
+        const rangeParams = startDate && endDate ? [startDate, endDate] : [];
+
+        const [customers, products, customerProducts, sales, payments, expenses] = await Promise.all([
+            db.getAllAsync('SELECT id, name, phone, address, isActive FROM customers ORDER BY name ASC'),
+            db.getAllAsync('SELECT id, name, unit, pack_size, default_price FROM products ORDER BY name ASC'),
+            db.getAllAsync(`
+                SELECT cp.customer_id, c.name as customer_name, cp.product_id, p.name as product_name,
+                       p.unit as product_unit, cp.custom_price, cp.default_quantity
+                FROM customer_products cp
+                LEFT JOIN customers c ON cp.customer_id = c.id
+                LEFT JOIN products p ON cp.product_id = p.id
+                ORDER BY c.name ASC, p.name ASC
+            `),
+            db.getAllAsync(`
+                SELECT ds.id, ds.sale_date, ds.customer_id, c.name as customer_name, ds.product_id,
+                       p.name as product_name, p.unit as product_unit, ds.quantity, ds.price_per_unit, ds.total_amount
+                FROM daily_sales ds
+                LEFT JOIN customers c ON ds.customer_id = c.id
+                LEFT JOIN products p ON ds.product_id = p.id
+                ${rangeFilter('ds.sale_date')}
+                ORDER BY ds.sale_date ASC, c.name ASC
+            `, rangeParams),
+            db.getAllAsync(`
+                SELECT pay.id, pay.payment_date, pay.customer_id, c.name as customer_name, pay.amount_paid, pay.notes
+                FROM payments pay
+                LEFT JOIN customers c ON pay.customer_id = c.id
+                ${rangeFilter('pay.payment_date')}
+                ORDER BY pay.payment_date ASC, c.name ASC
+            `, rangeParams),
+            db.getAllAsync(`
+                SELECT id, expense_date, category, amount, note
+                FROM expenses
+                ${rangeFilter('expense_date')}
+                ORDER BY expense_date ASC
+            `, rangeParams),
+        ]);
+
+        return { customers, products, customerProducts, sales, payments, expenses };
+    } catch (error) {
+        console.error("Error gathering export data:", error);
+        throw error;
+    }
+};
+
 // --- Backup Operations ---
+// Order matters: parents come before the tables that reference them.
+// `refs` maps a foreign key column to the backup key of its parent table,
+// `matchOn` lists the columns used to recognise an existing row when merging,
+// `nullable` lists foreign keys that may be empty, and `since` is the schema version that added
+// the table (older backups are given its rows by upgradeBackupData).
+const BACKUP_TABLES = [
+    { key: 'customers', table: 'customers', matchOn: ['name', 'phone'] },
+    { key: 'products', table: 'products', matchOn: ['name', 'unit'] },
+    { key: 'customerProducts', table: 'customer_products', refs: { customer_id: 'customers', product_id: 'products' }, matchOn: ['customer_id', 'product_id'], noId: true },
+    { key: 'sales', table: 'daily_sales', refs: { customer_id: 'customers', product_id: 'products' }, matchOn: ['customer_id', 'product_id', 'sale_date'] },
+    { key: 'payments', table: 'payments', refs: { customer_id: 'customers' }, matchOn: ['customer_id', 'payment_date', 'amount_paid', 'notes'] },
+    { key: 'expenses', table: 'expenses', matchOn: ['expense_date', 'amount', 'category', 'note'] },
+    { key: 'priceHistory', table: 'price_history', refs: { product_id: 'products', customer_id: 'customers' }, nullable: ['customer_id'], matchOn: ['product_id', 'customer_id', 'effective_from'], since: 8 },
+    { key: 'stockEntries', table: 'stock_entries', refs: { product_id: 'products' }, matchOn: ['product_id', 'entry_date'], since: 11 },
+    { key: 'suppliers', table: 'suppliers', matchOn: ['name', 'phone'], since: 12 },
+    { key: 'supplierPurchases', table: 'supplier_purchases', refs: { supplier_id: 'suppliers', product_id: 'products' }, matchOn: ['supplier_id', 'product_id', 'purchase_date', 'quantity', 'total_amount'], since: 12 },
+    { key: 'supplierPayments', table: 'supplier_payments', refs: { supplier_id: 'suppliers' }, matchOn: ['supplier_id', 'payment_date', 'amount_paid', 'notes'], since: 12 },
+    { key: 'farmers', table: 'farmers', matchOn: ['name', 'phone'], since: 13 },
+    { key: 'milkCollections', table: 'milk_collections', refs: { farmer_id: 'farmers' }, matchOn: ['farmer_id', 'collection_date', 'shift'], since: 13 },
+    { key: 'rateChart', table: 'rate_chart', matchOn: ['fat', 'snf'], noId: true, since: 13 },
+    { key: 'standingOrders', table: 'standing_orders', refs: { customer_id: 'customers', product_id: 'products' }, matchOn: ['customer_id', 'product_id'], since: 14 },
+];
+
 export const getAllDataForBackup = async () => {
     try {
         const todayString = format(new Date(), 'yyyy-MM-dd');
 
-        const [customers, products, customerProducts, sales, payments, expenses] = await Promise.all([
+        const [
+            schemaVersion, customers, products, customerProducts, sales, payments, expenses, priceHistory, stockEntries,
+            suppliers, supplierPurchases, supplierPayments, farmers, milkCollections, rateChart, standingOrders
+        ] = await Promise.all([
+            getSchemaVersion(db),
             db.getAllAsync('SELECT * FROM customers'),
             db.getAllAsync('SELECT * FROM products'),
             db.getAllAsync('SELECT * FROM customer_products'),
             db.getAllAsync('SELECT * FROM daily_sales ORDER BY sale_date ASC'),
             db.getAllAsync('SELECT * FROM payments ORDER BY payment_date ASC'),
             db.getAllAsync('SELECT * FROM expenses ORDER BY expense_date ASC'),
+            db.getAllAsync('SELECT * FROM price_history ORDER BY effective_from ASC'),
+            db.getAllAsync('SELECT * FROM stock_entries ORDER BY entry_date ASC'),
+            db.getAllAsync('SELECT * FROM suppliers'),
+            db.getAllAsync('SELECT * FROM supplier_purchases ORDER BY purchase_date ASC'),
+            db.getAllAsync('SELECT * FROM supplier_payments ORDER BY payment_date ASC'),
+            db.getAllAsync('SELECT * FROM farmers'),
+            db.getAllAsync('SELECT * FROM milk_collections ORDER BY collection_date ASC'),
+            db.getAllAsync('SELECT * FROM rate_chart ORDER BY fat ASC, snf ASC'),
+            db.getAllAsync('SELECT * FROM standing_orders'),
         ]);
 
         return {
             backupDate: todayString,
-            schemaVersion: 1,
+            schemaVersion,
             customers,
             products,
             customerProducts,
             sales,
             payments,
-            expenses
+            expenses,
+            priceHistory,
+            stockEntries,
+            suppliers,
+            supplierPurchases,
+            supplierPayments,
+            farmers,
+            milkCollections,
+            rateChart,
+            standingOrders
         };
     } catch (error) {
         console.error("Error gathering backup data:", error);
         throw error;
     }
-};
\ No newline at end of file
+};
+
+// Checks the structure of a parsed backup file and returns a summary of what it holds.
+// Throws an Error with a user-readable message when the file cannot be restored.
+export const validateBackupData = (data) => {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error("The selected file is not a Milkwala backup.");
+    }
+    const version = data.schemaVersion;
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error("The backup has no valid schema version.");
+    }
+    if (version > LATEST_SCHEMA_VERSION) {
+        throw new Error(`The backup was made by a newer version of the app (schema ${version}). Please update the app first.`);
+    }
+
+    // Tables added after the backup was made are filled in when it is upgraded
+    const tables = BACKUP_TABLES.filter(({ since }) => !since || version >= since);
+
+    const ids = {};
+    tables.forEach(({ key, noId }) => {
+        const rows = data[key];
+        if (!Array.isArray(rows)) {
+            throw new Error(`The backup is missing the "${key}" list.`);
+        }
+        if (rows.some(row => !row || typeof row !== 'object' || (!noId && !Number.isInteger(row.id)))) {
+            throw new Error(`The "${key}" list contains invalid rows.`);
+        }
+        ids[key] = new Set(rows.map(row => row.id));
+    });
+
+    tables.forEach(({ key, refs, nullable = [] }) => {
+        if (!refs) return;
+        data[key].forEach(row => {
+            Object.entries(refs).forEach(([column, parentKey]) => {
+                if (row[column] === null && nullable.includes(column)) return;
+                if (!ids[parentKey].has(row[column])) {
+                    throw new Error(`A row in "${key}" points to a missing ${parentKey} entry (${column} = ${row[column]}).`);
+                }
+            });
+        });
+    });
+
+    const counts = {};
+    tables.forEach(({ key }) => { counts[key] = data[key].length; });
+
+    return {
+        backupDate: data.backupDate || null,
+        schemaVersion: version,
+        counts
+    };
+};
+
+const getTableColumns = async (table) => {
+    const info = await db.getAllAsync(`PRAGMA table_info(${table})`);
+    return info.map(column => column.name);
+};
+
+const insertBackupRow = async (table, columns, row) => {
+    const usable = columns.filter(column => row[column] !== undefined);
+    const result = await db.runAsync(
+        `INSERT INTO ${table} (${usable.join(', ')}) VALUES (${usable.map(() => '?').join(',')})`,
+        usable.map(column => row[column])
+    );
+    return result.lastInsertRowId;
+};
+
+// Restores a validated backup in a single transaction.
+// mode 'replace' wipes the current data and keeps the backup's row ids as they are.
+// mode 'merge' adds rows that are not already present, giving new rows fresh ids and
+// remapping foreign keys so sales and payments stay attached to the right customers.
+export const restoreDataFromBackup = async (data, mode = 'replace') => {
+    if (mode !== 'replace' && mode !== 'merge') {
+        throw new Error(`Unknown restore mode: ${mode}`);
+    }
+    validateBackupData(data);
+    const backup = upgradeBackupData(data);
+
+    const added = {};
+    try {
+        await db.withTransactionAsync(async () => {
+            if (mode === 'replace') {
+                for (const { table } of [...BACKUP_TABLES].reverse()) {
+                    await db.runAsync(`DELETE FROM ${table}`);
+                }
+                // Deleted records point at ids of the data being replaced, which may now belong to other rows
+                await db.runAsync('DELETE FROM recycle_bin');
+            }
+
+            // backup id -> id in this database, per backup key
+            const idMaps = {};
+
+            for (const { key, table, refs = {}, nullable = [], matchOn, noId } of BACKUP_TABLES) {
+                const columns = await getTableColumns(table);
+                idMaps[key] = new Map();
+                added[key] = 0;
+
+                for (const sourceRow of backup[key]) {
+                    const row = { ...sourceRow };
+                    Object.entries(refs).forEach(([column, parentKey]) => {
+                        if (row[column] === null && nullable.includes(column)) return;
+                        row[column] = idMaps[parentKey].get(row[column]);
+                    });
+
+                    if (mode === 'replace') {
+                        const newId = await insertBackupRow(table, columns, row);
+                        if (!noId) idMaps[key].set(sourceRow.id, row.id ?? newId);
+                        added[key]++;
+                        continue;
+                    }
+
+                    const existing = await db.getFirstAsync(
+                        `SELECT ${noId ? 'rowid AS id' : 'id'} FROM ${table} WHERE ${matchOn.map(column => `${column} IS ?`).join(' AND ')}`,
+                        matchOn.map(column => row[column] ?? null)
+                    );
+                    if (existing) {
+                        if (!noId) idMaps[key].set(sourceRow.id, existing.id);
+                        continue;
+                    }
+
+                    delete row.id;
+                    const newId = await insertBackupRow(table, columns, row);
+                    if (!noId) idMaps[key].set(sourceRow.id, newId);
+                    added[key]++;
+                }
+            }
+
+            // One summary entry instead of a row per restored record
+            await writeAuditEntry('backup', 'restore', null, { mode, backupDate: backup.backupDate, added });
+        });
+        return added;
+    } catch (error) {
+        console.error("Error restoring backup:", error);
+        throw error;
+    }
+};
@@ -0,0 +1,176 @@
+import {
+  runMigrations,
+  upgradeBackupData,
+  MigrationError,
+  MIGRATIONS,
+  LATEST_SCHEMA_VERSION,
+  PRICE_HISTORY_START,
+} from '../migrations';
+import { createSqlJsAdapter } from '../sqlJsAdapter';
+
+/* -------------------------------------------------------------------------- */
+/*                               TEST SETUP                                   */
+/* -------------------------------------------------------------------------- */
+
+// Minimal db double that tracks PRAGMA user_version and rolls it back on failure
+const createMockDb = (startVersion = 0) => {
+  const state = { version: startVersion };
+  const mockDb = {
+    state,
+    getFirstAsync: jest.fn(async () => ({ user_version: state.version })),
+    execAsync: jest.fn(async (sql) => {
+      const match = sql.match(/PRAGMA user_version = (\d+)/);
+      if (match) state.pending = Number(match[1]);
+    }),
+    withTransactionAsync: jest.fn(async (callback) => {
+      state.pending = undefined;
+      await callback();
+      if (state.pending !== undefined) state.version = state.pending;
+    }),
+  };
+  return mockDb;
+};
+
+const migration = (version, up = jest.fn()) => ({ version, name: `step ${version}`, up });
+
+describe('Schema Migrations', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it('numbers the shipped migrations in order', () => {
+    MIGRATIONS.forEach((m, index) => {
+      expect(m.version).toBe(index + 1);
+    });
+    expect(LATEST_SCHEMA_VERSION).toBe(MIGRATIONS.length);
+  });
+
+  it('runs only pending migrations, each in its own transaction', async () => {
+    const mockDb = createMockDb(1);
+    const steps = [migration(1), migration(2), migration(3)];
+
+    const version = await runMigrations(mockDb, steps);
+
+    expect(version).toBe(3);
+    expect(steps[0].up).not.toHaveBeenCalled();
+    expect(steps[1].up).toHaveBeenCalledWith(mockDb);
+    expect(steps[2].up).toHaveBeenCalledWith(mockDb);
+    expect(mockDb.withTransactionAsync).toHaveBeenCalledTimes(2);
+    expect(mockDb.state.version).toBe(3);
+  });
+
+  it('stops at a failing migration and keeps the last good version', async () => {
+    const mockDb = createMockDb(0);
+    const steps = [
+      migration(1),
+      migration(2, jest.fn(async () => { throw new Error('no such table: foo'); })),
+      migration(3),
+    ];
+
+    await expect(runMigrations(mockDb, steps)).rejects.toThrow(MigrationError);
+    expect(mockDb.state.version).toBe(1);
+    expect(steps[2].up).not.toHaveBeenCalled();
+    expect(mockDb.execAsync).toHaveBeenLastCalledWith('PRAGMA foreign_keys = ON;');
+  });
+
+  it('refuses a database created by a newer app version', async () => {
+    const mockDb = createMockDb(9);
+
+    await expect(runMigrations(mockDb, [migration(1)])).rejects.toThrow(/only supports up to 1/);
+    expect(mockDb.withTransactionAsync).not.toHaveBeenCalled();
+  });
+
+  it('upgrades old backup payloads step by step', () => {
+    const steps = [
+      migration(1),
+      { ...migration(2), upgradeBackup: (data) => ({ ...data, items: data.items.map(i => i * 10) }) },
+      { ...migration(3), upgradeBackup: (data) => ({ ...data, items: data.items.map(i => i + 1) }) },
+    ];
+
+    expect(upgradeBackupData({ schemaVersion: 2, items: [1] }, steps)).toEqual({ schemaVersion: 3, items: [2] });
+    expect(upgradeBackupData({ schemaVersion: 1, items: [1] }, steps)).toEqual({ schemaVersion: 3, items: [11] });
+  });
+
+  it('converts rupee amounts in old backups to paise', () => {
+    const upgraded = upgradeBackupData({
+      schemaVersion: 4,
+      customers: [],
+      products: [{ id: 1, name: 'Cow Milk', unit: 'Liter', default_price: 56.5 }],
+      customerProducts: [{ customer_id: 1, product_id: 1, custom_price: 55, default_quantity: 1.5 }],
+      sales: [{ id: 1, quantity: 1.5, price_per_unit: 56.5, total_amount: 84.75 }],
+      payments: [{ id: 1, amount_paid: 100.1 }],
+      expenses: [{ id: 1, amount: 20 }],
+    });
+
+    expect(upgraded.products[0].default_price).toBe(5650);
+    expect(upgraded.customerProducts[0]).toMatchObject({ custom_price: 5500, default_quantity: 1.5 });
+    expect(upgraded.sales[0]).toMatchObject({ quantity: 1.5, price_per_unit: 5650, total_amount: 8475 });
+    expect(upgraded.payments[0].amount_paid).toBe(10010);
+    expect(upgraded.expenses[0].amount).toBe(2000);
+  });
+
+  it('rewrites known unit names in old backups to base unit codes', () => {
+    const upgraded = upgradeBackupData({
+      schemaVersion: 9,
+      products: [
+        { id: 1, name: 'Cow Milk', unit: 'Liter', default_price: 5600 },
+        { id: 2, name: 'Curd', unit: ' KG ', default_price: 8000 },
+        { id: 3, name: 'Ghee Jar', unit: 'Jar', default_price: 50000 },
+      ],
+    });
+
+    expect(upgraded.products.map(p => [p.unit, p.pack_size])).toEqual([['L', null], ['kg', null], ['Jar', null]]);
+  });
+
+  it('merges duplicate sales in old backups', () => {
+    const sale = { customer_id: 1, product_id: 2, sale_date: '2024-05-01' };
+    const upgraded = upgradeBackupData({
+      schemaVersion: 5,
+      customers: [], products: [], customerProducts: [], payments: [], expenses: [],
+      sales: [
+        { ...sale, id: 4, quantity: 2, price_per_unit: 6000, total_amount: 12000 },
+        { ...sale, id: 3, quantity: 1, price_per_unit: 5000, total_amount: 5000 },
+        { ...sale, id: 5, sale_date: '2024-05-02', quantity: 1, price_per_unit: 5000, total_amount: 5000 },
+      ],
+    });
+
+    expect(upgraded.sales).toEqual([
+      { ...sale, id: 3, quantity: 3, price_per_unit: 5667, total_amount: 17000 },
+      { ...sale, id: 5, sale_date: '2024-05-02', quantity: 1, price_per_unit: 5000, total_amount: 5000 },
+    ]);
+  });
+
+  it('upgrades a first-version database on a real SQLite engine', async () => {
+    const realDb = await createSqlJsAdapter();
+    await runMigrations(realDb, MIGRATIONS.slice(0, 1));
+    await realDb.execAsync(`
+      INSERT INTO customers (id, name) VALUES (1, 'Alice');
+      INSERT INTO products (id, name, unit, default_price) VALUES (1, 'Cow Milk', 'Liter', 56.5);
+      INSERT INTO daily_sales (customer_id, product_id, quantity, price_per_unit, total_amount, sale_date)
+        VALUES (1, 1, 1.5, 56.5, 84.75, '2024-05-01'), (1, 1, 1, 56.5, 56.5, '2024-05-01');
+      INSERT INTO payments (customer_id, amount_paid, payment_date) VALUES (1, 100.1, '2024-05-02');
+    `);
+
+    expect(await runMigrations(realDb)).toBe(LATEST_SCHEMA_VERSION);
+
+    expect(await realDb.getFirstAsync('PRAGMA user_version')).toEqual({ user_version: LATEST_SCHEMA_VERSION });
+    expect(await realDb.getFirstAsync('SELECT unit, pack_size, default_price, isActive, sort_order FROM products')).toEqual({
+      unit: 'L', pack_size: null, default_price: 5650, isActive: 1, sort_order: 1,
+    });
+    expect(await realDb.getAllAsync('SELECT quantity, price_per_unit, total_amount FROM daily_sales')).toEqual([
+      { quantity: 2.5, price_per_unit: 5650, total_amount: 14125 },
+    ]);
+    expect(await realDb.getFirstAsync('SELECT amount_paid FROM payments')).toEqual({ amount_paid: 10010 });
+    expect(await realDb.getAllAsync('SELECT * FROM customer_balances')).toEqual([
+      { customer_id: 1, total_sales: 14125, total_paid: 10010 },
+    ]);
+    expect(await realDb.getAllAsync('SELECT product_id, customer_id, price, effective_from FROM price_history')).toEqual([
+      { product_id: 1, customer_id: null, price: 5650, effective_from: PRICE_HISTORY_START },
+    ]);
+    await realDb.closeAsync();
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Business profiles: the saved list of businesses and one real (in-memory)
+ * SQLite database per profile, so switching is checked end to end.
+ */
+
+import * as SQLite from 'expo-sqlite';
+import { createSqlJsAdapter } from '../sqlJsAdapter';
+import { DATABASE_NAME } from '../adapter';
+import {
+  loadProfiles,
+  getProfiles,
+  getActiveProfile,
+  createProfile,
+  renameProfile,
+  switchProfile,
+  DEFAULT_PROFILE_ID,
+} from '../profiles';
+import { initDatabase, addCustomer, getAllCustomers } from '../Database';
+
+/* ------------------------- LIB MOCKS ---------------------------- */
+// In-memory file system: uri -> content
+const mockFiles = new Map();
+
+jest.mock('expo-file-system/legacy', () => ({
+  documentDirectory: 'file:///test-directory/',
+  getInfoAsync: jest.fn(async (uri) => ({ exists: mockFiles.has(uri) })),
+  readAsStringAsync: jest.fn(async (uri) => mockFiles.get(uri)),
+  writeAsStringAsync: jest.fn(async (uri, content) => { mockFiles.set(uri, content); }),
+}));
+
+/* -------------------------------------------------------------------------- */
+/*                               TEST SETUP                                   */
+/* -------------------------------------------------------------------------- */
+
+// Database file name -> its in-memory database, opened when the data layer first asks for it
+let databases;
+// Names of the database files whose connection the data layer closed
+let closedFiles = [];
+
+describe('Business profiles', () => {
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    mockFiles.clear();
+    databases = {};
+    // Closing a connection leaves the in-memory "file" intact, like a real database file
+    SQLite.openDatabaseSync.mockImplementation((name) => ({
+      ...databases[name],
+      closeAsync: jest.fn(async () => { closedFiles.push(name); }),
+    }));
+    databases[DATABASE_NAME] = await createSqlJsAdapter();
+    await loadProfiles();
+    await initDatabase();
+    closedFiles = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(Object.values(databases).map(database => database.closeAsync()));
+    jest.restoreAllMocks();
+  });
+
+  it('starts with one business on the original database file', () => {
+    expect(getProfiles()).toEqual([{ id: DEFAULT_PROFILE_ID, name: 'My Business', databaseName: DATABASE_NAME }]);
+    expect(getActiveProfile().id).toBe(DEFAULT_PROFILE_ID);
+  });
+
+  it('keeps each business\'s customers in its own database', async () => {
+    await addCustomer('Shop Customer', '', '');
+
+    const route = await createProfile('  Home Delivery ');
+    expect(route.name).toBe('Home Delivery');
+    databases[route.databaseName] = await createSqlJsAdapter();
+
+    await switchProfile(route.id);
+    expect(closedFiles).toEqual([DATABASE_NAME]);
+    await initDatabase();
+    expect(await getAllCustomers()).toEqual([]);
+    await addCustomer('Route Customer', '', '');
+
+    await switchProfile(DEFAULT_PROFILE_ID);
+    expect((await getAllCustomers()).map(c => c.name)).toEqual(['Shop Customer']);
+
+    await switchProfile(route.id);
+    expect((await getAllCustomers()).map(c => c.name)).toEqual(['Route Customer']);
+  });
+
+  it('remembers the businesses and the active one across launches', async () => {
+    const route = await createProfile('Evening Route');
+    await renameProfile(DEFAULT_PROFILE_ID, 'Sharma Dairy');
+    databases[route.databaseName] = await createSqlJsAdapter();
+    await switchProfile(route.id);
+
+    await loadProfiles();
+
+    expect(getProfiles().map(p => p.name)).toEqual(['Sharma Dairy', 'Evening Route']);
+    expect(getActiveProfile().id).toBe(route.id);
+  });
+
+  it('rejects empty and duplicate business names', async () => {
+    await createProfile('Evening Route');
+
+    await expect(createProfile('   ')).rejects.toThrow('Enter a name for the business.');
+    await expect(createProfile('evening route')).rejects.toThrow('There is already a business called "Evening Route".');
+    await expect(renameProfile(DEFAULT_PROFILE_ID, 'Evening Route')).rejects.toThrow('already a business');
+    expect(getProfiles()).toHaveLength(2);
+  });
+});
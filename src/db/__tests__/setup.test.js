@@ -1,38 +1,106 @@
 /**
- * IMPORTANT:
- * We MUST mock expo-sqlite BEFORE importing Database.js
+ * Runs Database.js against a real (in-memory) SQLite database,
+ * so the SQL itself is under test rather than mocked calls.
  */
 
-jest.mock('expo-sqlite', () => {
-  const mockDb = {
-    runSync: jest.fn(),
-    getAllSync: jest.fn(),
-  };
-
-  return {
-    openDatabaseSync: jest.fn(() => mockDb),
-  };
-});
-
-import * as SQLite from 'expo-sqlite';
+import { setDatabaseAdapter } from '../adapter';
+import { createSqlJsAdapter } from '../sqlJsAdapter';
 import {
+  initDatabase,
   addCustomer,
   getAllCustomers,
+  deleteCustomer,
+  getArchivedCustomers,
+  reactivateCustomer,
+  purgeCustomer,
   addProduct,
   recordSale,
+  recordPayment,
   getCustomerDues,
+  getTotalDuesForCustomerUpToDate,
+  getComprehensiveCustomerDues,
+  getDeliveryMatrix,
+  getCustomerTimeline,
+  rebuildCustomerBalances,
+  updateSale,
+  deleteSale,
+  deletePayment,
+  restoreFromRecycleBin,
+  getRecycleBinItems,
+  getAuditHistory,
+  getAllDataForBackup,
+  restoreDataFromBackup,
+  updateProduct,
+  assignProductToCustomer,
+  updateAllCustomPricesForProduct,
+  getRateForDate,
+  getPriceHistory,
+  schedulePriceChange,
+  cancelPriceChange,
+  applyDuePriceChanges,
+  PRICE_HISTORY_START,
+  getAllProducts,
+  getCustomerProducts,
+  getProductInventory,
+  archiveProduct,
+  unarchiveProduct,
+  reorderProducts,
+  getProductVolumesForPeriod,
+  recordStockEntry,
+  getStockForDate,
+  getStockLedger,
+  deleteProduct,
+  addSupplier,
+  deleteSupplier,
+  getSupplierDues,
+  getSupplierLedger,
+  recordPurchase,
+  deletePurchase,
+  recordSupplierPayment,
+  addExpense,
+  getTotalExpensesForPeriod,
+  addFarmer,
+  deleteFarmer,
+  saveRateChart,
+  getRateChart,
+  recordCollection,
+  deleteCollection,
+  getCollectionsForDate,
+  getCollectionsForFarmer,
+  saveStandingOrder,
+  getStandingOrders,
+  deleteStandingOrder,
+  autoPostStandingOrders,
+  getSalesForCustomer,
+  getDataForCsvExport,
 } from '../Database';
+import { buildRateChart } from '../../utils/milkCollection';
+import { buildCsvFiles } from '../../utils/csvExport';
 
 /* -------------------------------------------------------------------------- */
 /*                               TEST SETUP                                   */
 /* -------------------------------------------------------------------------- */
 
-// Get the SAME mocked DB instance used inside Database.js
-const mockDb = SQLite.openDatabaseSync();
+let testDb;
+
+// recordPayment does not return the new id
+const recordPaymentAndGetId = async (customerId, amount) => {
+  await recordPayment(customerId, amount, '2023-10-02', '');
+  const { id } = await testDb.getFirstAsync('SELECT MAX(id) as id FROM payments');
+  return id;
+};
 
 describe('Database Module', () => {
-  beforeEach(() => {
-    jest.clearAllMocks();
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    testDb = await createSqlJsAdapter();
+    setDatabaseAdapter(testDb);
+    await initDatabase();
+  });
+
+  afterEach(async () => {
+    await testDb.closeAsync();
+    console.log.mockRestore();
   });
 
   /* ------------------------------------------------------------------------ */
@@ -40,90 +108,827 @@ describe('Database Module', () => {
   /* ------------------------------------------------------------------------ */
   describe('Customer Operations', () => {
     it('adds a customer correctly', async () => {
-      mockDb.runSync.mockReturnValue({ insertId: 1 });
+      const id = await addCustomer('John Doe', '123 Main St', '9876543210');
 
-      const result = await addCustomer(
-        'John Doe',
-        '123 Main St',
-        '9876543210'
-      );
+      expect(await getAllCustomers()).toEqual([
+        expect.objectContaining({ id, name: 'John Doe', address: '123 Main St', phone: '9876543210', isActive: 1 }),
+      ]);
+    });
 
-      expect(mockDb.runSync).toHaveBeenCalledWith(
-        expect.stringContaining('INSERT INTO customers'),
-        'John Doe',
-        '123 Main St',
-        '9876543210'
-      );
+    it('fetches only active customers, by name', async () => {
+      await addCustomer('Bob', '', '');
+      await addCustomer('Alice', '', '');
+      const carolId = await addCustomer('Carol', '', '');
+      await deleteCustomer(carolId);
 
-      expect(result).toBeUndefined();
+      const result = await getAllCustomers();
+
+      expect(result.map(c => c.name)).toEqual(['Alice', 'Bob']);
     });
 
-    it('fetches all active customers', async () => {
-      const mockCustomers = [
-        { id: 1, name: 'Alice', isActive: 1 },
-        { id: 2, name: 'Bob', isActive: 1 },
-      ];
+    it('lists archived customers with their final balance and reactivates them', async () => {
+      const aliceId = await addCustomer('Alice', '', '');
+      const productId = await addProduct('Cow Milk', 'Liter', 6000);
+      await recordSale(aliceId, productId, 2, 6000, '2023-10-01');
+      await deleteCustomer(aliceId);
 
-      mockDb.getAllSync.mockReturnValue(mockCustomers);
+      expect(await getArchivedCustomers()).toEqual([expect.objectContaining({ id: aliceId, name: 'Alice', total_due: 12000 })]);
 
-      const result = await getAllCustomers();
+      await reactivateCustomer(aliceId);
+
+      expect(await getArchivedCustomers()).toEqual([]);
+      expect((await getAllCustomers()).map(c => c.name)).toEqual(['Alice']);
+    });
 
-      expect(mockDb.getAllSync).toHaveBeenCalledWith(
-        expect.stringContaining('FROM customers')
-      );
+    it('records each change in the audit log', async () => {
+      const id = await addCustomer('John Doe', '', '');
 
-      expect(result).toEqual(mockCustomers);
+      const [entry] = await getAuditHistory({ tableName: 'customers', recordId: id });
+
+      expect(entry).toEqual(expect.objectContaining({ action: 'create', after: expect.objectContaining({ name: 'John Doe' }) }));
     });
   });
 
   /* ------------------------------------------------------------------------ */
-  /*                           PRODUCT OPERATIONS                              */
+  /*                           SALES & DUES                                    */
   /* ------------------------------------------------------------------------ */
-  describe('Product Operations', () => {
-    it('adds a product correctly', async () => {
-      await addProduct('Cow Milk', 'Liter', 60);
+  describe('Sales & Dues', () => {
+    let customerId;
+    let productId;
+
+    beforeEach(async () => {
+      customerId = await addCustomer('Alice', '', '');
+      productId = await addProduct('Cow Milk', 'Liter', 6000);
+    });
+
+    it('records a sale with its total in paise', async () => {
+      await recordSale(customerId, productId, 1.5, 5650, '2023-10-27');
+
+      const sale = await testDb.getFirstAsync('SELECT * FROM daily_sales');
+
+      expect(sale).toEqual(expect.objectContaining({ quantity: 1.5, price_per_unit: 5650, total_amount: 8475, sale_date: '2023-10-27' }));
+    });
+
+    it('keeps one sale per customer, product and date', async () => {
+      await recordSale(customerId, productId, 1, 6000, '2023-10-27');
+      await recordSale(customerId, productId, 2, 6000, '2023-10-27');
+
+      const sales = await testDb.getAllAsync('SELECT quantity, total_amount FROM daily_sales');
+
+      expect(sales).toEqual([{ quantity: 2, total_amount: 12000 }]);
+    });
+
+    it('rejects an invalid quantity', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(recordSale(customerId, productId, -1, 6000, '2023-10-27')).rejects.toThrow(/Quantity/);
+
+      console.error.mockRestore();
+    });
+
+    it('calculates customer dues from sales and payments', async () => {
+      await recordSale(customerId, productId, 2, 6000, '2023-10-01');
+      await recordSale(customerId, productId, 1, 6000, '2023-10-02');
+      await recordPayment(customerId, 10000, '2023-10-02', '');
 
-      expect(mockDb.runSync).toHaveBeenCalledWith(
-        expect.stringContaining('INSERT INTO products'),
-        'Cow Milk',
-        'Liter',
-        60
-      );
+      expect(await getCustomerDues()).toEqual([{ id: customerId, name: 'Alice', isActive: 1, total_due: 8000 }]);
+      expect(await getTotalDuesForCustomerUpToDate(customerId, '2023-10-01')).toBe(12000);
+    });
+
+    it('keeps the stored balance equal to the full history through edits, deletes and restores', async () => {
+      const bobId = await addCustomer('Bob', '', '');
+      const saleId = await recordSale(customerId, productId, 2, 6000, '2023-10-01');
+      await recordSale(customerId, productId, 1, 6000, '2023-10-02');
+      await recordSale(bobId, productId, 3, 6000, '2023-10-02');
+      await updateSale(saleId, 1.5, 6000, '2023-10-01');
+      const paymentBinId = await deletePayment(await recordPaymentAndGetId(customerId, 5000));
+      await recordPayment(bobId, 2000, '2023-10-03', '');
+      const saleBinId = await deleteSale(saleId);
+      await restoreFromRecycleBin(saleBinId);
+      await restoreFromRecycleBin(paymentBinId);
+
+      const fromHistory = await testDb.getAllAsync(`
+        SELECT c.id, c.name, c.isActive,
+          IFNULL((SELECT SUM(total_amount) FROM daily_sales WHERE customer_id = c.id), 0)
+            - IFNULL((SELECT SUM(amount_paid) FROM payments WHERE customer_id = c.id), 0) as total_due
+        FROM customers c WHERE c.isActive = 1
+      `);
+
+      expect(await getCustomerDues()).toEqual(fromHistory);
+      expect(fromHistory).toEqual([
+        { id: customerId, name: 'Alice', isActive: 1, total_due: 10000 },
+        { id: bobId, name: 'Bob', isActive: 1, total_due: 16000 },
+      ]);
+      expect(await getTotalDuesForCustomerUpToDate(customerId, '2023-10-01')).toBe(9000);
+    });
+
+    it('rebuilds a stored balance that went wrong', async () => {
+      await recordSale(customerId, productId, 2, 6000, '2023-10-01');
+      await testDb.runAsync('UPDATE customer_balances SET total_sales = 1');
+
+      await rebuildCustomerBalances();
+
+      expect(await getCustomerDues()).toEqual([{ id: customerId, name: 'Alice', isActive: 1, total_due: 12000 }]);
+    });
+
+    it('keeps archived customers in the dues while they owe money', async () => {
+      const bobId = await addCustomer('Bob', '', '');
+      const carolId = await addCustomer('Carol', '', '');
+      await recordSale(bobId, productId, 1, 6000, '2023-10-01');
+      await deleteCustomer(bobId);
+      await deleteCustomer(carolId);
+
+      expect(await getCustomerDues()).toEqual([
+        { id: customerId, name: 'Alice', isActive: 1, total_due: 0 },
+        { id: bobId, name: 'Bob', isActive: 0, total_due: 6000 },
+      ]);
+      expect((await getComprehensiveCustomerDues('2023-10-01', '2023-10-31')).map(c => [c.name, c.isActive, c.total_due])).toEqual([
+        ['Alice', 1, 0],
+        ['Bob', 0, 6000],
+      ]);
+    });
+
+    it('splits dues into the period and the lifetime', async () => {
+      await recordSale(customerId, productId, 2, 6000, '2023-09-30');
+      await recordSale(customerId, productId, 1, 6000, '2023-10-05');
+      await recordPayment(customerId, 5000, '2023-10-06', '');
+
+      const [dues] = await getComprehensiveCustomerDues('2023-10-01', '2023-10-31');
+
+      expect(dues).toEqual(expect.objectContaining({ total_due: 13000, period_sales: 6000, period_payments: 5000, period_due: 1000 }));
     });
   });
 
   /* ------------------------------------------------------------------------ */
-  /*                           SALES & DUES                                    */
+  /*                              PURGE                                        */
   /* ------------------------------------------------------------------------ */
-  describe('Sales & Dues', () => {
-    it('records a sale correctly', async () => {
-      await recordSale(1, 1, 2, 60, '2023-10-27');
+  describe('Customer Purge', () => {
+    let aliceId;
+    let bobId;
+
+    beforeEach(async () => {
+      aliceId = await addCustomer('Alice Rao', 'Flat 4, MG Road', '9876543210');
+      bobId = await addCustomer('Bob', '', '');
+      const productId = await addProduct('Cow Milk', 'Liter', 6000);
+      await recordSale(aliceId, productId, 2, 6000, '2023-10-01');
+      await deleteSale(await recordSale(aliceId, productId, 1, 6000, '2023-10-02'));
+      await recordPayment(aliceId, 5000, '2023-10-03', '');
+      await recordSale(bobId, productId, 1, 6000, '2023-10-01');
+    });
+
+    const everything = async () => JSON.stringify([
+      await testDb.getAllAsync('SELECT * FROM customers'),
+      await testDb.getAllAsync('SELECT * FROM audit_log'),
+      await testDb.getAllAsync('SELECT * FROM recycle_bin'),
+    ]);
+
+    it('deletes the customer with all their rows and history', async () => {
+      await purgeCustomer(aliceId, 'delete');
+
+      for (const table of ['daily_sales', 'payments', 'recycle_bin', 'customer_balances']) {
+        expect(await testDb.getAllAsync(`SELECT * FROM ${table} WHERE customer_id = ?`, [aliceId])).toEqual([]);
+      }
+      expect(await everything()).not.toMatch(/Alice|9876543210|MG Road/);
+      expect(await getAuditHistory({ customerId: aliceId })).toEqual([expect.objectContaining({ action: 'purge' })]);
+      expect(await getCustomerDues()).toEqual([{ id: bobId, name: 'Bob', isActive: 1, total_due: 6000 }]);
+    });
+
+    it('anonymises the customer but keeps every amount', async () => {
+      const totalsBefore = await testDb.getAllAsync('SELECT SUM(total_amount) as sales, (SELECT SUM(amount_paid) FROM payments) as paid FROM daily_sales');
+
+      await purgeCustomer(aliceId, 'anonymise');
+
+      expect(await everything()).not.toMatch(/Alice|9876543210|MG Road/);
+      expect(await testDb.getAllAsync('SELECT SUM(total_amount) as sales, (SELECT SUM(amount_paid) FROM payments) as paid FROM daily_sales')).toEqual(totalsBefore);
+      expect((await getRecycleBinItems())[0].label).toMatch(/^Sale: Former customer #\d+ - Cow Milk/);
+      expect(await getArchivedCustomers()).toEqual([
+        expect.objectContaining({ id: aliceId, name: `Former customer #${aliceId}`, phone: null, address: null, total_due: 7000 }),
+      ]);
+    });
+
+    it('keeps the audit log append-only afterwards', async () => {
+      await purgeCustomer(aliceId, 'anonymise');
+
+      await expect(testDb.runAsync('DELETE FROM audit_log')).rejects.toThrow(/append-only/);
+    });
+  });
+
+  /* ------------------------------------------------------------------------ */
+  /*                           DELIVERY MATRIX                                 */
+  /* ------------------------------------------------------------------------ */
+  describe('Delivery Matrix', () => {
+    it('covers every calendar day in the window, with or without deliveries', async () => {
+      const aliceId = await addCustomer('Alice', '', '');
+      const bobId = await addCustomer('Bob', '', '');
+      const cowMilk = await addProduct('Cow Milk', 'Liter', 6000);
+      const curd = await addProduct('Curd', 'Kg', 8000);
+      await recordSale(aliceId, cowMilk, 1, 6000, '2023-10-01');
+      await recordSale(aliceId, cowMilk, 1, 6000, '2023-10-05');
+      await recordSale(aliceId, curd, 0.5, 8000, '2023-10-05');
+      // Older than the window: must not stand in for a missing recent day
+      await recordSale(bobId, cowMilk, 2, 6000, '2023-09-20');
+
+      const matrix = await getDeliveryMatrix('2023-09-29', '2023-10-05');
+
+      expect(matrix.dates).toEqual([
+        '2023-09-29', '2023-09-30', '2023-10-01', '2023-10-02', '2023-10-03', '2023-10-04', '2023-10-05',
+      ]);
+      expect(matrix.byCustomer).toEqual({ [aliceId]: { '2023-10-01': 1, '2023-10-05': 1.5 } });
+    });
+  });
+
+  /* ------------------------------------------------------------------------ */
+  /*                              TIMELINE                                     */
+  /* ------------------------------------------------------------------------ */
+  describe('Customer Timeline', () => {
+    let customerId;
+
+    beforeEach(async () => {
+      customerId = await addCustomer('Alice', '', '');
+      const productId = await addProduct('Cow Milk', 'Liter', 6000);
+      await recordSale(customerId, productId, 2, 6000, '2023-10-01');
+      await recordPayment(customerId, 5000, '2023-10-02', 'Cash');
+      await recordSale(customerId, productId, 1, 6000, '2023-10-02');
+      await recordSale(customerId, productId, 1, 6000, '2023-11-01');
+    });
+
+    it('pages through sales and payments newest first with the balance after each', async () => {
+      const first = await getCustomerTimeline(customerId, { limit: 3 });
+      const second = await getCustomerTimeline(customerId, { cursor: first.nextCursor, limit: 3 });
+
+      expect(first.entries.map(e => [e.date, e.kind, e.amount, e.balance])).toEqual([
+        ['2023-11-01', 'sale', 6000, 19000],
+        ['2023-10-02', 'payment', 5000, 13000],
+        ['2023-10-02', 'sale', 6000, 18000],
+      ]);
+      expect(second.entries.map(e => [e.date, e.kind, e.amount, e.balance])).toEqual([
+        ['2023-10-01', 'sale', 12000, 12000],
+      ]);
+      expect(second.nextCursor).toBeNull();
+    });
+
+    it('starts from a given day when jumping to a month', async () => {
+      const page = await getCustomerTimeline(customerId, { upToDate: '2023-10-31' });
+
+      expect(page.entries[0]).toEqual(expect.objectContaining({ kind: 'payment', date: '2023-10-02', balance: 13000, notes: 'Cash' }));
+      expect(page.entries).toHaveLength(3);
+      expect(page.nextCursor).toBeNull();
+    });
+  });
+
+  /* ------------------------------------------------------------------------ */
+  /*                               BACKUPS                                     */
+  /* ------------------------------------------------------------------------ */
+  describe('Price History', () => {
+    let customerId;
+    let productId;
+
+    beforeEach(async () => {
+      jest.useFakeTimers({ now: new Date('2024-05-20T08:00:00'), advanceTimers: true });
+      customerId = await addCustomer('Alice', '', '');
+      productId = await addProduct('Cow Milk', 'Liter', 5000);
+      await assignProductToCustomer(customerId, productId, 5200, 1);
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('keeps the old rate for dates before a price change', async () => {
+      await updateProduct(productId, 'Cow Milk', 'Liter', 5500);
+      await updateAllCustomPricesForProduct(productId, 5500);
+
+      expect(await getRateForDate(customerId, productId, '2024-05-19')).toBe(5200);
+      expect(await getRateForDate(customerId, productId, '2024-05-20')).toBe(5500);
+      expect((await getPriceHistory(productId)).map(p => [p.price, p.effective_from])).toEqual([
+        [5500, '2024-05-20'],
+        [5000, PRICE_HISTORY_START],
+      ]);
+    });
+
+    it('uses the product price for a customer without a price of their own', async () => {
+      const bobId = await addCustomer('Bob', '', '');
+      await updateProduct(productId, 'Cow Milk', 'Liter', 5500);
+
+      expect(await getRateForDate(bobId, productId, '2024-05-01')).toBe(5000);
+      expect(await getRateForDate(bobId, productId, '2024-05-20')).toBe(5500);
+      expect(await getRateForDate(customerId, productId, '2024-05-20')).toBe(5200);
+    });
+
+    it('applies a scheduled change once its date arrives', async () => {
+      await schedulePriceChange({ productId, price: 5400, effectiveFrom: '2024-06-01', applyToCustomers: true });
+
+      expect(await getRateForDate(customerId, productId, '2024-06-01')).toBe(5400);
+      expect(await getRateForDate(customerId, productId, '2024-05-31')).toBe(5200);
+      expect(await applyDuePriceChanges()).toBe(0);
+
+      jest.setSystemTime(new Date('2024-06-01T06:00:00'));
+      expect(await applyDuePriceChanges()).toBe(2);
+
+      expect(await testDb.getFirstAsync('SELECT default_price FROM products')).toEqual({ default_price: 5400 });
+      expect(await testDb.getFirstAsync('SELECT custom_price FROM customer_products')).toEqual({ custom_price: 5400 });
+    });
+
+    it('cancels only changes that have not started', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      await schedulePriceChange({ productId, customerId, price: 5300, effectiveFrom: '2024-06-01' });
+      const [scheduled, current] = await getPriceHistory(productId, customerId);
+
+      await expect(cancelPriceChange(current.id)).rejects.toThrow('Only price changes that have not started yet can be cancelled.');
+      await cancelPriceChange(scheduled.id);
+
+      expect(await getRateForDate(customerId, productId, '2024-06-05')).toBe(5200);
+      console.error.mockRestore();
+    });
+
+    it('rejects an invalid price or start date', async () => {
+      await expect(schedulePriceChange({ productId, price: -1, effectiveFrom: '2024-06-01' })).rejects.toThrow('Price must be');
+      await expect(schedulePriceChange({ productId, price: 5400, effectiveFrom: '' })).rejects.toThrow('Choose the date');
+    });
+  });
+
+  describe('Product Lifecycle', () => {
+    let customerId;
+    let cowId;
+    let buffaloId;
+
+    beforeEach(async () => {
+      customerId = await addCustomer('Alice', '', '');
+      cowId = await addProduct('Cow Milk', 'Liter', 5000);
+      buffaloId = await addProduct('Buffalo Milk', 'Liter', 7000);
+      await assignProductToCustomer(customerId, cowId, 5200, 2);
+    });
+
+    it('counts customers and sales for each product', async () => {
+      await recordSale(customerId, cowId, 2, 5200, '2023-10-01');
+      await recordSale(customerId, cowId, 1.5, 5200, '2023-10-02');
+
+      const [cow, buffalo] = await getProductInventory();
+      expect(cow).toMatchObject({ name: 'Cow Milk', customer_count: 1, total_quantity: 3.5, total_amount: 18200 });
+      expect(buffalo).toMatchObject({ name: 'Buffalo Milk', customer_count: 0, total_quantity: 0, total_amount: 0 });
+    });
+
+    it('refuses to archive a product customers still buy', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(archiveProduct(cowId)).rejects.toThrow('1 customer is still assigned this product.');
+      expect((await getAllProducts()).map(p => p.name)).toEqual(['Cow Milk', 'Buffalo Milk']);
+      console.error.mockRestore();
+    });
+
+    it('moves the customers to another product when archiving', async () => {
+      await archiveProduct(cowId, { reassignTo: buffaloId });
+
+      expect((await getAllProducts()).map(p => p.name)).toEqual(['Buffalo Milk']);
+      expect((await getAllProducts({ includeArchived: true })).map(p => p.name)).toEqual(['Cow Milk', 'Buffalo Milk']);
+      const [assignment] = await getCustomerProducts(customerId);
+      expect(assignment).toMatchObject({ id: buffaloId, custom_price: 7000, default_quantity: 2 });
+    });
 
-      expect(mockDb.runSync).toHaveBeenCalledWith(
-        expect.stringContaining('INSERT INTO daily_sales'),
-        1,      // customer_id
-        1,      // product_id
-        2,      // quantity
-        60,     // price_per_unit
-        120,    // total_amount (2 * 60)
-        '2023-10-27'
-      );
+    it('brings an archived product back', async () => {
+      await archiveProduct(buffaloId);
+      expect((await getProductInventory()).map(p => [p.name, p.isActive])).toEqual([['Cow Milk', 1], ['Buffalo Milk', 0]]);
+
+      await unarchiveProduct(buffaloId);
+
+      expect((await getAllProducts()).map(p => p.name)).toEqual(['Cow Milk', 'Buffalo Milk']);
+    });
+
+    it('lists products in the saved order', async () => {
+      await reorderProducts([buffaloId, cowId]);
+
+      expect((await getAllProducts()).map(p => p.name)).toEqual(['Buffalo Milk', 'Cow Milk']);
+      const newId = await addProduct('Curd', 'Kg', 8000);
+      expect((await getAllProducts()).map(p => p.id)).toEqual([buffaloId, cowId, newId]);
+    });
+  });
+
+  describe('Units and Pack Sizes', () => {
+    it('stores the base unit code and pack size of a product', async () => {
+      const pouchId = await addProduct('Pouch Milk', 'Liter', 6000, 0.5);
+      await addProduct('Paneer', 'kg', 45000, 0.2);
+
+      expect((await getAllProducts()).map(p => [p.name, p.unit, p.pack_size])).toEqual([
+        ['Pouch Milk', 'L', 0.5],
+        ['Paneer', 'kg', 0.2],
+      ]);
+      await updateProduct(pouchId, 'Pouch Milk', 'L', 6000);
+      expect((await getAllProducts())[0].pack_size).toBeNull();
+    });
+
+    it('exports the pack size of each product in products.csv', async () => {
+      await addProduct('Pouch Milk', 'L', 6000, 0.5);
+      await addProduct('Paneer', 'kg', 45000);
+
+      const products = buildCsvFiles(await getDataForCsvExport())['products.csv'].split('\r\n');
+      expect(products.slice(0, 3)).toEqual(['id,name,unit,pack_size,default_price', '2,Paneer,kg,,450.00', '1,Pouch Milk,L,0.5,60.00']);
+    });
+
+    it('rejects a pack size that is not more than 0', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(addProduct('Pouch Milk', 'L', 6000, 0)).rejects.toThrow('Pack size must be more than 0.');
+      console.error.mockRestore();
     });
 
-    it('calculates customer dues correctly', async () => {
-      const mockDues = [
-        { id: 1, name: 'Alice', total_due: 0 },
-      ];
+    it('totals the volume sold of each product in a period', async () => {
+      const customerId = await addCustomer('Alice', '', '');
+      const milkId = await addProduct('Cow Milk', 'L', 6000, 0.5);
+      const paneerId = await addProduct('Paneer', 'kg', 45000, 0.2);
+      await recordSale(customerId, milkId, 1, 6000, '2023-10-01');
+      await recordSale(customerId, milkId, 1.5, 6000, '2023-10-02');
+      await recordSale(customerId, paneerId, 0.4, 45000, '2023-10-02');
+      await recordSale(customerId, milkId, 2, 6000, '2023-11-01');
+
+      expect(await getProductVolumesForPeriod('2023-10-01', '2023-10-31')).toEqual([
+        { id: milkId, name: 'Cow Milk', unit: 'L', quantity: 2.5, amount: 15000 },
+        { id: paneerId, name: 'Paneer', unit: 'kg', quantity: 0.4, amount: 18000 },
+      ]);
+    });
+  });
+
+  describe('Stock Ledger', () => {
+    let customerId;
+    let milkId;
+    let curdId;
+
+    beforeEach(async () => {
+      customerId = await addCustomer('Alice', '', '');
+      milkId = await addProduct('Cow Milk', 'L', 6000);
+      curdId = await addProduct('Curd', 'kg', 8000);
+      // Sales from before stock was tracked do not count against it
+      await recordSale(customerId, milkId, 5, 6000, '2023-09-30');
+      await recordStockEntry(milkId, '2023-10-01', { received: 20, wastage: 1 });
+      await recordSale(customerId, milkId, 12, 6000, '2023-10-01');
+      await recordStockEntry(milkId, '2023-10-02', { received: 10, notes: 'Evening can' });
+      await recordSale(customerId, milkId, 15, 6000, '2023-10-02');
+    });
+
+    it('works out opening and closing stock for a day', async () => {
+      const [milk, curd] = await getStockForDate('2023-10-02');
+
+      expect(milk).toMatchObject({
+        name: 'Cow Milk', tracked: true, opening: 7, received: 10, sold: 15, wastage: 0, closing: 2, shortfall: 0, notes: 'Evening can',
+      });
+      expect(curd).toMatchObject({ name: 'Curd', tracked: false, opening: 0, shortfall: 0 });
+    });
+
+    it('flags a day that sold more than was in stock', async () => {
+      await recordSale(customerId, milkId, 4, 6000, '2023-10-03');
+
+      const [milk] = await getStockForDate('2023-10-03');
+      expect(milk).toMatchObject({ opening: 2, sold: 4, closing: -2, shortfall: 2 });
+    });
+
+    it('does not carry a shortfall into the days after it', async () => {
+      // 2 in stock, 4 sold on the 3rd; the 4th receives 10 and sells 10
+      await recordSale(customerId, milkId, 4, 6000, '2023-10-03');
+      await recordStockEntry(milkId, '2023-10-04', { received: 10 });
+      await recordSale(customerId, milkId, 10, 6000, '2023-10-04');
+
+      expect((await getStockForDate('2023-10-04'))[0]).toMatchObject({ opening: 0, received: 10, sold: 10, closing: 0, shortfall: 0 });
+      const ledger = await getStockLedger(milkId, '2023-10-03', '2023-10-05');
+      expect(ledger.map(day => [day.date, day.opening, day.closing, day.shortfall])).toEqual([
+        ['2023-10-03', 2, -2, 2],
+        ['2023-10-04', 0, 0, 0],
+        ['2023-10-05', 0, 0, 0],
+      ]);
+    });
 
-      mockDb.getAllSync.mockReturnValue(mockDues);
+    it('lists a product\'s stock day by day', async () => {
+      const ledger = await getStockLedger(milkId, '2023-09-29', '2023-10-03');
+
+      expect(ledger.map(day => [day.date, day.opening, day.received, day.sold, day.wastage, day.closing])).toEqual([
+        ['2023-10-01', 0, 20, 12, 1, 7],
+        ['2023-10-02', 7, 10, 15, 0, 2],
+        ['2023-10-03', 2, 0, 0, 0, 2],
+      ]);
+      expect(await getStockLedger(curdId, '2023-10-01', '2023-10-03')).toEqual([]);
+    });
+
+    it('replaces the day\'s entry and rejects negative quantities', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      await recordStockEntry(milkId, '2023-10-02', { received: 12 });
+
+      expect((await getStockForDate('2023-10-02'))[0]).toMatchObject({ received: 12, closing: 4, notes: '' });
+      await expect(recordStockEntry(milkId, '2023-10-02', { wastage: -1 })).rejects.toThrow('Wastage must be a number of 0 or more.');
+      console.error.mockRestore();
+    });
+
+    it('keeps products with stock entries out of the recycle bin', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      await recordStockEntry(curdId, '2023-10-01', { received: 3 });
+
+      await expect(deleteProduct(curdId)).rejects.toThrow('This product has 1 stock entry and cannot be deleted.');
+      console.error.mockRestore();
+    });
+  });
+
+  describe('Suppliers', () => {
+    let supplierId;
+    let milkId;
+
+    beforeEach(async () => {
+      supplierId = await addSupplier('Gokul Dairy', '9876543210', '');
+      milkId = await addProduct('Cow Milk', 'L', 6000);
+      await recordPurchase(supplierId, milkId, 40, 4500, '2023-10-01', 'Morning can');
+      await recordPurchase(supplierId, milkId, 20, 4600, '2023-10-02');
+      await recordSupplierPayment(supplierId, 150000, '2023-10-02', 'Cash');
+    });
+
+    it('works out the balance payable to each supplier', async () => {
+      await addSupplier('Amul Depot', '', '');
+
+      expect(await getSupplierDues()).toEqual([
+        expect.objectContaining({ name: 'Amul Depot', total_purchases: 0, total_paid: 0, total_due: 0 }),
+        expect.objectContaining({ id: supplierId, name: 'Gokul Dairy', total_purchases: 272000, total_paid: 150000, total_due: 122000 }),
+      ]);
+    });
+
+    it('lists purchases and payments newest first', async () => {
+      const ledger = await getSupplierLedger(supplierId);
+
+      expect(ledger.map(row => [row.type, row.date, row.amount])).toEqual([
+        ['purchase', '2023-10-02', 92000],
+        ['payment', '2023-10-02', 150000],
+        ['purchase', '2023-10-01', 180000],
+      ]);
+      expect(ledger[2]).toMatchObject({ product_name: 'Cow Milk', unit: 'L', quantity: 40, price_per_unit: 4500, notes: 'Morning can' });
+    });
+
+    it('counts purchases in the expense totals', async () => {
+      await addExpense({ amount: 50000, category: 'Cattle feed', note: '', date: '2023-10-01' });
+
+      expect(await getTotalExpensesForPeriod('2023-10-01', '2023-10-01')).toBe(230000);
+      expect(await getTotalExpensesForPeriod('2023-10-01', '2023-10-31')).toBe(322000);
+    });
+
+    it('moves a deleted purchase to the recycle bin and restores it', async () => {
+      const [latest] = await getSupplierLedger(supplierId);
+      const binId = await deletePurchase(latest.id);
+
+      expect((await getSupplierDues())[0].total_due).toBe(30000);
+      expect((await getRecycleBinItems())[0].label).toBe('Purchase: Gokul Dairy - Cow Milk 20 L on 2023-10-02');
+
+      await restoreFromRecycleBin(binId);
+      expect((await getSupplierDues())[0].total_due).toBe(122000);
+    });
+
+    it('keeps suppliers and products with purchases from being deleted', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(deleteSupplier(supplierId)).rejects.toThrow('This supplier has 3 recorded purchases and payments and cannot be deleted.');
+      await expect(deleteProduct(milkId)).rejects.toThrow('This product has 2 recorded purchases and cannot be deleted.');
+      const emptyId = await addSupplier('Amul Depot', '', '');
+      await deleteSupplier(emptyId);
+      expect(await getSupplierDues()).toHaveLength(1);
+      console.error.mockRestore();
+    });
+  });
+
+  describe('Farmer Milk Collection', () => {
+    let farmerId;
+
+    beforeEach(async () => {
+      farmerId = await addFarmer('Ramesh', '', 'Shirur');
+      await saveRateChart(buildRateChart({ fatFrom: 3.0, fatTo: 5.0, snfFrom: 8.0, snfTo: 9.0, baseRate: 3000, fatStepRate: 50, snfStepRate: 20 }));
+    });
+
+    it('prices a collection from the rate chart', async () => {
+      await recordCollection(farmerId, '2023-10-01', 'morning', 10, 4.2, 8.5);
+
+      expect(await getCollectionsForDate('2023-10-01')).toEqual([expect.objectContaining({
+        farmer_name: 'Ramesh', shift: 'morning', quantity: 10, fat: 4.2, snf: 8.5, rate: 3700, total_amount: 37000,
+      })]);
+      expect(await getRateChart()).toHaveLength(21 * 11);
+    });
+
+    it('replaces a shift\'s entry and keeps its rate when the chart changes', async () => {
+      await recordCollection(farmerId, '2023-10-01', 'morning', 10, 4.2, 8.5);
+      await recordCollection(farmerId, '2023-10-01', 'evening', 6, 4.0, 8.5);
+      await recordCollection(farmerId, '2023-10-01', 'morning', 12, 4.2, 8.5);
+      await saveRateChart(buildRateChart({ fatFrom: 3.0, fatTo: 5.0, snfFrom: 8.0, snfTo: 9.0, baseRate: 4000, fatStepRate: 50, snfStepRate: 20 }));
+
+      const collections = await getCollectionsForFarmer(farmerId, '2023-10-01', '2023-10-10');
+      expect(collections.map(c => [c.shift, c.quantity, c.rate, c.total_amount])).toEqual([
+        ['morning', 12, 3700, 44400],
+        ['evening', 6, 3600, 21600],
+      ]);
+    });
+
+    it('refuses a reading the chart has no rate for', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(recordCollection(farmerId, '2023-10-01', 'morning', 10, 2.8, 8.5))
+        .rejects.toThrow('The rate chart has no rate for fat 2.8% and SNF 8.5%.');
+      await expect(recordCollection(farmerId, '2023-10-01', 'morning', 0, 4.0, 8.5)).rejects.toThrow('Quantity must be more than 0.');
+      console.error.mockRestore();
+    });
+
+    it('counts collections in the expense totals', async () => {
+      await recordCollection(farmerId, '2023-10-01', 'morning', 10, 4.2, 8.5);
+
+      expect(await getTotalExpensesForPeriod('2023-10-01', '2023-10-31')).toBe(37000);
+    });
+
+    it('restores a deleted collection and keeps farmers with collections', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const collectionId = await recordCollection(farmerId, '2023-10-01', 'morning', 10, 4.2, 8.5);
+
+      await expect(deleteFarmer(farmerId)).rejects.toThrow('This farmer has 1 recorded collection and cannot be deleted.');
+      const binId = await deleteCollection(collectionId);
+      expect((await getRecycleBinItems())[0].label).toBe('Collection: Ramesh - 10 L (morning) on 2023-10-01');
+      await restoreFromRecycleBin(binId);
+      expect(await getCollectionsForDate('2023-10-01')).toHaveLength(1);
+      console.error.mockRestore();
+    });
+  });
+
+  describe('Standing Orders', () => {
+    let customerId;
+    let productId;
+
+    beforeEach(async () => {
+      customerId = await addCustomer('Alice', '', '');
+      productId = await addProduct('Cow Milk', 'Liter', 6000);
+      await assignProductToCustomer(customerId, productId, 5800, 1);
+    });
+
+    const postedSales = async () => (await getSalesForCustomer(customerId, '2024-01-01', '2024-12-31'))
+      .map(sale => [sale.sale_date, sale.quantity, sale.price_per_unit, sale.total_amount]);
+
+    it('posts the sales due on each scheduled day once', async () => {
+      // 2024-05-13 is a Monday
+      await saveStandingOrder({ customerId, productId, quantity: 1.5, schedule: 'weekdays', weekdays: '1,3,5', startDate: '2024-05-13' });
+
+      expect(await autoPostStandingOrders('2024-05-17')).toBe(3);
+      expect(await autoPostStandingOrders('2024-05-17')).toBe(0);
+      expect(await postedSales()).toEqual([
+        ['2024-05-17', 1.5, 5800, 8700],
+        ['2024-05-15', 1.5, 5800, 8700],
+        ['2024-05-13', 1.5, 5800, 8700],
+      ]);
+      expect((await getStandingOrders(customerId))[0]).toMatchObject({ product_name: 'Cow Milk', posted_through: '2024-05-17' });
+    });
+
+    it('leaves exceptions alone and never posts a day twice', async () => {
+      await recordSale(customerId, productId, 3, 5800, '2024-05-02');
+      await saveStandingOrder({ customerId, productId, quantity: 1, schedule: 'daily', startDate: '2024-05-01' });
+      await autoPostStandingOrders('2024-05-03');
+
+      // The customer skipped the 3rd; deleting that sale is not undone by the next run
+      const skipped = (await getSalesForCustomer(customerId, '2024-05-03', '2024-05-03'))[0];
+      await deleteSale(skipped.id);
+      expect(await autoPostStandingOrders('2024-05-04')).toBe(1);
+
+      expect((await postedSales()).map(([date, quantity]) => [date, quantity])).toEqual([
+        ['2024-05-04', 1],
+        ['2024-05-02', 3],
+        ['2024-05-01', 1],
+      ]);
+    });
+
+    it('backfills missed days at the rate of each day', async () => {
+      await schedulePriceChange({ productId, customerId, price: 6000, effectiveFrom: '2024-05-03' });
+      await saveStandingOrder({ customerId, productId, quantity: 1, schedule: 'alternate', startDate: '2024-05-01' });
+
+      expect(await autoPostStandingOrders('2024-05-06')).toBe(3);
+      expect((await postedSales()).map(([date, , rate]) => [date, rate])).toEqual([
+        ['2024-05-05', 6000],
+        ['2024-05-03', 6000],
+        ['2024-05-01', 5800],
+      ]);
+    });
+
+    it('posts only the dates a change adds and keeps deleted exceptions deleted', async () => {
+      jest.useFakeTimers({ now: new Date('2024-05-20T08:00:00'), advanceTimers: true });
+      const curdId = await addProduct('Curd', 'kg', 8000);
+      await assignProductToCustomer(customerId, curdId, 8000, 1);
+      const orderId = await saveStandingOrder({ customerId, productId, quantity: 1, schedule: 'daily', startDate: '2024-05-15' });
+      await autoPostStandingOrders('2024-05-20');
+      // No delivery on the 16th
+      await deleteSale((await getSalesForCustomer(customerId, '2024-05-16', '2024-05-16'))[0].id);
+
+      // Moved back two days: the 13th and 14th are added straight away, the 16th stays empty
+      await saveStandingOrder({ id: orderId, customerId, productId, quantity: 1, schedule: 'daily', startDate: '2024-05-13' });
+      expect(await autoPostStandingOrders('2024-05-20')).toBe(0);
+      const milkDates = async () => (await getSalesForCustomer(customerId, '2024-05-01', '2024-05-31'))
+        .filter(sale => sale.product_id === productId).map(sale => sale.sale_date);
+      expect(await milkDates()).toEqual(['2024-05-20', '2024-05-19', '2024-05-18', '2024-05-17', '2024-05-15', '2024-05-14', '2024-05-13']);
+
+      // Switched to curd: posted from today on, the milk already posted is left alone
+      await saveStandingOrder({ id: orderId, customerId, productId: curdId, quantity: 0.5, schedule: 'daily', startDate: '2024-05-13' });
+      expect(await autoPostStandingOrders('2024-05-20')).toBe(1);
+      expect((await getSalesForCustomer(customerId, '2024-05-01', '2024-05-31')).filter(sale => sale.product_id === curdId)
+        .map(sale => [sale.sale_date, sale.quantity])).toEqual([['2024-05-20', 0.5]]);
+      expect(await milkDates()).toHaveLength(7);
+
+      // Changing only the quantity does not post again
+      await saveStandingOrder({ id: orderId, customerId, productId: curdId, quantity: 1, schedule: 'daily', startDate: '2024-05-13' });
+      expect(await autoPostStandingOrders('2024-05-20')).toBe(0);
+      jest.useRealTimers();
+    });
+
+    it('posts nothing for an archived customer, even after reactivation', async () => {
+      await saveStandingOrder({ customerId, productId, quantity: 1, schedule: 'daily', startDate: '2024-05-01' });
+      await deleteCustomer(customerId);
+      expect(await autoPostStandingOrders('2024-05-10')).toBe(0);
+
+      await reactivateCustomer(customerId);
+      expect(await autoPostStandingOrders('2024-05-11')).toBe(1);
+      expect(await postedSales()).toEqual([['2024-05-11', 1, 5800, 5800]]);
+    });
+
+    it('validates orders and keeps one per customer and product', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const base = { customerId, productId, quantity: 1, schedule: 'daily', startDate: '2024-05-01' };
+      const orderId = await saveStandingOrder(base);
+
+      await expect(saveStandingOrder(base)).rejects.toThrow('This customer already has a standing order for this product.');
+      await expect(saveStandingOrder({ ...base, quantity: 0 })).rejects.toThrow('Quantity must be more than 0.');
+      await expect(saveStandingOrder({ ...base, schedule: 'weekdays', weekdays: '' })).rejects.toThrow('Choose at least one day of the week.');
+      await expect(saveStandingOrder({ ...base, endDate: '2024-04-30' })).rejects.toThrow('The end date must not be before the start date.');
+      await expect(deleteProduct(productId)).rejects.toThrow('This product is on 1 standing order and cannot be deleted.');
+
+      await saveStandingOrder({ ...base, id: orderId, quantity: 2 });
+      expect((await getStandingOrders(customerId)).map(order => order.quantity)).toEqual([2]);
+      await deleteStandingOrder(orderId);
+      expect(await getStandingOrders(customerId)).toEqual([]);
+      console.error.mockRestore();
+    });
+  });
+
+  describe('Backups', () => {
+    it('restores a backup over the current data', async () => {
+      const customerId = await addCustomer('Alice', '', '');
+      const productId = await addProduct('Cow Milk', 'Liter', 6000);
+      await recordSale(customerId, productId, 2, 6000, '2023-10-01');
+      await recordStockEntry(productId, '2023-10-01', { received: 5 });
+      const supplierId = await addSupplier('Gokul Dairy', '', '');
+      await recordPurchase(supplierId, productId, 5, 4500, '2023-10-01');
+      const farmerId = await addFarmer('Ramesh', '', '');
+      await saveRateChart([{ fat: 4.0, snf: 8.5, rate: 3600 }]);
+      await recordCollection(farmerId, '2023-10-01', 'evening', 5, 4.1, 8.6);
+      await saveStandingOrder({ customerId, productId, quantity: 1, schedule: 'alternate', startDate: '2023-10-01' });
+      const backup = await getAllDataForBackup();
+      await addCustomer('Bob', '', '');
+
+      const added = await restoreDataFromBackup(backup, 'replace');
+
+      expect(added).toEqual(expect.objectContaining({
+        customers: 1, products: 1, sales: 1, priceHistory: 1, stockEntries: 1, suppliers: 1, supplierPurchases: 1, supplierPayments: 0,
+        farmers: 1, milkCollections: 1, rateChart: 1, standingOrders: 1,
+      }));
+      expect(await getCollectionsForDate('2023-10-01')).toEqual([expect.objectContaining({ farmer_name: 'Ramesh', total_amount: 18000 })]);
+      expect((await getSupplierDues())[0].total_due).toBe(22500);
+      expect((await getStockForDate('2023-10-01'))[0]).toMatchObject({ received: 5, sold: 2, closing: 3 });
+      expect((await getAllCustomers()).map(c => c.name)).toEqual(['Alice']);
+      expect(await getCustomerDues()).toEqual([{ id: customerId, name: 'Alice', isActive: 1, total_due: 12000 }]);
+    });
+
+    it('empties the recycle bin so deleted records cannot attach to the restored data', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const customerId = await addCustomer('Alice', '', '');
+      const productId = await addProduct('Cow Milk', 'Liter', 6000);
+      const saleId = await recordSale(customerId, productId, 2, 6000, '2023-10-01');
+      // A backup of another business whose first customer has the same id as Alice
+      const backup = await getAllDataForBackup();
+      backup.customers = backup.customers.map(c => ({ ...c, name: 'Bob' }));
+      backup.sales = [];
+      const binId = await deleteSale(saleId);
+
+      await restoreDataFromBackup(backup, 'replace');
+
+      expect(await getRecycleBinItems()).toEqual([]);
+      await expect(restoreFromRecycleBin(binId)).rejects.toThrow('This item is no longer in the recycle bin.');
+      expect(await getCustomerDues()).toEqual([{ id: customerId, name: 'Bob', isActive: 1, total_due: 0 }]);
+      console.error.mockRestore();
+    });
+
+    it('merges a backup without duplicating rows already present', async () => {
+      const customerId = await addCustomer('Alice', '', '');
+      const productId = await addProduct('Cow Milk', 'Liter', 6000);
+      await recordSale(customerId, productId, 2, 6000, '2023-10-01');
+      const backup = await getAllDataForBackup();
+
+      const added = await restoreDataFromBackup(backup, 'merge');
+
+      expect(added).toEqual(expect.objectContaining({ customers: 0, products: 0, sales: 0, priceHistory: 0 }));
+      expect(await testDb.getAllAsync('SELECT id FROM daily_sales')).toHaveLength(1);
+    });
 
-      const result = await getCustomerDues();
+    it('gives a backup from before price history the prices it holds', async () => {
+      const customerId = await addCustomer('Alice', '', '');
+      const productId = await addProduct('Cow Milk', 'Liter', 6000);
+      await assignProductToCustomer(customerId, productId, 5800, 1);
+      const { priceHistory, ...backup } = await getAllDataForBackup();
 
-      expect(mockDb.getAllSync).toHaveBeenCalledWith(
-        expect.stringContaining('SUM')
-      );
+      await restoreDataFromBackup({ ...backup, schemaVersion: 7 }, 'replace');
 
-      expect(result).toEqual(mockDues);
+      expect(await getRateForDate(customerId, productId, '2023-10-01')).toBe(5800);
+      expect(await getPriceHistory(productId)).toEqual([
+        expect.objectContaining({ price: 6000, effective_from: PRICE_HISTORY_START }),
+      ]);
     });
   });
 });
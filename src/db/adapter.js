@@ -0,0 +1,44 @@
+/*
+================================================================================
+File: src/db/adapter.js
+Description: The database connection used by Database.js. By default it is the
+on-device expo-sqlite file of the active business profile; tests install an in-memory SQLite engine with
+setDatabaseAdapter (see sqlJsAdapter.js) so the real SQL runs under Node.
+================================================================================
+*/
+import * as SQLite from 'expo-sqlite';
+
+export const DATABASE_NAME = 'MilkwalaExpo.db';
+
+// An adapter is any object with expo-sqlite's async API: execAsync, runAsync,
+// getAllAsync, getFirstAsync and withTransactionAsync.
+let adapter = null;
+let databaseName = DATABASE_NAME;
+
+export const setDatabaseAdapter = (nextAdapter) => {
+    adapter = nextAdapter;
+};
+
+// Points the connection at another database file; the current one is closed and the new one
+// is opened on its next use. Each business profile keeps its books in its own file.
+export const openDatabaseFile = async (fileName) => {
+    const previous = adapter;
+    adapter = null;
+    databaseName = fileName;
+    if (previous && previous.closeAsync) await previous.closeAsync();
+};
+
+// Opened on first use rather than at import, so importing Database.js never touches the device database
+const currentAdapter = () => {
+    if (!adapter) adapter = SQLite.openDatabaseSync(databaseName);
+    return adapter;
+};
+
+// Stands in for the connection; every call goes to whichever adapter is installed at the time
+export const db = {
+    execAsync: (...args) => currentAdapter().execAsync(...args),
+    runAsync: (...args) => currentAdapter().runAsync(...args),
+    getAllAsync: (...args) => currentAdapter().getAllAsync(...args),
+    getFirstAsync: (...args) => currentAdapter().getFirstAsync(...args),
+    withTransactionAsync: (task) => currentAdapter().withTransactionAsync(task),
+};
@@ -0,0 +1,683 @@
+/*
+================================================================================
+File: src/db/migrations.js
+Description: Versioned schema migrations tracked with PRAGMA user_version.
+Each migration runs in its own transaction; user_version is bumped inside the
+same transaction, so a failed migration leaves the database at the last good
+version. Append new migrations to the end of the list - never edit or reorder
+one that has shipped.
+================================================================================
+*/
+import { toPaise } from '../utils/money';
+
+export class MigrationError extends Error {
+    constructor(message, version, cause) {
+        super(message);
+        this.name = 'MigrationError';
+        this.version = version;
+        this.cause = cause;
+    }
+}
+
+// Unit names rewritten to base unit codes by migration 10
+const LEGACY_UNIT_NAMES = {
+    L: ['l', 'ltr', 'ltrs', 'liter', 'liters', 'litre', 'litres'],
+    kg: ['kg', 'kgs', 'kilo', 'kilos', 'kilogram', 'kilograms'],
+    pcs: ['pc', 'pcs', 'piece', 'pieces', 'no', 'nos'],
+};
+
+const legacyUnitCode = (unit) => {
+    const name = String(unit ?? '').trim().toLowerCase();
+    const code = Object.keys(LEGACY_UNIT_NAMES).find(key => LEGACY_UNIT_NAMES[key].includes(name));
+    return code || unit;
+};
+
+// Money columns converted from REAL rupees to INTEGER paise by migration 5
+const PAISE_COLUMNS = {
+    products: ['default_price'],
+    customer_products: ['custom_price'],
+    daily_sales: ['price_per_unit', 'total_amount'],
+    payments: ['amount_paid'],
+    expenses: ['amount'],
+};
+
+const convertRowToPaise = (table, row) => {
+    if (!row || !PAISE_COLUMNS[table]) return row;
+    const converted = { ...row };
+    PAISE_COLUMNS[table].forEach(column => {
+        if (typeof converted[column] === 'number') converted[column] = toPaise(converted[column]);
+    });
+    return converted;
+};
+
+const convertSnapshotJson = (table, json) => (json ? JSON.stringify(convertRowToPaise(table, JSON.parse(json))) : json);
+
+const saleDayKey = (sale) => `${sale.customer_id}|${sale.product_id}|${sale.sale_date}`;
+
+// Folds sales of the same customer, product and date into the one with the lowest id.
+// Quantities and totals are added; the rate becomes the average when the rates differ.
+// Returns [{ kept, merged, removed }] for every group that had duplicates.
+const mergeDuplicateSales = (sales) => {
+    const groups = new Map();
+    [...sales].sort((a, b) => a.id - b.id).forEach(sale => {
+        const key = saleDayKey(sale);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(sale);
+    });
+
+    return [...groups.values()].filter(group => group.length > 1).map(([kept, ...removed]) => {
+        const all = [kept, ...removed];
+        const quantity = Math.round(all.reduce((sum, sale) => sum + (sale.quantity || 0), 0) * 1000) / 1000;
+        const totalAmount = all.reduce((sum, sale) => sum + (sale.total_amount || 0), 0);
+        const sameRate = all.every(sale => sale.price_per_unit === kept.price_per_unit);
+        const pricePerUnit = sameRate || quantity <= 0 ? kept.price_per_unit : Math.round(totalAmount / quantity);
+        return { kept, merged: { ...kept, quantity, price_per_unit: pricePerUnit, total_amount: totalAmount }, removed };
+    });
+};
+
+// effective_from of the prices that were in force before price history was kept
+export const PRICE_HISTORY_START = '0001-01-01';
+
+export const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'Create base tables',
+        up: async (db) => {
+            await db.execAsync(`
+                CREATE TABLE IF NOT EXISTS customers(
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name VARCHAR(50) NOT NULL,
+                    address TEXT,
+                    phone VARCHAR(15),
+                    isActive INTEGER DEFAULT 1
+                );
+                CREATE TABLE IF NOT EXISTS products(
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name VARCHAR(50) NOT NULL,
+                    unit VARCHAR(20) NOT NULL,
+                    default_price REAL NOT NULL
+                );
+                CREATE TABLE IF NOT EXISTS customer_products(
+                    customer_id INTEGER,
+                    product_id INTEGER,
+                    custom_price REAL,
+                    default_quantity REAL DEFAULT 1,
+                    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
+                    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+                    PRIMARY KEY (customer_id, product_id)
+                );
+                CREATE TABLE IF NOT EXISTS daily_sales(
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    customer_id INTEGER,
+                    product_id INTEGER,
+                    quantity REAL,
+                    price_per_unit REAL,
+                    total_amount REAL,
+                    sale_date DATE,
+                    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
+                    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+                );
+                CREATE TABLE IF NOT EXISTS payments(
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    customer_id INTEGER,
+                    amount_paid REAL,
+                    payment_date DATE,
+                    notes TEXT,
+                    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE
+                );
+                CREATE TABLE IF NOT EXISTS expenses(
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    amount REAL NOT NULL,
+                    category VARCHAR(50),
+                    note TEXT,
+                    expense_date DATE NOT NULL
+                );
+            `);
+
+            // Databases created before versioning may still have the old expenses layout
+            const expenseColumns = (await db.getAllAsync('PRAGMA table_info(expenses)')).map(column => column.name);
+            if (!expenseColumns.includes('note')) {
+                await db.execAsync('ALTER TABLE expenses ADD COLUMN note TEXT;');
+            }
+            if (!expenseColumns.includes('category')) {
+                await db.execAsync('ALTER TABLE expenses ADD COLUMN category VARCHAR(50);');
+            }
+            if (expenseColumns.includes('title')) {
+                await db.execAsync('ALTER TABLE expenses DROP COLUMN title;');
+            }
+        }
+    },
+    {
+        version: 2,
+        name: 'Add performance indexes',
+        up: async (db) => {
+            await db.execAsync(`
+                CREATE INDEX IF NOT EXISTS idx_sales_date ON daily_sales(sale_date);
+                CREATE INDEX IF NOT EXISTS idx_expenses_date ON expenses(expense_date);
+                CREATE INDEX IF NOT EXISTS idx_payments_date ON payments(payment_date);
+                CREATE INDEX IF NOT EXISTS idx_sales_customer ON daily_sales(customer_id);
+            `);
+        }
+    },
+    {
+        version: 3,
+        name: 'Add audit log',
+        up: async (db) => {
+            // No foreign keys: the history has to outlive the rows it describes
+            await db.execAsync(`
+                CREATE TABLE IF NOT EXISTS audit_log(
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    table_name TEXT NOT NULL,
+                    record_id INTEGER,
+                    customer_id INTEGER,
+                    action TEXT NOT NULL,
+                    before_json TEXT,
+                    after_json TEXT,
+                    changed_at TEXT NOT NULL
+                );
+                CREATE INDEX IF NOT EXISTS idx_audit_record ON audit_log(table_name, record_id);
+                CREATE INDEX IF NOT EXISTS idx_audit_customer ON audit_log(customer_id);
+                CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+                BEGIN
+                    SELECT RAISE(ABORT, 'audit_log is append-only');
+                END;
+                CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+                BEGIN
+                    SELECT RAISE(ABORT, 'audit_log is append-only');
+                END;
+            `);
+        }
+    },
+    {
+        version: 4,
+        name: 'Add recycle bin',
+        up: async (db) => {
+            await db.execAsync(`
+                CREATE TABLE IF NOT EXISTS recycle_bin(
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    table_name TEXT NOT NULL,
+                    record_id INTEGER,
+                    customer_id INTEGER,
+                    label TEXT,
+                    row_json TEXT NOT NULL,
+                    deleted_at TEXT NOT NULL
+                );
+                CREATE INDEX IF NOT EXISTS idx_recycle_bin_deleted ON recycle_bin(deleted_at);
+            `);
+        }
+    },
+    {
+        version: 5,
+        name: 'Store money as integer paise',
+        up: async (db) => {
+            // Money columns become INTEGER, so each table is rebuilt with the rupee values converted.
+            // Row ids are kept; foreign keys are off while migrating, so nothing cascades.
+            const rebuild = async (table, createSql, columns) => {
+                const select = columns.map(column => (
+                    PAISE_COLUMNS[table].includes(column) ? `CAST(ROUND(${column} * 100) AS INTEGER)` : column
+                ));
+                await db.execAsync(`
+                    ${createSql.replace(`CREATE TABLE ${table}(`, `CREATE TABLE ${table}_paise(`)}
+                    INSERT INTO ${table}_paise (${columns.join(', ')}) SELECT ${select.join(', ')} FROM ${table};
+                    DROP TABLE ${table};
+                    ALTER TABLE ${table}_paise RENAME TO ${table};
+                `);
+            };
+
+            await rebuild('products', `
+                CREATE TABLE products(
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name VARCHAR(50) NOT NULL,
+                    unit VARCHAR(20) NOT NULL,
+                    default_price INTEGER NOT NULL
+                );`, ['id', 'name', 'unit', 'default_price']);
+            await rebuild('customer_products', `
+                CREATE TABLE customer_products(
+                    customer_id INTEGER,
+                    product_id INTEGER,
+                    custom_price INTEGER,
+                    default_quantity REAL DEFAULT 1,
+                    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
+                    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+                    PRIMARY KEY (customer_id, product_id)
+                );`, ['customer_id', 'product_id', 'custom_price', 'default_quantity']);
+            await rebuild('daily_sales', `
+                CREATE TABLE daily_sales(
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    customer_id INTEGER,
+                    product_id INTEGER,
+                    quantity REAL,
+                    price_per_unit INTEGER,
+                    total_amount INTEGER,
+                    sale_date DATE,
+                    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
+                    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+                );`, ['id', 'customer_id', 'product_id', 'quantity', 'price_per_unit', 'total_amount', 'sale_date']);
+            await rebuild('payments', `
+                CREATE TABLE payments(
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    customer_id INTEGER,
+                    amount_paid INTEGER,
+                    payment_date DATE,
+                    notes TEXT,
+                    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE
+                );`, ['id', 'customer_id', 'amount_paid', 'payment_date', 'notes']);
+            await rebuild('expenses', `
+                CREATE TABLE expenses(
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    amount INTEGER NOT NULL,
+                    category VARCHAR(50),
+                    note TEXT,
+                    expense_date DATE NOT NULL
+                );`, ['id', 'amount', 'category', 'note', 'expense_date']);
+
+            // Dropping the tables dropped their indexes
+            await db.execAsync(`
+                CREATE INDEX IF NOT EXISTS idx_sales_date ON daily_sales(sale_date);
+                CREATE INDEX IF NOT EXISTS idx_expenses_date ON expenses(expense_date);
+                CREATE INDEX IF NOT EXISTS idx_payments_date ON payments(payment_date);
+                CREATE INDEX IF NOT EXISTS idx_sales_customer ON daily_sales(customer_id);
+            `);
+
+            // Row snapshots in the audit log and recycle bin are converted too, so history and
+            // restores read the same unit. This is a one-off change of unit, not an edit of the
+            // history, so the append-only triggers are lifted for it and put back unchanged.
+            await db.execAsync('DROP TRIGGER IF EXISTS audit_log_no_update;');
+            const auditRows = await db.getAllAsync('SELECT id, table_name, before_json, after_json FROM audit_log');
+            for (const entry of auditRows) {
+                if (!PAISE_COLUMNS[entry.table_name]) continue;
+                await db.runAsync('UPDATE audit_log SET before_json = ?, after_json = ? WHERE id = ?', [
+                    convertSnapshotJson(entry.table_name, entry.before_json),
+                    convertSnapshotJson(entry.table_name, entry.after_json),
+                    entry.id,
+                ]);
+            }
+            await db.execAsync(`
+                CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+                BEGIN
+                    SELECT RAISE(ABORT, 'audit_log is append-only');
+                END;
+            `);
+
+            const binRows = await db.getAllAsync('SELECT id, table_name, row_json FROM recycle_bin');
+            for (const entry of binRows) {
+                const snapshot = JSON.parse(entry.row_json);
+                snapshot.row = convertRowToPaise(entry.table_name, snapshot.row);
+                if (snapshot.assignments) {
+                    snapshot.assignments = snapshot.assignments.map(row => convertRowToPaise('customer_products', row));
+                }
+                await db.runAsync('UPDATE recycle_bin SET row_json = ? WHERE id = ?', [JSON.stringify(snapshot), entry.id]);
+            }
+        },
+        upgradeBackup: (data) => ({
+            ...data,
+            products: (data.products || []).map(row => convertRowToPaise('products', row)),
+            customerProducts: (data.customerProducts || []).map(row => convertRowToPaise('customer_products', row)),
+            sales: (data.sales || []).map(row => convertRowToPaise('daily_sales', row)),
+            payments: (data.payments || []).map(row => convertRowToPaise('payments', row)),
+            expenses: (data.expenses || []).map(row => convertRowToPaise('expenses', row)),
+        }),
+    },
+    {
+        version: 6,
+        name: 'One sale per customer, product and date',
+        up: async (db) => {
+            const duplicates = await db.getAllAsync(`
+                SELECT ds.* FROM daily_sales ds
+                JOIN (
+                    SELECT customer_id, product_id, sale_date FROM daily_sales
+                    GROUP BY customer_id, product_id, sale_date HAVING COUNT(*) > 1
+                ) d ON ds.customer_id = d.customer_id AND ds.product_id = d.product_id AND ds.sale_date = d.sale_date
+            `);
+
+            // Each merge is written to the audit log so the history explains the changed totals
+            const changedAt = new Date().toISOString();
+            const logChange = (sale, action, before, after) => db.runAsync(
+                'INSERT INTO audit_log (table_name, record_id, customer_id, action, before_json, after_json, changed_at) VALUES (?,?,?,?,?,?,?)',
+                ['daily_sales', sale.id, sale.customer_id, action, before && JSON.stringify(before), after && JSON.stringify(after), changedAt]
+            );
+
+            for (const { kept, merged, removed } of mergeDuplicateSales(duplicates)) {
+                await db.runAsync(
+                    'UPDATE daily_sales SET quantity = ?, price_per_unit = ?, total_amount = ? WHERE id = ?',
+                    [merged.quantity, merged.price_per_unit, merged.total_amount, kept.id]
+                );
+                await logChange(kept, 'update', kept, merged);
+                for (const sale of removed) {
+                    await db.runAsync('DELETE FROM daily_sales WHERE id = ?', [sale.id]);
+                    await logChange(sale, 'delete', sale, null);
+                }
+            }
+
+            await db.execAsync(`
+                CREATE UNIQUE INDEX IF NOT EXISTS idx_sales_customer_product_date ON daily_sales(customer_id, product_id, sale_date);
+            `);
+        },
+        upgradeBackup: (data) => {
+            const groups = mergeDuplicateSales(data.sales || []);
+            if (groups.length === 0) return data;
+            const removedIds = new Set(groups.flatMap(group => group.removed.map(sale => sale.id)));
+            const mergedById = new Map(groups.map(group => [group.kept.id, group.merged]));
+            return {
+                ...data,
+                sales: data.sales.filter(sale => !removedIds.has(sale.id)).map(sale => mergedById.get(sale.id) || sale),
+            };
+        },
+    },
+    {
+        version: 7,
+        name: 'Running balance per customer',
+        // Balances are derived data, so backups neither carry nor need them
+        up: async (db) => {
+            // Every customer has a row from creation; sale and payment triggers only adjust it,
+            // so rows of a missing customer (see the data check) never create one.
+            await db.execAsync(`
+                CREATE TABLE IF NOT EXISTS customer_balances(
+                    customer_id INTEGER PRIMARY KEY,
+                    total_sales INTEGER NOT NULL DEFAULT 0,
+                    total_paid INTEGER NOT NULL DEFAULT 0
+                );
+                CREATE INDEX IF NOT EXISTS idx_payments_customer ON payments(customer_id);
+
+                CREATE TRIGGER IF NOT EXISTS balance_customer_insert AFTER INSERT ON customers
+                BEGIN
+                    INSERT OR IGNORE INTO customer_balances (customer_id) VALUES (NEW.id);
+                END;
+                CREATE TRIGGER IF NOT EXISTS balance_customer_delete AFTER DELETE ON customers
+                BEGIN
+                    DELETE FROM customer_balances WHERE customer_id = OLD.id;
+                END;
+
+                CREATE TRIGGER IF NOT EXISTS balance_sale_insert AFTER INSERT ON daily_sales
+                BEGIN
+                    UPDATE customer_balances SET total_sales = total_sales + IFNULL(NEW.total_amount, 0) WHERE customer_id = NEW.customer_id;
+                END;
+                CREATE TRIGGER IF NOT EXISTS balance_sale_update AFTER UPDATE OF customer_id, total_amount ON daily_sales
+                BEGIN
+                    UPDATE customer_balances SET total_sales = total_sales - IFNULL(OLD.total_amount, 0) WHERE customer_id = OLD.customer_id;
+                    UPDATE customer_balances SET total_sales = total_sales + IFNULL(NEW.total_amount, 0) WHERE customer_id = NEW.customer_id;
+                END;
+                CREATE TRIGGER IF NOT EXISTS balance_sale_delete AFTER DELETE ON daily_sales
+                BEGIN
+                    UPDATE customer_balances SET total_sales = total_sales - IFNULL(OLD.total_amount, 0) WHERE customer_id = OLD.customer_id;
+                END;
+
+                CREATE TRIGGER IF NOT EXISTS balance_payment_insert AFTER INSERT ON payments
+                BEGIN
+                    UPDATE customer_balances SET total_paid = total_paid + IFNULL(NEW.amount_paid, 0) WHERE customer_id = NEW.customer_id;
+                END;
+                CREATE TRIGGER IF NOT EXISTS balance_payment_update AFTER UPDATE OF customer_id, amount_paid ON payments
+                BEGIN
+                    UPDATE customer_balances SET total_paid = total_paid - IFNULL(OLD.amount_paid, 0) WHERE customer_id = OLD.customer_id;
+                    UPDATE customer_balances SET total_paid = total_paid + IFNULL(NEW.amount_paid, 0) WHERE customer_id = NEW.customer_id;
+                END;
+                CREATE TRIGGER IF NOT EXISTS balance_payment_delete AFTER DELETE ON payments
+                BEGIN
+                    UPDATE customer_balances SET total_paid = total_paid - IFNULL(OLD.amount_paid, 0) WHERE customer_id = OLD.customer_id;
+                END;
+
+                INSERT INTO customer_balances (customer_id, total_sales, total_paid)
+                SELECT c.id,
+                    (SELECT IFNULL(SUM(total_amount), 0) FROM daily_sales WHERE customer_id = c.id),
+                    (SELECT IFNULL(SUM(amount_paid), 0) FROM payments WHERE customer_id = c.id)
+                FROM customers c;
+            `);
+        },
+    },
+    {
+        version: 8,
+        name: 'Price history',
+        // customer_id is NULL for a product's default price. Prices in force before any recorded
+        // change start at PRICE_HISTORY_START, so every earlier date still has a rate.
+        up: async (db) => {
+            await db.execAsync(`
+                CREATE TABLE IF NOT EXISTS price_history(
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    product_id INTEGER NOT NULL,
+                    customer_id INTEGER,
+                    price INTEGER NOT NULL,
+                    effective_from DATE NOT NULL,
+                    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+                    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE
+                );
+                CREATE INDEX IF NOT EXISTS idx_price_history_lookup ON price_history(product_id, customer_id, effective_from);
+            `);
+            await db.runAsync(
+                'INSERT INTO price_history (product_id, customer_id, price, effective_from) SELECT id, NULL, default_price, ? FROM products',
+                [PRICE_HISTORY_START]
+            );
+            await db.runAsync(`
+                INSERT INTO price_history (product_id, customer_id, price, effective_from)
+                SELECT product_id, customer_id, custom_price, ? FROM customer_products WHERE custom_price IS NOT NULL
+            `, [PRICE_HISTORY_START]);
+        },
+        upgradeBackup: (data) => ({
+            ...data,
+            priceHistory: [
+                ...(data.products || []).map(row => ({ product_id: row.id, customer_id: null, price: row.default_price, effective_from: PRICE_HISTORY_START })),
+                ...(data.customerProducts || [])
+                    .filter(row => row.custom_price !== null && row.custom_price !== undefined)
+                    .map(row => ({ product_id: row.product_id, customer_id: row.customer_id, price: row.custom_price, effective_from: PRICE_HISTORY_START })),
+            ].map((row, index) => ({ id: index + 1, ...row })),
+        }),
+    },
+    {
+        version: 9,
+        name: 'Product archive and sort order',
+        // Archived products keep their sales and history but are no longer offered for new assignments
+        up: async (db) => {
+            await db.execAsync(`
+                ALTER TABLE products ADD COLUMN isActive INTEGER NOT NULL DEFAULT 1;
+                ALTER TABLE products ADD COLUMN sort_order INTEGER;
+                UPDATE products SET sort_order = id;
+            `);
+        },
+        upgradeBackup: (data) => ({
+            ...data,
+            products: (data.products || []).map(row => ({ isActive: 1, sort_order: row.id, ...row })),
+        }),
+    },
+    {
+        version: 10,
+        name: 'Structured units and pack sizes',
+        // Free-text units that name a base unit are rewritten to its code; others (e.g. "Packet") are kept
+        up: async (db) => {
+            await db.execAsync('ALTER TABLE products ADD COLUMN pack_size REAL;');
+            for (const [code, names] of Object.entries(LEGACY_UNIT_NAMES)) {
+                await db.runAsync(
+                    `UPDATE products SET unit = ? WHERE lower(trim(unit)) IN (${names.map(() => '?').join(',')})`,
+                    [code, ...names]
+                );
+            }
+        },
+        upgradeBackup: (data) => ({
+            ...data,
+            products: (data.products || []).map(row => ({ pack_size: null, ...row, unit: legacyUnitCode(row.unit) })),
+        }),
+    },
+    {
+        version: 11,
+        name: 'Stock ledger',
+        // Stock received and wasted per product and day, in the product's unit. Sold quantities
+        // come from daily_sales, so opening and closing stock are worked out, not stored.
+        up: async (db) => {
+            await db.execAsync(`
+                CREATE TABLE IF NOT EXISTS stock_entries(
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    product_id INTEGER NOT NULL,
+                    entry_date DATE NOT NULL,
+                    received REAL NOT NULL DEFAULT 0,
+                    wastage REAL NOT NULL DEFAULT 0,
+                    notes TEXT,
+                    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+                );
+                CREATE UNIQUE INDEX IF NOT EXISTS idx_stock_product_date ON stock_entries(product_id, entry_date);
+            `);
+        },
+        upgradeBackup: (data) => ({ ...data, stockEntries: [] }),
+    },
+    {
+        version: 12,
+        name: 'Suppliers and purchases',
+        // Milk bought from a dairy or other supplier, and what has been paid for it. Amounts are paise
+        // like daily_sales and payments; the balance owed is summed from these rows when needed.
+        up: async (db) => {
+            await db.execAsync(`
+                CREATE TABLE IF NOT EXISTS suppliers(
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name TEXT NOT NULL,
+                    phone TEXT,
+                    address TEXT
+                );
+                CREATE TABLE IF NOT EXISTS supplier_purchases(
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    supplier_id INTEGER NOT NULL,
+                    product_id INTEGER NOT NULL,
+                    quantity REAL NOT NULL,
+                    price_per_unit INTEGER NOT NULL,
+                    total_amount INTEGER NOT NULL,
+                    purchase_date DATE NOT NULL,
+                    notes TEXT,
+                    FOREIGN KEY (supplier_id) REFERENCES suppliers(id) ON DELETE CASCADE,
+                    FOREIGN KEY (product_id) REFERENCES products(id)
+                );
+                CREATE TABLE IF NOT EXISTS supplier_payments(
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    supplier_id INTEGER NOT NULL,
+                    amount_paid INTEGER NOT NULL,
+                    payment_date DATE NOT NULL,
+                    notes TEXT,
+                    FOREIGN KEY (supplier_id) REFERENCES suppliers(id) ON DELETE CASCADE
+                );
+                CREATE INDEX IF NOT EXISTS idx_purchases_supplier_date ON supplier_purchases(supplier_id, purchase_date);
+                CREATE INDEX IF NOT EXISTS idx_purchases_date ON supplier_purchases(purchase_date);
+                CREATE INDEX IF NOT EXISTS idx_supplier_payments_supplier ON supplier_payments(supplier_id, payment_date);
+            `);
+        },
+        upgradeBackup: (data) => ({ ...data, suppliers: [], supplierPurchases: [], supplierPayments: [] }),
+    },
+    {
+        version: 13,
+        name: 'Farmer milk collection',
+        // Milk collected from farmers each morning and evening, priced from a fat / SNF rate chart.
+        // The rate found when the entry was saved is stored with it, so later chart changes do not
+        // alter past payouts. rate_chart holds paise per litre for each fat and SNF reading.
+        up: async (db) => {
+            await db.execAsync(`
+                CREATE TABLE IF NOT EXISTS farmers(
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name TEXT NOT NULL,
+                    phone TEXT,
+                    village TEXT
+                );
+                CREATE TABLE IF NOT EXISTS milk_collections(
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    farmer_id INTEGER NOT NULL,
+                    collection_date DATE NOT NULL,
+                    shift TEXT NOT NULL CHECK (shift IN ('morning', 'evening')),
+                    quantity REAL NOT NULL,
+                    fat REAL NOT NULL,
+                    snf REAL NOT NULL,
+                    rate INTEGER NOT NULL,
+                    total_amount INTEGER NOT NULL,
+                    FOREIGN KEY (farmer_id) REFERENCES farmers(id) ON DELETE CASCADE
+                );
+                CREATE UNIQUE INDEX IF NOT EXISTS idx_collections_farmer_date_shift ON milk_collections(farmer_id, collection_date, shift);
+                CREATE INDEX IF NOT EXISTS idx_collections_date ON milk_collections(collection_date);
+                CREATE TABLE IF NOT EXISTS rate_chart(
+                    fat REAL NOT NULL,
+                    snf REAL NOT NULL,
+                    rate INTEGER NOT NULL,
+                    PRIMARY KEY (fat, snf)
+                );
+            `);
+        },
+        upgradeBackup: (data) => ({ ...data, farmers: [], milkCollections: [], rateChart: [] }),
+    },
+    {
+        version: 14,
+        name: 'Standing orders',
+        // A customer's regular delivery of one product: daily, on alternate days counted from
+        // start_date, or on chosen weekdays ("1,3,5", 0 = Sunday). posted_through is the last date
+        // whose sales have been created from the order, so no day is posted twice.
+        up: async (db) => {
+            await db.execAsync(`
+                CREATE TABLE IF NOT EXISTS standing_orders(
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    customer_id INTEGER NOT NULL,
+                    product_id INTEGER NOT NULL,
+                    quantity REAL NOT NULL,
+                    schedule TEXT NOT NULL CHECK (schedule IN ('daily', 'alternate', 'weekdays')),
+                    weekdays TEXT,
+                    start_date DATE NOT NULL,
+                    end_date DATE,
+                    posted_through DATE,
+                    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
+                    FOREIGN KEY (product_id) REFERENCES products(id)
+                );
+                CREATE UNIQUE INDEX IF NOT EXISTS idx_standing_orders_customer_product ON standing_orders(customer_id, product_id);
+            `);
+        },
+        upgradeBackup: (data) => ({ ...data, standingOrders: [] }),
+    },
+];
+
+export const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+export const getSchemaVersion = async (db) => {
+    const row = await db.getFirstAsync('PRAGMA user_version');
+    return row?.user_version ?? 0;
+};
+
+// Brings the database up to LATEST_SCHEMA_VERSION. Throws a MigrationError and stops at
+// the first failure; earlier migrations stay committed.
+export const runMigrations = async (db, migrations = MIGRATIONS) => {
+    const currentVersion = await getSchemaVersion(db);
+    const latestVersion = migrations[migrations.length - 1].version;
+
+    if (currentVersion > latestVersion) {
+        throw new MigrationError(
+            `The database is at schema version ${currentVersion}, but this app only supports up to ${latestVersion}. Please update the app.`,
+            currentVersion
+        );
+    }
+
+    const pending = migrations.filter(migration => migration.version > currentVersion);
+    if (pending.length === 0) return currentVersion;
+
+    // Foreign keys stay off while migrating so that rebuilding a table does not cascade deletes
+    await db.execAsync('PRAGMA foreign_keys = OFF;');
+    try {
+        for (const migration of pending) {
+            try {
+                await db.withTransactionAsync(async () => {
+                    await migration.up(db);
+                    await db.execAsync(`PRAGMA user_version = ${migration.version};`);
+                });
+                console.log(`Migrated database to version ${migration.version} (${migration.name}).`);
+            } catch (error) {
+                throw new MigrationError(
+                    `Migration ${migration.version} (${migration.name}) failed: ${error.message}`,
+                    migration.version,
+                    error
+                );
+            }
+        }
+    } finally {
+        await db.execAsync('PRAGMA foreign_keys = ON;');
+    }
+
+    return latestVersion;
+};
+
+// Brings an older backup payload up to LATEST_SCHEMA_VERSION using each migration's
+// optional `upgradeBackup(data)` step, so restores never insert rows in an outdated shape.
+export const upgradeBackupData = (data, migrations = MIGRATIONS) => {
+    let upgraded = data;
+    migrations
+        .filter(migration => migration.version > data.schemaVersion && migration.upgradeBackup)
+        .forEach(migration => {
+            upgraded = migration.upgradeBackup(upgraded);
+        });
+    return { ...upgraded, schemaVersion: migrations[migrations.length - 1].version };
+};
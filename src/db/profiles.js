@@ -0,0 +1,89 @@
+/*
+================================================================================
+File: src/db/profiles.js
+Description: Business profiles. Each business keeps its books in its own SQLite
+file; the list of businesses and which one is open are saved in profiles.json.
+The first profile uses the original database file, so existing data becomes
+that business without any copying.
+================================================================================
+*/
+import * as FileSystem from 'expo-file-system/legacy';
+import { DATABASE_NAME, openDatabaseFile } from './adapter';
+
+export const DEFAULT_PROFILE_ID = 'default';
+
+const PROFILES_FILE = FileSystem.documentDirectory + 'profiles.json';
+
+const defaultRegistry = () => ({
+    activeId: DEFAULT_PROFILE_ID,
+    profiles: [{ id: DEFAULT_PROFILE_ID, name: 'My Business', databaseName: DATABASE_NAME }],
+});
+
+// { activeId, profiles: [{ id, name, databaseName }] }, read from disk by loadProfiles
+let registry = defaultRegistry();
+
+const saveRegistry = async () => {
+    await FileSystem.writeAsStringAsync(PROFILES_FILE, JSON.stringify(registry), { encoding: 'utf8' });
+};
+
+// Reads the saved profiles and opens the active profile's database. Call before initDatabase.
+export const loadProfiles = async () => {
+    try {
+        const info = await FileSystem.getInfoAsync(PROFILES_FILE);
+        registry = info.exists
+            ? JSON.parse(await FileSystem.readAsStringAsync(PROFILES_FILE, { encoding: 'utf8' }))
+            : defaultRegistry();
+        if (!registry.profiles.some(profile => profile.id === registry.activeId)) {
+            registry.activeId = registry.profiles[0].id;
+        }
+        await openDatabaseFile(getActiveProfile().databaseName);
+        return registry.profiles;
+    } catch (error) {
+        console.error("Error loading profiles:", error);
+        throw error;
+    }
+};
+
+export const getProfiles = () => registry.profiles;
+
+export const getActiveProfile = () => registry.profiles.find(profile => profile.id === registry.activeId);
+
+// Trimmed name, or an error when it is empty or another business already has it
+const checkProfileName = (name, exceptId = null) => {
+    const trimmed = (name || '').trim();
+    if (!trimmed) throw new Error("Enter a name for the business.");
+    const clash = registry.profiles.find(profile => profile.id !== exceptId && profile.name.toLowerCase() === trimmed.toLowerCase());
+    if (clash) throw new Error(`There is already a business called "${clash.name}".`);
+    return trimmed;
+};
+
+// Adds a business with an empty database of its own; it stays closed until switched to.
+export const createProfile = async (name) => {
+    const trimmed = checkProfileName(name);
+    const id = `p${Date.now().toString(36)}`;
+    const profile = { id, name: trimmed, databaseName: `milkwala_${id}.db` };
+    registry = { ...registry, profiles: [...registry.profiles, profile] };
+    await saveRegistry();
+    return profile;
+};
+
+export const renameProfile = async (id, name) => {
+    const trimmed = checkProfileName(name, id);
+    if (!registry.profiles.some(profile => profile.id === id)) throw new Error("That business no longer exists.");
+    registry = {
+        ...registry,
+        profiles: registry.profiles.map(profile => (profile.id === id ? { ...profile, name: trimmed } : profile)),
+    };
+    await saveRegistry();
+};
+
+// Makes another business the active one and points the data layer at its database.
+// The caller runs initDatabase afterwards, as at startup.
+export const switchProfile = async (id) => {
+    const profile = registry.profiles.find(candidate => candidate.id === id);
+    if (!profile) throw new Error("That business no longer exists.");
+    registry = { ...registry, activeId: id };
+    await saveRegistry();
+    await openDatabaseFile(profile.databaseName);
+    return profile;
+};
@@ -0,0 +1,61 @@
+/*
+================================================================================
+File: src/db/sqlJsAdapter.js
+Description: An in-memory SQLite database (sql.js) behind the same async API as
+expo-sqlite, for running Database.js and the migrations under Node in tests.
+Not used by the app itself.
+================================================================================
+*/
+import initSqlJs from 'sql.js/dist/sql-asm.js';
+
+let sqlJs = null;
+
+// expo-sqlite takes parameters either spread or as a single array/object; sql.js wants
+// one array (or object) and rejects undefined.
+const normalizeParams = (params) => {
+    const values = params.length === 1 && typeof params[0] === 'object' && params[0] !== null ? params[0] : params;
+    if (Array.isArray(values)) return values.map(value => (value === undefined ? null : value));
+    return values;
+};
+
+export const createSqlJsAdapter = async () => {
+    if (!sqlJs) sqlJs = await initSqlJs();
+    const database = new sqlJs.Database();
+
+    const query = (sql, params) => {
+        const statement = database.prepare(sql);
+        try {
+            statement.bind(normalizeParams(params));
+            const rows = [];
+            while (statement.step()) rows.push(statement.getAsObject());
+            return rows;
+        } finally {
+            statement.free();
+        }
+    };
+
+    return {
+        execAsync: async (sql) => {
+            database.exec(sql);
+        },
+        runAsync: async (sql, ...params) => {
+            query(sql, params);
+            const changes = database.getRowsModified();
+            const [{ id }] = query('SELECT last_insert_rowid() AS id', []);
+            return { lastInsertRowId: id, changes };
+        },
+        getAllAsync: async (sql, ...params) => query(sql, params),
+        getFirstAsync: async (sql, ...params) => query(sql, params)[0] ?? null,
+        withTransactionAsync: async (task) => {
+            database.exec('BEGIN');
+            try {
+                await task();
+                database.exec('COMMIT');
+            } catch (error) {
+                database.exec('ROLLBACK');
+                throw error;
+            }
+        },
+        closeAsync: async () => database.close(),
+    };
+};
@@ -3,6 +3,7 @@ import { View, StyleSheet, Alert } from 'react-native';
 import { TextInput, Button, useTheme } from 'react-native-paper';
 import { useNavigation, useRoute } from '@react-navigation/native';
 import { addCustomer, updateCustomer, getCustomerById } from '../db/Database';
+import { validateCustomer } from '../utils/validation';
 
 const AddEditCustomerScreen = () => {
     const [name, setName] = useState('');
@@ -26,14 +27,9 @@ const AddEditCustomerScreen = () => {
     }, [customerId]);
 
     const handleSave = () => {
-        if (!name.trim()) {
-            Alert.alert("Validation Error", "Customer name is required.");
-            return;
-        }
-
-        // Validate that if a phone number is entered, it is exactly 10 digits
-        if (phone && phone.trim().length > 0 && phone.trim().length !== 10) {
-            Alert.alert("Validation Error", "Phone number must be exactly 10 digits.");
+        const errors = validateCustomer({ name, phone });
+        if (errors.length > 0) {
+            Alert.alert("Validation Error", errors[0]);
             return;
         }
 
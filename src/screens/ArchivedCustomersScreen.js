@@ -0,0 +1,88 @@
+/*
+================================================================================
+File: src/screens/ArchivedCustomersScreen.js
+Description: Customers that were archived from the customer screen, with the
+balance they left. Each can be opened or reactivated; archived customers who
+still owe money keep showing in the dues reports.
+================================================================================
+*/
+import React, { useState, useCallback } from 'react';
+import { View, StyleSheet, FlatList, Alert } from 'react-native';
+import { Text, Card, Title, List, Divider, IconButton } from 'react-native-paper';
+import { useNavigation, useFocusEffect } from '@react-navigation/native';
+import { getArchivedCustomers, reactivateCustomer } from '../db/Database';
+import { formatRupees } from '../utils/money';
+
+const ArchivedCustomersScreen = () => {
+    const navigation = useNavigation();
+    const [customers, setCustomers] = useState([]);
+
+    const loadCustomers = useCallback(() => {
+        getArchivedCustomers().then(setCustomers).catch(console.error);
+    }, []);
+
+    useFocusEffect(loadCustomers);
+
+    const handleReactivate = (customer) => {
+        reactivateCustomer(customer.id)
+            .then(() => {
+                Alert.alert("Reactivated", `${customer.name} is back in the customer list.`);
+                loadCustomers();
+            })
+            .catch(err => {
+                Alert.alert("Error", "Could not reactivate the customer.");
+                console.error(err);
+            });
+    };
+
+    const describeBalance = (totalDue) => {
+        if (totalDue > 0) return `Owes ${formatRupees(totalDue)}`;
+        if (totalDue < 0) return `Advance of ${formatRupees(-totalDue)}`;
+        return 'Settled';
+    };
+
+    const renderItem = ({ item }) => (
+        <>
+            <List.Item
+                title={item.name}
+                description={`${describeBalance(item.total_due)}${item.phone ? ` | ${item.phone}` : ''}`}
+                descriptionStyle={item.total_due > 0 ? styles.owes : null}
+                onPress={() => navigation.navigate('Customers', { screen: 'CustomerDetail', params: { customerId: item.id } })}
+                left={props => <List.Icon {...props} icon="account-off" />}
+                right={() => (
+                    <IconButton icon="account-reactivate" accessibilityLabel={`Reactivate ${item.name}`} onPress={() => handleReactivate(item)} />
+                )}
+            />
+            <Divider />
+        </>
+    );
+
+    return (
+        <View style={styles.container}>
+            <Card style={styles.card}>
+                <Card.Content>
+                    <Title>Archived Customers</Title>
+                    <Text style={styles.helpText}>
+                        Archived customers are hidden from the customer list. Their history is kept, and any balance they still owe stays in the dues reports.
+                    </Text>
+                </Card.Content>
+            </Card>
+            <FlatList
+                data={customers}
+                renderItem={renderItem}
+                keyExtractor={item => item.id.toString()}
+                ListEmptyComponent={<Text style={styles.emptyText}>No archived customers.</Text>}
+            />
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: { flex: 1 },
+    card: { margin: 8 },
+    helpText: { color: '#666', marginTop: 4 },
+    owes: { color: '#d32f2f' },
+    emptyText: { textAlign: 'center', marginTop: 50, paddingHorizontal: 20, color: '#888' },
+});
+
+export default ArchivedCustomersScreen;
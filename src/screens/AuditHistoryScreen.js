@@ -0,0 +1,87 @@
+/*
+================================================================================
+File: src/screens/AuditHistoryScreen.js
+Description: Change history from the audit log, for one customer (route param
+customerId) or a single record (route params tableName and recordId).
+================================================================================
+*/
+import React, { useState, useCallback, useLayoutEffect } from 'react';
+import { View, StyleSheet, FlatList } from 'react-native';
+import { Text, Card } from 'react-native-paper';
+import { useNavigation, useRoute, useFocusEffect } from '@react-navigation/native';
+import { format, parseISO } from 'date-fns';
+import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
+import { getAuditHistory } from '../db/Database';
+import { describeAuditEntry } from '../utils/auditFormat';
+
+const ACTION_STYLES = {
+    create: { icon: 'plus-circle', color: '#2e7d32' },
+    update: { icon: 'pencil-circle', color: '#f57c00' },
+    delete: { icon: 'delete-circle', color: '#d32f2f' },
+    restore: { icon: 'backup-restore', color: '#0066cc' },
+    purge: { icon: 'delete-forever', color: '#d32f2f' },
+    anonymise: { icon: 'incognito', color: '#555' },
+};
+
+const AuditHistoryScreen = () => {
+    const navigation = useNavigation();
+    const route = useRoute();
+    const { customerId, tableName, recordId, title } = route.params || {};
+    const [entries, setEntries] = useState([]);
+
+    useLayoutEffect(() => {
+        if (title) navigation.setOptions({ title });
+    }, [navigation, title]);
+
+    const loadHistory = useCallback(() => {
+        getAuditHistory({ customerId, tableName, recordId })
+            .then(setEntries)
+            .catch(err => console.error("Error loading history:", err));
+    }, [customerId, tableName, recordId]);
+
+    useFocusEffect(loadHistory);
+
+    const renderItem = ({ item }) => {
+        const { title: entryTitle, lines } = describeAuditEntry(item);
+        const actionStyle = ACTION_STYLES[item.action] || ACTION_STYLES.update;
+        return (
+            <Card style={styles.card}>
+                <Card.Content>
+                    <View style={styles.headerRow}>
+                        <Icon name={actionStyle.icon} size={22} color={actionStyle.color} />
+                        <Text style={styles.entryTitle}>{entryTitle}</Text>
+                    </View>
+                    <Text style={styles.timestamp}>{format(parseISO(item.changed_at), 'dd MMM yyyy, hh:mm a')}</Text>
+                    {lines.map((line, index) => (
+                        <Text key={index} style={styles.line}>{line}</Text>
+                    ))}
+                </Card.Content>
+            </Card>
+        );
+    };
+
+    return (
+        <View style={styles.container}>
+            <FlatList
+                data={entries}
+                renderItem={renderItem}
+                keyExtractor={item => item.id.toString()}
+                contentContainerStyle={styles.list}
+                ListEmptyComponent={<Text style={styles.emptyText}>No changes recorded yet.</Text>}
+            />
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: { flex: 1, backgroundColor: '#f5f5f5' },
+    list: { padding: 8, paddingBottom: 40 },
+    card: { margin: 4, backgroundColor: 'white' },
+    headerRow: { flexDirection: 'row', alignItems: 'center' },
+    entryTitle: { marginLeft: 8, fontSize: 15, fontWeight: 'bold', color: '#333' },
+    timestamp: { fontSize: 12, color: '#888', marginTop: 2, marginBottom: 6 },
+    line: { fontSize: 13, color: '#555', marginTop: 2 },
+    emptyText: { textAlign: 'center', marginTop: 50, color: '#888' },
+});
+
+export default AuditHistoryScreen;
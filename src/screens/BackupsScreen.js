@@ -0,0 +1,127 @@
+/*
+================================================================================
+File: src/screens/BackupsScreen.js
+Description: Lists backups stored on the device; each can be shared or restored.
+================================================================================
+*/
+import React, { useState, useCallback } from 'react';
+import { View, StyleSheet, FlatList, Alert } from 'react-native';
+import { Text, Button, Card, Title, List, Divider, IconButton } from 'react-native-paper';
+import { useNavigation, useFocusEffect } from '@react-navigation/native';
+import * as Sharing from 'expo-sharing';
+import { format } from 'date-fns';
+import { listBackups, writeBackupFile, prepareBackupForSharing, AUTO_BACKUP_KEEP } from '../utils/backupFiles';
+import PassphraseModal from '../components/PassphraseModal';
+
+const formatSize = (bytes) => {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+};
+
+const BackupsScreen = () => {
+    const navigation = useNavigation();
+    const [backups, setBackups] = useState([]);
+    const [shareTarget, setShareTarget] = useState(null);
+    const [sharing, setSharing] = useState(false);
+
+    const loadBackups = useCallback(() => {
+        listBackups().then(setBackups).catch(console.error);
+    }, []);
+
+    useFocusEffect(loadBackups);
+
+    const handleBackupNow = async () => {
+        try {
+            await writeBackupFile('backup');
+            loadBackups();
+        } catch (error) {
+            Alert.alert("Error", "Failed to create backup");
+            console.error(error);
+        }
+    };
+
+    // Shares the selected backup, encrypted when a passphrase is given
+    const handleShare = async (passphrase) => {
+        setSharing(true);
+        try {
+            if (!(await Sharing.isAvailableAsync())) {
+                Alert.alert("Error", "Sharing is not available on this device");
+                return;
+            }
+            const uri = await prepareBackupForSharing(shareTarget.uri, passphrase);
+            setShareTarget(null);
+            await Sharing.shareAsync(uri);
+        } catch (error) {
+            Alert.alert("Error", "Failed to share backup");
+            console.error(error);
+        } finally {
+            setSharing(false);
+        }
+    };
+
+    const renderItem = ({ item }) => (
+        <>
+            <List.Item
+                title={item.name}
+                titleNumberOfLines={1}
+                description={`${item.kind === 'auto' ? 'Automatic' : 'Manual'} | ${format(item.modifiedAt, 'dd MMM yyyy, hh:mm a')} | ${formatSize(item.size)}`}
+                left={props => <List.Icon {...props} icon={item.kind === 'auto' ? 'backup-restore' : 'content-save'} />}
+                right={() => (
+                    <View style={styles.itemActions}>
+                        <IconButton icon="share-variant" accessibilityLabel={`Share ${item.name}`} onPress={() => setShareTarget(item)} />
+                        <IconButton icon="database-import" accessibilityLabel={`Restore ${item.name}`} onPress={() => navigation.navigate('RestoreBackup', { fileUri: item.uri, fileName: item.name })} />
+                    </View>
+                )}
+            />
+            <Divider />
+        </>
+    );
+
+    return (
+        <View style={styles.container}>
+            <Card style={styles.card}>
+                <Card.Content>
+                    <Title>Stored Backups</Title>
+                    <Text style={styles.helpText}>
+                        A backup is saved automatically on the first launch of each day. The last {AUTO_BACKUP_KEEP} automatic backups are kept.
+                    </Text>
+                    <View style={styles.buttonRow}>
+                        <Button mode="contained" icon="content-save" onPress={handleBackupNow} style={styles.button}>
+                            Back Up Now
+                        </Button>
+                        <Button mode="outlined" icon="file-upload" onPress={() => navigation.navigate('RestoreBackup')} style={styles.button}>
+                            Restore From File
+                        </Button>
+                    </View>
+                </Card.Content>
+            </Card>
+            <FlatList
+                data={backups}
+                renderItem={renderItem}
+                keyExtractor={item => item.name}
+                ListEmptyComponent={<Text style={styles.emptyText}>No backups stored on this device yet.</Text>}
+            />
+
+            <PassphraseModal
+                visible={!!shareTarget}
+                mode="encrypt"
+                busy={sharing}
+                onSubmit={handleShare}
+                onSkip={() => handleShare(null)}
+                onDismiss={() => setShareTarget(null)}
+            />
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: { flex: 1 },
+    card: { margin: 8 },
+    helpText: { color: '#666', marginTop: 4 },
+    buttonRow: { flexDirection: 'row', marginTop: 12 },
+    button: { flex: 1, marginRight: 8 },
+    itemActions: { flexDirection: 'row', alignItems: 'center' },
+    emptyText: { textAlign: 'center', marginTop: 50, paddingHorizontal: 20, color: '#888' },
+});
+
+export default BackupsScreen;
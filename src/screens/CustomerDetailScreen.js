@@ -2,25 +2,28 @@
 ================================================================================
 File: src/screens/CustomerDetailScreen.js
 Description: Detailed view of a customer with history, payment entry, and billing.
+The transaction history is one timeline of sales and payments with the balance
+after each, loaded a page at a time as it scrolls.
 *** UPDATED: Enhanced Statement Dialog with Date Filters & Better Visibility ***
 ================================================================================
 */
 import React, { useState, useCallback, useLayoutEffect } from 'react';
-import { View, StyleSheet, Alert, ScrollView, Modal, TouchableOpacity, Linking, Platform } from 'react-native';
-import { Text, Button, Card, List, Divider, useTheme, IconButton, TextInput, Avatar, Surface, Menu, Chip } from 'react-native-paper';
+import { View, StyleSheet, Alert, FlatList, Modal, TouchableOpacity, Linking, Platform } from 'react-native';
+import { Text, Button, Card, List, Divider, useTheme, IconButton, TextInput, Avatar, Surface, Menu, Chip, ActivityIndicator } from 'react-native-paper';
 import { useNavigation, useRoute, useFocusEffect } from '@react-navigation/native';
-import { getCustomerById, getCustomerProducts, getSalesForCustomer, getPaymentsForCustomer, getTotalDuesForCustomerUpToDate, recordPayment, deleteCustomer } from '../db/Database';
-import { format, startOfMonth, parseISO } from 'date-fns';
+import { getCustomerById, getCustomerProducts, getSalesForCustomer, getPaymentsForCustomer, getTotalDuesForCustomerUpToDate, getCustomerTimeline, recordPayment, deleteCustomer, reactivateCustomer, purgeCustomer, deleteSale, deletePayment } from '../db/Database';
+import { format, startOfMonth, endOfMonth, parseISO } from 'date-fns';
 import * as Print from 'expo-print';
 import * as Sharing from 'expo-sharing';
 import DateTimePicker from '@react-native-community/datetimepicker';
 import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
+import UndoSnackbar from '../components/UndoSnackbar';
+import { toPaise, formatRupees, toDecimalString } from '../utils/money';
+import { formatQuantity } from '../utils/units';
 
 const CustomerDetailScreen = () => {
     const [customer, setCustomer] = useState(null);
     const [products, setProducts] = useState([]);
-    const [sales, setSales] = useState([]);
-    const [payments, setPayments] = useState([]);
     const [totalDue, setTotalDue] = useState(0);
     const navigation = useNavigation();
     const route = useRoute();
@@ -29,6 +32,14 @@ const CustomerDetailScreen = () => {
 
     // Menu State
     const [menuVisible, setMenuVisible] = useState(false);
+    const [undoItem, setUndoItem] = useState(null); // Last deleted sale or payment, for the Undo snackbar
+
+    // Timeline State
+    const [timeline, setTimeline] = useState([]);
+    const [nextCursor, setNextCursor] = useState(null); // null once the oldest entry is loaded
+    const [loadingMore, setLoadingMore] = useState(false);
+    const [jumpMonth, setJumpMonth] = useState(null); // null shows the latest entries first
+    const [showJumpPicker, setShowJumpPicker] = useState(false);
 
     // State for payment modal
     const [paymentModalVisible, setPaymentModalVisible] = useState(false);
@@ -54,34 +65,36 @@ const CustomerDetailScreen = () => {
         getCustomerById(customerId).then(setCustomer);
         getCustomerProducts(customerId).then(setProducts);
 
-        // Load recent history (last 30 days)
-        const end = new Date();
-        const start = new Date();
-        start.setDate(start.getDate() - 30);
-        
-        const startStr = format(start, 'yyyy-MM-dd');
-        const endStr = format(end, 'yyyy-MM-dd');
-
-        getSalesForCustomer(customerId, startStr, endStr).then(data => {
-            // Sort by date descending (newest first)
-            const sortedSales = [...data].sort((a, b) => new Date(b.sale_date) - new Date(a.sale_date));
-            setSales(sortedSales);
-        });
-        
-        getPaymentsForCustomer(customerId, startStr, endStr).then(data => {
-            // Sort by date descending (newest first)
-            const sortedPayments = [...data].sort((a, b) => new Date(b.payment_date) - new Date(a.payment_date));
-            setPayments(sortedPayments);
-        });
+        // First page of the timeline: the newest entries, or those up to the end of the chosen month
+        const upToDate = jumpMonth ? format(endOfMonth(jumpMonth), 'yyyy-MM-dd') : null;
+        getCustomerTimeline(customerId, { upToDate })
+            .then(page => {
+                setTimeline(page.entries);
+                setNextCursor(page.nextCursor);
+            })
+            .catch(err => console.error("Error loading transactions:", err));
         
         // Calculate Total Due (Overall)
         const futureDate = format(new Date(new Date().setFullYear(new Date().getFullYear() + 1)), 'yyyy-MM-dd');
         getTotalDuesForCustomerUpToDate(customerId, futureDate).then(setTotalDue);
 
-    }, [customerId]);
+    }, [customerId, jumpMonth]);
 
     useFocusEffect(loadData);
 
+    // Appends the next (older) page when the timeline is scrolled to the end
+    const loadMoreTimeline = () => {
+        if (!nextCursor || loadingMore) return;
+        setLoadingMore(true);
+        getCustomerTimeline(customerId, { cursor: nextCursor })
+            .then(page => {
+                setTimeline(prev => [...prev, ...page.entries]);
+                setNextCursor(page.nextCursor);
+            })
+            .catch(err => console.error("Error loading transactions:", err))
+            .finally(() => setLoadingMore(false));
+    };
+
     const handleCall = () => {
         if (customer?.phone) Linking.openURL(`tel:${customer.phone}`);
         else Alert.alert("No Phone", "No phone number available for this customer.");
@@ -92,14 +105,15 @@ const CustomerDetailScreen = () => {
         else Alert.alert("No Phone", "No phone number available for this customer.");
     };
 
+    // Archiving hides the customer from the list but keeps their history and dues
     const handleDelete = () => {
         Alert.alert(
-            "Delete Customer",
-            "Are you sure? This will delete all sales and payment history for this customer.",
+            "Archive Customer",
+            "The customer will be hidden from the customer list. Their history is kept, any money they owe still shows in the dues reports, and they can be reactivated from Archived Customers.",
             [
                 { text: "Cancel", style: "cancel" },
                 { 
-                    text: "Delete", 
+                    text: "Archive", 
                     style: "destructive", 
                     onPress: () => {
                         deleteCustomer(customerId)
@@ -111,6 +125,71 @@ const CustomerDetailScreen = () => {
         );
     };
 
+    // Removing personal data for good: delete everything, or anonymise and keep the amounts
+    const handlePurge = () => {
+        const runPurge = (mode) => {
+            purgeCustomer(customerId, mode)
+                .then(() => navigation.goBack())
+                .catch(err => {
+                    Alert.alert("Error", "Could not remove the customer's data. Nothing was changed.");
+                    console.error(err);
+                });
+        };
+        const confirm = (mode, title, message) => {
+            Alert.alert(title, `${message}\n\nThis cannot be undone. Backups made earlier still contain the customer's data.`, [
+                { text: "Cancel", style: "cancel" },
+                { text: mode === 'delete' ? "Delete" : "Anonymise", style: "destructive", onPress: () => runPurge(mode) },
+            ]);
+        };
+        Alert.alert(
+            "Delete Permanently",
+            "Anonymise removes the name, phone and address but keeps the sales and payments, so past totals do not change. Delete Everything removes the customer with all their sales, payments and history.",
+            [
+                { text: "Cancel", style: "cancel" },
+                { text: "Anonymise", onPress: () => confirm('anonymise', "Anonymise Customer", `${customer.name}'s name, phone and address will be removed.`) },
+                { text: "Delete Everything", style: "destructive", onPress: () => confirm('delete', "Delete Everything", `${customer.name} and all their sales, payments and history will be deleted.`) },
+            ]
+        );
+    };
+
+    const handleReactivate = () => {
+        reactivateCustomer(customerId)
+            .then(loadData)
+            .catch(err => {
+                Alert.alert("Error", "Could not reactivate the customer.");
+                console.error(err);
+            });
+    };
+
+    // Long-press on a sale or payment shows the changes made to it
+    const openRecordHistory = (tableName, recordId, title) => {
+        navigation.navigate('Customers', { screen: 'AuditHistory', params: { tableName, recordId, title } });
+    };
+
+    // Tapping a sale or payment offers its history or deleting it (to the recycle bin, with Undo)
+    const openRecordActions = (tableName, recordId, title) => {
+        const isSale = tableName === 'daily_sales';
+        Alert.alert(isSale ? "Sale" : "Payment", null, [
+            { text: "History", onPress: () => openRecordHistory(tableName, recordId, title) },
+            {
+                text: "Delete",
+                style: "destructive",
+                onPress: () => {
+                    (isSale ? deleteSale(recordId) : deletePayment(recordId))
+                        .then(binId => {
+                            setUndoItem({ binId, message: isSale ? "Sale deleted" : "Payment deleted" });
+                            loadData();
+                        })
+                        .catch(err => {
+                            Alert.alert("Error", `Could not delete ${isSale ? 'sale' : 'payment'}.`);
+                            console.error(err);
+                        });
+                }
+            },
+            { text: "Cancel", style: "cancel" },
+        ]);
+    };
+
     // --- Filter Logic for Bill ---
     const handleBillFilterChange = (type) => {
         setBillFilter(type);
@@ -128,12 +207,13 @@ const CustomerDetailScreen = () => {
     };
 
     const handleRecordPayment = () => {
-        if (!paymentAmount) {
+        const amountPaise = toPaise(paymentAmount);
+        if (!paymentAmount || isNaN(amountPaise) || amountPaise <= 0) {
             Alert.alert("Error", "Please enter amount");
             return;
         }
         const dateStr = format(paymentDate, 'yyyy-MM-dd');
-        recordPayment(customerId, parseFloat(paymentAmount), dateStr, paymentNotes)
+        recordPayment(customerId, amountPaise, dateStr, paymentNotes)
             .then(() => {
                 setPaymentModalVisible(false);
                 setPaymentAmount('');
@@ -180,10 +260,10 @@ const CustomerDetailScreen = () => {
                     </div>
 
                     <div class="summary">
-                        <p><strong>Opening Balance:</strong> ₹${previousDues.toFixed(2)}</p>
-                        <p><strong>Total Sales:</strong> ₹${totalSalesAmount.toFixed(2)}</p>
-                        <p><strong>Total Payments:</strong> ₹${totalPaymentsAmount.toFixed(2)}</p>
-                        <h3 style="color: ${netPayable > 0 ? 'red' : 'green'};">Net Payable: ₹${netPayable.toFixed(2)}</h3>
+                        <p><strong>Opening Balance:</strong> ${formatRupees(previousDues, { decimals: 2 })}</p>
+                        <p><strong>Total Sales:</strong> ${formatRupees(totalSalesAmount, { decimals: 2 })}</p>
+                        <p><strong>Total Payments:</strong> ${formatRupees(totalPaymentsAmount, { decimals: 2 })}</p>
+                        <h3 style="color: ${netPayable > 0 ? 'red' : 'green'};">Net Payable: ${formatRupees(netPayable, { decimals: 2 })}</h3>
                     </div>
 
                     <h3>Sales History</h3>
@@ -202,9 +282,9 @@ const CustomerDetailScreen = () => {
                                 <tr>
                                     <td>${format(new Date(sale.sale_date), 'dd MMM')}</td>
                                     <td>${sale.product_name}</td>
-                                    <td>${sale.quantity}</td>
-                                    <td>${sale.price_per_unit}</td>
-                                    <td>${sale.total_amount.toFixed(2)}</td>
+                                    <td>${formatQuantity(sale.quantity, sale.product_unit)}</td>
+                                    <td>${toDecimalString(sale.price_per_unit)}</td>
+                                    <td>${toDecimalString(sale.total_amount)}</td>
                                 </tr>
                             `).join('')}
                         </tbody>
@@ -224,7 +304,7 @@ const CustomerDetailScreen = () => {
                                 <tr>
                                     <td>${format(new Date(p.payment_date), 'dd MMM')}</td>
                                     <td>${p.notes || '-'}</td>
-                                    <td>${p.amount_paid.toFixed(2)}</td>
+                                    <td>${toDecimalString(p.amount_paid)}</td>
                                 </tr>
                             `).join('')}
                         </tbody>
@@ -251,6 +331,41 @@ const CustomerDetailScreen = () => {
         }
     };
 
+    // One sale or payment, with what the customer owed right after it
+    const renderTimelineItem = ({ item }) => {
+        const isSale = item.kind === 'sale';
+        const tableName = isSale ? 'daily_sales' : 'payments';
+        const historyTitle = isSale ? 'Sale History' : 'Payment History';
+        return (
+            <View style={styles.timelineItem}>
+                <List.Item
+                    title={format(parseISO(item.date), 'dd MMM yyyy')}
+                    titleStyle={{ fontSize: 15 }}
+                    description={isSale ? `${item.productName} - ${formatQuantity(item.quantity, item.unit)}` : (item.notes ? `Note: ${item.notes}` : 'Payment Received')}
+                    onPress={() => openRecordActions(tableName, item.id, historyTitle)}
+                    onLongPress={() => openRecordHistory(tableName, item.id, historyTitle)}
+                    right={() => (
+                        <View style={styles.timelineAmounts}>
+                            <Text style={isSale ? styles.saleAmount : styles.paymentAmount}>
+                                {isSale ? '' : '- '}{formatRupees(item.amount)}
+                            </Text>
+                            <Text style={styles.runningBalance}>Due {formatRupees(item.balance)}</Text>
+                        </View>
+                    )}
+                    left={() => (
+                        <Icon 
+                            name={isSale ? 'water' : 'cash-check'} 
+                            size={24} 
+                            color={isSale ? theme.colors.primary : '#2e7d32'} 
+                            style={styles.listItemIcon} 
+                        />
+                    )}
+                />
+                <Divider />
+            </View>
+        );
+    };
+
     if (!customer) return <View style={styles.container}><Text style={{padding: 20}}>Loading...</Text></View>;
 
     const initials = customer.name.substring(0, 2).toUpperCase();
@@ -264,152 +379,137 @@ const CustomerDetailScreen = () => {
                 <Menu
                     visible={menuVisible}
                     onDismiss={() => setMenuVisible(false)}
-                    anchor={<IconButton icon="dots-vertical" iconColor="white" onPress={() => setMenuVisible(true)} />}
+                    anchor={<IconButton icon="dots-vertical" iconColor="white" accessibilityLabel="More options" onPress={() => setMenuVisible(true)} />}
                 >
                     <Menu.Item onPress={() => { setMenuVisible(false); navigation.navigate('Customers', { screen: 'AddEditCustomer', params: { customerId: customer.id } }); }} title="Edit Details" />
-                    <Menu.Item onPress={() => { setMenuVisible(false); handleDelete(); }} title="Delete Customer" titleStyle={{color: 'red'}} />
+                    <Menu.Item onPress={() => { setMenuVisible(false); navigation.navigate('Customers', { screen: 'AuditHistory', params: { customerId: customer.id, title: `History: ${customer.name}` } }); }} title="Change History" />
+                    <Menu.Item onPress={() => { setMenuVisible(false); navigation.navigate('Customers', { screen: 'StandingOrders', params: { customerId: customer.id } }); }} title="Standing Orders" />
+                    {customer.isActive === 0 ? (
+                        <Menu.Item onPress={() => { setMenuVisible(false); handleReactivate(); }} title="Reactivate Customer" />
+                    ) : (
+                        <Menu.Item onPress={() => { setMenuVisible(false); handleDelete(); }} title="Archive Customer" titleStyle={{color: 'red'}} />
+                    )}
+                    <Menu.Item onPress={() => { setMenuVisible(false); handlePurge(); }} title="Delete Permanently" titleStyle={{color: 'red'}} />
                 </Menu>
             </View>
 
-            <ScrollView contentContainerStyle={styles.scrollContent} showsVerticalScrollIndicator={false}>
-                
-                {/* Hero Profile Card */}
-                <Surface style={styles.heroCard} elevation={3}>
-                    <View style={styles.profileRow}>
-                        <Avatar.Text 
-                            size={64} 
-                            label={initials} 
-                            style={{ backgroundColor: theme.colors.primary }} 
-                            labelStyle={{fontSize: 24, fontWeight: 'bold'}}
-                        />
-                        <View style={styles.profileInfo}>
-                            <Text variant="titleLarge" style={styles.profileName}>{customer.name}</Text>
-                            <View style={styles.contactRow}>
-                                <Icon name="phone" size={14} color="#666" />
-                                <Text style={styles.profilePhone}>{customer.phone || "No Phone"}</Text>
+            <FlatList
+                data={timeline}
+                renderItem={renderTimelineItem}
+                keyExtractor={item => item.key}
+                onEndReached={loadMoreTimeline}
+                onEndReachedThreshold={0.5}
+                contentContainerStyle={styles.scrollContent}
+                showsVerticalScrollIndicator={false}
+                ListHeaderComponent={
+                    <>
+                        {/* Hero Profile Card */}
+                        <Surface style={styles.heroCard} elevation={3}>
+                            <View style={styles.profileRow}>
+                                <Avatar.Text 
+                                    size={64} 
+                                    label={initials} 
+                                    style={{ backgroundColor: theme.colors.primary }} 
+                                    labelStyle={{fontSize: 24, fontWeight: 'bold'}}
+                                />
+                                <View style={styles.profileInfo}>
+                                    <Text variant="titleLarge" style={styles.profileName}>{customer.name}</Text>
+                                    {customer.isActive === 0 && <Text style={styles.archivedLabel}>Archived</Text>}
+                                    <View style={styles.contactRow}>
+                                        <Icon name="phone" size={14} color="#666" />
+                                        <Text style={styles.profilePhone}>{customer.phone || "No Phone"}</Text>
+                                    </View>
+                                    <View style={styles.contactRow}>
+                                        <Icon name="map-marker" size={14} color="#666" />
+                                        <Text style={styles.profileAddress} numberOfLines={1}>{customer.address || "No Address"}</Text>
+                                    </View>
+                                </View>
+                                <View style={styles.dueContainer}>
+                                    <Text style={styles.dueLabel}>Total Due</Text>
+                                    <Text style={[styles.dueAmount, { color: totalDue > 0 ? '#d32f2f' : '#2e7d32' }]}>
+                                        {formatRupees(totalDue)}
+                                    </Text>
+                                </View>
                             </View>
-                            <View style={styles.contactRow}>
-                                <Icon name="map-marker" size={14} color="#666" />
-                                <Text style={styles.profileAddress} numberOfLines={1}>{customer.address || "No Address"}</Text>
-                            </View>
-                        </View>
-                        <View style={styles.dueContainer}>
-                            <Text style={styles.dueLabel}>Total Due</Text>
-                            <Text style={[styles.dueAmount, { color: totalDue > 0 ? '#d32f2f' : '#2e7d32' }]}>
-                                ₹{totalDue.toLocaleString()}
-                            </Text>
-                        </View>
-                    </View>
-                    
-                    <Divider style={{ marginVertical: 8 }} />
-                    
-                    <View style={styles.actionRow}>
-                        <Button icon="phone" mode="text" onPress={handleCall} compact>Call</Button>
-                        <Button icon="message-text" mode="text" onPress={handleMessage} compact>Message</Button>
-                    </View>
-                </Surface>
-
-                {/* Quick Actions Grid */}
-                <View style={styles.quickActionsContainer}>
-                    <Button 
-                        mode="contained" 
-                        icon="cash-plus" 
-                        onPress={() => setPaymentModalVisible(true)}
-                        style={styles.primaryActionBtn}
-                        contentStyle={{ height: 48 }}
-                    >
-                        Record Payment
-                    </Button>
-                    <View style={{flexDirection: 'row', marginTop: 10, justifyContent: 'space-between'}}>
-                        <Button 
-                            mode="outlined" 
-                            icon="package-variant" 
-                            onPress={() => navigation.navigate('Customers', { screen: 'ManageProducts', params: { customerId: customer.id } })}
-                            style={[styles.secondaryActionBtn, {marginRight: 8}]}
-                        >
-                            Products
-                        </Button>
-                        <Button 
-                            mode="outlined" 
-                            icon="file-document-outline" 
-                            onPress={() => { setBillModalVisible(true); handleBillFilterChange('currentMonth'); }}
-                            style={[styles.secondaryActionBtn, {marginLeft: 8}]}
-                        >
-                            Statement
-                        </Button>
-                    </View>
-                </View>
 
-                {/* Recent History Section */}
-                <View style={styles.sectionHeader}>
-                    <Text variant="titleMedium" style={styles.sectionTitle}>Assigned Products</Text>
-                </View>
-                <Card style={styles.card}>
-                    <Card.Content>
-                        {products.length > 0 ? products.map(p => (
-                            <View key={p.id} style={styles.productRow}>
-                                <Text style={styles.productName}>{p.name}</Text>
-                                <Text style={styles.productDetails}>{p.default_quantity} {p.unit} @ ₹{p.custom_price}</Text>
-                            </View>
-                        )) : <Text style={{color: '#888', fontStyle: 'italic'}}>No products assigned yet.</Text>}
-                    </Card.Content>
-                </Card>
+                            <Divider style={{ marginVertical: 8 }} />
 
+                            <View style={styles.actionRow}>
+                                <Button icon="phone" mode="text" onPress={handleCall} compact>Call</Button>
+                                <Button icon="message-text" mode="text" onPress={handleMessage} compact>Message</Button>
+                            </View>
+                        </Surface>
+
+                        {/* Quick Actions Grid */}
+                        <View style={styles.quickActionsContainer}>
+                            <Button 
+                                mode="contained" 
+                                icon="cash-plus" 
+                                onPress={() => setPaymentModalVisible(true)}
+                                style={styles.primaryActionBtn}
+                                contentStyle={{ height: 48 }}
+                            >
+                                Record Payment
+                            </Button>
+                            <View style={{flexDirection: 'row', marginTop: 10, justifyContent: 'space-between'}}>
+                                <Button 
+                                    mode="outlined" 
+                                    icon="package-variant" 
+                                    onPress={() => navigation.navigate('Customers', { screen: 'ManageProducts', params: { customerId: customer.id } })}
+                                    style={[styles.secondaryActionBtn, {marginRight: 8}]}
+                                >
+                                    Products
+                                </Button>
+                                <Button 
+                                    mode="outlined" 
+                                    icon="file-document-outline" 
+                                    onPress={() => { setBillModalVisible(true); handleBillFilterChange('currentMonth'); }}
+                                    style={[styles.secondaryActionBtn, {marginLeft: 8}]}
+                                >
+                                    Statement
+                                </Button>
+                            </View>
+                        </View>
 
-                <View style={styles.sectionHeader}>
-                    <Text variant="titleMedium" style={styles.sectionTitle}>Recent Payments (Last 30 Days)</Text>
-                </View>
-                <Card style={styles.card}>
-                    {payments.map((pay, index) => (
-                        <View key={pay.id}>
-                            <List.Item
-                                title={format(new Date(pay.payment_date), 'dd MMM yyyy')}
-                                titleStyle={{ fontSize: 15 }}
-                                description={pay.notes ? `Note: ${pay.notes}` : 'Payment Received'}
-                                right={() => <Text style={styles.paymentAmount}>- ₹{pay.amount_paid}</Text>}
-                                left={() => (
-                                    <Icon 
-                                        name="cash-check" 
-                                        size={24} 
-                                        color="#2e7d32" 
-                                        style={styles.listItemIcon} 
-                                    />
-                                )}
-                            />
-                            {index < payments.length - 1 && <Divider />}
+                        {/* Recent History Section */}
+                        <View style={styles.sectionHeader}>
+                            <Text variant="titleMedium" style={styles.sectionTitle}>Assigned Products</Text>
                         </View>
-                    ))}
-                    {payments.length === 0 && <Text style={styles.emptyText}>No recent payments.</Text>}
-                </Card>
-                
-                <View style={styles.sectionHeader}>
-                    <Text variant="titleMedium" style={styles.sectionTitle}>Recent Sales (Last 30 Days)</Text>
-                </View>
-                <Card style={styles.card}>
-                    {sales.map((sale, index) => (
-                        <View key={sale.id}>
-                            <List.Item
-                                title={format(new Date(sale.sale_date), 'dd MMM yyyy')}
-                                titleStyle={{ fontSize: 15 }}
-                                description={`${sale.product_name} - ${sale.quantity} unit(s)`}
-                                right={() => <Text style={styles.saleAmount}>₹{sale.total_amount}</Text>}
-                                left={() => (
-                                    <Icon 
-                                        name="water" 
-                                        size={24} 
-                                        color={theme.colors.primary} 
-                                        style={styles.listItemIcon} 
-                                    />
-                                )}
-                            />
-                            {index < sales.length - 1 && <Divider />}
+                        <Card style={styles.card}>
+                            <Card.Content>
+                                {products.length > 0 ? products.map(p => (
+                                    <View key={p.id} style={styles.productRow}>
+                                        <Text style={styles.productName}>{p.name}</Text>
+                                        <Text style={styles.productDetails}>{p.default_quantity} {p.unit} @ {formatRupees(p.custom_price)}</Text>
+                                    </View>
+                                )) : <Text style={{color: '#888', fontStyle: 'italic'}}>No products assigned yet.</Text>}
+                            </Card.Content>
+                        </Card>
+
+                        <View style={styles.timelineHeader}>
+                            <Text variant="titleMedium" style={styles.sectionTitle}>Transactions</Text>
+                            <Button compact icon="calendar-month" onPress={() => setShowJumpPicker(true)}>
+                                Jump to Month
+                            </Button>
                         </View>
-                    ))}
-                    {sales.length === 0 && <Text style={styles.emptyText}>No recent sales.</Text>}
-                </Card>
-
-
-            </ScrollView>
+                        {jumpMonth && (
+                            <Chip icon="calendar" onClose={() => setJumpMonth(null)} style={styles.jumpChip}>
+                                Up to {format(jumpMonth, 'MMM yyyy')}
+                            </Chip>
+                        )}
+                    </>
+                }
+                ListFooterComponent={loadingMore ? <ActivityIndicator style={styles.timelineFooter} /> : null}
+                ListEmptyComponent={<Text style={styles.emptyText}>No transactions{jumpMonth ? ` up to ${format(jumpMonth, 'MMM yyyy')}` : ' yet'}.</Text>}
+            />
+            {showJumpPicker && (
+                <DateTimePicker
+                    value={jumpMonth || new Date()}
+                    mode="date"
+                    maximumDate={new Date()}
+                    onChange={(e, date) => { setShowJumpPicker(false); if (date) setJumpMonth(date); }}
+                />
+            )}
 
             {/* --- Modals --- */}
 
@@ -543,6 +643,8 @@ const CustomerDetailScreen = () => {
                     }}
                 />
             )}
+
+            <UndoSnackbar item={undoItem} onDismiss={() => setUndoItem(null)} onRestored={loadData} />
         </View>
     );
 };
@@ -568,6 +670,7 @@ const styles = StyleSheet.create({
     profileRow: { flexDirection: 'row', alignItems: 'center' },
     profileInfo: { flex: 1, marginLeft: 16 },
     profileName: { fontWeight: 'bold', color: '#333' },
+    archivedLabel: { color: '#f57c00', fontSize: 12, fontWeight: 'bold', textTransform: 'uppercase' },
     contactRow: { flexDirection: 'row', alignItems: 'center', marginTop: 4 },
     profilePhone: { color: '#666', marginLeft: 6, fontSize: 14 },
     profileAddress: { color: '#666', marginLeft: 6, fontSize: 13, flex: 1 },
@@ -597,6 +700,14 @@ const styles = StyleSheet.create({
     paymentAmount: { fontSize: 15, fontWeight: 'bold', color: '#2e7d32', alignSelf: 'center' },
     emptyText: { padding: 16, textAlign: 'center', color: '#888', fontStyle: 'italic' },
 
+    // Timeline
+    timelineHeader: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', paddingHorizontal: 16, marginBottom: 8 },
+    jumpChip: { alignSelf: 'flex-start', marginHorizontal: 16, marginBottom: 8 },
+    timelineItem: { marginHorizontal: 16, backgroundColor: 'white' },
+    timelineAmounts: { alignItems: 'flex-end', justifyContent: 'center' },
+    runningBalance: { fontSize: 12, color: '#888', marginTop: 2 },
+    timelineFooter: { marginVertical: 16 },
+
     // Modals
     modalOverlay: { flex: 1, justifyContent: 'center', alignItems: 'center', backgroundColor: 'rgba(0,0,0,0.5)' },
     modalCard: { width: '90%', borderRadius: 12, backgroundColor: 'white' }, // Increased width slightly for filters
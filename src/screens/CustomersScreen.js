@@ -7,34 +7,32 @@ Description: List of customers with search, quick sales entry, and history view.
 */
 import React, { useState, useCallback, useLayoutEffect } from 'react';
 import { View, StyleSheet, FlatList, Alert, Modal, Platform, TouchableOpacity } from 'react-native';
-import { Text, Button, Card, Title, IconButton, useTheme, Divider, TextInput, Searchbar, FAB, Avatar, Surface } from 'react-native-paper';
+import { Text, Button, Card, Title, IconButton, useTheme, Divider, TextInput, Searchbar, FAB, Avatar, Surface, HelperText } from 'react-native-paper';
 import { useNavigation, useFocusEffect } from '@react-navigation/native';
-import { getSalesDataForDate, recordSale, updateSale, getCustomerProducts, getSaleForCustomerProductAndDate, getLastSevenDaysSalesForCustomer, getSalesForCustomer, getAllCustomers } from '../db/Database';
-import { format } from 'date-fns';
+import { getSalesDataForDate, recordSale, updateSale, getCustomerProducts, getSaleForCustomerProductAndDate, getDeliveryMatrix, getSalesForCustomer, getAllCustomers, getRateForDate } from '../db/Database';
+import { format, subDays } from 'date-fns';
 import DateTimePicker from '@react-native-community/datetimepicker';
 import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
+import { toPaise, toRupees } from '../utils/money';
+import { parseQuantity, formatQuantity } from '../utils/units';
 
-// Helper component for the status circles (Last 7 Days)
-const StatusCircles = ({ salesHistory }) => {
-    const dates = [];
-    for (let i = 0; i < 7; i++) {
-        const date = new Date();
-        date.setDate(date.getDate() - i);
-        dates.unshift(date); 
-    }
+// Days shown in the status circles, ending today
+const STATUS_DAYS = 7;
 
+// Helper component for the status circles (Last 7 Days)
+// dates: the window's calendar days, oldest first; deliveries: { [date]: quantity } for this customer
+const StatusCircles = ({ dates, deliveries }) => {
     return (
         <View style={styles_customers.statusRow}>
             <Text style={styles_customers.statusLabel}>Last 7 Days:</Text>
             <View style={styles_customers.circlesContainer}>
-                {dates.map((date, index) => {
-                    const dateString = format(date, 'yyyy-MM-dd');
-                    const hasSale = salesHistory.includes(dateString);
-                    const isToday = index === 6;
+                {dates.map((dateString, index) => {
+                    const hasSale = dateString in deliveries;
+                    const isToday = index === dates.length - 1;
                     
                     return (
                         <View 
-                            key={index} 
+                            key={dateString} 
                             style={[
                                 styles_customers.statusCircle, 
                                 { 
@@ -57,7 +55,7 @@ const CustomersScreen = () => {
     const [customers, setCustomers] = useState([]);
     const [filteredCustomers, setFilteredCustomers] = useState([]);
     const [searchQuery, setSearchQuery] = useState('');
-    const [salesHistoryMap, setSalesHistoryMap] = useState({});
+    const [deliveryMatrix, setDeliveryMatrix] = useState({ dates: [], byCustomer: {} });
 
     // Modal State
     const [modalVisible, setModalVisible] = useState(false);
@@ -76,13 +74,15 @@ const CustomersScreen = () => {
     }, [navigation]);
 
     const loadData = useCallback(() => {
-        const todayStr = format(new Date(), 'yyyy-MM-dd');
+        const today = new Date();
+        const todayStr = format(today, 'yyyy-MM-dd');
         
-        // Parallel Fetch: Get ALL customers AND Today's Sales
+        // Parallel Fetch: Get ALL customers, Today's Sales AND the status circle deliveries
         Promise.all([
             getAllCustomers(),           // Returns all active customers + default product name
-            getSalesDataForDate(todayStr) // Returns only customers with sales today
-        ]).then(([allCusts, todaysSales]) => {
+            getSalesDataForDate(todayStr), // Returns only customers with sales today
+            getDeliveryMatrix(format(subDays(today, STATUS_DAYS - 1), 'yyyy-MM-dd'), todayStr)
+        ]).then(([allCusts, todaysSales, matrix]) => {
             
             // Create a lookup map for today's sales
             const salesMap = {};
@@ -104,13 +104,7 @@ const CustomersScreen = () => {
 
             setCustomers(mergedList);
             setFilteredCustomers(mergedList); // Initial filter state is full list
-            
-            // Load history for all customers (can be optimized later if list is huge)
-            mergedList.forEach(c => {
-                getLastSevenDaysSalesForCustomer(c.customer_id).then(dates => {
-                    setSalesHistoryMap(prev => ({ ...prev, [c.customer_id]: dates }));
-                });
-            });
+            setDeliveryMatrix(matrix);
         });
     }, []);
 
@@ -137,19 +131,30 @@ const CustomersScreen = () => {
         // Auto-select first product or the one from the entry if editing
         let productToSelect = products.length > 0 ? products[0] : null;
         
-        setSelectedDate(new Date()); // Reset to today
+        const today = new Date();
+        setSelectedDate(today); // Reset to today
         
         if (products.length > 0) {
             // This will handle fetching logic for Quantity/Rate
-            await handleProductSelect(productToSelect, customerEntry.customer_id);
+            await handleProductSelect(productToSelect, customerEntry.customer_id, today);
         }
         
         setModalVisible(true);
     };
 
-    const handleProductSelect = async (product, custId) => {
+    // The rate in force on the entry's date, from the price history; the current price if none is recorded
+    const rateForDate = async (custId, product, dateStr) => {
+        const rate = await getRateForDate(custId, product.id, dateStr).catch(err => {
+            console.error("Error fetching rate for date, using current price:", err);
+            return null;
+        });
+        const paise = rate ?? product.custom_price;
+        return paise != null ? String(toRupees(paise)) : '';
+    };
+
+    const handleProductSelect = async (product, custId, date = selectedDate) => {
         setSelectedProduct(product);
-        const dateStr = format(selectedDate, 'yyyy-MM-dd');
+        const dateStr = format(date, 'yyyy-MM-dd');
         
         // 1. Check for existing sale for THIS date (Edit Mode)
         const sale = await getSaleForCustomerProductAndDate(custId, product.id, dateStr);
@@ -157,16 +162,16 @@ const CustomersScreen = () => {
         if (sale) {
             setExistingSale(sale);
             setQty(String(sale.quantity));
-            setSaleRate(String(sale.price_per_unit));
+            setSaleRate(String(toRupees(sale.price_per_unit)));
         } else {
             // 2. New Entry: Pre-populate logic
             setExistingSale(null);
             
             // Logic: 
             // Quantity -> From Last Recorded Sale (Historical habit)
-            // Rate -> From Current Product Configuration (Updates accordingly if rate changed globally/custom)
+            // Rate -> The price that applied on the chosen date (price history)
             
-            const currentEffectiveRate = String(product.custom_price || '');
+            const effectiveRate = await rateForDate(custId, product, dateStr);
             
             try {
                 // Fetch sales history to find last entry (search last 60 days)
@@ -194,8 +199,7 @@ const CustomersScreen = () => {
                 setQty(String(product.default_quantity || ''));
             }
 
-            // Always use current effective rate
-            setSaleRate(currentEffectiveRate);
+            setSaleRate(effectiveRate);
         }
     };
 
@@ -206,14 +210,25 @@ const CustomersScreen = () => {
         }
 
         const dateString = format(selectedDate, 'yyyy-MM-dd');
+        // "2 × 500 ml" is saved as 1 L; invalid rates are rejected by recordSale / updateSale with a readable message
+        let quantity;
+        try {
+            quantity = parseQuantity(qty, selectedProduct);
+        } catch (err) {
+            Alert.alert("Could Not Save", err.message);
+            return;
+        }
+        const ratePaise = toPaise(saleRate);
         const promise = existingSale
-            ? updateSale(existingSale.id, qty, saleRate, dateString)
-            : recordSale(selectedCustomer.customer_id, selectedProduct.id, qty, saleRate, dateString);
-
-        promise.then(() => {
-            setModalVisible(false);
-            loadData();
-        });
+            ? updateSale(existingSale.id, quantity, ratePaise, dateString)
+            : recordSale(selectedCustomer.customer_id, selectedProduct.id, quantity, ratePaise, dateString);
+
+        promise
+            .then(() => {
+                setModalVisible(false);
+                loadData();
+            })
+            .catch(err => Alert.alert("Could Not Save", err.message));
     };
 
     const handleDateChange = (event, date) => {
@@ -223,21 +238,37 @@ const CustomersScreen = () => {
             // Re-run logic for new date (might need to fetch existing sale or defaults)
             if (selectedCustomer && selectedProduct) {
                 const dateStr = format(date, 'yyyy-MM-dd');
-                getSaleForCustomerProductAndDate(selectedCustomer.customer_id, selectedProduct.id, dateStr).then(sale => {
+                getSaleForCustomerProductAndDate(selectedCustomer.customer_id, selectedProduct.id, dateStr).then(async sale => {
                     if (sale) {
                         setExistingSale(sale);
                         setQty(String(sale.quantity));
-                        setSaleRate(String(sale.price_per_unit));
+                        setSaleRate(String(toRupees(sale.price_per_unit)));
                     } else {
-                        // If switching to a date with NO sale, we keep the previously set values (which might be last entry defaults)
+                        // If switching to a date with NO sale, we keep the previously set quantity (which might be last entry defaults)
                         // This allows user to easily select "Yesterday" and have the "Last Entry" values ready to save.
+                        // The rate follows the date, since prices may have changed since then.
                         setExistingSale(null);
+                        setSaleRate(await rateForDate(selectedCustomer.customer_id, selectedProduct, dateStr));
                     }
                 });
             }
         }
     };
 
+    // Under the quantity field: what the typed quantity will be saved as, or how it can be typed
+    const quantityHint = () => {
+        if (!selectedProduct) return '';
+        const packHint = selectedProduct.pack_size
+            ? `Pack: ${formatQuantity(selectedProduct.pack_size, selectedProduct.unit)}. Type e.g. "2 packs" or "2 × ${formatQuantity(selectedProduct.pack_size, selectedProduct.unit)}".`
+            : '';
+        if (!qty.trim() || !isNaN(Number(qty))) return packHint;
+        try {
+            return `= ${parseQuantity(qty, selectedProduct)} ${selectedProduct.unit}`;
+        } catch (err) {
+            return err.message;
+        }
+    };
+
     const navigateToDetail = (customer) => {
         // We need the ID. customer_id comes from the join query.
         navigation.navigate('Customers', { 
@@ -299,7 +330,7 @@ const CustomersScreen = () => {
                     <Divider style={{ marginVertical: 12 }} />
 
                     {/* Footer: History */}
-                    <StatusCircles salesHistory={salesHistoryMap[item.customer_id] || []} />
+                    <StatusCircles dates={deliveryMatrix.dates} deliveries={deliveryMatrix.byCustomer[item.customer_id] || {}} />
 
                 </Card.Content>
             </Card>
@@ -310,7 +341,27 @@ const CustomersScreen = () => {
         <View style={styles_customers.container}>
             {/* Custom Header with Search */}
             <View style={[styles_customers.headerBg, { backgroundColor: theme.colors.primary }]}>
-                <Text style={styles_customers.headerTitle}>My Customers</Text>
+                <View style={styles_customers.headerTitleRow}>
+                    <Text style={styles_customers.headerTitle}>My Customers</Text>
+                    <View style={styles_customers.headerIcons}>
+                        <IconButton
+                            icon="archive-outline"
+                            iconColor="white"
+                            size={24}
+                            accessibilityLabel="Archived customers"
+                            onPress={() => navigation.navigate('Customers', { screen: 'ArchivedCustomers' })}
+                            style={styles_customers.headerIcon}
+                        />
+                        <IconButton
+                            icon="file-import"
+                            iconColor="white"
+                            size={24}
+                            accessibilityLabel="Import customers from CSV"
+                            onPress={() => navigation.navigate('Customers', { screen: 'ImportCustomers' })}
+                            style={styles_customers.headerIcon}
+                        />
+                    </View>
+                </View>
                 <Searchbar
                     placeholder="Search customers..."
                     onChangeText={onChangeSearch}
@@ -373,13 +424,12 @@ const CustomersScreen = () => {
                                     label={`Qty (${selectedProduct?.unit || ''})`}
                                     value={qty}
                                     onChangeText={setQty}
-                                    keyboardType="numeric"
                                     style={[styles_customers.input, { flex: 1, marginRight: 8 }]}
                                     mode="outlined"
                                     dense
                                 />
                                 <TextInput
-                                    label="Rate (₹)"
+                                    label={selectedProduct ? `Rate (₹ per ${selectedProduct.unit})` : 'Rate (₹)'}
                                     value={saleRate}
                                     onChangeText={setSaleRate}
                                     keyboardType="numeric"
@@ -388,6 +438,7 @@ const CustomersScreen = () => {
                                     dense
                                 />
                             </View>
+                            <HelperText type="info" visible={!!quantityHint()}>{quantityHint()}</HelperText>
 
                             <Button mode="contained" onPress={handleSave} style={{ marginTop: 16 }}>
                                 Save Entry
@@ -422,6 +473,9 @@ const styles_customers = StyleSheet.create({
         marginBottom: 10,
         elevation: 4
     },
+    headerTitleRow: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'flex-start' },
+    headerIcons: { flexDirection: 'row' },
+    headerIcon: { margin: 0, marginTop: -6 },
     headerTitle: {
         fontSize: 22,
         fontWeight: 'bold',
@@ -7,13 +7,17 @@ Description: Main Dashboard.
 */
 import React, { useState, useCallback, useLayoutEffect } from 'react';
 import { View, StyleSheet, ScrollView, Alert, TouchableOpacity, RefreshControl, Dimensions } from 'react-native';
-import { Text, Card, Title, List, Divider, Button, Surface, IconButton, Avatar, useTheme, ProgressBar } from 'react-native-paper';
+import { Text, Card, Title, List, Divider, Button, Surface, IconButton, Avatar, useTheme, ProgressBar, Menu } from 'react-native-paper';
 import { useFocusEffect, useNavigation } from '@react-navigation/native';
-import { getTotalSalesForPeriod, getCustomerDues, getAllDataForBackup, getTotalExpensesForPeriod } from '../db/Database';
+import { getTotalSalesForPeriod, getCustomerDues, getTotalExpensesForPeriod, getStockForDate } from '../db/Database';
+import { writeBackupFile, getBackupStatus, prepareBackupForSharing } from '../utils/backupFiles';
+import PassphraseModal from '../components/PassphraseModal';
+import { useProfiles } from '../components/ProfileContext';
 import { format, startOfMonth, endOfMonth, subMonths } from 'date-fns';
 import * as Sharing from 'expo-sharing';
-import * as FileSystem from 'expo-file-system/legacy';
 import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
+import { formatRupees } from '../utils/money';
+import { formatQuantity } from '../utils/units';
 
 const { width } = Dimensions.get('window');
 
@@ -26,13 +30,13 @@ const ActionButton = ({ icon, label, onPress, color }) => (
     </TouchableOpacity>
 );
 
-const formatCurrency = (amount) => {
-    return '₹' + amount.toLocaleString('en-IN', { minimumFractionDigits: 0, maximumFractionDigits: 0 });
-};
+// Summary cards show whole rupees
+const formatCurrency = (paise) => formatRupees(paise, { decimals: 0 });
 
 const DashboardScreen = () => {
     const navigation = useNavigation();
     const theme = useTheme();
+    const { activeProfile } = useProfiles();
     
     // Original State
     const [todaySales, setTodaySales] = useState(0);
@@ -44,7 +48,13 @@ const DashboardScreen = () => {
     const [lastStats, setLastStats] = useState({ sales: 0, expenses: 0, profit: 0, label: '' });
     const [last2Stats, setLast2Stats] = useState({ sales: 0, expenses: 0, profit: 0, label: '' });
     
+    const [backupStatus, setBackupStatus] = useState(null);
+    // Products that sold more today than they had in stock
+    const [stockShortages, setStockShortages] = useState([]);
+    const [shareUri, setShareUri] = useState(null);
+    const [sharing, setSharing] = useState(false);
     const [refreshing, setRefreshing] = useState(false);
+    const [menuVisible, setMenuVisible] = useState(false);
 
     // Completely remove the default "Dashboard" header to save space
     useLayoutEffect(() => {
@@ -88,14 +98,18 @@ const DashboardScreen = () => {
                 mExpenses,      // 3. This Month Expenses
                 allDues,        // 4. All Customer Dues
                 lastMonthData,  // 5. Last Month Stats
-                last2MonthData  // 6. Month Before Last Stats
+                last2MonthData, // 6. Month Before Last Stats
+                lastBackup,     // 7. Newest stored backup
+                todayStock      // 8. Today's stock ledger
             ] = await Promise.all([
                 getTotalSalesForPeriod(todayString, todayString),
                 getTotalSalesForPeriod(startOfMonthString, todayString),
                 getTotalExpensesForPeriod(startOfMonthString, todayString),
                 getCustomerDues(),
                 fetchPreviousMonthStats(1),
-                fetchPreviousMonthStats(2)
+                fetchPreviousMonthStats(2),
+                getBackupStatus(),
+                getStockForDate(todayString)
             ]);
 
             // Update all states at once
@@ -105,6 +119,8 @@ const DashboardScreen = () => {
             setCustomerDues(allDues.filter(d => d.total_due > 0));
             setLastStats(lastMonthData);
             setLast2Stats(last2MonthData);
+            setBackupStatus(lastBackup);
+            setStockShortages(todayStock.filter(item => item.shortfall > 0));
 
         } catch (err) {
             console.error("Error loading dashboard data:", err);
@@ -123,20 +139,33 @@ const DashboardScreen = () => {
         }, [loadReports])
     );
 
+    // Saves a backup, then asks whether to encrypt the copy that gets shared
     const handleBackup = async () => {
         try {
-            const data = await getAllDataForBackup();
-            const fileUri = FileSystem.documentDirectory + `milkwala_backup_${data.backupDate}.json`;
-            await FileSystem.writeAsStringAsync(fileUri, JSON.stringify(data), { encoding: 'utf8' });
-            
+            const fileUri = await writeBackupFile('backup');
+            setBackupStatus(await getBackupStatus());
+            setShareUri(fileUri);
+        } catch (error) {
+            Alert.alert("Error", "Failed to create backup");
+            console.error(error);
+        }
+    };
+
+    const shareBackup = async (passphrase) => {
+        setSharing(true);
+        try {
             if (!(await Sharing.isAvailableAsync())) {
                 Alert.alert("Error", "Sharing is not available on this device");
                 return;
             }
-            await Sharing.shareAsync(fileUri);
+            const uri = await prepareBackupForSharing(shareUri, passphrase);
+            setShareUri(null);
+            await Sharing.shareAsync(uri);
         } catch (error) {
-            Alert.alert("Error", "Failed to create backup");
+            Alert.alert("Error", "Failed to share backup");
             console.error(error);
+        } finally {
+            setSharing(false);
         }
     };
 
@@ -184,9 +213,39 @@ const DashboardScreen = () => {
                 <View style={styles.headerContent}>
                     <View>
                         <Text style={styles.headerTitle}>Milkwala Vendor</Text>
+                        {activeProfile && (
+                            <TouchableOpacity style={styles.profileRow} onPress={() => navigation.navigate('Profiles')} accessibilityLabel="Switch business">
+                                <Icon name="store" size={14} color="white" />
+                                <Text style={styles.profileName} numberOfLines={1}>{activeProfile.name}</Text>
+                                <Icon name="chevron-down" size={16} color="white" />
+                            </TouchableOpacity>
+                        )}
                         <Text style={styles.headerDate}>{format(new Date(), 'EEEE, dd MMMM')}</Text>
                     </View>
-                    <IconButton icon="cog" iconColor="white" onPress={() => navigation.navigate('ManageGlobalProducts')} />
+                    <View style={styles.headerActions}>
+                        <IconButton icon="warehouse" iconColor="white" accessibilityLabel="Milk stock" onPress={() => navigation.navigate('Stock')} />
+                        {/* Less used screens go in the overflow menu so the header keeps room for the title */}
+                        <Menu
+                            visible={menuVisible}
+                            onDismiss={() => setMenuVisible(false)}
+                            anchor={<IconButton icon="dots-vertical" iconColor="white" accessibilityLabel="More options" onPress={() => setMenuVisible(true)} />}
+                        >
+                            {[
+                                { title: 'Suppliers', icon: 'truck-delivery', screen: 'Suppliers' },
+                                { title: 'Product Inventory', icon: 'cog', screen: 'ManageGlobalProducts' },
+                                { title: 'Backups', icon: 'backup-restore', screen: 'Backups' },
+                                { title: 'Recycle Bin', icon: 'delete-restore', screen: 'RecycleBin' },
+                                { title: 'Check Data', icon: 'database-check', screen: 'DataCheck' },
+                            ].map(item => (
+                                <Menu.Item
+                                    key={item.screen}
+                                    leadingIcon={item.icon}
+                                    title={item.title}
+                                    onPress={() => { setMenuVisible(false); navigation.navigate(item.screen); }}
+                                />
+                            ))}
+                        </Menu>
+                    </View>
                 </View>
             </View>
 
@@ -225,6 +284,12 @@ const DashboardScreen = () => {
                             color="#2e7d32" 
                             onPress={() => navigation.navigate('Customers')} 
                         />
+                        <ActionButton 
+                            icon="cow" 
+                            label="Milk Collection" 
+                            color="#6d4c41" 
+                            onPress={() => navigation.navigate('MilkCollection')} 
+                        />
                         <ActionButton 
                             icon="cash-minus" 
                             label="Add Expense" 
@@ -240,6 +305,34 @@ const DashboardScreen = () => {
                     </View>
                 </View>
 
+                {/* Backup Reminder */}
+                {backupStatus && (
+                    <TouchableOpacity style={styles.sectionContainer} onPress={() => navigation.navigate('Backups')}>
+                        <Surface style={[styles.backupStatus, backupStatus.isStale && styles.backupStatusStale]} elevation={1}>
+                            <Icon name={backupStatus.isStale ? 'alert-circle' : 'cloud-check'} size={20} color={backupStatus.isStale ? '#d32f2f' : '#2e7d32'} />
+                            <Text style={[styles.backupStatusText, backupStatus.isStale && { color: '#d32f2f' }]}>
+                                {backupStatus.lastBackupAt === null
+                                    ? 'No backup yet - tap to back up now'
+                                    : `Last backup: ${backupStatus.daysAgo === 0 ? 'today' : `${backupStatus.daysAgo} day${backupStatus.daysAgo === 1 ? '' : 's'} ago`}`}
+                            </Text>
+                            <Icon name="chevron-right" size={20} color="#999" />
+                        </Surface>
+                    </TouchableOpacity>
+                )}
+
+                {/* Stock Variance Alert */}
+                {stockShortages.length > 0 && (
+                    <TouchableOpacity style={styles.sectionContainer} onPress={() => navigation.navigate('Stock')}>
+                        <Surface style={[styles.backupStatus, styles.backupStatusStale]} elevation={1}>
+                            <Icon name="alert-circle" size={20} color="#d32f2f" />
+                            <Text style={[styles.backupStatusText, { color: '#d32f2f' }]}>
+                                {`Sold more than in stock today: ${stockShortages.map(item => `${item.name} (${formatQuantity(item.shortfall, item.unit)} short)`).join(', ')}`}
+                            </Text>
+                            <Icon name="chevron-right" size={20} color="#999" />
+                        </Surface>
+                    </TouchableOpacity>
+                )}
+
                 {/* Month Overview Section */}
                 <View style={styles.sectionContainer}>
                     <Text style={styles.sectionTitle}>This Month's Health</Text>
@@ -302,7 +395,7 @@ const DashboardScreen = () => {
                                     <List.Item
                                         title={due.name}
                                         titleStyle={{ fontWeight: '500', fontSize: 15 }}
-                                        description="Pending Amount"
+                                        description={due.isActive ? "Pending Amount" : "Pending Amount (Archived)"}
                                         descriptionStyle={{ fontSize: 12, color: '#888' }}
                                         left={props => (
                                             <Avatar.Text 
@@ -327,6 +420,15 @@ const DashboardScreen = () => {
                 </View>
 
             </ScrollView>
+
+            <PassphraseModal
+                visible={!!shareUri}
+                mode="encrypt"
+                busy={sharing}
+                onSubmit={shareBackup}
+                onSkip={() => shareBackup(null)}
+                onDismiss={() => setShareUri(null)}
+            />
         </View>
     );
 };
@@ -341,8 +443,11 @@ const styles = StyleSheet.create({
         borderBottomRightRadius: 20,
     },
     headerContent: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' },
+    headerActions: { flexDirection: 'row' },
     headerTitle: { fontSize: 20, fontWeight: 'bold', color: 'white', letterSpacing: 0.5 },
     headerDate: { color: 'rgba(255,255,255,0.9)', fontSize: 12, marginTop: 4, fontWeight: '500' },
+    profileRow: { flexDirection: 'row', alignItems: 'center', marginTop: 4 },
+    profileName: { color: 'white', fontSize: 14, fontWeight: 'bold', marginHorizontal: 4, maxWidth: width * 0.4 },
     scrollContent: { paddingBottom: 30 },
     
     // Hero Card
@@ -371,17 +476,22 @@ const styles = StyleSheet.create({
 
     // Quick Actions
     actionRow: { flexDirection: 'row', justifyContent: 'space-between', paddingHorizontal: 4 },
-    actionBtn: { alignItems: 'center', width: '22%' },
+    actionBtn: { alignItems: 'center', width: '19%' },
     actionIconContainer: {
-        width: 60,
-        height: 60,
-        borderRadius: 30,
+        width: 56,
+        height: 56,
+        borderRadius: 28,
         justifyContent: 'center', 
         alignItems: 'center', 
         marginBottom: 8,
     },
     actionLabel: { fontSize: 11, color: '#444', textAlign: 'center', fontWeight: '500' },
 
+    // Backup Reminder
+    backupStatus: { flexDirection: 'row', alignItems: 'center', backgroundColor: 'white', borderRadius: 12, padding: 12, marginTop: -8 },
+    backupStatusStale: { backgroundColor: '#ffebee' },
+    backupStatusText: { flex: 1, marginLeft: 10, fontSize: 13, color: '#444', fontWeight: '500' },
+
     // Month Overview Card
     monthCard: {
         borderRadius: 16,
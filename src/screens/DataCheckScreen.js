@@ -0,0 +1,123 @@
+/*
+================================================================================
+File: src/screens/DataCheckScreen.js
+Description: Runs the data integrity checks over the whole database, lists each
+problem found, fixes the ones with a clear repair and shares a report of all.
+================================================================================
+*/
+import React, { useState, useCallback } from 'react';
+import { View, StyleSheet, FlatList, Alert } from 'react-native';
+import { Text, Button, Card, Title, List, Divider, ActivityIndicator } from 'react-native-paper';
+import { useFocusEffect } from '@react-navigation/native';
+import * as Sharing from 'expo-sharing';
+import { runIntegrityChecks, fixIntegrityIssues } from '../db/Database';
+import { exportIntegrityReport } from '../utils/integrityReport';
+
+const DataCheckScreen = () => {
+    const [issues, setIssues] = useState(null);
+    const [busy, setBusy] = useState(false);
+
+    const runChecks = useCallback(() => {
+        setBusy(true);
+        runIntegrityChecks()
+            .then(setIssues)
+            .catch(err => {
+                Alert.alert("Error", "Could not check the data.");
+                console.error(err);
+            })
+            .finally(() => setBusy(false));
+    }, []);
+
+    useFocusEffect(runChecks);
+
+    const fixableIssues = (issues || []).filter(issue => issue.fixLabel);
+
+    const handleFix = async (toFix) => {
+        setBusy(true);
+        try {
+            const fixed = await fixIntegrityIssues(toFix);
+            Alert.alert("Fixed", `${fixed} problem${fixed === 1 ? '' : 's'} fixed.`);
+        } catch (error) {
+            Alert.alert("Error", "Could not apply the fix. Nothing was changed.");
+            console.error(error);
+        }
+        runChecks();
+    };
+
+    const handleExport = async () => {
+        try {
+            if (!(await Sharing.isAvailableAsync())) {
+                Alert.alert("Error", "Sharing is not available on this device");
+                return;
+            }
+            const uri = await exportIntegrityReport(issues);
+            await Sharing.shareAsync(uri, { mimeType: 'text/csv', dialogTitle: 'Data Check Report' });
+        } catch (error) {
+            Alert.alert("Error", "Could not export the report.");
+            console.error(error);
+        }
+    };
+
+    const renderItem = ({ item }) => (
+        <>
+            <List.Item
+                title={item.title}
+                description={item.message}
+                descriptionNumberOfLines={4}
+                left={props => <List.Icon {...props} icon={item.fixLabel ? 'wrench' : 'alert-circle'} color={item.fixLabel ? '#f57c00' : '#d32f2f'} />}
+            />
+            {item.fixLabel && (
+                <Button mode="text" compact onPress={() => handleFix([item])} disabled={busy} style={styles.fixButton}>
+                    {item.fixLabel}
+                </Button>
+            )}
+            <Divider />
+        </>
+    );
+
+    const summary = issues === null
+        ? 'Checking...'
+        : issues.length === 0
+            ? 'No problems found.'
+            : `${issues.length} problem${issues.length === 1 ? '' : 's'} found, ${fixableIssues.length} with an automatic fix.`;
+
+    return (
+        <View style={styles.container}>
+            <Card style={styles.card}>
+                <Card.Content>
+                    <Title>Check Data</Title>
+                    <Text style={styles.helpText}>
+                        Looks for sales and payments of missing customers or products, invalid quantities, sale totals that do not match quantity x rate and stored balances that have drifted from the history.
+                    </Text>
+                    <Text style={styles.summary}>{summary}</Text>
+                    {busy && <ActivityIndicator style={styles.button} />}
+                    <View style={styles.buttonRow}>
+                        <Button mode="contained" icon="wrench" onPress={() => handleFix(fixableIssues)} disabled={busy || fixableIssues.length === 0} style={styles.button}>
+                            Fix All
+                        </Button>
+                        <Button mode="outlined" icon="file-export" onPress={handleExport} disabled={busy || !issues || issues.length === 0} style={styles.button}>
+                            Export Report
+                        </Button>
+                    </View>
+                </Card.Content>
+            </Card>
+            <FlatList
+                data={issues || []}
+                renderItem={renderItem}
+                keyExtractor={item => item.id}
+            />
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: { flex: 1 },
+    card: { margin: 8 },
+    helpText: { color: '#666', marginTop: 4 },
+    summary: { marginTop: 10, fontWeight: 'bold' },
+    buttonRow: { flexDirection: 'row', marginTop: 4 },
+    button: { flex: 1, marginTop: 8, marginRight: 8 },
+    fixButton: { alignSelf: 'flex-end', marginRight: 8, marginBottom: 4 },
+});
+
+export default DataCheckScreen;
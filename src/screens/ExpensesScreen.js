@@ -11,16 +11,21 @@ import { Text, Card, Button, TextInput, FAB, useTheme, IconButton, Chip, Surface
 import { useNavigation, useFocusEffect } from '@react-navigation/native';
 import { format, startOfMonth, endOfMonth } from 'date-fns';
 import DateTimePicker from '@react-native-community/datetimepicker';
-import { addExpense, getExpensesForPeriod, deleteExpense, updateExpense, getUniqueCategories } from '../db/Database'; 
+import { addExpense, getExpensesForPeriod, getTotalExpensesForPeriod, deleteExpense, updateExpense, getUniqueCategories } from '../db/Database'; 
 import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
+import UndoSnackbar from '../components/UndoSnackbar';
+import { toPaise, toRupees, formatRupees } from '../utils/money';
 
-const DEFAULT_CATEGORIES = ['Cattle feed', 'Borrowed Milk from Dairy', 'Other'];
+// Milk bought from the dairy is recorded as a supplier purchase, which counts as an expense
+const DEFAULT_CATEGORIES = ['Cattle feed', 'Other'];
 
 const ExpensesScreen = () => {
     const theme = useTheme();
     const navigation = useNavigation();
     const [expenses, setExpenses] = useState([]);
     const [totalAmount, setTotalAmount] = useState(0);
+    // Supplier purchases and farmer collections in the month; they count towards the total like on the Dashboard
+    const [milkBoughtAmount, setMilkBoughtAmount] = useState(0);
     const [availableCategories, setAvailableCategories] = useState(DEFAULT_CATEGORIES);
     
     // Date Filter State
@@ -36,6 +41,7 @@ const ExpensesScreen = () => {
     const [selectedDate, setSelectedDate] = useState(new Date());
     const [showDatePicker, setShowDatePicker] = useState(false);
     const [editingId, setEditingId] = useState(null); // ID of expense being edited
+    const [undoItem, setUndoItem] = useState(null); // Last deleted expense, for the Undo snackbar
 
     // Hide default header
     useLayoutEffect(() => {
@@ -47,11 +53,12 @@ const ExpensesScreen = () => {
         const end = format(endOfMonth(currentDate), 'yyyy-MM-dd');
 
         // Load Expenses
-        getExpensesForPeriod(start, end).then(data => {
+        Promise.all([getExpensesForPeriod(start, end), getTotalExpensesForPeriod(start, end)]).then(([data, total]) => {
             const sorted = data.sort((a, b) => new Date(b.expense_date) - new Date(a.expense_date));
             setExpenses(sorted);
-            const total = sorted.reduce((sum, item) => sum + item.amount, 0);
+            const expensesTotal = sorted.reduce((sum, item) => sum + item.amount, 0);
             setTotalAmount(total);
+            setMilkBoughtAmount(total - expensesTotal);
         });
 
         // Load Unique Categories from DB to populate options
@@ -67,7 +74,7 @@ const ExpensesScreen = () => {
         if (expense) {
             // Edit Mode
             setEditingId(expense.id);
-            setAmount(String(expense.amount));
+            setAmount(String(toRupees(expense.amount)));
             setNote(expense.note || '');
             setSelectedDate(new Date(expense.expense_date));
             
@@ -93,7 +100,7 @@ const ExpensesScreen = () => {
     };
 
     const handleSave = () => {
-        if (!amount) {
+        if (!amount || isNaN(toPaise(amount))) {
             Alert.alert('Error', 'Please enter an amount');
             return;
         }
@@ -106,7 +113,7 @@ console.log("saving expenses... editingId: "+editingId)
 
         const payload = {
             id: editingId,
-            amount: parseFloat(amount),
+            amount: toPaise(amount),
             category: categoryToSave,
             note: note,
             date: format(selectedDate, 'yyyy-MM-dd')
@@ -121,13 +128,17 @@ console.log("saving expenses... editingId: "+editingId)
         });
     };
 
+    // Deleted expenses go to the recycle bin, so no confirmation - the snackbar offers Undo instead
     const handleDelete = (id) => {
-        Alert.alert("Delete Expense", "Are you sure?", [
-            { text: "Cancel", style: "cancel" },
-            { text: "Delete", style: "destructive", onPress: () => {
-                deleteExpense(id).then(loadData);
-            }}
-        ]);
+        deleteExpense(id)
+            .then(binId => {
+                setUndoItem({ binId, message: "Expense deleted" });
+                loadData();
+            })
+            .catch(err => {
+                Alert.alert("Error", "Could not delete expense.");
+                console.error(err);
+            });
     };
 
     const changeMonth = (direction) => {
@@ -152,7 +163,7 @@ console.log("saving expenses... editingId: "+editingId)
                     </Text>
                 </View>
                 <View style={{alignItems: 'flex-end'}}>
-                    <Text style={styles.amountText}>-₹{item.amount.toFixed(0)}</Text>
+                    <Text style={styles.amountText}>-{formatRupees(item.amount)}</Text>
                     <TouchableOpacity onPress={() => handleDelete(item.id)} hitSlop={{top: 10, bottom: 10, left: 10, right: 10}}>
                         <Icon name="trash-can-outline" size={20} color="#bbb" style={{marginTop: 4}} />
                     </TouchableOpacity>
@@ -180,7 +191,10 @@ console.log("saving expenses... editingId: "+editingId)
                     </View>
                     <View>
                         <Text style={styles.totalLabel}>Total Spend</Text>
-                        <Text style={styles.totalValue}>₹{totalAmount.toLocaleString()}</Text>
+                        <Text style={styles.totalValue}>{formatRupees(totalAmount)}</Text>
+                        {milkBoughtAmount > 0 && (
+                            <Text style={styles.totalNote}>incl. {formatRupees(milkBoughtAmount)} milk bought</Text>
+                        )}
                     </View>
                 </View>
             </View>
@@ -213,10 +227,33 @@ console.log("saving expenses... editingId: "+editingId)
                     <Card style={styles.modalCard}>
                         <View style={styles.modalHeader}>
                             <Text style={styles.modalTitle}>{editingId ? 'Edit Expense' : 'New Expense'}</Text>
-                            <IconButton icon="close" size={20} onPress={() => setModalVisible(false)} />
+                            <View style={{flexDirection: 'row'}}>
+                                {editingId && (
+                                    <IconButton 
+                                        icon="history" 
+                                        size={20} 
+                                        accessibilityLabel="Expense history"
+                                        onPress={() => {
+                                            setModalVisible(false);
+                                            navigation.navigate('Dashboard', { screen: 'AuditHistory', params: { tableName: 'expenses', recordId: editingId, title: 'Expense History' } });
+                                        }} 
+                                    />
+                                )}
+                                <IconButton icon="close" size={20} onPress={() => setModalVisible(false)} />
+                            </View>
                         </View>
                         <Divider />
                         <Card.Content style={{paddingTop: 16}}>
+                            {!editingId && (
+                                <TouchableOpacity
+                                    onPress={() => {
+                                        setModalVisible(false);
+                                        navigation.navigate('Dashboard', { screen: 'Suppliers' });
+                                    }}
+                                >
+                                    <Text style={styles.supplierHint}>Bought milk from the dairy? Record it as a supplier purchase instead.</Text>
+                                </TouchableOpacity>
+                            )}
                             
                             {/* Amount & Date */}
                             <View style={styles.inputRow}>
@@ -308,6 +345,8 @@ console.log("saving expenses... editingId: "+editingId)
                     onChange={(e, date) => { setShowDatePicker(false); if(date) setSelectedDate(date); }}
                 />
             )}
+
+            <UndoSnackbar item={undoItem} onDismiss={() => setUndoItem(null)} onRestored={loadData} />
         </View>
     );
 };
@@ -338,6 +377,7 @@ const styles = StyleSheet.create({
     monthText: { color: 'white', fontSize: 16, fontWeight: '500', minWidth: 100, textAlign: 'center' },
     totalLabel: { color: 'rgba(255,255,255,0.8)', fontSize: 12, textAlign: 'right' },
     totalValue: { color: 'white', fontSize: 24, fontWeight: 'bold', textAlign: 'right' },
+    totalNote: { color: 'rgba(255,255,255,0.8)', fontSize: 11, textAlign: 'right' },
 
     // List
     listContent: { padding: 16, paddingBottom: 80 },
@@ -369,6 +409,7 @@ const styles = StyleSheet.create({
     modalCard: { width: '90%', borderRadius: 16, backgroundColor: 'white', paddingBottom: 16 },
     modalHeader: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', padding: 16 },
     modalTitle: { fontSize: 18, fontWeight: 'bold' },
+    supplierHint: { color: '#0066cc', fontSize: 12, marginBottom: 12 },
     
     inputRow: { flexDirection: 'row', alignItems: 'center', marginBottom: 16 },
     input: { marginBottom: 16, backgroundColor: 'white' },
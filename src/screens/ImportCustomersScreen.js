@@ -0,0 +1,178 @@
+/*
+================================================================================
+File: src/screens/ImportCustomersScreen.js
+Description: Bulk import of customers and their product assignments from a CSV
+file - pick the file, map its columns, review every row, then import.
+================================================================================
+*/
+import React, { useState, useMemo } from 'react';
+import { View, StyleSheet, ScrollView, Alert } from 'react-native';
+import { Text, Button, Card, Title, Chip, Divider, List, ActivityIndicator } from 'react-native-paper';
+import { useNavigation } from '@react-navigation/native';
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system/legacy';
+import { getAllProducts, importCustomersWithProducts } from '../db/Database';
+import { parseCsv } from '../utils/csv';
+import { IMPORT_FIELDS, guessColumnMapping, buildImportPreview, groupImportRows } from '../utils/customerImport';
+import { formatRupees } from '../utils/money';
+
+const ImportCustomersScreen = () => {
+    const navigation = useNavigation();
+    const [fileName, setFileName] = useState('');
+    const [headers, setHeaders] = useState([]);
+    const [dataRows, setDataRows] = useState([]);
+    const [mapping, setMapping] = useState(null);
+    const [products, setProducts] = useState([]);
+    const [importing, setImporting] = useState(false);
+
+    const preview = useMemo(
+        () => (mapping ? buildImportPreview(dataRows, mapping, products) : []),
+        [dataRows, mapping, products]
+    );
+    const validCount = preview.filter(row => row.errors.length === 0).length;
+    const errorCount = preview.length - validCount;
+
+    const handlePickFile = async () => {
+        try {
+            const result = await DocumentPicker.getDocumentAsync({
+                type: ['text/csv', 'text/comma-separated-values', 'text/plain', '*/*'],
+                copyToCacheDirectory: true,
+            });
+            if (result.canceled || !result.assets?.length) return;
+
+            const asset = result.assets[0];
+            const content = await FileSystem.readAsStringAsync(asset.uri, { encoding: 'utf8' });
+            const [headerRow, ...rows] = parseCsv(content);
+            if (!headerRow || rows.length === 0) {
+                Alert.alert("Empty File", "The file needs a header row and at least one customer row.");
+                return;
+            }
+
+            setProducts(await getAllProducts());
+            setFileName(asset.name);
+            setHeaders(headerRow.map(h => h.trim()));
+            setDataRows(rows);
+            setMapping(guessColumnMapping(headerRow));
+        } catch (error) {
+            Alert.alert("Error", "Could not read the CSV file.");
+            console.error(error);
+        }
+    };
+
+    const handleMap = (fieldKey, index) => {
+        setMapping(prev => ({ ...prev, [fieldKey]: index }));
+    };
+
+    const handleImport = async () => {
+        setImporting(true);
+        try {
+            const result = await importCustomersWithProducts(groupImportRows(preview));
+            const skipped = errorCount > 0 ? ` ${errorCount} rows with errors were skipped.` : '';
+            Alert.alert(
+                "Import Complete",
+                `Added ${result.customersAdded} customers (${result.customersMatched} already existed) and ${result.productsAssigned} product assignments.${skipped}`,
+                [{ text: "OK", onPress: () => navigation.goBack() }]
+            );
+        } catch (error) {
+            Alert.alert("Error", "Import failed. No customers were added.");
+            console.error(error);
+        } finally {
+            setImporting(false);
+        }
+    };
+
+    const renderPreviewRow = (row) => {
+        const details = [row.phone, row.address].filter(Boolean).join(' | ');
+        const productText = row.productName
+            ? `${row.productName}${row.productId !== null && row.defaultQuantity !== null ? ` x ${row.defaultQuantity} @ ${formatRupees(row.customPrice)}` : ''}`
+            : 'No product';
+        return (
+            <View key={row.line}>
+                <List.Item
+                    title={`${row.line}. ${row.name || '(no name)'}`}
+                    description={[details, productText].filter(Boolean).join('\n')}
+                    descriptionNumberOfLines={3}
+                    left={props => (
+                        <List.Icon {...props} icon={row.errors.length ? 'alert-circle' : 'check-circle'} color={row.errors.length ? '#d32f2f' : '#2e7d32'} />
+                    )}
+                />
+                {row.errors.map(error => (
+                    <Text key={error} style={styles.errorText}>{error}</Text>
+                ))}
+                <Divider />
+            </View>
+        );
+    };
+
+    return (
+        <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+            <Card style={styles.card}>
+                <Card.Content>
+                    <Title>Import Customers</Title>
+                    <Text style={styles.helpText}>
+                        Choose a CSV file with a header row. Columns can hold name, address, phone, product, custom price and default quantity. List a customer on several rows to assign more than one product. Products must already exist in the Product Inventory.
+                    </Text>
+                    <Button mode="contained" icon="file-upload" onPress={handlePickFile} style={styles.button} disabled={importing}>
+                        Choose CSV File
+                    </Button>
+                </Card.Content>
+            </Card>
+
+            {mapping && (
+                <Card style={styles.card}>
+                    <Card.Title title="Columns" subtitle={fileName} />
+                    <Card.Content>
+                        {IMPORT_FIELDS.map(field => (
+                            <View key={field.key} style={styles.mappingRow}>
+                                <Text style={styles.mappingLabel}>{field.label}{field.required ? ' *' : ''}</Text>
+                                <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+                                    {!field.required && (
+                                        <Chip selected={mapping[field.key] === null} onPress={() => handleMap(field.key, null)} style={styles.chip}>
+                                            Not used
+                                        </Chip>
+                                    )}
+                                    {headers.map((header, index) => (
+                                        <Chip key={`${field.key}-${index}`} selected={mapping[field.key] === index} onPress={() => handleMap(field.key, index)} style={styles.chip}>
+                                            {header || `Column ${index + 1}`}
+                                        </Chip>
+                                    ))}
+                                </ScrollView>
+                            </View>
+                        ))}
+                    </Card.Content>
+                </Card>
+            )}
+
+            {mapping && (
+                <Card style={styles.card}>
+                    <Card.Title title="Preview" subtitle={`${validCount} ready | ${errorCount} with errors`} />
+                    <Divider />
+                    {preview.map(renderPreviewRow)}
+                    <Card.Content>
+                        {importing ? (
+                            <ActivityIndicator style={styles.button} />
+                        ) : (
+                            <Button mode="contained" icon="account-multiple-plus" onPress={handleImport} style={styles.button} disabled={validCount === 0}>
+                                {`Import ${validCount} Rows`}
+                            </Button>
+                        )}
+                    </Card.Content>
+                </Card>
+            )}
+        </ScrollView>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: { flex: 1, backgroundColor: '#f5f5f5' },
+    content: { padding: 8, paddingBottom: 40 },
+    card: { margin: 8 },
+    helpText: { color: '#666', marginTop: 4 },
+    button: { marginTop: 12 },
+    mappingRow: { marginBottom: 12 },
+    mappingLabel: { fontWeight: 'bold', marginBottom: 6 },
+    chip: { marginRight: 8 },
+    errorText: { color: '#d32f2f', fontSize: 12, marginLeft: 72, marginBottom: 8 },
+});
+
+export default ImportCustomersScreen;
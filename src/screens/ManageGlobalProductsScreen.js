@@ -1,28 +1,52 @@
 import React, { useState, useCallback } from 'react';
 import { View, StyleSheet, FlatList, Alert, Modal } from 'react-native';
-import { Text, Button, Card, Title, TextInput, List, IconButton, Divider } from 'react-native-paper';
-import { useFocusEffect } from '@react-navigation/native';
-import { getAllProducts, updateProduct, updateAllCustomPricesForProduct } from '../db/Database';
+import { Text, Button, Card, Title, TextInput, List, IconButton, Divider, Switch } from 'react-native-paper';
+import { useFocusEffect, useNavigation } from '@react-navigation/native';
+import { getProductInventory, addProduct, updateProduct, updateAllCustomPricesForProduct, deleteProduct, archiveProduct, unarchiveProduct, reorderProducts } from '../db/Database';
+import UndoSnackbar from '../components/UndoSnackbar';
+import UnitPicker from '../components/UnitPicker';
+import { toPaise, toRupees, formatRupees } from '../utils/money';
+import { parsePackSize, formatQuantity } from '../utils/units';
 
 const ManageGlobalProductsScreen = () => {
+    const navigation = useNavigation();
     const [products, setProducts] = useState([]);
+    const [showArchived, setShowArchived] = useState(false);
     const [modalVisible, setModalVisible] = useState(false);
+    // null while adding a new product
     const [selectedProduct, setSelectedProduct] = useState(null);
+    // The product being archived while its customers are moved to another one
+    const [reassigning, setReassigning] = useState(null);
     const [name, setName] = useState('');
     const [unit, setUnit] = useState('');
     const [price, setPrice] = useState('');
+    const [packSize, setPackSize] = useState('');
+    const [undoItem, setUndoItem] = useState(null);
 
     const loadProducts = useCallback(() => {
-        getAllProducts().then(setProducts).catch(console.error);
+        getProductInventory().then(setProducts).catch(console.error);
     }, []);
 
+    const activeProducts = products.filter(product => product.isActive);
+    const archivedProducts = products.filter(product => !product.isActive);
+
     useFocusEffect(loadProducts);
 
+    const openAddModal = () => {
+        setSelectedProduct(null);
+        setName('');
+        setUnit('L');
+        setPrice('');
+        setPackSize('');
+        setModalVisible(true);
+    };
+
     const openEditModal = (product) => {
         setSelectedProduct(product);
         setName(product.name);
         setUnit(product.unit);
-        setPrice(String(product.default_price));
+        setPrice(String(toRupees(product.default_price)));
+        setPackSize(product.pack_size ? formatQuantity(product.pack_size, product.unit) : '');
         setModalVisible(true);
     };
 
@@ -36,18 +60,38 @@ const ManageGlobalProductsScreen = () => {
             Alert.alert("Validation Error", "All fields are required.");
             return;
         }
-        const parsedPrice = parseFloat(price);
+        const parsedPrice = toPaise(price);
         if (isNaN(parsedPrice) || parsedPrice < 0) {
             Alert.alert("Validation Error", "Please enter a valid price.");
             return;
         }
+        let parsedPackSize;
+        try {
+            parsedPackSize = parsePackSize(packSize, unit);
+        } catch (err) {
+            Alert.alert("Validation Error", err.message);
+            return;
+        }
 
-        updateProduct(selectedProduct.id, name, unit, parsedPrice)
+        if (!selectedProduct) {
+            addProduct(name.trim(), unit.trim(), parsedPrice, parsedPackSize)
+                .then(() => {
+                    closeModal();
+                    loadProducts();
+                })
+                .catch(err => {
+                    Alert.alert("Error", "Could not add the product.");
+                    console.error(err);
+                });
+            return;
+        }
+
+        updateProduct(selectedProduct.id, name, unit, parsedPrice, parsedPackSize)
             .then(() => {
                 // After successfully updating the default price, ask the user if they want to update customer prices
                 Alert.alert(
                     "Update Custom Prices?",
-                    `Do you want to apply this new default price (₹${parsedPrice.toFixed(2)}) to all customers who are assigned this product?`,
+                    `Do you want to apply this new default price (${formatRupees(parsedPrice, { decimals: 2 })}) to all customers who are assigned this product?`,
                     [
                         {
                             text: "Yes, Update All",
@@ -82,13 +126,99 @@ const ManageGlobalProductsScreen = () => {
             });
     };
 
-    const renderItem = ({ item }) => (
+    const openPriceHistory = () => {
+        const product = selectedProduct;
+        closeModal();
+        navigation.navigate('PriceHistory', { productId: product.id, productName: product.name });
+    };
+
+    // Customers still assigned the product have to be moved to another one before it is archived
+    const handleArchive = () => {
+        const product = selectedProduct;
+        if (product.customer_count > 0) {
+            Alert.alert(
+                "Customers Still Assigned",
+                `${product.customer_count} customer${product.customer_count === 1 ? ' buys' : 's buy'} ${product.name}. Move them to another product to archive it.`,
+                [
+                    { text: "Cancel", style: "cancel" },
+                    { text: "Move Customers", onPress: () => { closeModal(); setReassigning(product); } },
+                ]
+            );
+            return;
+        }
+        runArchive(product);
+    };
+
+    const runArchive = (product, reassignTo = null) => {
+        archiveProduct(product.id, { reassignTo })
+            .then(() => {
+                closeModal();
+                setReassigning(null);
+                loadProducts();
+            })
+            .catch(err => Alert.alert("Cannot Archive", err.message));
+    };
+
+    const handleUnarchive = () => {
+        unarchiveProduct(selectedProduct.id)
+            .then(() => {
+                closeModal();
+                loadProducts();
+            })
+            .catch(err => {
+                Alert.alert("Error", "Could not unarchive the product.");
+                console.error(err);
+            });
+    };
+
+    // Swaps a product with its neighbour in the active list (direction -1 = up, 1 = down)
+    const moveProduct = (index, direction) => {
+        const ordered = [...activeProducts];
+        const [moved] = ordered.splice(index, 1);
+        ordered.splice(index + direction, 0, moved);
+        setProducts([...ordered, ...archivedProducts]);
+        reorderProducts(ordered.map(product => product.id))
+            .catch(err => {
+                Alert.alert("Error", "Could not save the new order.");
+                console.error(err);
+            })
+            .finally(loadProducts);
+    };
+
+    // Goes to the recycle bin together with its customer assignments; products with sales are refused
+    const handleDelete = () => {
+        const product = selectedProduct;
+        deleteProduct(product.id)
+            .then(binId => {
+                closeModal();
+                setUndoItem({ binId, message: `${product.name} deleted` });
+                loadProducts();
+            })
+            .catch(err => {
+                Alert.alert("Cannot Delete", err.message);
+            });
+    };
+
+    const describeProduct = (item) => {
+        const customers = `${item.customer_count} customer${item.customer_count === 1 ? '' : 's'}`;
+        const pack = item.pack_size ? ` | Pack: ${formatQuantity(item.pack_size, item.unit)}` : '';
+        const sold = `Sold: ${formatQuantity(item.total_quantity, item.unit)} (${formatRupees(item.total_amount, { decimals: 0 })})`;
+        return `Unit: ${item.unit}${pack} | Default Price: ${formatRupees(item.default_price, { decimals: 2 })}\n${customers} | ${sold}`;
+    };
+
+    const renderItem = ({ item, index }) => (
         <>
             <List.Item
-                title={item.name}
-                description={`Unit: ${item.unit} | Default Price: ₹${item.default_price.toFixed(2)}`}
+                title={item.isActive ? item.name : `${item.name} (Archived)`}
+                description={describeProduct(item)}
+                descriptionNumberOfLines={2}
                 onPress={() => openEditModal(item)}
-                right={(props) => <List.Icon {...props} icon="pencil" />}
+                right={() => item.isActive ? (
+                    <View style={styles.orderButtons}>
+                        <IconButton icon="arrow-up" size={20} disabled={index === 0} accessibilityLabel={`Move ${item.name} up`} onPress={() => moveProduct(index, -1)} />
+                        <IconButton icon="arrow-down" size={20} disabled={index === activeProducts.length - 1} accessibilityLabel={`Move ${item.name} down`} onPress={() => moveProduct(index, 1)} />
+                    </View>
+                ) : null}
             />
             <Divider />
         </>
@@ -99,14 +229,21 @@ const ManageGlobalProductsScreen = () => {
             <Card style={styles.card}>
                 <Card.Content>
                     <Title>Manage All Products</Title>
-                    <Text>Tap a product to edit its default name, unit, or price. New sales entries will use this new default price unless a custom price is set for a customer.</Text>
+                    <Text>Tap a product to edit its name, unit, or price, or to archive it. A price changed here applies from today; use Price History to start a new price on a later date. Sales use the price in force on their date unless a custom price is set for a customer. The arrows set the order products are listed in.</Text>
+                    <Button mode="contained" icon="plus" onPress={openAddModal} style={{ marginTop: 10 }}>
+                        Add Product
+                    </Button>
+                    <View style={styles.switchRow}>
+                        <Text>Show archived products ({archivedProducts.length})</Text>
+                        <Switch value={showArchived} onValueChange={setShowArchived} accessibilityLabel="Show archived products" />
+                    </View>
                 </Card.Content>
             </Card>
             <FlatList
-                data={products}
+                data={showArchived ? [...activeProducts, ...archivedProducts] : activeProducts}
                 renderItem={renderItem}
                 keyExtractor={item => item.id.toString()}
-                ListEmptyComponent={<Text style={styles.emptyText}>No products found. Add products via the "Manage Products" screen for any customer.</Text>}
+                ListEmptyComponent={<Text style={styles.emptyText}>No products yet. Tap Add Product to create one.</Text>}
             />
             <Modal
                 animationType="slide"
@@ -117,7 +254,7 @@ const ManageGlobalProductsScreen = () => {
                 <View style={styles.modalContainer}>
                     <Card style={styles.modalCard}>
                         <Card.Title
-                            title="Edit Product"
+                            title={selectedProduct ? 'Edit Product' : 'Add Product'}
                             subtitle={selectedProduct?.name}
                             right={(props) => <IconButton {...props} icon="close" onPress={closeModal} />}
                         />
@@ -130,27 +267,80 @@ const ManageGlobalProductsScreen = () => {
                                 mode="outlined"
                             />
                             <TextInput
-                                label="Unit (e.g., Liter, Packet)"
-                                value={unit}
-                                onChangeText={setUnit}
-                                style={styles.input}
-                                mode="outlined"
-                            />
-                            <TextInput
-                                label="Default Price (₹)"
+                                label={`Default Price (₹ per ${unit})`}
                                 value={price}
                                 onChangeText={setPrice}
                                 style={styles.input}
                                 keyboardType="numeric"
                                 mode="outlined"
                             />
+                            <UnitPicker
+                                unit={unit}
+                                onUnitChange={setUnit}
+                                packSize={packSize}
+                                onPackSizeChange={setPackSize}
+                                style={styles.input}
+                            />
                             <Button mode="contained" onPress={handleUpdate} style={{ marginTop: 10 }}>
-                                Update Product
+                                {selectedProduct ? 'Update Product' : 'Add Product'}
                             </Button>
+                            {selectedProduct && (
+                                <>
+                                    <Button mode="text" icon="calendar-clock" onPress={openPriceHistory} style={{ marginTop: 5 }}>
+                                        Price History / Schedule Change
+                                    </Button>
+                                    {selectedProduct.isActive ? (
+                                        <Button mode="text" icon="archive-arrow-down" onPress={handleArchive} style={{ marginTop: 5 }}>
+                                            Archive Product
+                                        </Button>
+                                    ) : (
+                                        <Button mode="text" icon="archive-arrow-up" onPress={handleUnarchive} style={{ marginTop: 5 }}>
+                                            Unarchive Product
+                                        </Button>
+                                    )}
+                                    <Button mode="text" icon="delete" textColor="#d32f2f" onPress={handleDelete} style={{ marginTop: 5 }}>
+                                        Delete Product
+                                    </Button>
+                                </>
+                            )}
                         </Card.Content>
                     </Card>
                 </View>
             </Modal>
+
+            <Modal
+                animationType="slide"
+                transparent={true}
+                visible={!!reassigning}
+                onRequestClose={() => setReassigning(null)}
+            >
+                <View style={styles.modalContainer}>
+                    <Card style={styles.modalCard}>
+                        <Card.Title
+                            title="Move Customers"
+                            subtitle={reassigning ? `Archive ${reassigning.name} and move its customers to:` : ''}
+                            subtitleNumberOfLines={2}
+                            right={(props) => <IconButton {...props} icon="close" onPress={() => setReassigning(null)} />}
+                        />
+                        <Card.Content>
+                            {reassigning && activeProducts.filter(product => product.id !== reassigning.id).map(product => (
+                                <List.Item
+                                    key={product.id}
+                                    title={product.name}
+                                    description={`${formatRupees(product.default_price, { decimals: 2 })} per ${product.unit}`}
+                                    left={props => <List.Icon {...props} icon="swap-horizontal" />}
+                                    onPress={() => runArchive(reassigning, product.id)}
+                                />
+                            ))}
+                            {reassigning && activeProducts.length < 2 && (
+                                <Text style={styles.emptyText}>Add another product first to move these customers to.</Text>
+                            )}
+                        </Card.Content>
+                    </Card>
+                </View>
+            </Modal>
+
+            <UndoSnackbar item={undoItem} onDismiss={() => setUndoItem(null)} onRestored={loadProducts} />
         </View>
     );
 };
@@ -159,6 +349,8 @@ const styles = StyleSheet.create({
     container: { flex: 1 },
     card: { margin: 8 },
     emptyText: { textAlign: 'center', marginTop: 50, paddingHorizontal: 20 },
+    switchRow: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginTop: 10 },
+    orderButtons: { flexDirection: 'row', alignItems: 'center' },
     modalContainer: {
         flex: 1,
         justifyContent: 'center',
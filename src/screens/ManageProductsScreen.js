@@ -3,6 +3,9 @@ import { View, StyleSheet, ScrollView, Alert } from 'react-native';
 import { Text, Button, Card, Title, TextInput, Checkbox, List, Divider } from 'react-native-paper';
 import { useRoute, useNavigation } from '@react-navigation/native';
 import { getAllProducts, getCustomerProducts, assignProductToCustomer, addProduct } from '../db/Database';
+import UnitPicker from '../components/UnitPicker';
+import { toPaise, toRupees, formatRupees } from '../utils/money';
+import { parsePackSize, formatQuantity } from '../utils/units';
 
 const ManageProductsScreen = () => {
     const route = useRoute();
@@ -11,11 +14,14 @@ const ManageProductsScreen = () => {
 
     const [allProducts, setAllProducts] = useState([]);
     const [customerProducts, setCustomerProducts] = useState({});
+    // Products already saved for the customer; only those have a price history to show
+    const [savedProductIds, setSavedProductIds] = useState([]);
 
     // State for the new product form
     const [newProductName, setNewProductName] = useState('');
-    const [newProductUnit, setNewProductUnit] = useState('Liter');
+    const [newProductUnit, setNewProductUnit] = useState('L');
     const [newProductPrice, setNewProductPrice] = useState('');
+    const [newProductPackSize, setNewProductPackSize] = useState('');
 
     const loadData = useCallback(() => {
         getAllProducts().then(setAllProducts);
@@ -28,6 +34,7 @@ const ManageProductsScreen = () => {
                 return acc;
             }, {});
             setCustomerProducts(assignedMap);
+            setSavedProductIds(assigned.map(p => p.id));
         });
     }, [customerId]);
     
@@ -50,7 +57,8 @@ const ManageProductsScreen = () => {
     const handleValueChange = (productId, field, value) => {
         const newCustomerProducts = { ...customerProducts };
         if (newCustomerProducts[productId]) {
-            newCustomerProducts[productId][field] = parseFloat(value) || 0;
+            // custom_price is kept in paise like everywhere else; the field shows rupees
+            newCustomerProducts[productId][field] = field === 'custom_price' ? (toPaise(value) || 0) : (parseFloat(value) || 0);
             setCustomerProducts(newCustomerProducts);
         }
     };
@@ -60,18 +68,26 @@ const ManageProductsScreen = () => {
             Alert.alert('Validation Error', 'Please fill all fields for the new product.');
             return;
         }
-        const price = parseFloat(newProductPrice);
+        const price = toPaise(newProductPrice);
         if (isNaN(price) || price <= 0) {
             Alert.alert('Validation Error', 'Please enter a valid default price.');
             return;
         }
+        let packSize;
+        try {
+            packSize = parsePackSize(newProductPackSize, newProductUnit);
+        } catch (err) {
+            Alert.alert('Validation Error', err.message);
+            return;
+        }
 
-        addProduct(newProductName, newProductUnit, price)
+        addProduct(newProductName, newProductUnit, price, packSize)
             .then(() => {
                 Alert.alert('Success', `Product "${newProductName}" has been added.`);
                 setNewProductName('');
-                setNewProductUnit('Liter');
+                setNewProductUnit('L');
                 setNewProductPrice('');
+                setNewProductPackSize('');
                 loadData(); // Refresh the list of products
             })
             .catch(err => {
@@ -114,20 +130,20 @@ const ManageProductsScreen = () => {
                         mode="outlined"
                     />
                     <TextInput
-                        label="Unit (e.g., Liter, Packet, Kg)"
-                        value={newProductUnit}
-                        onChangeText={setNewProductUnit}
-                        style={styles_manage_products.input}
-                        mode="outlined"
-                    />
-                    <TextInput
-                        label="Default Price (₹)"
+                        label={`Default Price (₹ per ${newProductUnit})`}
                         value={newProductPrice}
                         onChangeText={setNewProductPrice}
                         keyboardType="numeric"
                         style={styles_manage_products.input}
                         mode="outlined"
                     />
+                    <UnitPicker
+                        unit={newProductUnit}
+                        onUnitChange={setNewProductUnit}
+                        packSize={newProductPackSize}
+                        onPackSizeChange={setNewProductPackSize}
+                        style={styles_manage_products.input}
+                    />
                     <Button mode="contained" onPress={handleAddNewProduct} style={{ marginTop: 8 }}>
                         Add New Product
                     </Button>
@@ -142,14 +158,14 @@ const ManageProductsScreen = () => {
                         <View key={product.id}>
                             <List.Item
                                 title={product.name}
-                                description={`Default Price: ₹${product.default_price.toFixed(2)}`}
+                                description={`Default Price: ${formatRupees(product.default_price, { decimals: 2 })} per ${product.unit}${product.pack_size ? ` | Pack: ${formatQuantity(product.pack_size, product.unit)}` : ''}`}
                                 left={() => <Checkbox status={customerProducts[product.id] ? 'checked' : 'unchecked'} onPress={() => handleToggleProduct(product.id)} />}
                             />
                             {customerProducts[product.id] && (
                                 <View style={styles_manage_products.inputContainer}>
                                     <TextInput
                                         label="Custom Price"
-                                        value={String(customerProducts[product.id].custom_price)}
+                                        value={String(toRupees(customerProducts[product.id].custom_price))}
                                         onChangeText={text => handleValueChange(product.id, 'custom_price', text)}
                                         keyboardType="numeric"
                                         style={styles_manage_products.input}
@@ -165,6 +181,17 @@ const ManageProductsScreen = () => {
                                     />
                                 </View>
                             )}
+                            {customerProducts[product.id] && savedProductIds.includes(product.id) && (
+                                <Button
+                                    mode="text"
+                                    compact
+                                    icon="calendar-clock"
+                                    onPress={() => navigation.navigate('PriceHistory', { productId: product.id, productName: product.name, customerId })}
+                                    style={styles_manage_products.historyButton}
+                                >
+                                    Price History / Schedule Change
+                                </Button>
+                            )}
                         </View>
                     ))}
                 </Card.Content>
@@ -181,7 +208,8 @@ const styles_manage_products = StyleSheet.create({
     card: { margin: 8, elevation: 2 },
     inputContainer: { flexDirection: 'row', justifyContent: 'space-around', paddingHorizontal: 16, paddingBottom: 16 },
     input: { flex: 1, marginHorizontal: 4, marginBottom: 8 },
-    saveButton: { margin: 16, padding: 8 }
+    saveButton: { margin: 16, padding: 8 },
+    historyButton: { alignSelf: 'flex-end', marginTop: -8, marginBottom: 8 }
 });
 
 export default ManageProductsScreen;
@@ -0,0 +1,439 @@
+/*
+================================================================================
+File: src/screens/MilkCollectionScreen.js
+Description: Milk collected from farmers. For the chosen day and shift each
+farmer shows the quantity, fat % and SNF % recorded and the amount the rate
+chart gives for it. Long-press a farmer to edit them or share their 10-day or
+15-day payout statement as a PDF.
+================================================================================
+*/
+import React, { useState, useCallback } from 'react';
+import { View, StyleSheet, FlatList, Alert, Modal } from 'react-native';
+import { Text, Button, Card, TextInput, IconButton, Surface, List, Chip, Divider, HelperText } from 'react-native-paper';
+import { useFocusEffect, useNavigation } from '@react-navigation/native';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { format, addDays, subDays, parseISO } from 'date-fns';
+import * as Print from 'expo-print';
+import * as Sharing from 'expo-sharing';
+import {
+    getAllFarmers, addFarmer, updateFarmer, deleteFarmer, getRateChart,
+    getCollectionsForDate, getCollectionsForFarmer, recordCollection, deleteCollection
+} from '../db/Database';
+import UndoSnackbar from '../components/UndoSnackbar';
+import { isValidPhone } from '../utils/validation';
+import { formatRupees, toDecimalString } from '../utils/money';
+import { parseQuantity, formatQuantity } from '../utils/units';
+import { SHIFTS, PAYOUT_PERIODS, parseReading, findRate, payoutPeriod, summariseCollections } from '../utils/milkCollection';
+
+// Farmers' milk is always measured in litres
+const LITRES = { unit: 'L', pack_size: null };
+
+// Amount the chart gives for the typed reading, or a hint about what is missing
+const ratePreview = (chart, quantity, fat, snf) => {
+    let reading;
+    try {
+        reading = { quantity: parseQuantity(quantity, LITRES), fat: parseReading(fat, 'Fat %'), snf: parseReading(snf, 'SNF %') };
+    } catch (err) {
+        return null;
+    }
+    const rate = findRate(chart, reading.fat, reading.snf);
+    if (rate === null) return { error: `The rate chart has no rate for fat ${reading.fat}% and SNF ${reading.snf}%.` };
+    return { text: `${formatRupees(rate, { decimals: 2 })} per L - ${formatRupees(Math.round(reading.quantity * rate), { decimals: 2 })}` };
+};
+
+const MilkCollectionScreen = () => {
+    const navigation = useNavigation();
+    const [date, setDate] = useState(new Date());
+    const [shift, setShift] = useState(new Date().getHours() < 12 ? 'morning' : 'evening');
+    const [showDatePicker, setShowDatePicker] = useState(false);
+    const [farmers, setFarmers] = useState([]);
+    const [collections, setCollections] = useState([]);
+    const [chart, setChart] = useState([]);
+    const [undoItem, setUndoItem] = useState(null); // Last deleted collection, for the Undo snackbar
+
+    // Collection form for one farmer
+    const [entryFarmer, setEntryFarmer] = useState(null);
+    const [quantity, setQuantity] = useState('');
+    const [fat, setFat] = useState('');
+    const [snf, setSnf] = useState('');
+
+    // Farmer form: null when closed, {} when adding a new farmer
+    const [editingFarmer, setEditingFarmer] = useState(null);
+    const [name, setName] = useState('');
+    const [phone, setPhone] = useState('');
+    const [village, setVillage] = useState('');
+
+    // Farmer whose payout statement is being prepared
+    const [payoutFarmer, setPayoutFarmer] = useState(null);
+    const [payoutDays, setPayoutDays] = useState(PAYOUT_PERIODS[0]);
+
+    const dateString = format(date, 'yyyy-MM-dd');
+
+    const loadData = useCallback(() => {
+        Promise.all([getAllFarmers(), getCollectionsForDate(dateString), getRateChart()])
+            .then(([farmerRows, collectionRows, chartRows]) => {
+                setFarmers(farmerRows);
+                setCollections(collectionRows);
+                setChart(chartRows);
+            })
+            .catch(console.error);
+    }, [dateString]);
+
+    useFocusEffect(loadData);
+
+    const shiftCollections = collections.filter(entry => entry.shift === shift);
+    const entryFor = (farmerId) => shiftCollections.find(entry => entry.farmer_id === farmerId);
+    const shiftTotals = summariseCollections(shiftCollections);
+    const shiftLabel = SHIFTS.find(option => option.key === shift).label;
+
+    // --- Collection entry ---
+    const openEntry = (farmer) => {
+        const entry = entryFor(farmer.id);
+        setEntryFarmer(farmer);
+        setQuantity(entry ? String(entry.quantity) : '');
+        setFat(entry ? String(entry.fat) : '');
+        setSnf(entry ? String(entry.snf) : '');
+    };
+
+    const handleSaveEntry = async () => {
+        let reading;
+        try {
+            reading = { quantity: parseQuantity(quantity, LITRES), fat: parseReading(fat, 'Fat %'), snf: parseReading(snf, 'SNF %') };
+        } catch (err) {
+            Alert.alert("Validation Error", err.message);
+            return;
+        }
+        try {
+            await recordCollection(entryFarmer.id, dateString, shift, reading.quantity, reading.fat, reading.snf);
+            setEntryFarmer(null);
+            loadData();
+        } catch (err) {
+            Alert.alert("Could Not Save", err.message);
+        }
+    };
+
+    const handleDeleteEntry = () => {
+        const entry = entryFor(entryFarmer.id);
+        deleteCollection(entry.id)
+            .then(binId => {
+                setEntryFarmer(null);
+                setUndoItem({ binId, message: "Collection deleted" });
+                loadData();
+            })
+            .catch(err => {
+                Alert.alert("Error", "Could not delete collection.");
+                console.error(err);
+            });
+    };
+
+    // --- Farmers ---
+    const openFarmerForm = (farmer) => {
+        setEditingFarmer(farmer || {});
+        setName(farmer ? farmer.name : '');
+        setPhone(farmer?.phone || '');
+        setVillage(farmer?.village || '');
+    };
+
+    const handleSaveFarmer = async () => {
+        if (!name.trim()) {
+            Alert.alert("Validation Error", "Farmer name is required.");
+            return;
+        }
+        if (!isValidPhone(phone)) {
+            Alert.alert("Validation Error", "Phone number must be exactly 10 digits.");
+            return;
+        }
+        try {
+            if (editingFarmer.id) {
+                await updateFarmer(editingFarmer.id, name.trim(), phone.trim(), village.trim());
+            } else {
+                await addFarmer(name.trim(), phone.trim(), village.trim());
+            }
+            setEditingFarmer(null);
+            loadData();
+        } catch (err) {
+            Alert.alert("Could Not Save", err.message);
+        }
+    };
+
+    const openFarmerActions = (farmer) => {
+        Alert.alert(farmer.name, null, [
+            { text: "Payout Statement", onPress: () => setPayoutFarmer(farmer) },
+            { text: "Edit", onPress: () => openFarmerForm(farmer) },
+            {
+                text: "Delete",
+                style: "destructive",
+                onPress: () => {
+                    deleteFarmer(farmer.id)
+                        .then(loadData)
+                        .catch(err => Alert.alert("Could Not Delete", err.message));
+                }
+            },
+            { text: "Cancel", style: "cancel" },
+        ]);
+    };
+
+    // --- Payout statement ---
+    const period = payoutPeriod(date, payoutDays);
+
+    const sharePayoutStatement = async () => {
+        try {
+            const rows = await getCollectionsForFarmer(payoutFarmer.id, period.start, period.end);
+            const totals = summariseCollections(rows);
+            const periodText = `${format(parseISO(period.start), 'dd MMM yyyy')} - ${format(parseISO(period.end), 'dd MMM yyyy')}`;
+
+            const htmlContent = `
+                <html>
+                <head>
+                    <style>
+                        body { font-family: 'Helvetica'; padding: 20px; }
+                        h1 { text-align: center; color: #0066cc; }
+                        .header { margin-bottom: 20px; border-bottom: 2px solid #0066cc; padding-bottom: 10px; }
+                        .summary { margin-bottom: 20px; border: 1px solid #ddd; padding: 10px; border-radius: 5px; background-color: #f9f9f9; }
+                        table { width: 100%; border-collapse: collapse; margin-top: 10px; }
+                        th, td { border: 1px solid #ddd; padding: 8px; text-align: left; }
+                        th { background-color: #0066cc; color: white; }
+                        .total-row { font-weight: bold; background-color: #e6e6e6; }
+                        .footer { margin-top: 30px; text-align: center; font-size: 12px; color: #777; }
+                    </style>
+                </head>
+                <body>
+                    <div class="header">
+                        <h1>Milk Payout Statement</h1>
+                        <p><strong>Farmer:</strong> ${payoutFarmer.name}${payoutFarmer.village ? `, ${payoutFarmer.village}` : ''}</p>
+                        <p><strong>Period:</strong> ${periodText}</p>
+                    </div>
+
+                    <div class="summary">
+                        <p><strong>Total Milk:</strong> ${formatQuantity(totals.quantity, 'L')}</p>
+                        <p><strong>Average Fat / SNF:</strong> ${totals.fat}% / ${totals.snf}%</p>
+                        <h3>Amount Payable: ${formatRupees(totals.amount, { decimals: 2 })}</h3>
+                    </div>
+
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Date</th>
+                                <th>Shift</th>
+                                <th>Qty (L)</th>
+                                <th>Fat %</th>
+                                <th>SNF %</th>
+                                <th>Rate</th>
+                                <th>Amount</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows.map(entry => `
+                                <tr>
+                                    <td>${format(parseISO(entry.collection_date), 'dd MMM')}</td>
+                                    <td>${SHIFTS.find(option => option.key === entry.shift).label}</td>
+                                    <td>${entry.quantity}</td>
+                                    <td>${entry.fat}</td>
+                                    <td>${entry.snf}</td>
+                                    <td>${toDecimalString(entry.rate)}</td>
+                                    <td>${toDecimalString(entry.total_amount)}</td>
+                                </tr>
+                            `).join('')}
+                            <tr class="total-row">
+                                <td colspan="2">Total</td>
+                                <td>${totals.quantity}</td>
+                                <td>${totals.fat}</td>
+                                <td>${totals.snf}</td>
+                                <td></td>
+                                <td>${toDecimalString(totals.amount)}</td>
+                            </tr>
+                        </tbody>
+                    </table>
+
+                    <div class="footer">
+                        <p>Generated by Milkwala Vendor Pro</p>
+                    </div>
+                </body>
+                </html>
+            `;
+
+            const { uri } = await Print.printToFileAsync({ html: htmlContent });
+            if (!(await Sharing.isAvailableAsync())) {
+                Alert.alert("Error", "Sharing is not available");
+                return;
+            }
+            await Sharing.shareAsync(uri);
+            setPayoutFarmer(null);
+        } catch (error) {
+            console.error(error);
+            Alert.alert("Error", "Failed to generate PDF");
+        }
+    };
+
+    const renderFarmer = ({ item }) => {
+        const entry = entryFor(item.id);
+        return (
+            <List.Item
+                title={item.name}
+                titleStyle={styles.name}
+                description={entry
+                    ? `${formatQuantity(entry.quantity, 'L')} - Fat ${entry.fat}% - SNF ${entry.snf}%`
+                    : 'Not collected'}
+                onPress={() => openEntry(item)}
+                onLongPress={() => openFarmerActions(item)}
+                right={() => entry && <Text style={styles.amount}>{formatRupees(entry.total_amount)}</Text>}
+            />
+        );
+    };
+
+    const preview = entryFarmer ? ratePreview(chart, quantity, fat, snf) : null;
+
+    return (
+        <View style={styles.container}>
+            <Surface style={styles.dateBar} elevation={1}>
+                <IconButton icon="chevron-left" accessibilityLabel="Previous day" onPress={() => setDate(subDays(date, 1))} />
+                <Button mode="outlined" icon="calendar" onPress={() => setShowDatePicker(true)}>
+                    {format(date, 'dd MMM yyyy')}
+                </Button>
+                <IconButton icon="chevron-right" accessibilityLabel="Next day" onPress={() => setDate(addDays(date, 1))} />
+            </Surface>
+
+            <View style={styles.toolbar}>
+                {SHIFTS.map(option => (
+                    <Chip key={option.key} selected={shift === option.key} onPress={() => setShift(option.key)} style={styles.chip}>
+                        {option.label}
+                    </Chip>
+                ))}
+                <View style={styles.spacer} />
+                <IconButton icon="table" accessibilityLabel="Rate chart" onPress={() => navigation.navigate('RateChart')} />
+                <IconButton icon="account-plus" accessibilityLabel="Add farmer" onPress={() => openFarmerForm(null)} />
+            </View>
+
+            {chart.length === 0 && (
+                <Surface style={styles.alertBanner} elevation={1}>
+                    <Text style={styles.alertText}>No rate chart yet. Set one up before recording collections.</Text>
+                    <Button compact onPress={() => navigation.navigate('RateChart')}>Set Up</Button>
+                </Surface>
+            )}
+
+            <Surface style={styles.summary} elevation={1}>
+                <Text style={styles.summaryText}>
+                    {`${shiftLabel}: ${formatQuantity(shiftTotals.quantity, 'L')} from ${shiftCollections.length} of ${farmers.length} farmers`}
+                </Text>
+                <Text style={styles.summaryAmount}>{formatRupees(shiftTotals.amount)}</Text>
+            </Surface>
+
+            <FlatList
+                data={farmers}
+                renderItem={renderFarmer}
+                keyExtractor={item => item.id.toString()}
+                ItemSeparatorComponent={Divider}
+                contentContainerStyle={styles.list}
+                ListEmptyComponent={<Text style={styles.emptyText}>No farmers yet. Add the farmers you collect milk from.</Text>}
+            />
+
+            {showDatePicker && (
+                <DateTimePicker
+                    value={date}
+                    mode="date"
+                    onChange={(e, selected) => { setShowDatePicker(false); if (selected) setDate(selected); }}
+                />
+            )}
+
+            {/* Collection Entry Modal */}
+            <Modal visible={!!entryFarmer} transparent animationType="slide" onRequestClose={() => setEntryFarmer(null)}>
+                <View style={styles.modalOverlay}>
+                    <Card style={styles.modalCard}>
+                        <Card.Title
+                            title={entryFarmer ? entryFarmer.name : ''}
+                            subtitle={`${shiftLabel}, ${format(date, 'dd MMM yyyy')}`}
+                            right={(props) => <IconButton {...props} icon="close" onPress={() => setEntryFarmer(null)} />}
+                        />
+                        <Card.Content>
+                            <TextInput label="Quantity (L)" value={quantity} onChangeText={setQuantity} mode="outlined" style={styles.input} />
+                            <View style={styles.readingRow}>
+                                <TextInput label="Fat %" value={fat} onChangeText={setFat} keyboardType="numeric" mode="outlined" style={[styles.input, styles.reading]} />
+                                <TextInput label="SNF %" value={snf} onChangeText={setSnf} keyboardType="numeric" mode="outlined" style={[styles.input, styles.reading]} />
+                            </View>
+                            <HelperText type={preview?.error ? 'error' : 'info'} visible={!!preview}>
+                                {preview ? preview.error || preview.text : ''}
+                            </HelperText>
+                            <Button mode="contained" onPress={handleSaveEntry}>Save Collection</Button>
+                            {entryFarmer && entryFor(entryFarmer.id) && (
+                                <Button textColor="#d32f2f" onPress={handleDeleteEntry} style={styles.deleteBtn}>Delete Entry</Button>
+                            )}
+                        </Card.Content>
+                    </Card>
+                </View>
+            </Modal>
+
+            {/* Farmer Modal */}
+            <Modal visible={!!editingFarmer} transparent animationType="slide" onRequestClose={() => setEditingFarmer(null)}>
+                <View style={styles.modalOverlay}>
+                    <Card style={styles.modalCard}>
+                        <Card.Title
+                            title={editingFarmer?.id ? 'Edit Farmer' : 'Add Farmer'}
+                            right={(props) => <IconButton {...props} icon="close" onPress={() => setEditingFarmer(null)} />}
+                        />
+                        <Card.Content>
+                            <TextInput label="Name" value={name} onChangeText={setName} mode="outlined" style={styles.input} />
+                            <TextInput label="Phone (optional)" value={phone} onChangeText={setPhone} keyboardType="phone-pad" mode="outlined" style={styles.input} />
+                            <TextInput label="Village (optional)" value={village} onChangeText={setVillage} mode="outlined" style={styles.input} />
+                            <Button mode="contained" onPress={handleSaveFarmer}>Save Farmer</Button>
+                        </Card.Content>
+                    </Card>
+                </View>
+            </Modal>
+
+            {/* Payout Statement Modal */}
+            <Modal visible={!!payoutFarmer} transparent animationType="slide" onRequestClose={() => setPayoutFarmer(null)}>
+                <View style={styles.modalOverlay}>
+                    <Card style={styles.modalCard}>
+                        <Card.Title
+                            title="Payout Statement"
+                            subtitle={payoutFarmer ? payoutFarmer.name : ''}
+                            right={(props) => <IconButton {...props} icon="close" onPress={() => setPayoutFarmer(null)} />}
+                        />
+                        <Card.Content>
+                            <View style={styles.chipRow}>
+                                {PAYOUT_PERIODS.map(days => (
+                                    <Chip key={days} selected={payoutDays === days} onPress={() => setPayoutDays(days)} style={styles.chip}>
+                                        {`${days} days`}
+                                    </Chip>
+                                ))}
+                            </View>
+                            <Text style={styles.periodText}>
+                                {`${format(parseISO(period.start), 'dd MMM')} - ${format(parseISO(period.end), 'dd MMM yyyy')}`}
+                            </Text>
+                            <Button mode="contained" icon="file-pdf-box" onPress={sharePayoutStatement}>Share Statement</Button>
+                        </Card.Content>
+                    </Card>
+                </View>
+            </Modal>
+
+            <UndoSnackbar item={undoItem} onDismiss={() => setUndoItem(null)} onRestored={loadData} />
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: { flex: 1, backgroundColor: '#f5f5f5' },
+    dateBar: { flexDirection: 'row', alignItems: 'center', justifyContent: 'center', paddingVertical: 4, backgroundColor: 'white' },
+    toolbar: { flexDirection: 'row', alignItems: 'center', paddingHorizontal: 8, paddingTop: 8 },
+    spacer: { flex: 1 },
+    chip: { marginRight: 6 },
+    chipRow: { flexDirection: 'row', marginBottom: 8 },
+    alertBanner: { flexDirection: 'row', alignItems: 'center', margin: 8, padding: 12, borderRadius: 8, backgroundColor: '#ffebee' },
+    alertText: { flex: 1, color: '#d32f2f' },
+    summary: { flexDirection: 'row', alignItems: 'center', margin: 8, padding: 12, borderRadius: 8, backgroundColor: 'white' },
+    summaryText: { flex: 1, color: '#444' },
+    summaryAmount: { fontWeight: 'bold', color: '#333' },
+    list: { backgroundColor: 'white' },
+    name: { fontWeight: '500' },
+    amount: { alignSelf: 'center', fontSize: 14, fontWeight: 'bold', color: '#333', marginRight: 8 },
+    emptyText: { textAlign: 'center', marginTop: 50, paddingHorizontal: 20, color: '#888' },
+    modalOverlay: { flex: 1, justifyContent: 'center', alignItems: 'center', backgroundColor: 'rgba(0,0,0,0.5)' },
+    modalCard: { width: '90%', borderRadius: 12, backgroundColor: 'white', paddingBottom: 8 },
+    input: { marginBottom: 8, backgroundColor: 'white' },
+    readingRow: { flexDirection: 'row', justifyContent: 'space-between' },
+    reading: { flex: 1, marginHorizontal: 2 },
+    deleteBtn: { marginTop: 8 },
+    periodText: { marginBottom: 12, color: '#444' },
+});
+
+export default MilkCollectionScreen;
@@ -0,0 +1,154 @@
+/*
+================================================================================
+File: src/screens/PriceHistoryScreen.js
+Description: Every price a product has had (route params productId and
+productName), or one customer's own price for it (customerId, customerName),
+with the date each took effect. New prices can be scheduled to start on a
+later date, e.g. an increase from the 1st of next month.
+================================================================================
+*/
+import React, { useState, useCallback, useLayoutEffect } from 'react';
+import { View, StyleSheet, FlatList, Alert, Platform } from 'react-native';
+import { Text, Button, Card, Title, TextInput, List, Divider, IconButton, Checkbox } from 'react-native-paper';
+import { useNavigation, useRoute, useFocusEffect } from '@react-navigation/native';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { format, parseISO, addMonths, startOfMonth } from 'date-fns';
+import { getPriceHistory, schedulePriceChange, cancelPriceChange, PRICE_HISTORY_START } from '../db/Database';
+import { toPaise, formatRupees } from '../utils/money';
+
+const PriceHistoryScreen = () => {
+    const navigation = useNavigation();
+    const route = useRoute();
+    const { productId, productName, customerId = null, customerName } = route.params;
+
+    const [entries, setEntries] = useState([]);
+    const [price, setPrice] = useState('');
+    // Price rises usually start with the month
+    const [startDate, setStartDate] = useState(() => startOfMonth(addMonths(new Date(), 1)));
+    const [showDatePicker, setShowDatePicker] = useState(false);
+    const [applyToCustomers, setApplyToCustomers] = useState(false);
+
+    useLayoutEffect(() => {
+        navigation.setOptions({ title: customerName ? `${productName} - ${customerName}` : productName });
+    }, [navigation, productName, customerName]);
+
+    const loadHistory = useCallback(() => {
+        getPriceHistory(productId, customerId).then(setEntries).catch(console.error);
+    }, [productId, customerId]);
+
+    useFocusEffect(loadHistory);
+
+    const today = format(new Date(), 'yyyy-MM-dd');
+    const current = entries.find(entry => entry.effective_from <= today);
+
+    const handleSchedule = () => {
+        const pricePaise = toPaise(price);
+        if (isNaN(pricePaise) || pricePaise < 0) {
+            Alert.alert("Validation Error", "Please enter a valid price.");
+            return;
+        }
+        const effectiveFrom = format(startDate, 'yyyy-MM-dd');
+        schedulePriceChange({ productId, customerId, price: pricePaise, effectiveFrom, applyToCustomers })
+            .then(() => {
+                setPrice('');
+                loadHistory();
+                Alert.alert("Price Scheduled", `${formatRupees(pricePaise, { decimals: 2 })} from ${format(startDate, 'dd MMM yyyy')}.`);
+            })
+            .catch(err => Alert.alert("Could Not Schedule", err.message));
+    };
+
+    const handleCancel = (entry) => {
+        Alert.alert("Cancel Price Change", `${formatRupees(entry.price, { decimals: 2 })} from ${format(parseISO(entry.effective_from), 'dd MMM yyyy')} will not happen.`, [
+            { text: "Keep", style: "cancel" },
+            {
+                text: "Cancel Change",
+                style: "destructive",
+                onPress: () => cancelPriceChange(entry.id)
+                    .then(loadHistory)
+                    .catch(err => Alert.alert("Could Not Cancel", err.message)),
+            },
+        ]);
+    };
+
+    const handleDateChange = (event, date) => {
+        setShowDatePicker(Platform.OS === 'ios');
+        if (date) setStartDate(date);
+    };
+
+    const renderItem = ({ item }) => {
+        const scheduled = item.effective_from > today;
+        const since = item.effective_from === PRICE_HISTORY_START
+            ? 'First recorded price'
+            : `${scheduled ? 'Starts' : 'From'} ${format(parseISO(item.effective_from), 'dd MMM yyyy')}`;
+        return (
+            <>
+                <List.Item
+                    title={formatRupees(item.price, { decimals: 2 })}
+                    description={item === current ? `${since} | Current price` : since}
+                    left={props => <List.Icon {...props} icon={scheduled ? 'calendar-clock' : 'tag-outline'} color={scheduled ? '#f57c00' : undefined} />}
+                    right={() => scheduled && (
+                        <IconButton icon="close-circle-outline" accessibilityLabel={`Cancel price change from ${item.effective_from}`} onPress={() => handleCancel(item)} />
+                    )}
+                />
+                <Divider />
+            </>
+        );
+    };
+
+    return (
+        <View style={styles.container}>
+            <Card style={styles.card}>
+                <Card.Content>
+                    <Title>Schedule a Price Change</Title>
+                    <Text style={styles.helpText}>
+                        Sales entered for a date use the price in force on that date, so back-dated entries keep the old rate.
+                        {current ? ` Current price: ${formatRupees(current.price, { decimals: 2 })}.` : ''}
+                    </Text>
+                    <TextInput
+                        label="New Price (₹)"
+                        value={price}
+                        onChangeText={setPrice}
+                        keyboardType="numeric"
+                        mode="outlined"
+                        style={styles.input}
+                    />
+                    <Button mode="outlined" icon="calendar" onPress={() => setShowDatePicker(true)} style={styles.input}>
+                        Start date: {format(startDate, 'dd MMM yyyy')}
+                    </Button>
+                    {showDatePicker && (
+                        <DateTimePicker value={startDate} mode="date" display="default" onChange={handleDateChange} />
+                    )}
+                    {customerId === null && (
+                        <Checkbox.Item
+                            label="Also change the price of every customer who buys this product"
+                            status={applyToCustomers ? 'checked' : 'unchecked'}
+                            onPress={() => setApplyToCustomers(!applyToCustomers)}
+                            position="leading"
+                            labelStyle={styles.checkboxLabel}
+                        />
+                    )}
+                    <Button mode="contained" icon="calendar-check" onPress={handleSchedule} style={styles.input}>
+                        Schedule Change
+                    </Button>
+                </Card.Content>
+            </Card>
+            <FlatList
+                data={entries}
+                renderItem={renderItem}
+                keyExtractor={item => item.id.toString()}
+                ListEmptyComponent={<Text style={styles.emptyText}>No prices recorded yet.</Text>}
+            />
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: { flex: 1 },
+    card: { margin: 8 },
+    helpText: { color: '#666', marginTop: 4 },
+    input: { marginTop: 10 },
+    checkboxLabel: { textAlign: 'left', fontSize: 14 },
+    emptyText: { textAlign: 'center', marginTop: 50, color: '#888' },
+});
+
+export default PriceHistoryScreen;
@@ -0,0 +1,126 @@
+/*
+================================================================================
+File: src/screens/ProfilesScreen.js
+Description: Businesses kept on this device. Each has its own customers, sales,
+payments and backups; one is open at a time. Add, rename and switch here.
+================================================================================
+*/
+import React, { useState } from 'react';
+import { View, StyleSheet, FlatList, Alert, Modal } from 'react-native';
+import { Text, Button, Card, Title, List, Divider, IconButton, TextInput, HelperText } from 'react-native-paper';
+import { createProfile, renameProfile } from '../db/profiles';
+import { useProfiles } from '../components/ProfileContext';
+
+const ProfilesScreen = () => {
+    const { activeProfile, profiles, switchProfile, refreshProfiles } = useProfiles();
+    // { profile } while renaming, {} while adding, null when the name form is closed
+    const [editing, setEditing] = useState(null);
+    const [name, setName] = useState('');
+    const [error, setError] = useState('');
+
+    const openNameForm = (profile = null) => {
+        setEditing(profile ? { profile } : {});
+        setName(profile ? profile.name : '');
+        setError('');
+    };
+
+    const handleSwitch = (profile) => {
+        Alert.alert("Switch Business", `Open the books of ${profile.name}?`, [
+            { text: "Cancel", style: "cancel" },
+            { text: "Switch", onPress: () => switchProfile(profile.id) },
+        ]);
+    };
+
+    const handleSave = async () => {
+        try {
+            if (editing.profile) {
+                await renameProfile(editing.profile.id, name);
+                setEditing(null);
+                refreshProfiles();
+                return;
+            }
+            const profile = await createProfile(name);
+            setEditing(null);
+            refreshProfiles();
+            Alert.alert("Business Added", `${profile.name} starts with no customers or products.`, [
+                { text: "Later", style: "cancel" },
+                { text: "Switch Now", onPress: () => switchProfile(profile.id) },
+            ]);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const renderItem = ({ item }) => {
+        const isActive = activeProfile && item.id === activeProfile.id;
+        return (
+            <>
+                <List.Item
+                    title={item.name}
+                    description={isActive ? 'Open now' : 'Tap to switch'}
+                    onPress={isActive ? undefined : () => handleSwitch(item)}
+                    left={props => <List.Icon {...props} icon={isActive ? 'store-check' : 'store-outline'} color={isActive ? '#2e7d32' : undefined} />}
+                    right={() => <IconButton icon="pencil" accessibilityLabel={`Rename ${item.name}`} onPress={() => openNameForm(item)} />}
+                />
+                <Divider />
+            </>
+        );
+    };
+
+    return (
+        <View style={styles.container}>
+            <Card style={styles.card}>
+                <Card.Content>
+                    <Title>Businesses</Title>
+                    <Text style={styles.helpText}>
+                        Each business keeps its own customers, products, sales, payments, expenses and backups. Only the open business is shown in the app.
+                    </Text>
+                    <Button mode="contained" icon="store-plus" onPress={() => openNameForm()} style={styles.button}>
+                        Add Business
+                    </Button>
+                </Card.Content>
+            </Card>
+            <FlatList
+                data={profiles}
+                renderItem={renderItem}
+                keyExtractor={item => item.id}
+            />
+
+            <Modal visible={!!editing} transparent animationType="fade" onRequestClose={() => setEditing(null)}>
+                <View style={styles.modalOverlay}>
+                    <Card style={styles.modalCard}>
+                        <Card.Content>
+                            <Title>{editing && editing.profile ? 'Rename Business' : 'Add Business'}</Title>
+                            <TextInput
+                                label="Business Name"
+                                mode="outlined"
+                                value={name}
+                                onChangeText={setName}
+                                autoFocus
+                                style={styles.input}
+                            />
+                            <HelperText type="error" visible={!!error}>{error}</HelperText>
+                            <View style={styles.modalActions}>
+                                <Button onPress={() => setEditing(null)}>Cancel</Button>
+                                <Button mode="contained" onPress={handleSave}>Save</Button>
+                            </View>
+                        </Card.Content>
+                    </Card>
+                </View>
+            </Modal>
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: { flex: 1 },
+    card: { margin: 8 },
+    helpText: { color: '#666', marginTop: 4 },
+    button: { marginTop: 12 },
+    modalOverlay: { flex: 1, justifyContent: 'center', alignItems: 'center', backgroundColor: 'rgba(0,0,0,0.5)' },
+    modalCard: { width: '90%', borderRadius: 16, backgroundColor: 'white' },
+    input: { marginTop: 8, backgroundColor: 'white' },
+    modalActions: { flexDirection: 'row', justifyContent: 'flex-end' },
+});
+
+export default ProfilesScreen;
@@ -0,0 +1,171 @@
+/*
+================================================================================
+File: src/screens/RateChartScreen.js
+Description: Fat / SNF rate chart for milk collected from farmers. A chart is
+generated from a starting rate and how much each 0.1 of fat and SNF adds, and
+any rate in the grid can then be changed by hand before saving.
+================================================================================
+*/
+import React, { useState, useCallback } from 'react';
+import { View, StyleSheet, ScrollView, Alert, TextInput as CellInput } from 'react-native';
+import { Text, Button, Card, TextInput } from 'react-native-paper';
+import { useFocusEffect } from '@react-navigation/native';
+import { getRateChart, saveRateChart } from '../db/Database';
+import { toPaise, toRupees } from '../utils/money';
+import { buildRateChart } from '../utils/milkCollection';
+
+const cellKey = (fat, snf) => `${fat}|${snf}`;
+
+// Chart rows as the editor holds them: { fats, snfs, rates: { 'fat|snf': rupees text } }
+const toDraft = (rows) => ({
+    fats: [...new Set(rows.map(row => row.fat))].sort((a, b) => a - b),
+    snfs: [...new Set(rows.map(row => row.snf))].sort((a, b) => a - b),
+    rates: Object.fromEntries(rows.map(row => [cellKey(row.fat, row.snf), String(toRupees(row.rate))])),
+});
+
+const RateChartScreen = () => {
+    const [draft, setDraft] = useState(toDraft([]));
+    const [saved, setSaved] = useState(true);
+    const [generator, setGenerator] = useState({
+        fatFrom: '3.0', fatTo: '6.0', snfFrom: '8.0', snfTo: '9.0', baseRate: '', fatStepRate: '', snfStepRate: '',
+    });
+
+    const loadChart = useCallback(() => {
+        getRateChart()
+            .then(rows => {
+                setDraft(toDraft(rows));
+                setSaved(true);
+            })
+            .catch(console.error);
+    }, []);
+
+    useFocusEffect(loadChart);
+
+    const setField = (field) => (value) => setGenerator(current => ({ ...current, [field]: value }));
+
+    const generate = () => {
+        const range = ['fatFrom', 'fatTo', 'snfFrom', 'snfTo'].map(field => Number(generator[field]));
+        const rates = ['baseRate', 'fatStepRate', 'snfStepRate'].map(field => toPaise(generator[field]));
+        if (range.some(value => !Number.isFinite(value) || value <= 0)) {
+            Alert.alert("Validation Error", "Enter the lowest and highest fat and SNF.");
+            return;
+        }
+        if (rates.some(isNaN)) {
+            Alert.alert("Validation Error", "Enter the starting rate and how much each 0.1 of fat and SNF adds.");
+            return;
+        }
+        try {
+            const [fatFrom, fatTo, snfFrom, snfTo] = range;
+            const [baseRate, fatStepRate, snfStepRate] = rates;
+            setDraft(toDraft(buildRateChart({ fatFrom, fatTo, snfFrom, snfTo, baseRate, fatStepRate, snfStepRate })));
+            setSaved(false);
+        } catch (err) {
+            Alert.alert("Validation Error", err.message);
+        }
+    };
+
+    const setRate = (fat, snf, value) => {
+        setDraft(current => ({ ...current, rates: { ...current.rates, [cellKey(fat, snf)]: value } }));
+        setSaved(false);
+    };
+
+    const handleSave = async () => {
+        const rows = [];
+        for (const fat of draft.fats) {
+            for (const snf of draft.snfs) {
+                const rate = toPaise(draft.rates[cellKey(fat, snf)]);
+                if (isNaN(rate) || rate < 0) {
+                    Alert.alert("Validation Error", `The rate for fat ${fat.toFixed(1)}% and SNF ${snf.toFixed(1)}% must be a number of 0 or more.`);
+                    return;
+                }
+                rows.push({ fat, snf, rate });
+            }
+        }
+        try {
+            await saveRateChart(rows);
+            setSaved(true);
+            Alert.alert("Saved", "The rate chart is saved. Collections already recorded keep their rates.");
+        } catch (err) {
+            Alert.alert("Could Not Save", err.message);
+        }
+    };
+
+    return (
+        <ScrollView style={styles.container}>
+            <Card style={styles.card}>
+                <Card.Title title="Generate Chart" subtitle="Rates are in ₹ per litre" />
+                <Card.Content>
+                    <View style={styles.row}>
+                        <TextInput label="Lowest Fat %" value={generator.fatFrom} onChangeText={setField('fatFrom')} keyboardType="numeric" mode="outlined" style={styles.half} />
+                        <TextInput label="Highest Fat %" value={generator.fatTo} onChangeText={setField('fatTo')} keyboardType="numeric" mode="outlined" style={styles.half} />
+                    </View>
+                    <View style={styles.row}>
+                        <TextInput label="Lowest SNF %" value={generator.snfFrom} onChangeText={setField('snfFrom')} keyboardType="numeric" mode="outlined" style={styles.half} />
+                        <TextInput label="Highest SNF %" value={generator.snfTo} onChangeText={setField('snfTo')} keyboardType="numeric" mode="outlined" style={styles.half} />
+                    </View>
+                    <TextInput label="Rate at lowest Fat and SNF (₹)" value={generator.baseRate} onChangeText={setField('baseRate')} keyboardType="numeric" mode="outlined" style={styles.input} />
+                    <View style={styles.row}>
+                        <TextInput label="+ per 0.1 Fat (₹)" value={generator.fatStepRate} onChangeText={setField('fatStepRate')} keyboardType="numeric" mode="outlined" style={styles.half} />
+                        <TextInput label="+ per 0.1 SNF (₹)" value={generator.snfStepRate} onChangeText={setField('snfStepRate')} keyboardType="numeric" mode="outlined" style={styles.half} />
+                    </View>
+                    <Button mode="outlined" icon="table-refresh" onPress={generate}>Generate</Button>
+                </Card.Content>
+            </Card>
+
+            <Card style={styles.card}>
+                <Card.Title
+                    title="Rate Chart"
+                    subtitle={draft.fats.length > 0 ? 'Fat % down, SNF % across' : 'No chart yet - generate one above'}
+                />
+                {draft.fats.length > 0 && (
+                    <ScrollView horizontal>
+                        <View style={styles.grid}>
+                            <View style={styles.gridRow}>
+                                <Text style={[styles.cell, styles.heading]}>Fat \ SNF</Text>
+                                {draft.snfs.map(snf => (
+                                    <Text key={snf} style={[styles.cell, styles.heading]}>{snf.toFixed(1)}</Text>
+                                ))}
+                            </View>
+                            {draft.fats.map(fat => (
+                                <View key={fat} style={styles.gridRow}>
+                                    <Text style={[styles.cell, styles.heading]}>{fat.toFixed(1)}</Text>
+                                    {draft.snfs.map(snf => (
+                                        <CellInput
+                                            key={snf}
+                                            value={draft.rates[cellKey(fat, snf)] ?? ''}
+                                            onChangeText={(value) => setRate(fat, snf, value)}
+                                            keyboardType="numeric"
+                                            accessibilityLabel={`Rate for fat ${fat.toFixed(1)}% and SNF ${snf.toFixed(1)}%`}
+                                            style={[styles.cell, styles.cellInput]}
+                                        />
+                                    ))}
+                                </View>
+                            ))}
+                        </View>
+                    </ScrollView>
+                )}
+                <Card.Content>
+                    <Button mode="contained" icon="content-save" onPress={handleSave} disabled={saved} style={styles.saveBtn}>
+                        Save Chart
+                    </Button>
+                </Card.Content>
+            </Card>
+        </ScrollView>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: { flex: 1, backgroundColor: '#f5f5f5' },
+    card: { margin: 8, backgroundColor: 'white' },
+    row: { flexDirection: 'row', justifyContent: 'space-between' },
+    half: { flex: 1, marginHorizontal: 2, marginBottom: 8, backgroundColor: 'white' },
+    input: { marginBottom: 8, backgroundColor: 'white' },
+    grid: { paddingHorizontal: 12 },
+    gridRow: { flexDirection: 'row' },
+    cell: { width: 64, paddingVertical: 6, paddingHorizontal: 4, textAlign: 'center', borderWidth: StyleSheet.hairlineWidth, borderColor: '#ddd' },
+    heading: { fontWeight: 'bold', backgroundColor: '#f0f0f0', color: '#333' },
+    cellInput: { color: '#333' },
+    saveBtn: { marginTop: 12 },
+});
+
+export default RateChartScreen;
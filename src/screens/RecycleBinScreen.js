@@ -0,0 +1,118 @@
+/*
+================================================================================
+File: src/screens/RecycleBinScreen.js
+Description: Deleted sales, payments, expenses and products. Each can be
+restored or deleted for good; items older than the retention period are purged
+automatically when the app starts.
+================================================================================
+*/
+import React, { useState, useCallback } from 'react';
+import { View, StyleSheet, FlatList, Alert } from 'react-native';
+import { Text, Button, Card, Title, List, Divider, IconButton } from 'react-native-paper';
+import { useFocusEffect } from '@react-navigation/native';
+import { format, parseISO, differenceInCalendarDays, addDays } from 'date-fns';
+import { getRecycleBinItems, restoreFromRecycleBin, purgeRecycleBinItem, emptyRecycleBin, RECYCLE_BIN_RETENTION_DAYS } from '../db/Database';
+
+const ITEM_ICONS = {
+    daily_sales: 'water',
+    payments: 'cash-check',
+    expenses: 'cash-minus',
+    products: 'package-variant',
+    supplier_purchases: 'truck-delivery',
+    supplier_payments: 'cash-fast',
+    milk_collections: 'cow',
+};
+
+const daysUntilPurge = (deletedAt) => Math.max(0, differenceInCalendarDays(addDays(parseISO(deletedAt), RECYCLE_BIN_RETENTION_DAYS), new Date()));
+
+const RecycleBinScreen = () => {
+    const [items, setItems] = useState([]);
+
+    const loadItems = useCallback(() => {
+        getRecycleBinItems().then(setItems).catch(console.error);
+    }, []);
+
+    useFocusEffect(loadItems);
+
+    const handleRestore = (item) => {
+        restoreFromRecycleBin(item.id)
+            .then(loadItems)
+            .catch(err => {
+                Alert.alert("Could Not Restore", err.message);
+                console.error(err);
+            });
+    };
+
+    const handlePurge = (item) => {
+        Alert.alert("Delete Forever", `${item.label}\n\nThis cannot be undone.`, [
+            { text: "Cancel", style: "cancel" },
+            {
+                text: "Delete",
+                style: "destructive",
+                onPress: () => purgeRecycleBinItem(item.id).then(loadItems).catch(console.error),
+            },
+        ]);
+    };
+
+    const handleEmpty = () => {
+        Alert.alert("Empty Recycle Bin", `Permanently delete all ${items.length} items? This cannot be undone.`, [
+            { text: "Cancel", style: "cancel" },
+            {
+                text: "Empty",
+                style: "destructive",
+                onPress: () => emptyRecycleBin().then(loadItems).catch(console.error),
+            },
+        ]);
+    };
+
+    const renderItem = ({ item }) => (
+        <>
+            <List.Item
+                title={item.label}
+                titleNumberOfLines={2}
+                description={`Deleted ${format(parseISO(item.deleted_at), 'dd MMM yyyy, hh:mm a')} | Purged in ${daysUntilPurge(item.deleted_at)} days`}
+                left={props => <List.Icon {...props} icon={ITEM_ICONS[item.table_name] || 'delete'} />}
+                right={() => (
+                    <View style={styles.itemActions}>
+                        <IconButton icon="restore" accessibilityLabel={`Restore ${item.label}`} onPress={() => handleRestore(item)} />
+                        <IconButton icon="delete-forever" iconColor="#d32f2f" accessibilityLabel={`Delete ${item.label} forever`} onPress={() => handlePurge(item)} />
+                    </View>
+                )}
+            />
+            <Divider />
+        </>
+    );
+
+    return (
+        <View style={styles.container}>
+            <Card style={styles.card}>
+                <Card.Content>
+                    <Title>Recycle Bin</Title>
+                    <Text style={styles.helpText}>
+                        Deleted sales, payments, expenses and products are kept here for {RECYCLE_BIN_RETENTION_DAYS} days before they are removed for good.
+                    </Text>
+                    <Button mode="outlined" icon="delete-sweep" textColor="#d32f2f" onPress={handleEmpty} style={styles.button} disabled={items.length === 0}>
+                        Empty Recycle Bin
+                    </Button>
+                </Card.Content>
+            </Card>
+            <FlatList
+                data={items}
+                renderItem={renderItem}
+                keyExtractor={item => item.id.toString()}
+                ListEmptyComponent={<Text style={styles.emptyText}>The recycle bin is empty.</Text>}
+            />
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: { flex: 1 },
+    card: { margin: 8 },
+    helpText: { color: '#666', marginTop: 4 },
+    button: { marginTop: 12 },
+    itemActions: { flexDirection: 'row', alignItems: 'center' },
+    emptyText: { textAlign: 'center', marginTop: 50, paddingHorizontal: 20, color: '#888' },
+});
+
+export default RecycleBinScreen;
@@ -15,8 +15,12 @@ import {
     getComprehensiveCustomerDues, 
     getSalesForCustomer, 
     getPaymentsForCustomer, 
-    getTotalDuesForCustomerUpToDate 
+    getTotalDuesForCustomerUpToDate,
+    getProductVolumesForPeriod
 } from '../db/Database';
+import { exportCsvBundle } from '../utils/csvExport';
+import { formatRupees, toDecimalString } from '../utils/money';
+import { formatQuantity, totalsByUnit } from '../utils/units';
 import { format, startOfMonth, subDays } from 'date-fns';
 import DateTimePicker from '@react-native-community/datetimepicker';
 import * as Print from 'expo-print';
@@ -30,6 +34,8 @@ const ReportsScreen = () => {
     // Data State
     const [stats, setStats] = useState({ sales: 0, expenses: 0, profit: 0 });
     const [customerReports, setCustomerReports] = useState([]);
+    // Quantity and amount sold per product in the period
+    const [productVolumes, setProductVolumes] = useState([]);
     
     // Filter State
     const [filterType, setFilterType] = useState('currentMonth'); // currentMonth, last30, last365, custom
@@ -51,8 +57,9 @@ const ReportsScreen = () => {
         Promise.all([
             getTotalSalesForPeriod(sDate, eDate),
             getTotalExpensesForPeriod(sDate, eDate),
-            getComprehensiveCustomerDues(sDate, eDate)
-        ]).then(([sales, expenses, customers]) => {
+            getComprehensiveCustomerDues(sDate, eDate),
+            getProductVolumesForPeriod(sDate, eDate)
+        ]).then(([sales, expenses, customers, volumes]) => {
             setStats({
                 sales: sales,
                 expenses: expenses,
@@ -60,9 +67,9 @@ const ReportsScreen = () => {
             });
             
             // Filter: Only show customers with actual Total Dues (Positive or Negative/Advance)
-            // Using > 0.5 to handle potential floating point dust, treating < 0.5 as 0.
-            const activeCustomers = customers.filter(c => Math.abs(c.total_due) > 0.5);
+            const activeCustomers = customers.filter(c => c.total_due !== 0);
             setCustomerReports(activeCustomers);
+            setProductVolumes(volumes);
             
         }).catch(err => console.error("Error loading reports:", err));
 
@@ -125,10 +132,10 @@ const ReportsScreen = () => {
                     </div>
 
                     <div class="summary">
-                        <p><strong>Opening Balance:</strong> ₹${computedOpening.toFixed(2)}</p>
-                        <p><strong>+ Sales (This Period):</strong> ₹${customer.period_sales.toFixed(2)}</p>
-                        <p><strong>- Payments (This Period):</strong> ₹${customer.period_payments.toFixed(2)}</p>
-                        <h3>Net Payable: ₹${currentTotalDue.toFixed(2)}</h3>
+                        <p><strong>Opening Balance:</strong> ${formatRupees(computedOpening, { decimals: 2 })}</p>
+                        <p><strong>+ Sales (This Period):</strong> ${formatRupees(customer.period_sales, { decimals: 2 })}</p>
+                        <p><strong>- Payments (This Period):</strong> ${formatRupees(customer.period_payments, { decimals: 2 })}</p>
+                        <h3>Net Payable: ${formatRupees(currentTotalDue, { decimals: 2 })}</h3>
                     </div>
 
                     <h3>Sales History</h3>
@@ -139,8 +146,8 @@ const ReportsScreen = () => {
                                 <tr>
                                     <td>${format(new Date(s.sale_date), 'dd MMM')}</td>
                                     <td>${s.product_name}</td>
-                                    <td>${s.quantity}</td>
-                                    <td>${s.total_amount.toFixed(2)}</td>
+                                    <td>${formatQuantity(s.quantity, s.product_unit)}</td>
+                                    <td>${toDecimalString(s.total_amount)}</td>
                                 </tr>`).join('')}
                         </tbody>
                     </table>
@@ -153,7 +160,7 @@ const ReportsScreen = () => {
                                 <tr>
                                     <td>${format(new Date(p.payment_date), 'dd MMM')}</td>
                                     <td>${p.notes || '-'}</td>
-                                    <td>${p.amount_paid.toFixed(2)}</td>
+                                    <td>${toDecimalString(p.amount_paid)}</td>
                                 </tr>`).join('')}
                         </tbody>
                     </table>
@@ -201,18 +208,37 @@ const ReportsScreen = () => {
                     <div class="summary-box">
                         <div class="card" style="background-color: #e8f5e9;">
                             <h3>Total Sales</h3>
-                            <h2>₹${stats.sales.toLocaleString()}</h2>
+                            <h2>${formatRupees(stats.sales)}</h2>
                         </div>
                         <div class="card" style="background-color: #ffebee;">
                             <h3>Expenses</h3>
-                            <h2>₹${stats.expenses.toLocaleString()}</h2>
+                            <h2>${formatRupees(stats.expenses)}</h2>
                         </div>
                         <div class="card" style="background-color: #e3f2fd;">
                             <h3>Net Profit</h3>
-                            <h2 style="color: ${stats.profit >= 0 ? 'green' : 'red'}">₹${stats.profit.toLocaleString()}</h2>
+                            <h2 style="color: ${stats.profit >= 0 ? 'green' : 'red'}">${formatRupees(stats.profit)}</h2>
                         </div>
                     </div>
 
+                    <h3>Volume Sold</h3>
+                    <table>
+                        <thead><tr><th>Product</th><th>Quantity</th><th>Amount</th></tr></thead>
+                        <tbody>
+                            ${productVolumes.map(v => `
+                                <tr>
+                                    <td>${v.name}</td>
+                                    <td>${formatQuantity(v.quantity, v.unit)}</td>
+                                    <td>${formatRupees(v.amount, { decimals: 0 })}</td>
+                                </tr>`).join('')}
+                        </tbody>
+                        <tfoot>
+                            <tr class="total-row">
+                                <td>TOTALS</td>
+                                <td colspan="2">${totalsByUnit(productVolumes).map(t => formatQuantity(t.quantity, t.unit)).join(', ') || '-'}</td>
+                            </tr>
+                        </tfoot>
+                    </table>
+
                     <h3>Customer Dues Summary</h3>
                     <table>
                         <thead>
@@ -227,20 +253,20 @@ const ReportsScreen = () => {
                         <tbody>
                             ${customerReports.map(c => `
                                 <tr>
-                                    <td>${c.name}</td>
-                                    <td>₹${c.period_sales.toFixed(0)}</td>
-                                    <td>₹${c.period_payments.toFixed(0)}</td>
-                                    <td style="color: ${c.period_due > 0 ? 'red' : 'black'}">₹${c.period_due.toFixed(0)}</td>
-                                    <td style="font-weight: bold;">₹${c.total_due.toFixed(0)}</td>
+                                    <td>${c.name}${c.isActive ? '' : ' (Archived)'}</td>
+                                    <td>${formatRupees(c.period_sales, { decimals: 0 })}</td>
+                                    <td>${formatRupees(c.period_payments, { decimals: 0 })}</td>
+                                    <td style="color: ${c.period_due > 0 ? 'red' : 'black'}">${formatRupees(c.period_due, { decimals: 0 })}</td>
+                                    <td style="font-weight: bold;">${formatRupees(c.total_due, { decimals: 0 })}</td>
                                 </tr>`).join('')}
                         </tbody>
                         <tfoot>
                             <tr class="total-row">
                                 <td>TOTALS</td>
-                                <td>₹${totalPeriodSales.toLocaleString(undefined, {minimumFractionDigits: 0, maximumFractionDigits: 0})}</td>
-                                <td>₹${totalPeriodPayments.toLocaleString(undefined, {minimumFractionDigits: 0, maximumFractionDigits: 0})}</td>
-                                <td>₹${totalPeriodDue.toLocaleString(undefined, {minimumFractionDigits: 0, maximumFractionDigits: 0})}</td>
-                                <td>₹${grandTotalOutstanding.toLocaleString(undefined, {minimumFractionDigits: 0, maximumFractionDigits: 0})}</td>
+                                <td>${formatRupees(totalPeriodSales, { decimals: 0 })}</td>
+                                <td>${formatRupees(totalPeriodPayments, { decimals: 0 })}</td>
+                                <td>${formatRupees(totalPeriodDue, { decimals: 0 })}</td>
+                                <td>${formatRupees(grandTotalOutstanding, { decimals: 0 })}</td>
                             </tr>
                         </tfoot>
                     </table>
@@ -255,6 +281,24 @@ const ReportsScreen = () => {
         }
     };
 
+    // --- CSV Export: all ledger tables for the selected period, zipped ---
+    const exportCsv = async () => {
+        try {
+            if (!(await Sharing.isAvailableAsync())) {
+                Alert.alert("Error", "Sharing is not available on this device");
+                return;
+            }
+            const uri = await exportCsvBundle({
+                startDate: format(startDate, 'yyyy-MM-dd'),
+                endDate: format(endDate, 'yyyy-MM-dd'),
+            });
+            await Sharing.shareAsync(uri, { mimeType: 'application/zip', dialogTitle: 'Share CSV Export' });
+        } catch (error) {
+            console.error(error);
+            Alert.alert("Error", "Failed to export CSV files");
+        }
+    };
+
     return (
         <View style={styles.container}>
             {/* Header */}
@@ -324,23 +368,50 @@ const ReportsScreen = () => {
                     <View style={styles.statsRow}>
                         <View style={styles.statItem}>
                             <Text style={styles.statLabel}>Total Sales</Text>
-                            <Text style={[styles.statValue, {color: '#2e7d32'}]}>₹{stats.sales.toLocaleString()}</Text>
+                            <Text style={[styles.statValue, {color: '#2e7d32'}]}>{formatRupees(stats.sales)}</Text>
                         </View>
                         <View style={[styles.verticalDivider, {backgroundColor: '#eee'}]} />
                         <View style={styles.statItem}>
                             <Text style={styles.statLabel}>Expenses</Text>
-                            <Text style={[styles.statValue, {color: '#d32f2f'}]}>₹{stats.expenses.toLocaleString()}</Text>
+                            <Text style={[styles.statValue, {color: '#d32f2f'}]}>{formatRupees(stats.expenses)}</Text>
                         </View>
                         <View style={[styles.verticalDivider, {backgroundColor: '#eee'}]} />
                         <View style={styles.statItem}>
                             <Text style={styles.statLabel}>Net Profit</Text>
                             <Text style={[styles.statValue, {color: stats.profit >= 0 ? theme.colors.primary : '#d32f2f'}]}>
-                                ₹{stats.profit.toLocaleString()}
+                                {formatRupees(stats.profit)}
                             </Text>
                         </View>
                     </View>
                 </Surface>
 
+                {/* Volume Sold Card: totals per unit, then each product */}
+                <Surface style={styles.summaryCard} elevation={2}>
+                    <Title style={styles.cardTitle}>Volume Sold</Title>
+                    <Divider style={{marginBottom: 10}}/>
+                    {productVolumes.length === 0 ? (
+                        <Text style={styles.emptyVolume}>No sales in this period.</Text>
+                    ) : (
+                        <>
+                            <View style={styles.statsRow}>
+                                {totalsByUnit(productVolumes).map(total => (
+                                    <View key={total.unit} style={styles.statItem}>
+                                        <Text style={styles.statLabel}>Total ({total.unit})</Text>
+                                        <Text style={styles.statValue}>{formatQuantity(total.quantity, total.unit)}</Text>
+                                    </View>
+                                ))}
+                            </View>
+                            {productVolumes.map(volume => (
+                                <View key={volume.id} style={styles.volumeRow}>
+                                    <Text style={styles.volumeName}>{volume.name}</Text>
+                                    <Text style={styles.volumeQuantity}>{formatQuantity(volume.quantity, volume.unit)}</Text>
+                                    <Text style={styles.volumeAmount}>{formatRupees(volume.amount)}</Text>
+                                </View>
+                            ))}
+                        </>
+                    )}
+                </Surface>
+
                 {/* Aggregate Download Button */}
                 <Button 
                     mode="contained" 
@@ -352,6 +423,16 @@ const ReportsScreen = () => {
                     Download Full Report
                 </Button>
 
+                {/* CSV Export Button */}
+                <Button 
+                    mode="outlined" 
+                    icon="file-delimited" 
+                    onPress={exportCsv} 
+                    style={styles.downloadBtn}
+                >
+                    Export CSV for Accountant
+                </Button>
+
                 {/* Customer Dues List */}
                 <View style={styles.listHeader}>
                     <Title style={{fontSize: 18}}>Customer Dues</Title>
@@ -361,13 +442,13 @@ const ReportsScreen = () => {
                     <Surface key={item.id} style={styles.customerCard} elevation={1}>
                         <View style={styles.customerRow}>
                             <View style={{flex: 1}}>
-                                <Text style={styles.customerName}>{item.name}</Text>
+                                <Text style={styles.customerName}>{item.name}{item.isActive ? '' : ' (Archived)'}</Text>
                                 <View style={styles.duesRow}>
-                                    <Text style={styles.totalDue}>Total Due: ₹{item.total_due.toLocaleString()}</Text>
-                                    {/* Show Period Due only if significantly different from Total Due (e.g., > 1 diff to ignore floats) */}
-                                    {Math.abs(item.total_due - item.period_due) > 1 && (
+                                    <Text style={styles.totalDue}>Total Due: {formatRupees(item.total_due)}</Text>
+                                    {/* Show Period Due only if it differs from Total Due */}
+                                    {item.total_due !== item.period_due && (
                                         <Text style={styles.periodDue}>
-                                            (Period: {item.period_due > 0 ? '+' : ''}₹{item.period_due.toLocaleString()})
+                                            (Period: {item.period_due > 0 ? '+' : ''}{formatRupees(item.period_due)})
                                         </Text>
                                     )}
                                 </View>
@@ -438,6 +519,11 @@ const styles = StyleSheet.create({
     statLabel: { fontSize: 12, color: '#888', marginBottom: 4 },
     statValue: { fontSize: 18, fontWeight: 'bold' },
     verticalDivider: { width: 1, height: '80%', alignSelf: 'center' },
+    volumeRow: { flexDirection: 'row', alignItems: 'center', marginTop: 8 },
+    volumeName: { flex: 2, color: '#333' },
+    volumeQuantity: { flex: 1, textAlign: 'right', color: '#333' },
+    volumeAmount: { flex: 1, textAlign: 'right', color: '#2e7d32' },
+    emptyVolume: { textAlign: 'center', color: '#aaa', fontStyle: 'italic' },
 
     downloadBtn: { marginBottom: 20, borderRadius: 8, paddingVertical: 4 },
 
@@ -0,0 +1,212 @@
+/*
+================================================================================
+File: src/screens/RestoreBackupScreen.js
+Description: Pick a JSON backup file, review its contents and restore it.
+Encrypted backups are unlocked with their passphrase first.
+================================================================================
+*/
+import React, { useState, useEffect, useCallback } from 'react';
+import { View, StyleSheet, ScrollView, Alert } from 'react-native';
+import { Text, Button, Card, Title, List, Divider, ActivityIndicator } from 'react-native-paper';
+import { useNavigation, useRoute } from '@react-navigation/native';
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system/legacy';
+import { validateBackupData, restoreDataFromBackup } from '../db/Database';
+import { isEncryptedBackup, decryptBackup } from '../utils/backupCrypto';
+import PassphraseModal from '../components/PassphraseModal';
+
+const SUMMARY_ROWS = [
+    { key: 'customers', label: 'Customers', icon: 'account-group' },
+    { key: 'products', label: 'Products', icon: 'package-variant' },
+    { key: 'sales', label: 'Sales', icon: 'water' },
+    { key: 'payments', label: 'Payments', icon: 'cash-check' },
+    { key: 'expenses', label: 'Expenses', icon: 'cash-minus' },
+];
+
+const RestoreBackupScreen = () => {
+    const navigation = useNavigation();
+    const route = useRoute();
+    const { fileUri, fileName: storedFileName } = route.params || {};
+    const [fileName, setFileName] = useState('');
+    const [backupData, setBackupData] = useState(null);
+    const [summary, setSummary] = useState(null);
+    const [restoring, setRestoring] = useState(false);
+    // Encrypted file waiting for its passphrase: { container, name }
+    const [locked, setLocked] = useState(null);
+    const [unlocking, setUnlocking] = useState(false);
+    const [unlockError, setUnlockError] = useState('');
+
+    const showInvalid = (error) => {
+        setSummary(null);
+        setBackupData(null);
+        Alert.alert("Invalid Backup", error.message || "Could not read the backup file.");
+        console.error(error);
+    };
+
+    const loadBackupFile = useCallback(async (uri, name) => {
+        try {
+            const content = await FileSystem.readAsStringAsync(uri, { encoding: 'utf8' });
+
+            let parsed;
+            try {
+                parsed = JSON.parse(content);
+            } catch (parseError) {
+                throw new Error("The selected file is not valid JSON.");
+            }
+
+            if (isEncryptedBackup(parsed)) {
+                setSummary(null);
+                setBackupData(null);
+                setUnlockError('');
+                setLocked({ container: parsed, name });
+                return;
+            }
+
+            setSummary(validateBackupData(parsed));
+            setBackupData(parsed);
+            setFileName(name);
+        } catch (error) {
+            showInvalid(error);
+        }
+    }, []);
+
+    const handleUnlock = async (passphrase) => {
+        setUnlocking(true);
+        setUnlockError('');
+        try {
+            const data = await decryptBackup(locked.container, passphrase);
+            const name = locked.name;
+            setLocked(null);
+            try {
+                setSummary(validateBackupData(data));
+                setBackupData(data);
+                setFileName(name);
+            } catch (error) {
+                showInvalid(error);
+            }
+        } catch (error) {
+            // Wrong passphrase: keep the prompt open so it can be retried
+            setUnlockError(error.message);
+        } finally {
+            setUnlocking(false);
+        }
+    };
+
+    // Opened from the stored backups list
+    useEffect(() => {
+        if (fileUri) loadBackupFile(fileUri, storedFileName);
+    }, [fileUri, storedFileName, loadBackupFile]);
+
+    const handlePickFile = async () => {
+        try {
+            const result = await DocumentPicker.getDocumentAsync({
+                type: ['application/json', 'text/plain', '*/*'],
+                copyToCacheDirectory: true,
+            });
+            if (result.canceled || !result.assets?.length) return;
+
+            const asset = result.assets[0];
+            await loadBackupFile(asset.uri, asset.name);
+        } catch (error) {
+            Alert.alert("Error", "Could not open the file picker.");
+            console.error(error);
+        }
+    };
+
+    const runRestore = async (mode) => {
+        setRestoring(true);
+        try {
+            const added = await restoreDataFromBackup(backupData, mode);
+            const message = mode === 'replace'
+                ? "All data has been replaced with the backup."
+                : `Merged ${added.customers} customers, ${added.sales} sales, ${added.payments} payments and ${added.expenses} expenses.`;
+            Alert.alert("Restore Complete", message, [{ text: "OK", onPress: () => navigation.goBack() }]);
+        } catch (error) {
+            Alert.alert("Error", "Failed to restore backup. Your existing data was not changed.");
+            console.error(error);
+        } finally {
+            setRestoring(false);
+        }
+    };
+
+    const handleRestore = (mode) => {
+        if (mode === 'replace') {
+            Alert.alert(
+                "Replace All Data?",
+                "Everything currently in the app will be deleted and replaced with the contents of this backup.",
+                [
+                    { text: "Cancel", style: "cancel" },
+                    { text: "Replace", style: "destructive", onPress: () => runRestore('replace') }
+                ]
+            );
+        } else {
+            runRestore('merge');
+        }
+    };
+
+    return (
+        <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+            <Card style={styles.card}>
+                <Card.Content>
+                    <Title>Restore from Backup</Title>
+                    <Text style={styles.helpText}>
+                        Choose a milkwala_backup_*.json file created with the Backup action. Encrypted backups ask for their passphrase. You can review what it contains before anything is changed.
+                    </Text>
+                    <Button mode="contained" icon="file-upload" onPress={handlePickFile} style={styles.button} disabled={restoring}>
+                        Choose Backup File
+                    </Button>
+                </Card.Content>
+            </Card>
+
+            {summary && (
+                <Card style={styles.card}>
+                    <Card.Title title={fileName} subtitle={`Backup date: ${summary.backupDate || 'Unknown'} | Schema v${summary.schemaVersion}`} />
+                    <Divider />
+                    {SUMMARY_ROWS.map(row => (
+                        <List.Item
+                            key={row.key}
+                            title={row.label}
+                            left={props => <List.Icon {...props} icon={row.icon} />}
+                            right={() => <Text style={styles.count}>{summary.counts[row.key]}</Text>}
+                        />
+                    ))}
+                    <Divider />
+                    <Card.Content>
+                        {restoring ? (
+                            <ActivityIndicator style={styles.button} />
+                        ) : (
+                            <>
+                                <Button mode="contained" icon="database-refresh" onPress={() => handleRestore('replace')} style={styles.button} buttonColor="#d32f2f">
+                                    Replace All Data
+                                </Button>
+                                <Button mode="outlined" icon="database-plus" onPress={() => handleRestore('merge')} style={styles.button}>
+                                    Merge Into Existing Data
+                                </Button>
+                            </>
+                        )}
+                    </Card.Content>
+                </Card>
+            )}
+
+            <PassphraseModal
+                visible={!!locked}
+                mode="decrypt"
+                busy={unlocking}
+                error={unlockError}
+                onSubmit={handleUnlock}
+                onDismiss={() => setLocked(null)}
+            />
+        </ScrollView>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: { flex: 1, backgroundColor: '#f5f5f5' },
+    content: { padding: 8, paddingBottom: 40 },
+    card: { margin: 8 },
+    helpText: { color: '#666', marginTop: 4 },
+    button: { marginTop: 12 },
+    count: { alignSelf: 'center', fontSize: 16, fontWeight: 'bold', marginRight: 8 },
+});
+
+export default RestoreBackupScreen;
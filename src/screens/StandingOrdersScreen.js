@@ -0,0 +1,248 @@
+/*
+================================================================================
+File: src/screens/StandingOrdersScreen.js
+Description: A customer's standing orders - the products delivered to them
+every day, on alternate days or on chosen weekdays. The day's sales are
+created from these orders when the app starts, so the daily entry screen only
+needs changing for the exceptions.
+================================================================================
+*/
+import React, { useState, useCallback } from 'react';
+import { View, StyleSheet, FlatList, Alert, Modal } from 'react-native';
+import { Text, Button, Card, TextInput, IconButton, List, FAB, Chip, Divider, useTheme } from 'react-native-paper';
+import { useFocusEffect, useRoute } from '@react-navigation/native';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { format, parseISO } from 'date-fns';
+import { getCustomerProducts, getStandingOrders, saveStandingOrder, deleteStandingOrder, autoPostStandingOrders } from '../db/Database';
+import { parseQuantity, formatQuantity } from '../utils/units';
+import { SCHEDULES, WEEKDAYS, parseWeekdays, formatWeekdays, describeSchedule } from '../utils/standingOrders';
+
+const StandingOrdersScreen = () => {
+    const route = useRoute();
+    const theme = useTheme();
+    const { customerId } = route.params;
+    const [orders, setOrders] = useState([]);
+    const [products, setProducts] = useState([]);
+
+    // The order being added ({}) or edited, or null when the form is closed
+    const [editing, setEditing] = useState(null);
+    const [product, setProduct] = useState(null);
+    const [quantity, setQuantity] = useState('');
+    const [schedule, setSchedule] = useState('daily');
+    const [weekdays, setWeekdays] = useState([]);
+    const [startDate, setStartDate] = useState(new Date());
+    const [endDate, setEndDate] = useState(null);
+    // 'start' or 'end' while that date is being picked
+    const [pickingDate, setPickingDate] = useState(null);
+
+    const loadData = useCallback(() => {
+        Promise.all([getStandingOrders(customerId), getCustomerProducts(customerId)])
+            .then(([orderRows, productRows]) => {
+                setOrders(orderRows);
+                setProducts(productRows);
+            })
+            .catch(console.error);
+    }, [customerId]);
+
+    useFocusEffect(loadData);
+
+    const selectProduct = (item) => {
+        setProduct(item);
+        setQuantity(item.default_quantity ? String(item.default_quantity) : '');
+    };
+
+    const openForm = (order) => {
+        if (!order && products.length === 0) {
+            Alert.alert("No Products", "Assign products to this customer first.");
+            return;
+        }
+        setEditing(order || {});
+        if (order) {
+            setProduct({ id: order.product_id, name: order.product_name, unit: order.unit, pack_size: order.pack_size });
+            setQuantity(String(order.quantity));
+            setSchedule(order.schedule);
+            setWeekdays(parseWeekdays(order.weekdays));
+            setStartDate(parseISO(order.start_date));
+            setEndDate(order.end_date ? parseISO(order.end_date) : null);
+        } else {
+            selectProduct(products[0]);
+            setSchedule('daily');
+            setWeekdays([]);
+            setStartDate(new Date());
+            setEndDate(null);
+        }
+    };
+
+    const toggleWeekday = (day) => {
+        setWeekdays(current => (current.includes(day) ? current.filter(d => d !== day) : [...current, day]));
+    };
+
+    const handleSave = async () => {
+        let qty;
+        try {
+            qty = parseQuantity(quantity, product);
+        } catch (err) {
+            Alert.alert("Validation Error", err.message);
+            return;
+        }
+        try {
+            await saveStandingOrder({
+                id: editing.id || null,
+                customerId,
+                productId: product.id,
+                quantity: qty,
+                schedule,
+                weekdays: formatWeekdays(weekdays),
+                startDate: format(startDate, 'yyyy-MM-dd'),
+                endDate: endDate ? format(endDate, 'yyyy-MM-dd') : null,
+            });
+            setEditing(null);
+            // An order starting today or earlier posts its sales straight away
+            const posted = await autoPostStandingOrders();
+            if (posted > 0) {
+                Alert.alert("Sales Added", `${posted} ${posted === 1 ? 'sale was' : 'sales were'} added from standing orders.`);
+            }
+            loadData();
+        } catch (err) {
+            Alert.alert("Could Not Save", err.message);
+        }
+    };
+
+    const confirmDelete = (order) => {
+        Alert.alert("Stop Standing Order", `Stop delivering ${order.product_name}? Sales already added are kept.`, [
+            { text: "Cancel", style: "cancel" },
+            {
+                text: "Stop Order",
+                style: "destructive",
+                onPress: () => {
+                    deleteStandingOrder(order.id)
+                        .then(loadData)
+                        .catch(err => Alert.alert("Could Not Delete", err.message));
+                }
+            },
+        ]);
+    };
+
+    const renderItem = ({ item }) => {
+        const period = `from ${format(parseISO(item.start_date), 'dd MMM yyyy')}${item.end_date ? ` to ${format(parseISO(item.end_date), 'dd MMM yyyy')}` : ''}`;
+        return (
+            <List.Item
+                title={`${item.product_name} - ${formatQuantity(item.quantity, item.unit)}`}
+                description={item.product_active ? `${describeSchedule(item)}, ${period}` : 'Paused - the product is archived'}
+                onPress={() => openForm(item)}
+                onLongPress={() => confirmDelete(item)}
+                left={props => <List.Icon {...props} icon={item.product_active ? 'calendar-sync' : 'pause-circle-outline'} />}
+            />
+        );
+    };
+
+    const pickerValue = pickingDate === 'end' ? (endDate || startDate) : startDate;
+
+    return (
+        <View style={styles.container}>
+            <FlatList
+                data={orders}
+                renderItem={renderItem}
+                keyExtractor={item => item.id.toString()}
+                ItemSeparatorComponent={Divider}
+                contentContainerStyle={styles.list}
+                ListHeaderComponent={orders.length > 0 ? <Text style={styles.hint}>Tap an order to change it, long-press to stop it.</Text> : null}
+                ListEmptyComponent={<Text style={styles.emptyText}>No standing orders yet. Add the products this customer gets regularly and their sales will be added each day.</Text>}
+            />
+
+            <FAB
+                style={[styles.fab, { backgroundColor: theme.colors.accent }]}
+                icon="plus"
+                color="black"
+                label="Add Standing Order"
+                onPress={() => openForm(null)}
+            />
+
+            <Modal visible={!!editing} transparent animationType="slide" onRequestClose={() => setEditing(null)}>
+                <View style={styles.modalOverlay}>
+                    <Card style={styles.modalCard}>
+                        <Card.Title
+                            title={editing?.id ? 'Edit Standing Order' : 'Add Standing Order'}
+                            right={(props) => <IconButton {...props} icon="close" onPress={() => setEditing(null)} />}
+                        />
+                        <Card.Content>
+                            {editing?.id ? (
+                                <Text style={styles.productName}>{product?.name}</Text>
+                            ) : (
+                                <View style={styles.chips}>
+                                    {products.map(item => (
+                                        <Chip key={item.id} selected={product?.id === item.id} onPress={() => selectProduct(item)} style={styles.chip}>
+                                            {item.name}
+                                        </Chip>
+                                    ))}
+                                </View>
+                            )}
+                            <TextInput
+                                label={`Quantity (${product?.unit || ''})`}
+                                value={quantity}
+                                onChangeText={setQuantity}
+                                mode="outlined"
+                                style={styles.input}
+                            />
+                            <View style={styles.chips}>
+                                {SCHEDULES.map(option => (
+                                    <Chip key={option.key} selected={schedule === option.key} onPress={() => setSchedule(option.key)} style={styles.chip}>
+                                        {option.label}
+                                    </Chip>
+                                ))}
+                            </View>
+                            {schedule === 'weekdays' && (
+                                <View style={styles.chips}>
+                                    {WEEKDAYS.map(day => (
+                                        <Chip key={day.key} selected={weekdays.includes(day.key)} onPress={() => toggleWeekday(day.key)} style={styles.chip} compact>
+                                            {day.label}
+                                        </Chip>
+                                    ))}
+                                </View>
+                            )}
+                            <Button mode="outlined" onPress={() => setPickingDate('start')} style={styles.input}>
+                                Starts: {format(startDate, 'dd MMM yyyy')}
+                            </Button>
+                            <View style={styles.endRow}>
+                                <Button mode="outlined" onPress={() => setPickingDate('end')} style={styles.endButton}>
+                                    {endDate ? `Ends: ${format(endDate, 'dd MMM yyyy')}` : 'No end date'}
+                                </Button>
+                                {!!endDate && <IconButton icon="close-circle-outline" accessibilityLabel="Remove end date" onPress={() => setEndDate(null)} />}
+                            </View>
+                            <Button mode="contained" onPress={handleSave}>Save Order</Button>
+                        </Card.Content>
+                    </Card>
+                </View>
+            </Modal>
+            {!!pickingDate && (
+                <DateTimePicker
+                    value={pickerValue}
+                    mode="date"
+                    onChange={(e, date) => {
+                        const field = pickingDate;
+                        setPickingDate(null);
+                        if (date) (field === 'start' ? setStartDate : setEndDate)(date);
+                    }}
+                />
+            )}
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: { flex: 1, backgroundColor: '#f5f5f5' },
+    list: { backgroundColor: 'white', paddingBottom: 80 },
+    hint: { fontSize: 12, color: '#888', paddingHorizontal: 16, paddingTop: 12 },
+    emptyText: { textAlign: 'center', marginTop: 50, paddingHorizontal: 20, color: '#888' },
+    fab: { position: 'absolute', margin: 16, right: 0, bottom: 0 },
+    modalOverlay: { flex: 1, justifyContent: 'center', alignItems: 'center', backgroundColor: 'rgba(0,0,0,0.5)' },
+    modalCard: { width: '90%', borderRadius: 12, backgroundColor: 'white', paddingBottom: 8 },
+    productName: { fontSize: 16, fontWeight: 'bold', color: '#333', marginBottom: 8 },
+    chips: { flexDirection: 'row', flexWrap: 'wrap', marginBottom: 4 },
+    chip: { marginRight: 6, marginBottom: 6 },
+    input: { marginBottom: 8, backgroundColor: 'white' },
+    endRow: { flexDirection: 'row', alignItems: 'center', marginBottom: 8 },
+    endButton: { flex: 1, backgroundColor: 'white' },
+});
+
+export default StandingOrdersScreen;
@@ -0,0 +1,255 @@
+/*
+================================================================================
+File: src/screens/StockScreen.js
+Description: Daily stock ledger. For the chosen day each product shows its
+opening stock, what was received, sold (from the day's sales) and wasted, and
+the closing stock. Products that sold more than they had are flagged.
+================================================================================
+*/
+import React, { useState, useCallback } from 'react';
+import { View, StyleSheet, FlatList, Alert, Modal, ScrollView } from 'react-native';
+import { Text, Button, Card, TextInput, IconButton, Surface, Divider, HelperText } from 'react-native-paper';
+import { useFocusEffect } from '@react-navigation/native';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { MaterialCommunityIcons as Icon } from '@expo/vector-icons';
+import { format, addDays, subDays, parseISO } from 'date-fns';
+import { getStockForDate, getStockLedger, recordStockEntry } from '../db/Database';
+import { parseQuantity, formatQuantity } from '../utils/units';
+
+// Days shown in a product's stock history, ending on the chosen day
+const HISTORY_DAYS = 14;
+
+// Quantity typed for received or wastage; an empty field means none
+const readQuantity = (text, product) => (String(text).trim() ? parseQuantity(text, product) : 0);
+
+const StockScreen = () => {
+    const [date, setDate] = useState(new Date());
+    const [showDatePicker, setShowDatePicker] = useState(false);
+    const [stock, setStock] = useState([]);
+    // The product whose entry is being edited
+    const [editing, setEditing] = useState(null);
+    const [received, setReceived] = useState('');
+    const [wastage, setWastage] = useState('');
+    const [notes, setNotes] = useState('');
+    // { product, rows } while a product's history is open
+    const [history, setHistory] = useState(null);
+
+    const dateString = format(date, 'yyyy-MM-dd');
+
+    const loadStock = useCallback(() => {
+        getStockForDate(dateString).then(setStock).catch(console.error);
+    }, [dateString]);
+
+    useFocusEffect(loadStock);
+
+    const shortages = stock.filter(item => item.shortfall > 0);
+
+    const openEntry = (item) => {
+        setEditing(item);
+        setReceived(item.received ? String(item.received) : '');
+        setWastage(item.wastage ? String(item.wastage) : '');
+        setNotes(item.notes);
+    };
+
+    const handleSave = async () => {
+        const item = editing;
+        let quantities;
+        try {
+            quantities = { received: readQuantity(received, item), wastage: readQuantity(wastage, item) };
+        } catch (err) {
+            Alert.alert("Validation Error", err.message);
+            return;
+        }
+        try {
+            await recordStockEntry(item.product_id, dateString, { ...quantities, notes: notes.trim() });
+            setEditing(null);
+            const updated = await getStockForDate(dateString);
+            setStock(updated);
+            const after = updated.find(row => row.product_id === item.product_id);
+            if (after && after.shortfall > 0) {
+                Alert.alert(
+                    "Stock Variance",
+                    `${formatQuantity(after.sold, after.unit)} of ${after.name} was sold but only ${formatQuantity(after.opening + after.received, after.unit)} was in stock. Check the sales and the quantity received.`
+                );
+            }
+        } catch (err) {
+            Alert.alert("Could Not Save", err.message);
+        }
+    };
+
+    const openHistory = (item) => {
+        getStockLedger(item.product_id, format(subDays(date, HISTORY_DAYS - 1), 'yyyy-MM-dd'), dateString)
+            .then(rows => setHistory({ product: item, rows: rows.reverse() }))
+            .catch(err => {
+                Alert.alert("Error", "Could not load the stock history.");
+                console.error(err);
+            });
+    };
+
+    const handleDateChange = (event, selected) => {
+        setShowDatePicker(false);
+        if (selected) setDate(selected);
+    };
+
+    const renderItem = ({ item }) => {
+        const show = (quantity) => formatQuantity(quantity, item.unit);
+        return (
+            <Card style={[styles.card, item.shortfall > 0 && styles.shortCard]} onPress={() => openEntry(item)}>
+                <Card.Title
+                    title={item.name}
+                    subtitle={item.tracked ? `Closing stock: ${show(item.closing)}` : 'Not tracked yet - tap to record stock received'}
+                    right={(props) => item.tracked && (
+                        <IconButton {...props} icon="history" accessibilityLabel={`Stock history of ${item.name}`} onPress={() => openHistory(item)} />
+                    )}
+                />
+                {item.tracked && (
+                    <Card.Content>
+                        <View style={styles.ledgerRow}>
+                            <LedgerValue label="Opening" value={show(item.opening)} />
+                            <LedgerValue label="Received" value={`+${show(item.received)}`} />
+                            <LedgerValue label="Sold" value={`-${show(item.sold)}`} />
+                            <LedgerValue label="Wastage" value={`-${show(item.wastage)}`} />
+                        </View>
+                        {item.shortfall > 0 && (
+                            <Text style={styles.shortText}>Sold {show(item.shortfall)} more than was in stock</Text>
+                        )}
+                        {!!item.notes && <Text style={styles.notes}>{item.notes}</Text>}
+                    </Card.Content>
+                )}
+            </Card>
+        );
+    };
+
+    return (
+        <View style={styles.container}>
+            <Surface style={styles.dateBar} elevation={1}>
+                <IconButton icon="chevron-left" accessibilityLabel="Previous day" onPress={() => setDate(subDays(date, 1))} />
+                <Button mode="outlined" icon="calendar" onPress={() => setShowDatePicker(true)}>
+                    {format(date, 'dd MMM yyyy')}
+                </Button>
+                <IconButton icon="chevron-right" accessibilityLabel="Next day" onPress={() => setDate(addDays(date, 1))} />
+            </Surface>
+
+            {shortages.length > 0 && (
+                <Surface style={styles.alertBanner} elevation={1}>
+                    <Icon name="alert-circle" size={20} color="#d32f2f" />
+                    <Text style={styles.alertText}>
+                        Sold more than in stock: {shortages.map(item => `${item.name} (${formatQuantity(item.shortfall, item.unit)} short)`).join(', ')}
+                    </Text>
+                </Surface>
+            )}
+
+            <FlatList
+                data={stock}
+                renderItem={renderItem}
+                keyExtractor={item => item.product_id.toString()}
+                ListEmptyComponent={<Text style={styles.emptyText}>No products yet. Add products from the Product Inventory screen.</Text>}
+            />
+
+            {showDatePicker && (
+                <DateTimePicker value={date} mode="date" display="default" onChange={handleDateChange} />
+            )}
+
+            <Modal visible={!!editing} transparent animationType="slide" onRequestClose={() => setEditing(null)}>
+                <View style={styles.modalOverlay}>
+                    <Card style={styles.modalCard}>
+                        <Card.Title
+                            title={editing ? editing.name : ''}
+                            subtitle={`Stock for ${format(date, 'dd MMM yyyy')}`}
+                            right={(props) => <IconButton {...props} icon="close" onPress={() => setEditing(null)} />}
+                        />
+                        <Card.Content>
+                            <TextInput
+                                label={`Received (${editing?.unit || ''})`}
+                                value={received}
+                                onChangeText={setReceived}
+                                mode="outlined"
+                                style={styles.input}
+                            />
+                            <TextInput
+                                label={`Wastage / Spoilage (${editing?.unit || ''})`}
+                                value={wastage}
+                                onChangeText={setWastage}
+                                mode="outlined"
+                                style={styles.input}
+                            />
+                            <TextInput
+                                label="Notes"
+                                value={notes}
+                                onChangeText={setNotes}
+                                mode="outlined"
+                                style={styles.input}
+                            />
+                            <HelperText type="info" visible={!!editing && !editing.tracked}>
+                                Stock is tracked from the first entry: record the stock on hand as received.
+                            </HelperText>
+                            <Button mode="contained" onPress={handleSave}>Save Stock</Button>
+                        </Card.Content>
+                    </Card>
+                </View>
+            </Modal>
+
+            <Modal visible={!!history} transparent animationType="slide" onRequestClose={() => setHistory(null)}>
+                <View style={styles.modalOverlay}>
+                    <Card style={[styles.modalCard, styles.historyCard]}>
+                        <Card.Title
+                            title={history ? history.product.name : ''}
+                            subtitle={`Last ${HISTORY_DAYS} days`}
+                            right={(props) => <IconButton {...props} icon="close" onPress={() => setHistory(null)} />}
+                        />
+                        <ScrollView>
+                            <View style={styles.historyHeader}>
+                                {['Date', 'Open', 'In', 'Sold', 'Waste', 'Close'].map(heading => (
+                                    <Text key={heading} style={styles.historyHeading}>{heading}</Text>
+                                ))}
+                            </View>
+                            <Divider />
+                            {history && history.rows.map(row => (
+                                <View key={row.date} style={[styles.historyRow, row.shortfall > 0 && styles.shortRow]}>
+                                    <Text style={styles.historyCell}>{format(parseISO(row.date), 'dd MMM')}</Text>
+                                    {[row.opening, row.received, row.sold, row.wastage, row.closing].map((quantity, index) => (
+                                        <Text key={index} style={styles.historyCell}>{formatQuantity(quantity, history.product.unit)}</Text>
+                                    ))}
+                                </View>
+                            ))}
+                        </ScrollView>
+                    </Card>
+                </View>
+            </Modal>
+        </View>
+    );
+};
+
+const LedgerValue = ({ label, value }) => (
+    <View style={styles.ledgerItem}>
+        <Text style={styles.ledgerLabel}>{label}</Text>
+        <Text style={styles.ledgerValue}>{value}</Text>
+    </View>
+);
+
+const styles = StyleSheet.create({
+    container: { flex: 1, backgroundColor: '#f5f5f5' },
+    dateBar: { flexDirection: 'row', alignItems: 'center', justifyContent: 'center', paddingVertical: 4, backgroundColor: 'white' },
+    alertBanner: { flexDirection: 'row', alignItems: 'center', margin: 8, padding: 12, borderRadius: 8, backgroundColor: '#ffebee' },
+    alertText: { flex: 1, marginLeft: 8, color: '#d32f2f' },
+    card: { marginHorizontal: 8, marginTop: 8, backgroundColor: 'white' },
+    shortCard: { borderColor: '#d32f2f', borderWidth: 1 },
+    ledgerRow: { flexDirection: 'row', justifyContent: 'space-between' },
+    ledgerItem: { alignItems: 'center', flex: 1 },
+    ledgerLabel: { fontSize: 12, color: '#888' },
+    ledgerValue: { fontSize: 14, fontWeight: 'bold', color: '#333' },
+    shortText: { marginTop: 8, color: '#d32f2f', fontWeight: 'bold' },
+    notes: { marginTop: 6, color: '#666', fontStyle: 'italic' },
+    emptyText: { textAlign: 'center', marginTop: 50, paddingHorizontal: 20, color: '#888' },
+    modalOverlay: { flex: 1, justifyContent: 'center', alignItems: 'center', backgroundColor: 'rgba(0,0,0,0.5)' },
+    modalCard: { width: '90%', borderRadius: 12, backgroundColor: 'white', paddingBottom: 8 },
+    historyCard: { maxHeight: '80%' },
+    input: { marginBottom: 8, backgroundColor: 'white' },
+    historyHeader: { flexDirection: 'row', paddingHorizontal: 12, paddingVertical: 6 },
+    historyHeading: { flex: 1, fontSize: 12, fontWeight: 'bold', color: '#666' },
+    historyRow: { flexDirection: 'row', paddingHorizontal: 12, paddingVertical: 6 },
+    shortRow: { backgroundColor: '#ffebee' },
+    historyCell: { flex: 1, fontSize: 12, color: '#333' },
+});
+
+export default StockScreen;
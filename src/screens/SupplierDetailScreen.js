@@ -0,0 +1,304 @@
+/*
+================================================================================
+File: src/screens/SupplierDetailScreen.js
+Description: One supplier's ledger: milk bought (product, quantity, rate and
+date) and payments made, with the balance still payable. Purchases are counted
+as expenses on the Dashboard and in Reports.
+================================================================================
+*/
+import React, { useState, useCallback } from 'react';
+import { View, StyleSheet, FlatList, Alert, Modal } from 'react-native';
+import { Text, Button, Card, TextInput, IconButton, Surface, List, Chip, Divider } from 'react-native-paper';
+import { useFocusEffect, useRoute } from '@react-navigation/native';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { format, parseISO } from 'date-fns';
+import { getSupplierById, getSupplierLedger, getAllProducts, recordPurchase, recordSupplierPayment, deletePurchase, deleteSupplierPayment } from '../db/Database';
+import UndoSnackbar from '../components/UndoSnackbar';
+import { toPaise, toRupees, formatRupees } from '../utils/money';
+import { parseQuantity, formatQuantity } from '../utils/units';
+
+const SupplierDetailScreen = () => {
+    const route = useRoute();
+    const { supplierId } = route.params;
+    const [supplier, setSupplier] = useState(null);
+    const [ledger, setLedger] = useState([]);
+    const [products, setProducts] = useState([]);
+    const [undoItem, setUndoItem] = useState(null); // Last deleted purchase or payment, for the Undo snackbar
+
+    // 'purchase' or 'payment' while that form is open
+    const [form, setForm] = useState(null);
+    const [product, setProduct] = useState(null);
+    const [quantity, setQuantity] = useState('');
+    const [rate, setRate] = useState('');
+    const [amount, setAmount] = useState('');
+    const [notes, setNotes] = useState('');
+    const [entryDate, setEntryDate] = useState(new Date());
+    const [showDatePicker, setShowDatePicker] = useState(false);
+
+    const loadData = useCallback(() => {
+        Promise.all([getSupplierById(supplierId), getSupplierLedger(supplierId), getAllProducts()])
+            .then(([supplierRow, rows, productRows]) => {
+                setSupplier(supplierRow);
+                setLedger(rows);
+                setProducts(productRows);
+            })
+            .catch(console.error);
+    }, [supplierId]);
+
+    useFocusEffect(loadData);
+
+    const totalPurchases = ledger.filter(row => row.type === 'purchase').reduce((sum, row) => sum + row.amount, 0);
+    const totalPaid = ledger.filter(row => row.type === 'payment').reduce((sum, row) => sum + row.amount, 0);
+    const payable = totalPurchases - totalPaid;
+
+    // Rate last paid for the product, to pre-fill the next purchase
+    const lastRate = (productId) => {
+        const last = ledger.find(row => row.type === 'purchase' && row.product_id === productId);
+        return last ? String(toRupees(last.price_per_unit)) : '';
+    };
+
+    const selectProduct = (item) => {
+        setProduct(item);
+        setRate(lastRate(item.id));
+    };
+
+    const openForm = (type) => {
+        setForm(type);
+        setQuantity('');
+        setAmount('');
+        setNotes('');
+        setEntryDate(new Date());
+        if (type === 'purchase') {
+            const first = products[0] || null;
+            setProduct(first);
+            setRate(first ? lastRate(first.id) : '');
+        }
+    };
+
+    const handleSavePurchase = async () => {
+        if (!product) {
+            Alert.alert("Validation Error", "Choose the product bought.");
+            return;
+        }
+        let qty;
+        try {
+            qty = parseQuantity(quantity, product);
+        } catch (err) {
+            Alert.alert("Validation Error", err.message);
+            return;
+        }
+        const ratePaise = toPaise(rate);
+        if (isNaN(ratePaise) || ratePaise < 0) {
+            Alert.alert("Validation Error", "Rate must be a number of 0 or more.");
+            return;
+        }
+        try {
+            await recordPurchase(supplierId, product.id, qty, ratePaise, format(entryDate, 'yyyy-MM-dd'), notes.trim());
+            setForm(null);
+            loadData();
+        } catch (err) {
+            Alert.alert("Could Not Save", err.message);
+        }
+    };
+
+    const handleSavePayment = async () => {
+        const amountPaise = toPaise(amount);
+        if (isNaN(amountPaise) || amountPaise <= 0) {
+            Alert.alert("Validation Error", "Enter the amount paid.");
+            return;
+        }
+        try {
+            await recordSupplierPayment(supplierId, amountPaise, format(entryDate, 'yyyy-MM-dd'), notes.trim());
+            setForm(null);
+            loadData();
+        } catch (err) {
+            Alert.alert("Could Not Save", err.message);
+        }
+    };
+
+    // Tapping a purchase or payment offers deleting it (to the recycle bin, with Undo)
+    const openEntryActions = (entry) => {
+        const isPurchase = entry.type === 'purchase';
+        Alert.alert(isPurchase ? "Purchase" : "Payment", null, [
+            {
+                text: "Delete",
+                style: "destructive",
+                onPress: () => {
+                    (isPurchase ? deletePurchase(entry.id) : deleteSupplierPayment(entry.id))
+                        .then(binId => {
+                            setUndoItem({ binId, message: isPurchase ? "Purchase deleted" : "Payment deleted" });
+                            loadData();
+                        })
+                        .catch(err => {
+                            Alert.alert("Error", `Could not delete ${isPurchase ? 'purchase' : 'payment'}.`);
+                            console.error(err);
+                        });
+                }
+            },
+            { text: "Cancel", style: "cancel" },
+        ]);
+    };
+
+    const renderEntry = ({ item }) => {
+        const isPurchase = item.type === 'purchase';
+        const title = isPurchase
+            ? `${item.product_name || 'Unknown product'} - ${formatQuantity(item.quantity, item.unit)} @ ${formatRupees(item.price_per_unit)}`
+            : 'Payment';
+        const description = [format(parseISO(item.date), 'dd MMM yyyy'), item.notes].filter(Boolean).join(' - ');
+        return (
+            <List.Item
+                title={title}
+                description={description}
+                onPress={() => openEntryActions(item)}
+                left={props => <List.Icon {...props} icon={isPurchase ? 'truck-delivery' : 'cash-fast'} />}
+                right={() => (
+                    <Text style={[styles.entryAmount, isPurchase ? styles.payable : styles.paid]}>
+                        {isPurchase ? '' : '-'}{formatRupees(item.amount)}
+                    </Text>
+                )}
+            />
+        );
+    };
+
+    return (
+        <View style={styles.container}>
+            <Surface style={styles.summary} elevation={1}>
+                <Text style={styles.supplierName}>{supplier ? supplier.name : ''}</Text>
+                {!!supplier?.phone && <Text style={styles.supplierPhone}>{supplier.phone}</Text>}
+                <View style={styles.summaryRow}>
+                    <SummaryValue label="Purchased" value={formatRupees(totalPurchases)} />
+                    <SummaryValue label="Paid" value={formatRupees(totalPaid)} />
+                    <SummaryValue
+                        label={payable >= 0 ? 'Payable' : 'Paid in advance'}
+                        value={formatRupees(Math.abs(payable))}
+                        color={payable > 0 ? '#d32f2f' : '#2e7d32'}
+                    />
+                </View>
+                <View style={styles.actions}>
+                    <Button mode="contained" icon="truck-delivery" onPress={() => openForm('purchase')} style={styles.actionBtn}>
+                        Record Purchase
+                    </Button>
+                    <Button mode="outlined" icon="cash-fast" onPress={() => openForm('payment')} style={styles.actionBtn}>
+                        Record Payment
+                    </Button>
+                </View>
+            </Surface>
+
+            <FlatList
+                data={ledger}
+                renderItem={renderEntry}
+                keyExtractor={item => `${item.type}-${item.id}`}
+                ItemSeparatorComponent={Divider}
+                contentContainerStyle={styles.list}
+                ListEmptyComponent={<Text style={styles.emptyText}>No purchases or payments yet.</Text>}
+            />
+
+            <Modal visible={!!form} transparent animationType="slide" onRequestClose={() => setForm(null)}>
+                <View style={styles.modalOverlay}>
+                    <Card style={styles.modalCard}>
+                        <Card.Title
+                            title={form === 'purchase' ? 'Record Purchase' : 'Record Payment'}
+                            right={(props) => <IconButton {...props} icon="close" onPress={() => setForm(null)} />}
+                        />
+                        <Card.Content>
+                            {form === 'purchase' ? (
+                                <>
+                                    <View style={styles.chips}>
+                                        {products.map(item => (
+                                            <Chip
+                                                key={item.id}
+                                                selected={product?.id === item.id}
+                                                onPress={() => selectProduct(item)}
+                                                style={styles.chip}
+                                            >
+                                                {item.name}
+                                            </Chip>
+                                        ))}
+                                    </View>
+                                    <TextInput
+                                        label={`Quantity (${product?.unit || ''})`}
+                                        value={quantity}
+                                        onChangeText={setQuantity}
+                                        mode="outlined"
+                                        style={styles.input}
+                                    />
+                                    <TextInput
+                                        label={`Rate (₹ per ${product?.unit || 'unit'})`}
+                                        value={rate}
+                                        onChangeText={setRate}
+                                        keyboardType="numeric"
+                                        mode="outlined"
+                                        style={styles.input}
+                                    />
+                                </>
+                            ) : (
+                                <TextInput
+                                    label="Amount (₹)"
+                                    value={amount}
+                                    onChangeText={setAmount}
+                                    keyboardType="numeric"
+                                    mode="outlined"
+                                    style={styles.input}
+                                />
+                            )}
+                            <Button mode="outlined" onPress={() => setShowDatePicker(true)} style={styles.input}>
+                                Date: {format(entryDate, 'dd MMM yyyy')}
+                            </Button>
+                            <TextInput
+                                label="Notes (Optional)"
+                                value={notes}
+                                onChangeText={setNotes}
+                                mode="outlined"
+                                style={styles.input}
+                            />
+                            <Button mode="contained" onPress={form === 'purchase' ? handleSavePurchase : handleSavePayment}>
+                                {form === 'purchase' ? 'Save Purchase' : 'Save Payment'}
+                            </Button>
+                        </Card.Content>
+                    </Card>
+                </View>
+            </Modal>
+            {showDatePicker && (
+                <DateTimePicker
+                    value={entryDate}
+                    mode="date"
+                    onChange={(e, date) => { setShowDatePicker(false); if (date) setEntryDate(date); }}
+                />
+            )}
+
+            <UndoSnackbar item={undoItem} onDismiss={() => setUndoItem(null)} onRestored={loadData} />
+        </View>
+    );
+};
+
+const SummaryValue = ({ label, value, color = '#333' }) => (
+    <View style={styles.summaryItem}>
+        <Text style={styles.summaryLabel}>{label}</Text>
+        <Text style={[styles.summaryValue, { color }]}>{value}</Text>
+    </View>
+);
+
+const styles = StyleSheet.create({
+    container: { flex: 1, backgroundColor: '#f5f5f5' },
+    summary: { margin: 8, padding: 16, borderRadius: 12, backgroundColor: 'white' },
+    supplierName: { fontSize: 18, fontWeight: 'bold', color: '#1a1a1a' },
+    supplierPhone: { fontSize: 13, color: '#666', marginTop: 2 },
+    summaryRow: { flexDirection: 'row', marginTop: 12 },
+    summaryItem: { flex: 1, alignItems: 'center' },
+    summaryLabel: { fontSize: 11, color: '#888' },
+    summaryValue: { fontSize: 15, fontWeight: 'bold' },
+    actions: { flexDirection: 'row', marginTop: 16 },
+    actionBtn: { flex: 1, marginHorizontal: 4 },
+    list: { backgroundColor: 'white' },
+    entryAmount: { alignSelf: 'center', fontSize: 14, fontWeight: 'bold', marginRight: 8 },
+    payable: { color: '#d32f2f' },
+    paid: { color: '#2e7d32' },
+    emptyText: { textAlign: 'center', marginTop: 50, paddingHorizontal: 20, color: '#888' },
+    modalOverlay: { flex: 1, justifyContent: 'center', alignItems: 'center', backgroundColor: 'rgba(0,0,0,0.5)' },
+    modalCard: { width: '90%', borderRadius: 12, backgroundColor: 'white', paddingBottom: 8 },
+    chips: { flexDirection: 'row', flexWrap: 'wrap', marginBottom: 4 },
+    chip: { marginRight: 6, marginBottom: 6 },
+    input: { marginBottom: 8, backgroundColor: 'white' },
+});
+
+export default SupplierDetailScreen;
@@ -0,0 +1,168 @@
+/*
+================================================================================
+File: src/screens/SuppliersScreen.js
+Description: Dairies and other suppliers the business buys milk from, with the
+balance still payable to each. Tap a supplier for their purchases and payments;
+long-press to edit or delete them.
+================================================================================
+*/
+import React, { useState, useCallback } from 'react';
+import { View, StyleSheet, FlatList, Alert, Modal } from 'react-native';
+import { Text, Button, Card, TextInput, IconButton, Surface, List, FAB, Divider, useTheme } from 'react-native-paper';
+import { useFocusEffect, useNavigation } from '@react-navigation/native';
+import { getSupplierDues, addSupplier, updateSupplier, deleteSupplier } from '../db/Database';
+import { isValidPhone } from '../utils/validation';
+import { formatRupees } from '../utils/money';
+
+const SuppliersScreen = () => {
+    const theme = useTheme();
+    const navigation = useNavigation();
+    const [suppliers, setSuppliers] = useState([]);
+    // The supplier being edited: null when closed, {} when adding a new one
+    const [editing, setEditing] = useState(null);
+    const [name, setName] = useState('');
+    const [phone, setPhone] = useState('');
+    const [address, setAddress] = useState('');
+
+    const loadSuppliers = useCallback(() => {
+        getSupplierDues().then(setSuppliers).catch(console.error);
+    }, []);
+
+    useFocusEffect(loadSuppliers);
+
+    const totalPayable = suppliers.reduce((sum, supplier) => sum + Math.max(0, supplier.total_due), 0);
+
+    const openForm = (supplier) => {
+        setEditing(supplier || {});
+        setName(supplier ? supplier.name : '');
+        setPhone(supplier?.phone || '');
+        setAddress(supplier?.address || '');
+    };
+
+    const handleSave = async () => {
+        if (!name.trim()) {
+            Alert.alert("Validation Error", "Supplier name is required.");
+            return;
+        }
+        if (!isValidPhone(phone)) {
+            Alert.alert("Validation Error", "Phone number must be exactly 10 digits.");
+            return;
+        }
+        try {
+            if (editing.id) {
+                await updateSupplier(editing.id, name.trim(), phone.trim(), address.trim());
+            } else {
+                await addSupplier(name.trim(), phone.trim(), address.trim());
+            }
+            setEditing(null);
+            loadSuppliers();
+        } catch (err) {
+            Alert.alert("Could Not Save", err.message);
+        }
+    };
+
+    const confirmDelete = (supplier) => {
+        Alert.alert("Delete Supplier", `Delete ${supplier.name}?`, [
+            { text: "Cancel", style: "cancel" },
+            {
+                text: "Delete",
+                style: "destructive",
+                onPress: () => {
+                    deleteSupplier(supplier.id)
+                        .then(loadSuppliers)
+                        .catch(err => Alert.alert("Could Not Delete", err.message));
+                }
+            },
+        ]);
+    };
+
+    const openActions = (supplier) => {
+        Alert.alert(supplier.name, null, [
+            { text: "Edit", onPress: () => openForm(supplier) },
+            { text: "Delete", style: "destructive", onPress: () => confirmDelete(supplier) },
+            { text: "Cancel", style: "cancel" },
+        ]);
+    };
+
+    const renderItem = ({ item }) => (
+        <List.Item
+            title={item.name}
+            titleStyle={styles.name}
+            description={item.phone || 'No phone'}
+            onPress={() => navigation.navigate('SupplierDetail', { supplierId: item.id })}
+            onLongPress={() => openActions(item)}
+            right={() => (
+                <View style={styles.balance}>
+                    <Text style={[styles.balanceValue, item.total_due > 0 ? styles.payable : styles.settled]}>
+                        {formatRupees(Math.abs(item.total_due))}
+                    </Text>
+                    <Text style={styles.balanceLabel}>{item.total_due >= 0 ? 'Payable' : 'Paid in advance'}</Text>
+                </View>
+            )}
+        />
+    );
+
+    return (
+        <View style={styles.container}>
+            <Surface style={styles.summary} elevation={1}>
+                <Text style={styles.summaryLabel}>Total payable to suppliers</Text>
+                <Text style={styles.summaryValue}>{formatRupees(totalPayable)}</Text>
+            </Surface>
+
+            <FlatList
+                data={suppliers}
+                renderItem={renderItem}
+                keyExtractor={item => item.id.toString()}
+                ItemSeparatorComponent={Divider}
+                contentContainerStyle={styles.list}
+                ListEmptyComponent={<Text style={styles.emptyText}>No suppliers yet. Add the dairy you buy milk from.</Text>}
+            />
+
+            <FAB
+                style={[styles.fab, { backgroundColor: theme.colors.accent }]}
+                icon="plus"
+                color="black"
+                label="Add Supplier"
+                onPress={() => openForm(null)}
+            />
+
+            <Modal visible={!!editing} transparent animationType="slide" onRequestClose={() => setEditing(null)}>
+                <View style={styles.modalOverlay}>
+                    <Card style={styles.modalCard}>
+                        <Card.Title
+                            title={editing?.id ? 'Edit Supplier' : 'Add Supplier'}
+                            right={(props) => <IconButton {...props} icon="close" onPress={() => setEditing(null)} />}
+                        />
+                        <Card.Content>
+                            <TextInput label="Name" value={name} onChangeText={setName} mode="outlined" style={styles.input} />
+                            <TextInput label="Phone (optional)" value={phone} onChangeText={setPhone} keyboardType="phone-pad" mode="outlined" style={styles.input} />
+                            <TextInput label="Address (optional)" value={address} onChangeText={setAddress} mode="outlined" style={styles.input} />
+                            <Button mode="contained" onPress={handleSave}>Save Supplier</Button>
+                        </Card.Content>
+                    </Card>
+                </View>
+            </Modal>
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: { flex: 1, backgroundColor: '#f5f5f5' },
+    summary: { margin: 8, padding: 16, borderRadius: 12, backgroundColor: 'white', alignItems: 'center' },
+    summaryLabel: { fontSize: 12, color: '#666', textTransform: 'uppercase' },
+    summaryValue: { fontSize: 24, fontWeight: 'bold', color: '#d32f2f', marginTop: 4 },
+    list: { backgroundColor: 'white', paddingBottom: 80 },
+    name: { fontWeight: '500' },
+    balance: { alignItems: 'flex-end', justifyContent: 'center', marginRight: 8 },
+    balanceValue: { fontSize: 14, fontWeight: 'bold' },
+    balanceLabel: { fontSize: 11, color: '#888' },
+    payable: { color: '#d32f2f' },
+    settled: { color: '#2e7d32' },
+    emptyText: { textAlign: 'center', marginTop: 50, paddingHorizontal: 20, color: '#888' },
+    fab: { position: 'absolute', margin: 16, right: 0, bottom: 0 },
+    modalOverlay: { flex: 1, justifyContent: 'center', alignItems: 'center', backgroundColor: 'rgba(0,0,0,0.5)' },
+    modalCard: { width: '90%', borderRadius: 12, backgroundColor: 'white', paddingBottom: 8 },
+    input: { marginBottom: 8, backgroundColor: 'white' },
+});
+
+export default SuppliersScreen;
@@ -0,0 +1,72 @@
+import React from 'react';
+import { Alert } from 'react-native';
+import { render, fireEvent, waitFor } from '@testing-library/react-native';
+import ArchivedCustomersScreen from '../ArchivedCustomersScreen';
+import { Provider as PaperProvider } from 'react-native-paper';
+import * as Database from '../../db/Database';
+
+/* ----------------------------- DB MOCKS ----------------------------- */
+jest.mock('../../db/Database', () => ({
+  getArchivedCustomers: jest.fn(),
+  reactivateCustomer: jest.fn(),
+}));
+
+/* ------------------------- NAVIGATION MOCK -------------------------- */
+const mockNavigate = jest.fn();
+
+jest.mock('@react-navigation/native', () => {
+  const React = require('react');
+  return {
+    useNavigation: () => ({
+      navigate: mockNavigate,
+    }),
+    useFocusEffect: (cb) => {
+      React.useEffect(() => {
+        cb();
+      }, [cb]);
+    },
+  };
+});
+
+/* ----------------------- UTIL ----------------------- */
+const renderWithProvider = (ui) =>
+  render(<PaperProvider>{ui}</PaperProvider>);
+
+const sharma = { id: 3, name: 'Sharma', phone: '9876543210', isActive: 0, total_due: 45050 };
+const verma = { id: 4, name: 'Verma', phone: '', isActive: 0, total_due: 0 };
+
+/* ----------------------- TESTS ----------------------- */
+describe('ArchivedCustomersScreen', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Database.getArchivedCustomers.mockResolvedValue([sharma, verma]);
+    Database.reactivateCustomer.mockResolvedValue();
+  });
+
+  it('lists archived customers with their final balance', async () => {
+    const { findByText, getByText } = renderWithProvider(<ArchivedCustomersScreen />);
+
+    expect(await findByText('Owes ₹450.50 | 9876543210')).toBeTruthy();
+    expect(getByText('Settled')).toBeTruthy();
+  });
+
+  it('reactivates a customer', async () => {
+    const { findByLabelText } = renderWithProvider(<ArchivedCustomersScreen />);
+
+    fireEvent.press(await findByLabelText('Reactivate Sharma'));
+
+    await waitFor(() => {
+      expect(Database.reactivateCustomer).toHaveBeenCalledWith(3);
+      expect(Alert.alert).toHaveBeenCalledWith('Reactivated', 'Sharma is back in the customer list.');
+      expect(Database.getArchivedCustomers).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  it('opens the customer details', async () => {
+    const { findByText } = renderWithProvider(<ArchivedCustomersScreen />);
+
+    fireEvent.press(await findByText('Sharma'));
+
+    expect(mockNavigate).toHaveBeenCalledWith('Customers', { screen: 'CustomerDetail', params: { customerId: 3 } });
+  });
+});
@@ -0,0 +1,80 @@
+import React from 'react';
+import { render, waitFor } from '@testing-library/react-native';
+import AuditHistoryScreen from '../AuditHistoryScreen';
+import { Provider as PaperProvider } from 'react-native-paper';
+import * as Database from '../../db/Database';
+
+/* ----------------------------- DB MOCKS ----------------------------- */
+jest.mock('../../db/Database', () => ({
+  getAuditHistory: jest.fn(),
+}));
+
+/* ------------------------- NAVIGATION MOCK -------------------------- */
+const mockSetOptions = jest.fn();
+let mockRouteParams;
+
+jest.mock('@react-navigation/native', () => {
+  const React = require('react');
+  return {
+    useNavigation: () => ({ setOptions: mockSetOptions }),
+    useRoute: () => ({ params: mockRouteParams }),
+    useFocusEffect: (cb) => {
+      React.useEffect(() => {
+        cb();
+      }, [cb]);
+    },
+  };
+});
+
+/* ----------------------- UTIL ----------------------- */
+const renderWithProvider = (ui) =>
+  render(<PaperProvider>{ui}</PaperProvider>);
+
+/* ----------------------- TESTS ----------------------- */
+describe('AuditHistoryScreen', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockRouteParams = { customerId: 1, title: 'History: Sharma' };
+    Database.getAuditHistory.mockResolvedValue([
+      {
+        id: 2,
+        table_name: 'payments',
+        action: 'create',
+        changed_at: '2024-05-02T10:15:00.000Z',
+        before: null,
+        after: { id: 3, customer_id: 1, amount_paid: 50000, payment_date: '2024-05-02', notes: 'Cash' },
+      },
+      {
+        id: 1,
+        table_name: 'daily_sales',
+        action: 'update',
+        product_name: 'Cow Milk',
+        changed_at: '2024-05-01T08:00:00.000Z',
+        before: { id: 7, quantity: 2, total_amount: 11200 },
+        after: { id: 7, quantity: 1, total_amount: 5600 },
+      },
+    ]);
+  });
+
+  it('shows the history of a customer', async () => {
+    const { findByText, getByText } = renderWithProvider(<AuditHistoryScreen />);
+
+    expect(await findByText('Sale (Cow Milk) changed')).toBeTruthy();
+    expect(getByText('quantity: 2 → 1')).toBeTruthy();
+    expect(getByText('Payment added')).toBeTruthy();
+    expect(Database.getAuditHistory).toHaveBeenCalledWith({ customerId: 1, tableName: undefined, recordId: undefined });
+    expect(mockSetOptions).toHaveBeenCalledWith({ title: 'History: Sharma' });
+  });
+
+  it('loads the history of a single record', async () => {
+    mockRouteParams = { tableName: 'expenses', recordId: 9 };
+    Database.getAuditHistory.mockResolvedValue([]);
+
+    const { findByText } = renderWithProvider(<AuditHistoryScreen />);
+
+    expect(await findByText('No changes recorded yet.')).toBeTruthy();
+    await waitFor(() => {
+      expect(Database.getAuditHistory).toHaveBeenCalledWith({ customerId: undefined, tableName: 'expenses', recordId: 9 });
+    });
+  });
+});
@@ -0,0 +1,107 @@
+import React from 'react';
+import { render, fireEvent, waitFor } from '@testing-library/react-native';
+import BackupsScreen from '../BackupsScreen';
+import { Provider as PaperProvider } from 'react-native-paper';
+import * as BackupFiles from '../../utils/backupFiles';
+
+/* ----------------------------- BACKUP MOCKS ----------------------------- */
+jest.mock('../../utils/backupFiles', () => ({
+  AUTO_BACKUP_KEEP: 7,
+  listBackups: jest.fn(),
+  writeBackupFile: jest.fn(),
+  prepareBackupForSharing: jest.fn(),
+}));
+
+/* ------------------------- NAVIGATION MOCK -------------------------- */
+const mockNavigate = jest.fn();
+
+jest.mock('@react-navigation/native', () => {
+  const React = require('react');
+  return {
+    useNavigation: () => ({ navigate: mockNavigate }),
+    useFocusEffect: (cb) => {
+      React.useEffect(() => {
+        cb();
+      }, [cb]);
+    },
+  };
+});
+
+/* ----------------------- UTIL ----------------------- */
+const renderWithProvider = (ui) =>
+  render(<PaperProvider>{ui}</PaperProvider>);
+
+const storedBackup = {
+  name: 'milkwala_auto_2024-05-20.json',
+  uri: 'file:///test-directory/backups/milkwala_auto_2024-05-20.json',
+  kind: 'auto',
+  date: '2024-05-20',
+  size: 2048,
+  modifiedAt: new Date('2024-05-20T06:00:00'),
+};
+
+/* ----------------------- TESTS ----------------------- */
+describe('BackupsScreen', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    BackupFiles.listBackups.mockResolvedValue([storedBackup]);
+    BackupFiles.writeBackupFile.mockResolvedValue(storedBackup.uri);
+    BackupFiles.prepareBackupForSharing.mockImplementation(async (uri, passphrase) =>
+      passphrase ? 'file:///cache/milkwala_auto_2024-05-20.encrypted.json' : uri
+    );
+  });
+
+  it('lists stored backups', async () => {
+    const { findByText } = renderWithProvider(<BackupsScreen />);
+
+    expect(await findByText('milkwala_auto_2024-05-20.json')).toBeTruthy();
+    expect(await findByText(/Automatic \| 20 May 2024/)).toBeTruthy();
+  });
+
+  it('shares a stored backup without encryption', async () => {
+    const { findByLabelText, findByText } = renderWithProvider(<BackupsScreen />);
+
+    fireEvent.press(await findByLabelText('Share milkwala_auto_2024-05-20.json'));
+    fireEvent.press(await findByText('Share Without Encryption'));
+
+    await waitFor(() => {
+      expect(require('expo-sharing').shareAsync).toHaveBeenCalledWith(storedBackup.uri);
+    });
+  });
+
+  it('shares an encrypted copy when a passphrase is entered', async () => {
+    const { findByLabelText, findByText, getAllByTestId } = renderWithProvider(<BackupsScreen />);
+
+    fireEvent.press(await findByLabelText('Share milkwala_auto_2024-05-20.json'));
+    await findByText('Encrypt Backup');
+    // Index 0: Passphrase, 1: Confirm Passphrase
+    const inputs = getAllByTestId('text-input-outlined');
+    fireEvent.changeText(inputs[0], 'secret phrase');
+    fireEvent.changeText(inputs[1], 'secret phrase');
+    fireEvent.press(await findByText('Encrypt & Share'));
+
+    await waitFor(() => {
+      expect(BackupFiles.prepareBackupForSharing).toHaveBeenCalledWith(storedBackup.uri, 'secret phrase');
+      expect(require('expo-sharing').shareAsync).toHaveBeenCalledWith('file:///cache/milkwala_auto_2024-05-20.encrypted.json');
+    });
+  });
+
+  it('opens a stored backup for restore', async () => {
+    const { findByLabelText } = renderWithProvider(<BackupsScreen />);
+
+    fireEvent.press(await findByLabelText('Restore milkwala_auto_2024-05-20.json'));
+
+    expect(mockNavigate).toHaveBeenCalledWith('RestoreBackup', { fileUri: storedBackup.uri, fileName: storedBackup.name });
+  });
+
+  it('creates a backup on demand', async () => {
+    const { findByText } = renderWithProvider(<BackupsScreen />);
+
+    fireEvent.press(await findByText('Back Up Now'));
+
+    await waitFor(() => {
+      expect(BackupFiles.writeBackupFile).toHaveBeenCalledWith('backup');
+      expect(BackupFiles.listBackups).toHaveBeenCalledTimes(2);
+    });
+  });
+});
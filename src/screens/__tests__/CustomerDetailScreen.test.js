@@ -13,8 +13,10 @@ jest.mock('../../db/Database', () => ({
   getPaymentsForCustomer: jest.fn(),
   getCustomerDues: jest.fn(),
   getTotalDuesForCustomerUpToDate: jest.fn(),
+  getCustomerTimeline: jest.fn(),
   deleteCustomer: jest.fn(),
   recordPayment: jest.fn(),
+  purgeCustomer: jest.fn(),
 }));
 
 /* ------------------------- NAVIGATION MOCK -------------------------- */
@@ -28,6 +30,7 @@ jest.mock('@react-navigation/native', () => {
     useNavigation: () => ({
       navigate: mockNavigate,
       goBack: mockGoBack,
+      setOptions: jest.fn(),
     }),
     useRoute: () => ({
       params: { customerId: 1 },
@@ -71,6 +74,7 @@ describe('CustomerDetailScreen', () => {
 
     Database.getSalesForCustomer.mockResolvedValue([]);
     Database.getPaymentsForCustomer.mockResolvedValue([]);
+    Database.getCustomerTimeline.mockResolvedValue({ entries: [], nextCursor: null });
     Database.getCustomerDues.mockResolvedValue([
       { id: 1, total_due: 500 },
     ]);
@@ -82,17 +86,17 @@ describe('CustomerDetailScreen', () => {
     expect(await findByText(/John Doe/)).toBeTruthy();
     expect(await findByText(/123 St/)).toBeTruthy();
     expect(await findByText(/Milk \(1 Liter\)/)).toBeTruthy();
-    expect(await findByText(/No recent sales/)).toBeTruthy();
+    expect(await findByText(/No transactions yet/)).toBeTruthy();
     expect(await findByText(/Total Due/)).toBeTruthy();
   });
 
-  it('deletes customer and navigates back', async () => {
+  it('archives customer and navigates back', async () => {
     jest.spyOn(Alert, 'alert').mockImplementation((title, msg, buttons) => {
       if (!buttons) return;
 
-      const deleteBtn = buttons.find(b => b.text === 'Delete');
-      if (deleteBtn) {
-        deleteBtn.onPress();
+      const archiveBtn = buttons.find(b => b.text === 'Archive');
+      if (archiveBtn) {
+        archiveBtn.onPress();
       }
     });
 
@@ -104,11 +108,58 @@ describe('CustomerDetailScreen', () => {
 
     await findByText(/John Doe/);
 
-    fireEvent.press(getByText('Delete'));
+    fireEvent.press(getByText('Archive Customer'));
 
     await waitFor(() => {
       expect(Database.deleteCustomer).toHaveBeenCalledWith(1);
       expect(mockGoBack).toHaveBeenCalled();
     });
   });
+
+  it('shows sales and payments with the balance after each, loading older pages on scroll', async () => {
+    Database.getTotalDuesForCustomerUpToDate.mockResolvedValue(9000);
+    Database.getCustomerTimeline
+      .mockResolvedValueOnce({
+        entries: [
+          { key: 'payment-4', kind: 'payment', id: 4, date: '2024-05-03', amount: 3000, balance: 9000, notes: 'Cash' },
+          { key: 'sale-7', kind: 'sale', id: 7, date: '2024-05-02', amount: 12000, balance: 12000, quantity: 2, productName: 'Milk', unit: 'L' },
+        ],
+        nextCursor: { date: '2024-05-02', rank: 0, id: 7 },
+      })
+      .mockResolvedValueOnce({
+        entries: [{ key: 'sale-6', kind: 'sale', id: 6, date: '2024-04-30', amount: 6000, balance: 0, quantity: 0.5, productName: 'Milk', unit: 'L' }],
+        nextCursor: null,
+      });
+
+    const { findByText, getByText, UNSAFE_getByType } = renderWithProvider(<CustomerDetailScreen />);
+
+    expect(await findByText('Note: Cash')).toBeTruthy();
+    expect(getByText('Due ₹120')).toBeTruthy();
+    expect(getByText('Milk - 2 L')).toBeTruthy();
+
+    const { FlatList } = require('react-native');
+    UNSAFE_getByType(FlatList).props.onEndReached();
+
+    expect(await findByText('Milk - 500 ml')).toBeTruthy();
+    expect(Database.getCustomerTimeline).toHaveBeenLastCalledWith(1, { cursor: { date: '2024-05-02', rank: 0, id: 7 } });
+  });
+
+  it('anonymises the customer after choosing the mode and confirming', async () => {
+    Database.getTotalDuesForCustomerUpToDate.mockResolvedValue(0);
+    Database.purgeCustomer.mockResolvedValue();
+    Alert.alert
+      .mockImplementationOnce((title, msg, buttons) => buttons.find(b => b.text === 'Anonymise').onPress())
+      .mockImplementationOnce((title, msg, buttons) => buttons.find(b => b.text === 'Anonymise').onPress());
+
+    const { findByText, getByLabelText } = renderWithProvider(<CustomerDetailScreen />);
+    await findByText(/John Doe/);
+
+    fireEvent.press(getByLabelText('More options'));
+    fireEvent.press(await findByText('Delete Permanently'));
+
+    await waitFor(() => {
+      expect(Database.purgeCustomer).toHaveBeenCalledWith(1, 'anonymise');
+      expect(mockGoBack).toHaveBeenCalled();
+    });
+  });
 });
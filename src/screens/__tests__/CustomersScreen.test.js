@@ -13,8 +13,9 @@ jest.mock('../../db/Database', () => ({
   recordSale: jest.fn(),
   updateSale: jest.fn(),
   deleteSale: jest.fn(),
-  getLastSevenDaysSalesForCustomer: jest.fn(),
+  getDeliveryMatrix: jest.fn(),
   getSaleForCustomerProductAndDate: jest.fn(),
+  getRateForDate: jest.fn(),
 }));
 
 /* -------------------------------------------------------------------------- */
@@ -60,7 +61,8 @@ describe('CustomersScreen', () => {
     Database.updateSale.mockResolvedValue();
     Database.deleteSale.mockResolvedValue();
     Database.getSaleForCustomerProductAndDate.mockResolvedValue(null);
-    Database.getLastSevenDaysSalesForCustomer.mockResolvedValue([]);
+    Database.getDeliveryMatrix.mockResolvedValue({ dates: [], byCustomer: {} });
+    Database.getRateForDate.mockResolvedValue(null);
   });
 
   /* ------------------------------------------------------------------------ */
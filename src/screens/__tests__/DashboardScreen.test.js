@@ -11,13 +11,14 @@ jest.mock('../../db/Database', () => ({
   getAllDataForBackup: jest.fn(),
 }));
 
-/* ------------------------- LIB MOCKS ---------------------------- */
-jest.mock('expo-file-system', () => ({
-  documentDirectory: 'file:///test-directory/',
-  writeAsStringAsync: jest.fn(() => Promise.resolve()),
-  EncodingType: { UTF8: 'utf8' },
+jest.mock('../../utils/backupFiles', () => ({
+  writeBackupFile: jest.fn(() => Promise.resolve('file:///test-directory/backups/milkwala_backup_2024-05-01.json')),
+  getBackupStatus: jest.fn(() => Promise.resolve({ lastBackupAt: new Date(), daysAgo: 0, isStale: false })),
+  prepareBackupForSharing: jest.fn((uri) => Promise.resolve(uri)),
 }));
 
+/* ------------------------- LIB MOCKS ---------------------------- */
+
 jest.mock('expo-sharing', () => ({
   isAvailableAsync: jest.fn(() => Promise.resolve(true)),
   shareAsync: jest.fn(() => Promise.resolve()),
@@ -67,10 +68,11 @@ describe('DashboardScreen', () => {
 
     const backupBtn = await findByText("Backup This Month's Data");
     fireEvent.press(backupBtn);
+    fireEvent.press(await findByText('Share Without Encryption'));
 
     await waitFor(() => {
-      expect(Database.getAllDataForBackup).toHaveBeenCalled();
-      expect(require('expo-file-system').writeAsStringAsync).toHaveBeenCalled();
+      expect(require('../../utils/backupFiles').writeBackupFile).toHaveBeenCalledWith('backup');
+      expect(require('../../utils/backupFiles').prepareBackupForSharing).toHaveBeenCalledWith(expect.any(String), null);
       expect(require('expo-sharing').shareAsync).toHaveBeenCalled();
     });
   });
@@ -0,0 +1,119 @@
+import React from 'react';
+import { Alert } from 'react-native';
+import { render, fireEvent, waitFor } from '@testing-library/react-native';
+import * as Sharing from 'expo-sharing';
+import DataCheckScreen from '../DataCheckScreen';
+import { Provider as PaperProvider } from 'react-native-paper';
+import * as Database from '../../db/Database';
+import { exportIntegrityReport } from '../../utils/integrityReport';
+
+/* ----------------------------- DB MOCKS ----------------------------- */
+jest.mock('../../db/Database', () => ({
+  runIntegrityChecks: jest.fn(),
+  fixIntegrityIssues: jest.fn(),
+}));
+
+/* ------------------------- LIB MOCKS ---------------------------- */
+jest.mock('expo-sharing', () => ({
+  isAvailableAsync: jest.fn(() => Promise.resolve(true)),
+  shareAsync: jest.fn(() => Promise.resolve()),
+}));
+
+jest.mock('../../utils/integrityReport', () => ({
+  exportIntegrityReport: jest.fn(() => Promise.resolve('file:///cache/report.csv')),
+}));
+
+/* ------------------------- NAVIGATION MOCK -------------------------- */
+jest.mock('@react-navigation/native', () => {
+  const React = require('react');
+  return {
+    useFocusEffect: (cb) => {
+      React.useEffect(() => {
+        cb();
+      }, [cb]);
+    },
+  };
+});
+
+/* ----------------------- UTIL ----------------------- */
+const renderWithProvider = (ui) =>
+  render(<PaperProvider>{ui}</PaperProvider>);
+
+const mismatch = {
+  id: 'sale_total_mismatch:1',
+  title: 'Sale totals that do not match quantity x rate',
+  table: 'daily_sales',
+  recordId: 1,
+  customerId: 1,
+  message: 'Sale #1 on 2024-01-01 for A: 2 x ₹50 should be ₹100, but the total is ₹90.',
+  fixLabel: 'Recalculate total',
+};
+
+const orphan = {
+  id: 'payment_missing_customer:4',
+  title: 'Payments from a missing customer',
+  table: 'payments',
+  recordId: 4,
+  customerId: 8,
+  message: 'Payment #4 of ₹1 on 2024-01-02 belongs to customer #8, who does not exist.',
+  fixLabel: null,
+};
+
+/* ----------------------- TESTS ----------------------- */
+describe('DataCheckScreen', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Database.runIntegrityChecks.mockResolvedValue([mismatch, orphan]);
+    Database.fixIntegrityIssues.mockResolvedValue(1);
+  });
+
+  it('lists each problem found', async () => {
+    const { findByText, getByText } = renderWithProvider(<DataCheckScreen />);
+
+    expect(await findByText('2 problems found, 1 with an automatic fix.')).toBeTruthy();
+    expect(getByText(mismatch.message)).toBeTruthy();
+    expect(getByText(orphan.message)).toBeTruthy();
+  });
+
+  it('says when the data is clean', async () => {
+    Database.runIntegrityChecks.mockResolvedValue([]);
+    const { findByText } = renderWithProvider(<DataCheckScreen />);
+
+    expect(await findByText('No problems found.')).toBeTruthy();
+  });
+
+  it('fixes a single problem and checks again', async () => {
+    const { findByText } = renderWithProvider(<DataCheckScreen />);
+
+    fireEvent.press(await findByText('Recalculate total'));
+
+    await waitFor(() => {
+      expect(Database.fixIntegrityIssues).toHaveBeenCalledWith([mismatch]);
+      expect(Alert.alert).toHaveBeenCalledWith('Fixed', '1 problem fixed.');
+      expect(Database.runIntegrityChecks).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  it('fixes only the problems that have an automatic fix', async () => {
+    const { findByText, getByText } = renderWithProvider(<DataCheckScreen />);
+    await findByText(mismatch.message);
+
+    fireEvent.press(getByText('Fix All'));
+
+    await waitFor(() => {
+      expect(Database.fixIntegrityIssues).toHaveBeenCalledWith([mismatch]);
+    });
+  });
+
+  it('exports a report of all problems', async () => {
+    const { findByText, getByText } = renderWithProvider(<DataCheckScreen />);
+    await findByText(mismatch.message);
+
+    fireEvent.press(getByText('Export Report'));
+
+    await waitFor(() => {
+      expect(exportIntegrityReport).toHaveBeenCalledWith([mismatch, orphan]);
+      expect(Sharing.shareAsync).toHaveBeenCalledWith('file:///cache/report.csv', expect.objectContaining({ mimeType: 'text/csv' }));
+    });
+  });
+});
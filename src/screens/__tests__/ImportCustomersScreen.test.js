@@ -0,0 +1,75 @@
+import React from 'react';
+import { Alert } from 'react-native';
+import { render, fireEvent, waitFor } from '@testing-library/react-native';
+import ImportCustomersScreen from '../ImportCustomersScreen';
+import { Provider as PaperProvider } from 'react-native-paper';
+import * as Database from '../../db/Database';
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system/legacy';
+
+/* ----------------------------- DB MOCKS ----------------------------- */
+jest.mock('../../db/Database', () => ({
+  getAllProducts: jest.fn(),
+  importCustomersWithProducts: jest.fn(),
+}));
+
+/* ------------------------- LIB MOCKS ---------------------------- */
+jest.mock('expo-document-picker', () => ({
+  getDocumentAsync: jest.fn(),
+}));
+
+jest.mock('expo-file-system/legacy', () => ({
+  readAsStringAsync: jest.fn(),
+}));
+
+/* ------------------------- NAVIGATION MOCK -------------------------- */
+const mockGoBack = jest.fn();
+
+jest.mock('@react-navigation/native', () => ({
+  useNavigation: () => ({ goBack: mockGoBack }),
+}));
+
+/* ----------------------- UTIL ----------------------- */
+const renderWithProvider = (ui) =>
+  render(<PaperProvider>{ui}</PaperProvider>);
+
+const csv = 'Name,Phone,Product,Qty\nSharma,9876543210,Cow Milk,2\nPatil,12345,Cow Milk,1\n';
+
+/* ----------------------- TESTS ----------------------- */
+describe('ImportCustomersScreen', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    DocumentPicker.getDocumentAsync.mockResolvedValue({
+      canceled: false,
+      assets: [{ uri: 'file:///route.csv', name: 'route.csv' }],
+    });
+    FileSystem.readAsStringAsync.mockResolvedValue(csv);
+    Database.getAllProducts.mockResolvedValue([{ id: 1, name: 'Cow Milk', unit: 'Liter', default_price: 5600 }]);
+    Database.importCustomersWithProducts.mockResolvedValue({ customersAdded: 1, customersMatched: 0, productsAssigned: 1 });
+  });
+
+  it('previews rows with their errors', async () => {
+    const { getByText, findByText } = renderWithProvider(<ImportCustomersScreen />);
+
+    fireEvent.press(getByText('Choose CSV File'));
+
+    expect(await findByText('1 ready | 1 with errors')).toBeTruthy();
+    expect(getByText('2. Sharma')).toBeTruthy();
+    expect(getByText('Phone number must be exactly 10 digits.')).toBeTruthy();
+  });
+
+  it('imports only the valid rows', async () => {
+    const { getByText, findByText } = renderWithProvider(<ImportCustomersScreen />);
+
+    fireEvent.press(getByText('Choose CSV File'));
+    fireEvent.press(await findByText('Import 1 Rows'));
+
+    await waitFor(() => {
+      expect(Database.importCustomersWithProducts).toHaveBeenCalledWith([
+        { name: 'Sharma', address: '', phone: '9876543210', products: [{ productId: 1, customPrice: 5600, defaultQuantity: 2 }] },
+      ]);
+      expect(Alert.alert).toHaveBeenCalledWith('Import Complete', expect.stringContaining('1 rows with errors were skipped'), expect.any(Array));
+    });
+  });
+});
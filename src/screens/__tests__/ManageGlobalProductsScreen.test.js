@@ -1,4 +1,5 @@
 import React from 'react';
+import { Alert } from 'react-native';
 import { render, fireEvent, waitFor } from '@testing-library/react-native';
 import ManageGlobalProductsScreen from '../ManageGlobalProductsScreen';
 import { Provider as PaperProvider } from 'react-native-paper';
@@ -6,15 +7,23 @@ import * as Database from '../../db/Database';
 
 /* ----------------------------- DB MOCKS ----------------------------- */
 jest.mock('../../db/Database', () => ({
-  getAllProducts: jest.fn(),
+  getProductInventory: jest.fn(),
+  addProduct: jest.fn(),
   updateProduct: jest.fn(),
   updateAllCustomPricesForProduct: jest.fn(),
+  deleteProduct: jest.fn(),
+  archiveProduct: jest.fn(),
+  unarchiveProduct: jest.fn(),
+  reorderProducts: jest.fn(),
 }));
 
 /* ------------------------- NAVIGATION MOCK -------------------------- */
+const mockNavigate = jest.fn();
+
 jest.mock('@react-navigation/native', () => {
   const React = require('react');
   return {
+    useNavigation: () => ({ navigate: mockNavigate }),
     useFocusEffect: (cb) => {
       React.useEffect(() => {
         cb();
@@ -32,8 +41,10 @@ describe('ManageGlobalProductsScreen', () => {
   beforeEach(() => {
     jest.clearAllMocks();
 
-    Database.getAllProducts.mockResolvedValue([
-      { id: 1, name: 'Buffalo Milk', unit: 'Liter', default_price: 70 },
+    Database.getProductInventory.mockResolvedValue([
+      { id: 1, name: 'Buffalo Milk', unit: 'Liter', default_price: 7000, isActive: 1, customer_count: 2, total_quantity: 30, total_amount: 210000 },
+      { id: 2, name: 'Cow Milk', unit: 'Liter', default_price: 5000, isActive: 1, customer_count: 0, total_quantity: 0, total_amount: 0 },
+      { id: 3, name: 'Curd', unit: 'Kg', default_price: 8000, isActive: 0, customer_count: 0, total_quantity: 4, total_amount: 32000 },
     ]);
   });
 
@@ -44,6 +55,74 @@ describe('ManageGlobalProductsScreen', () => {
     expect(await findByText(/Price: ₹70.00/)).toBeTruthy();
   });
 
+  it('shows customers and sales for each product and hides archived ones', async () => {
+    const { findByText, getByLabelText, queryByText } = renderWithProvider(<ManageGlobalProductsScreen />);
+
+    expect(await findByText(/2 customers \| Sold: 30 L /)).toBeTruthy();
+    expect(queryByText('Curd (Archived)')).toBeNull();
+
+    fireEvent(getByLabelText('Show archived products'), 'valueChange', true);
+
+    expect(await findByText('Curd (Archived)')).toBeTruthy();
+  });
+
+  it('adds a product', async () => {
+    Database.addProduct.mockResolvedValue(4);
+    const { findByText, getByText, getAllByText, getAllByTestId } = renderWithProvider(<ManageGlobalProductsScreen />);
+
+    await findByText('Buffalo Milk');
+    fireEvent.press(getAllByText('Add Product')[0]);
+    const [nameInput, priceInput, packSizeInput] = getAllByTestId('text-input-outlined');
+    fireEvent.changeText(nameInput, 'Paneer');
+    fireEvent.press(getByText('Kilogram (kg)'));
+    fireEvent.changeText(priceInput, '450');
+    fireEvent.changeText(packSizeInput, '200 g');
+    fireEvent.press(getAllByText('Add Product').pop());
+
+    await waitFor(() => expect(Database.addProduct).toHaveBeenCalledWith('Paneer', 'kg', 45000, 0.2));
+  });
+
+  it('refuses a pack size in the wrong unit', async () => {
+    const { findByText, getAllByText, getAllByTestId } = renderWithProvider(<ManageGlobalProductsScreen />);
+
+    await findByText('Buffalo Milk');
+    fireEvent.press(getAllByText('Add Product')[0]);
+    const [nameInput, priceInput, packSizeInput] = getAllByTestId('text-input-outlined');
+    fireEvent.changeText(nameInput, 'Pouch Milk');
+    fireEvent.changeText(priceInput, '60');
+    fireEvent.changeText(packSizeInput, '500 g');
+    fireEvent.press(getAllByText('Add Product').pop());
+
+    expect(Alert.alert).toHaveBeenCalledWith('Validation Error', '"g" cannot be used for a product sold by L.');
+    expect(Database.addProduct).not.toHaveBeenCalled();
+  });
+
+  it('moves customers to another product before archiving', async () => {
+    Database.archiveProduct.mockResolvedValue();
+    Alert.alert.mockImplementationOnce((title, message, buttons) => {
+      buttons.find(b => b.text === 'Move Customers').onPress();
+    });
+    const { findByText, getByText, getAllByText } = renderWithProvider(<ManageGlobalProductsScreen />);
+
+    fireEvent.press(await findByText('Buffalo Milk'));
+    fireEvent.press(getByText('Archive Product'));
+
+    expect(Alert.alert).toHaveBeenCalledWith('Customers Still Assigned', expect.stringContaining('2 customers buy Buffalo Milk'), expect.any(Array));
+    // The list row comes first, then the choice in the Move Customers dialog
+    fireEvent.press(getAllByText('Cow Milk').pop());
+
+    await waitFor(() => expect(Database.archiveProduct).toHaveBeenCalledWith(1, { reassignTo: 2 }));
+  });
+
+  it('saves the new order when a product is moved', async () => {
+    Database.reorderProducts.mockResolvedValue();
+    const { findByLabelText } = renderWithProvider(<ManageGlobalProductsScreen />);
+
+    fireEvent.press(await findByLabelText('Move Cow Milk up'));
+
+    await waitFor(() => expect(Database.reorderProducts).toHaveBeenCalledWith([2, 1]));
+  });
+
   it('opens modal to edit product', async () => {
     const { findByText } = renderWithProvider(<ManageGlobalProductsScreen />);
 
@@ -51,4 +130,13 @@ describe('ManageGlobalProductsScreen', () => {
 
     expect(await findByText('Edit Product')).toBeTruthy();
   });
+
+  it('opens the price history of the product being edited', async () => {
+    const { findByText, getByText } = renderWithProvider(<ManageGlobalProductsScreen />);
+
+    fireEvent.press(await findByText('Buffalo Milk'));
+    fireEvent.press(getByText('Price History / Schedule Change'));
+
+    expect(mockNavigate).toHaveBeenCalledWith('PriceHistory', { productId: 1, productName: 'Buffalo Milk' });
+  });
 });
\ No newline at end of file
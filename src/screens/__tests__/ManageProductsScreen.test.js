@@ -44,7 +44,7 @@ describe('ManageProductsScreen', () => {
     jest.clearAllMocks();
 
     Database.getAllProducts.mockResolvedValue([
-      { id: 101, name: 'Cow Milk', unit: 'Liter', default_price: 60 },
+      { id: 101, name: 'Cow Milk', unit: 'Liter', default_price: 6000 },
     ]);
     Database.getCustomerProducts.mockResolvedValue([]);
   });
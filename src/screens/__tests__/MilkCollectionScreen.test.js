@@ -0,0 +1,134 @@
+import React from 'react';
+import { Alert } from 'react-native';
+import { render, fireEvent, waitFor } from '@testing-library/react-native';
+import MilkCollectionScreen from '../MilkCollectionScreen';
+import { Provider as PaperProvider } from 'react-native-paper';
+import * as Database from '../../db/Database';
+import { buildRateChart } from '../../utils/milkCollection';
+
+/* ----------------------------- DB MOCKS ----------------------------- */
+jest.mock('../../db/Database', () => ({
+  getAllFarmers: jest.fn(),
+  addFarmer: jest.fn(),
+  updateFarmer: jest.fn(),
+  deleteFarmer: jest.fn(),
+  getRateChart: jest.fn(),
+  getCollectionsForDate: jest.fn(),
+  getCollectionsForFarmer: jest.fn(),
+  recordCollection: jest.fn(),
+  deleteCollection: jest.fn(),
+  restoreFromRecycleBin: jest.fn(),
+}));
+
+/* ------------------------- LIB MOCKS ---------------------------- */
+jest.mock('expo-print', () => ({
+  printToFileAsync: jest.fn(() => Promise.resolve({ uri: 'test.pdf' })),
+}));
+
+jest.mock('expo-sharing', () => ({
+  isAvailableAsync: jest.fn(() => Promise.resolve(true)),
+  shareAsync: jest.fn(() => Promise.resolve()),
+}));
+
+/* ------------------------- NAVIGATION MOCK -------------------------- */
+const mockNavigate = jest.fn();
+jest.mock('@react-navigation/native', () => {
+  const React = require('react');
+  return {
+    useNavigation: () => ({ navigate: mockNavigate }),
+    useFocusEffect: (cb) => {
+      React.useEffect(() => {
+        cb();
+      }, [cb]);
+    },
+  };
+});
+
+jest.mock('@react-native-community/datetimepicker', () => () => null);
+
+/* ----------------------- UTIL ----------------------- */
+const renderWithProvider = (ui) =>
+  render(<PaperProvider>{ui}</PaperProvider>);
+
+const chart = buildRateChart({ fatFrom: 3.0, fatTo: 5.0, snfFrom: 8.0, snfTo: 9.0, baseRate: 3000, fatStepRate: 50, snfStepRate: 20 });
+const ramesh = { id: 1, name: 'Ramesh', phone: '', village: 'Shirur' };
+const suresh = { id: 2, name: 'Suresh', phone: '', village: '' };
+const morningEntry = {
+  id: 9, farmer_id: 1, farmer_name: 'Ramesh', collection_date: '2024-05-20', shift: 'morning',
+  quantity: 10, fat: 4.2, snf: 8.5, rate: 3700, total_amount: 37000,
+};
+
+/* ----------------------- TESTS ----------------------- */
+describe('MilkCollectionScreen', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: new Date('2024-05-20T08:00:00'), advanceTimers: true });
+    Database.getAllFarmers.mockResolvedValue([ramesh, suresh]);
+    Database.getCollectionsForDate.mockResolvedValue([morningEntry]);
+    Database.getRateChart.mockResolvedValue(chart);
+    Database.recordCollection.mockResolvedValue(10);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('shows each farmer\'s collection for the shift', async () => {
+    const { findByText, getByText } = renderWithProvider(<MilkCollectionScreen />);
+
+    expect(await findByText('10 L - Fat 4.2% - SNF 8.5%')).toBeTruthy();
+    expect(getByText('Not collected')).toBeTruthy();
+    expect(getByText('Morning: 10 L from 1 of 2 farmers')).toBeTruthy();
+    expect(Database.getCollectionsForDate).toHaveBeenCalledWith('2024-05-20');
+
+    fireEvent.press(getByText('Evening'));
+    expect(getByText('Evening: 0 L from 0 of 2 farmers')).toBeTruthy();
+  });
+
+  it('records a collection and previews the amount from the chart', async () => {
+    const { findByText, getAllByTestId, getByText } = renderWithProvider(<MilkCollectionScreen />);
+
+    fireEvent.press(await findByText('Suresh'));
+    const [quantityInput, fatInput, snfInput] = getAllByTestId('text-input-outlined');
+    fireEvent.changeText(quantityInput, '8.5');
+    fireEvent.changeText(fatInput, '4.0');
+    fireEvent.changeText(snfInput, '8.6');
+    expect(getByText('₹36.20 per L - ₹307.70')).toBeTruthy();
+    fireEvent.press(getByText('Save Collection'));
+
+    await waitFor(() => expect(Database.recordCollection).toHaveBeenCalledWith(2, '2024-05-20', 'morning', 8.5, 4, 8.6));
+  });
+
+  it('warns when the chart has no rate for the reading', async () => {
+    const { findByText, getAllByTestId, getByText } = renderWithProvider(<MilkCollectionScreen />);
+
+    fireEvent.press(await findByText('Suresh'));
+    const [quantityInput, fatInput, snfInput] = getAllByTestId('text-input-outlined');
+    fireEvent.changeText(quantityInput, '5');
+    fireEvent.changeText(fatInput, '2.5');
+    fireEvent.changeText(snfInput, '8.0');
+
+    expect(getByText('The rate chart has no rate for fat 2.5% and SNF 8%.')).toBeTruthy();
+  });
+
+  it('shares a payout statement for the 15-day period', async () => {
+    Alert.alert.mockImplementationOnce((title, message, buttons) => buttons.find(b => b.text === 'Payout Statement').onPress());
+    Database.getCollectionsForFarmer.mockResolvedValue([
+      morningEntry,
+      { ...morningEntry, id: 10, shift: 'evening', quantity: 5, fat: 3.6, snf: 8.2, rate: 3340, total_amount: 16700 },
+    ]);
+    const { findByText, getByText } = renderWithProvider(<MilkCollectionScreen />);
+
+    fireEvent(await findByText('Ramesh'), 'longPress');
+    fireEvent.press(getByText('15 days'));
+    expect(getByText('16 May - 31 May 2024')).toBeTruthy();
+    fireEvent.press(getByText('Share Statement'));
+
+    await waitFor(() => expect(require('expo-sharing').shareAsync).toHaveBeenCalledWith('test.pdf'));
+    expect(Database.getCollectionsForFarmer).toHaveBeenCalledWith(1, '2024-05-16', '2024-05-31');
+    const { html } = require('expo-print').printToFileAsync.mock.calls[0][0];
+    expect(html).toContain('Ramesh, Shirur');
+    expect(html).toContain('Amount Payable: ₹537.00');
+    expect(html).toContain('4% / 8.4%');
+  });
+});
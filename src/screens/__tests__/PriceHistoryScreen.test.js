@@ -0,0 +1,109 @@
+import React from 'react';
+import { Alert } from 'react-native';
+import { render, fireEvent, waitFor } from '@testing-library/react-native';
+import PriceHistoryScreen from '../PriceHistoryScreen';
+import { Provider as PaperProvider } from 'react-native-paper';
+import * as Database from '../../db/Database';
+
+/* ----------------------------- DB MOCKS ----------------------------- */
+jest.mock('../../db/Database', () => ({
+  PRICE_HISTORY_START: '0001-01-01',
+  getPriceHistory: jest.fn(),
+  schedulePriceChange: jest.fn(),
+  cancelPriceChange: jest.fn(),
+}));
+
+/* ------------------------- NAVIGATION MOCK -------------------------- */
+const mockSetOptions = jest.fn();
+let mockRouteParams = {};
+
+jest.mock('@react-navigation/native', () => {
+  const React = require('react');
+  return {
+    useNavigation: () => ({ setOptions: mockSetOptions }),
+    useRoute: () => ({ params: mockRouteParams }),
+    useFocusEffect: (cb) => {
+      React.useEffect(() => {
+        cb();
+      }, [cb]);
+    },
+  };
+});
+
+jest.mock('@react-native-community/datetimepicker', () => () => null);
+
+/* ----------------------- UTIL ----------------------- */
+const renderWithProvider = (ui) =>
+  render(<PaperProvider>{ui}</PaperProvider>);
+
+const history = [
+  { id: 3, product_id: 1, customer_id: null, price: 5800, effective_from: '2024-06-01' },
+  { id: 2, product_id: 1, customer_id: null, price: 5600, effective_from: '2024-05-10' },
+  { id: 1, product_id: 1, customer_id: null, price: 5400, effective_from: '0001-01-01' },
+];
+
+/* ----------------------- TESTS ----------------------- */
+describe('PriceHistoryScreen', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: new Date('2024-05-20T08:00:00'), advanceTimers: true });
+    mockRouteParams = { productId: 1, productName: 'Cow Milk' };
+    Database.getPriceHistory.mockResolvedValue(history);
+    Database.schedulePriceChange.mockResolvedValue();
+    Database.cancelPriceChange.mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('lists past and scheduled prices and marks the current one', async () => {
+    const { findByText, getByText } = renderWithProvider(<PriceHistoryScreen />);
+
+    expect(await findByText('From 10 May 2024 | Current price')).toBeTruthy();
+    expect(getByText('Starts 01 Jun 2024')).toBeTruthy();
+    expect(getByText('First recorded price')).toBeTruthy();
+    expect(Database.getPriceHistory).toHaveBeenCalledWith(1, null);
+    expect(mockSetOptions).toHaveBeenCalledWith({ title: 'Cow Milk' });
+  });
+
+  it('schedules a new price from the 1st of next month', async () => {
+    const { findByText, getByText, getByLabelText, getByTestId } = renderWithProvider(<PriceHistoryScreen />);
+    await findByText('First recorded price');
+
+    fireEvent.changeText(getByTestId('text-input-outlined'), '60');
+    fireEvent.press(getByLabelText('Also change the price of every customer who buys this product'));
+    fireEvent.press(getByText('Schedule Change'));
+
+    await waitFor(() => expect(Database.schedulePriceChange).toHaveBeenCalledWith({
+      productId: 1,
+      customerId: null,
+      price: 6000,
+      effectiveFrom: '2024-06-01',
+      applyToCustomers: true,
+    }));
+    expect(Alert.alert).toHaveBeenCalledWith('Price Scheduled', '₹60.00 from 01 Jun 2024.');
+  });
+
+  it('shows a customer\'s own prices without the all-customers option', async () => {
+    mockRouteParams = { productId: 1, productName: 'Cow Milk', customerId: 7, customerName: 'Alice' };
+    const { findByText, queryByLabelText } = renderWithProvider(<PriceHistoryScreen />);
+
+    await findByText('First recorded price');
+    expect(Database.getPriceHistory).toHaveBeenCalledWith(1, 7);
+    expect(queryByLabelText('Also change the price of every customer who buys this product')).toBeNull();
+    expect(mockSetOptions).toHaveBeenCalledWith({ title: 'Cow Milk - Alice' });
+  });
+
+  it('cancels a scheduled change after confirming', async () => {
+    Alert.alert.mockImplementationOnce((title, message, buttons) => {
+      buttons.find(b => b.text === 'Cancel Change').onPress();
+    });
+    const { findByLabelText } = renderWithProvider(<PriceHistoryScreen />);
+
+    fireEvent.press(await findByLabelText('Cancel price change from 2024-06-01'));
+
+    await waitFor(() => expect(Database.cancelPriceChange).toHaveBeenCalledWith(3));
+    expect(Database.getPriceHistory).toHaveBeenCalledTimes(2);
+  });
+});
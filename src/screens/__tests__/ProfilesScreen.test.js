@@ -0,0 +1,85 @@
+import React from 'react';
+import { Alert } from 'react-native';
+import { render, fireEvent, waitFor } from '@testing-library/react-native';
+import ProfilesScreen from '../ProfilesScreen';
+import { Provider as PaperProvider } from 'react-native-paper';
+import { ProfileContext } from '../../components/ProfileContext';
+import * as Profiles from '../../db/profiles';
+
+/* ----------------------------- DB MOCKS ----------------------------- */
+jest.mock('../../db/profiles', () => ({
+  createProfile: jest.fn(),
+  renameProfile: jest.fn(),
+}));
+
+/* ----------------------- UTIL ----------------------- */
+const shop = { id: 'default', name: 'Sharma Dairy', databaseName: 'MilkwalaExpo.db' };
+const route = { id: 'p1', name: 'Evening Route', databaseName: 'milkwala_p1.db' };
+
+const profileContext = {
+  activeProfile: shop,
+  profiles: [shop, route],
+  switchProfile: jest.fn(),
+  refreshProfiles: jest.fn(),
+};
+
+const renderWithProvider = (ui) =>
+  render(
+    <PaperProvider>
+      <ProfileContext.Provider value={profileContext}>{ui}</ProfileContext.Provider>
+    </PaperProvider>
+  );
+
+/* ----------------------- TESTS ----------------------- */
+describe('ProfilesScreen', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('lists the businesses and marks the open one', () => {
+    const { getByText } = renderWithProvider(<ProfilesScreen />);
+
+    expect(getByText('Sharma Dairy')).toBeTruthy();
+    expect(getByText('Open now')).toBeTruthy();
+    expect(getByText('Evening Route')).toBeTruthy();
+  });
+
+  it('switches to another business after confirming', () => {
+    Alert.alert.mockImplementationOnce((title, message, buttons) => {
+      buttons.find(b => b.text === 'Switch').onPress();
+    });
+    const { getByText } = renderWithProvider(<ProfilesScreen />);
+
+    fireEvent.press(getByText('Evening Route'));
+
+    expect(Alert.alert).toHaveBeenCalledWith('Switch Business', 'Open the books of Evening Route?', expect.any(Array));
+    expect(profileContext.switchProfile).toHaveBeenCalledWith('p1');
+  });
+
+  it('adds a business and offers to switch to it', async () => {
+    Profiles.createProfile.mockResolvedValue({ id: 'p2', name: 'Shop Counter', databaseName: 'milkwala_p2.db' });
+    const { getByText, getAllByText, getByTestId } = renderWithProvider(<ProfilesScreen />);
+
+    fireEvent.press(getByText('Add Business'));
+    fireEvent.changeText(getByTestId('text-input-outlined'), 'Shop Counter');
+    fireEvent.press(getByText('Save'));
+
+    await waitFor(() => expect(Profiles.createProfile).toHaveBeenCalledWith('Shop Counter'));
+    expect(profileContext.refreshProfiles).toHaveBeenCalled();
+    expect(Alert.alert).toHaveBeenCalledWith('Business Added', expect.stringContaining('Shop Counter'), expect.any(Array));
+    expect(getAllByText('Add Business')).toHaveLength(1);
+  });
+
+  it('shows why a rename was refused', async () => {
+    Profiles.renameProfile.mockRejectedValue(new Error('There is already a business called "Sharma Dairy".'));
+    const { getByText, getByLabelText, getByTestId, findByText } = renderWithProvider(<ProfilesScreen />);
+
+    fireEvent.press(getByLabelText('Rename Evening Route'));
+    fireEvent.changeText(getByTestId('text-input-outlined'), 'sharma dairy');
+    fireEvent.press(getByText('Save'));
+
+    expect(await findByText('There is already a business called "Sharma Dairy".')).toBeTruthy();
+    expect(Profiles.renameProfile).toHaveBeenCalledWith('p1', 'sharma dairy');
+    expect(profileContext.refreshProfiles).not.toHaveBeenCalled();
+  });
+});
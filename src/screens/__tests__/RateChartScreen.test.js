@@ -0,0 +1,85 @@
+import React from 'react';
+import { Alert } from 'react-native';
+import { render, fireEvent, waitFor } from '@testing-library/react-native';
+import RateChartScreen from '../RateChartScreen';
+import { Provider as PaperProvider } from 'react-native-paper';
+import * as Database from '../../db/Database';
+
+/* ----------------------------- DB MOCKS ----------------------------- */
+jest.mock('../../db/Database', () => ({
+  getRateChart: jest.fn(),
+  saveRateChart: jest.fn(),
+}));
+
+/* ------------------------- NAVIGATION MOCK -------------------------- */
+jest.mock('@react-navigation/native', () => {
+  const React = require('react');
+  return {
+    useFocusEffect: (cb) => {
+      React.useEffect(() => {
+        cb();
+      }, [cb]);
+    },
+  };
+});
+
+/* ----------------------- UTIL ----------------------- */
+const renderWithProvider = (ui) =>
+  render(<PaperProvider>{ui}</PaperProvider>);
+
+/* ----------------------- TESTS ----------------------- */
+describe('RateChartScreen', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Database.getRateChart.mockResolvedValue([
+      { fat: 4.0, snf: 8.5, rate: 3600 },
+      { fat: 4.0, snf: 8.6, rate: 3620 },
+    ]);
+    Database.saveRateChart.mockResolvedValue();
+  });
+
+  it('shows the saved chart and saves a changed rate', async () => {
+    const { findByLabelText, getByText } = renderWithProvider(<RateChartScreen />);
+
+    const cell = await findByLabelText('Rate for fat 4.0% and SNF 8.6%');
+    expect(cell.props.value).toBe('36.2');
+    fireEvent.changeText(cell, '37');
+    fireEvent.press(getByText('Save Chart'));
+
+    await waitFor(() => expect(Database.saveRateChart).toHaveBeenCalledWith([
+      { fat: 4.0, snf: 8.5, rate: 3600 },
+      { fat: 4.0, snf: 8.6, rate: 3700 },
+    ]));
+  });
+
+  it('generates a chart from a starting rate and steps', async () => {
+    const { findByText, getAllByTestId, getByText, getByLabelText } = renderWithProvider(<RateChartScreen />);
+
+    await findByText('Fat % down, SNF % across');
+    const inputs = getAllByTestId('text-input-outlined');
+    fireEvent.changeText(inputs[1], '3.2');
+    fireEvent.changeText(inputs[3], '8.1');
+    fireEvent.changeText(inputs[4], '30');
+    fireEvent.changeText(inputs[5], '0.5');
+    fireEvent.changeText(inputs[6], '0.2');
+    fireEvent.press(getByText('Generate'));
+
+    expect(getByLabelText('Rate for fat 3.2% and SNF 8.1%').props.value).toBe('31.2');
+    fireEvent.press(getByText('Save Chart'));
+    await waitFor(() => expect(Database.saveRateChart).toHaveBeenCalledWith(expect.arrayContaining([
+      { fat: 3.0, snf: 8.0, rate: 3000 },
+      { fat: 3.2, snf: 8.1, rate: 3120 },
+    ])));
+    expect(Database.saveRateChart.mock.calls[0][0]).toHaveLength(6);
+  });
+
+  it('rejects a rate that is not a number', async () => {
+    const { findByLabelText, getByText } = renderWithProvider(<RateChartScreen />);
+
+    fireEvent.changeText(await findByLabelText('Rate for fat 4.0% and SNF 8.5%'), 'abc');
+    fireEvent.press(getByText('Save Chart'));
+
+    expect(Alert.alert).toHaveBeenCalledWith('Validation Error', 'The rate for fat 4.0% and SNF 8.5% must be a number of 0 or more.');
+    expect(Database.saveRateChart).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,92 @@
+import React from 'react';
+import { Alert } from 'react-native';
+import { render, fireEvent, waitFor } from '@testing-library/react-native';
+import RecycleBinScreen from '../RecycleBinScreen';
+import { Provider as PaperProvider } from 'react-native-paper';
+import * as Database from '../../db/Database';
+
+/* ----------------------------- DB MOCKS ----------------------------- */
+jest.mock('../../db/Database', () => ({
+  RECYCLE_BIN_RETENTION_DAYS: 30,
+  getRecycleBinItems: jest.fn(),
+  restoreFromRecycleBin: jest.fn(),
+  purgeRecycleBinItem: jest.fn(),
+  emptyRecycleBin: jest.fn(),
+}));
+
+/* ------------------------- NAVIGATION MOCK -------------------------- */
+jest.mock('@react-navigation/native', () => {
+  const React = require('react');
+  return {
+    useFocusEffect: (cb) => {
+      React.useEffect(() => {
+        cb();
+      }, [cb]);
+    },
+  };
+});
+
+/* ----------------------- UTIL ----------------------- */
+const renderWithProvider = (ui) =>
+  render(<PaperProvider>{ui}</PaperProvider>);
+
+const deletedSale = {
+  id: 3,
+  table_name: 'daily_sales',
+  record_id: 12,
+  customer_id: 1,
+  label: 'Sale: Sharma - Cow Milk 2 Liter on 2024-05-02',
+  deleted_at: new Date().toISOString(),
+};
+
+/* ----------------------- TESTS ----------------------- */
+describe('RecycleBinScreen', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Database.getRecycleBinItems.mockResolvedValue([deletedSale]);
+    Database.restoreFromRecycleBin.mockResolvedValue();
+    Database.purgeRecycleBinItem.mockResolvedValue();
+  });
+
+  it('lists deleted items with the days left before purge', async () => {
+    const { findByText, getByText } = renderWithProvider(<RecycleBinScreen />);
+
+    expect(await findByText(deletedSale.label)).toBeTruthy();
+    expect(getByText(/Purged in 30 days/)).toBeTruthy();
+  });
+
+  it('restores an item', async () => {
+    const { findByLabelText } = renderWithProvider(<RecycleBinScreen />);
+
+    fireEvent.press(await findByLabelText(`Restore ${deletedSale.label}`));
+
+    await waitFor(() => {
+      expect(Database.restoreFromRecycleBin).toHaveBeenCalledWith(3);
+      expect(Database.getRecycleBinItems).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  it('shows why an item cannot be restored', async () => {
+    Database.restoreFromRecycleBin.mockRejectedValue(new Error('The customer for this record no longer exists.'));
+    const { findByLabelText } = renderWithProvider(<RecycleBinScreen />);
+
+    fireEvent.press(await findByLabelText(`Restore ${deletedSale.label}`));
+
+    await waitFor(() => {
+      expect(Alert.alert).toHaveBeenCalledWith('Could Not Restore', 'The customer for this record no longer exists.');
+    });
+  });
+
+  it('deletes an item forever after confirmation', async () => {
+    Alert.alert.mockImplementationOnce((title, msg, buttons) => {
+      buttons.find(b => b.text === 'Delete').onPress();
+    });
+    const { findByLabelText } = renderWithProvider(<RecycleBinScreen />);
+
+    fireEvent.press(await findByLabelText(`Delete ${deletedSale.label} forever`));
+
+    await waitFor(() => {
+      expect(Database.purgeRecycleBinItem).toHaveBeenCalledWith(3);
+    });
+  });
+});
@@ -0,0 +1,136 @@
+import React from 'react';
+import { Alert } from 'react-native';
+import { render, fireEvent, waitFor } from '@testing-library/react-native';
+import RestoreBackupScreen from '../RestoreBackupScreen';
+import { Provider as PaperProvider } from 'react-native-paper';
+import * as Database from '../../db/Database';
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system/legacy';
+import * as BackupCrypto from '../../utils/backupCrypto';
+
+/* ----------------------------- DB MOCKS ----------------------------- */
+jest.mock('../../db/Database', () => ({
+  validateBackupData: jest.fn(),
+  restoreDataFromBackup: jest.fn(),
+}));
+
+/* ------------------------- LIB MOCKS ---------------------------- */
+jest.mock('expo-document-picker', () => ({
+  getDocumentAsync: jest.fn(),
+}));
+
+jest.mock('expo-file-system/legacy', () => ({
+  readAsStringAsync: jest.fn(),
+}));
+
+jest.mock('../../utils/backupCrypto', () => ({
+  MIN_PASSPHRASE_LENGTH: 6,
+  isEncryptedBackup: jest.fn((parsed) => parsed.format === 'milkwala-encrypted-backup'),
+  decryptBackup: jest.fn(),
+}));
+
+/* ------------------------- NAVIGATION MOCK -------------------------- */
+const mockGoBack = jest.fn();
+let mockRouteParams;
+
+jest.mock('@react-navigation/native', () => ({
+  useNavigation: () => ({ goBack: mockGoBack }),
+  useRoute: () => ({ params: mockRouteParams }),
+}));
+
+/* ----------------------- UTIL ----------------------- */
+const renderWithProvider = (ui) =>
+  render(<PaperProvider>{ui}</PaperProvider>);
+
+const backup = { schemaVersion: 1, backupDate: '2024-05-01', customers: [] };
+
+/* ----------------------- TESTS ----------------------- */
+describe('RestoreBackupScreen', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockRouteParams = undefined;
+
+    DocumentPicker.getDocumentAsync.mockResolvedValue({
+      canceled: false,
+      assets: [{ uri: 'file:///backup.json', name: 'milkwala_backup_2024-05-01.json' }],
+    });
+    FileSystem.readAsStringAsync.mockResolvedValue(JSON.stringify(backup));
+    Database.validateBackupData.mockReturnValue({
+      backupDate: '2024-05-01',
+      schemaVersion: 1,
+      counts: { customers: 12, products: 2, customerProducts: 12, sales: 340, payments: 25, expenses: 9 },
+    });
+    Database.restoreDataFromBackup.mockResolvedValue({ customers: 1, sales: 2, payments: 3, expenses: 4 });
+  });
+
+  it('shows a summary of the picked backup', async () => {
+    const { findByText, getByText } = renderWithProvider(<RestoreBackupScreen />);
+
+    fireEvent.press(getByText('Choose Backup File'));
+
+    expect(await findByText('milkwala_backup_2024-05-01.json')).toBeTruthy();
+    expect(getByText('340')).toBeTruthy();
+    expect(getByText('25')).toBeTruthy();
+    expect(Database.validateBackupData).toHaveBeenCalledWith(backup);
+  });
+
+  it('rejects a file that fails validation', async () => {
+    Database.validateBackupData.mockImplementation(() => {
+      throw new Error('The backup has no valid schema version.');
+    });
+
+    const { getByText, queryByText } = renderWithProvider(<RestoreBackupScreen />);
+
+    fireEvent.press(getByText('Choose Backup File'));
+
+    await waitFor(() => {
+      expect(Alert.alert).toHaveBeenCalledWith('Invalid Backup', 'The backup has no valid schema version.');
+    });
+    expect(queryByText('Merge Into Existing Data')).toBeNull();
+  });
+
+  it('loads a stored backup passed from the backups list', async () => {
+    mockRouteParams = { fileUri: 'file:///backups/milkwala_auto_2024-05-01.json', fileName: 'milkwala_auto_2024-05-01.json' };
+
+    const { findByText } = renderWithProvider(<RestoreBackupScreen />);
+
+    expect(await findByText('milkwala_auto_2024-05-01.json')).toBeTruthy();
+    expect(DocumentPicker.getDocumentAsync).not.toHaveBeenCalled();
+    expect(FileSystem.readAsStringAsync).toHaveBeenCalledWith(mockRouteParams.fileUri, { encoding: 'utf8' });
+  });
+
+  it('merges the backup into existing data', async () => {
+    const { findByText } = renderWithProvider(<RestoreBackupScreen />);
+
+    fireEvent.press(await findByText('Choose Backup File'));
+    fireEvent.press(await findByText('Merge Into Existing Data'));
+
+    await waitFor(() => {
+      expect(Database.restoreDataFromBackup).toHaveBeenCalledWith(backup, 'merge');
+    });
+  });
+
+  it('asks for the passphrase of an encrypted backup', async () => {
+    FileSystem.readAsStringAsync.mockResolvedValue(JSON.stringify({ format: 'milkwala-encrypted-backup', version: 1 }));
+    BackupCrypto.decryptBackup
+      .mockRejectedValueOnce(new Error('Wrong passphrase, or the backup file is damaged.'))
+      .mockResolvedValueOnce(backup);
+
+    const { findByText, getByText, getByTestId } = renderWithProvider(<RestoreBackupScreen />);
+
+    fireEvent.press(getByText('Choose Backup File'));
+    expect(await findByText('Encrypted Backup')).toBeTruthy();
+    expect(Database.validateBackupData).not.toHaveBeenCalled();
+
+    fireEvent.changeText(getByTestId('text-input-outlined'), 'bad guess');
+    fireEvent.press(getByText('Unlock'));
+    expect(await findByText('Wrong passphrase, or the backup file is damaged.')).toBeTruthy();
+
+    fireEvent.changeText(getByTestId('text-input-outlined'), 'secret phrase');
+    fireEvent.press(getByText('Unlock'));
+
+    expect(await findByText('milkwala_backup_2024-05-01.json')).toBeTruthy();
+    expect(BackupCrypto.decryptBackup).toHaveBeenLastCalledWith({ format: 'milkwala-encrypted-backup', version: 1 }, 'secret phrase');
+    expect(Database.validateBackupData).toHaveBeenCalledWith(backup);
+  });
+});
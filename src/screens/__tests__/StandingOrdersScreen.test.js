@@ -0,0 +1,107 @@
+import React from 'react';
+import { Alert } from 'react-native';
+import { render, fireEvent, waitFor } from '@testing-library/react-native';
+import StandingOrdersScreen from '../StandingOrdersScreen';
+import { Provider as PaperProvider } from 'react-native-paper';
+import * as Database from '../../db/Database';
+
+/* ----------------------------- DB MOCKS ----------------------------- */
+jest.mock('../../db/Database', () => ({
+  getCustomerProducts: jest.fn(),
+  getStandingOrders: jest.fn(),
+  saveStandingOrder: jest.fn(),
+  deleteStandingOrder: jest.fn(),
+  autoPostStandingOrders: jest.fn(),
+}));
+
+/* ------------------------- NAVIGATION MOCK -------------------------- */
+jest.mock('@react-navigation/native', () => {
+  const React = require('react');
+  return {
+    useRoute: () => ({ params: { customerId: 1 } }),
+    useFocusEffect: (cb) => {
+      React.useEffect(() => {
+        cb();
+      }, [cb]);
+    },
+  };
+});
+
+jest.mock('@react-native-community/datetimepicker', () => () => null);
+
+/* ----------------------- UTIL ----------------------- */
+const renderWithProvider = (ui) =>
+  render(<PaperProvider>{ui}</PaperProvider>);
+
+const order = {
+  id: 3, customer_id: 1, product_id: 1, product_name: 'Cow Milk', unit: 'L', pack_size: 0.5, product_active: 1,
+  quantity: 1.5, schedule: 'weekdays', weekdays: '1,3,5', start_date: '2024-05-01', end_date: null, posted_through: '2024-05-19',
+};
+
+/* ----------------------- TESTS ----------------------- */
+describe('StandingOrdersScreen', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: new Date('2024-05-20T08:00:00'), advanceTimers: true });
+    Database.getStandingOrders.mockResolvedValue([order]);
+    Database.getCustomerProducts.mockResolvedValue([
+      { id: 1, name: 'Cow Milk', unit: 'L', pack_size: 0.5, default_quantity: 1 },
+      { id: 2, name: 'Curd', unit: 'kg', pack_size: null, default_quantity: 0.5 },
+    ]);
+    Database.saveStandingOrder.mockResolvedValue(4);
+    Database.autoPostStandingOrders.mockResolvedValue(1);
+    Database.deleteStandingOrder.mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('lists the customer\'s orders with their schedule', async () => {
+    const { findByText, getByText } = renderWithProvider(<StandingOrdersScreen />);
+
+    expect(await findByText('Cow Milk - 1.5 L')).toBeTruthy();
+    expect(getByText('Mon, Wed, Fri, from 01 May 2024')).toBeTruthy();
+  });
+
+  it('adds an order on alternate days and posts its sales', async () => {
+    const { findByText, getAllByTestId, getByText } = renderWithProvider(<StandingOrdersScreen />);
+
+    await findByText('Cow Milk - 1.5 L');
+    fireEvent.press(getByText('Add Standing Order'));
+    fireEvent.press(getByText('Curd'));
+    const [quantityInput] = getAllByTestId('text-input-outlined');
+    expect(quantityInput.props.value).toBe('0.5');
+    fireEvent.changeText(quantityInput, '750 g');
+    fireEvent.press(getByText('Alternate days'));
+    fireEvent.press(getByText('Save Order'));
+
+    await waitFor(() => expect(Database.saveStandingOrder).toHaveBeenCalledWith({
+      id: null, customerId: 1, productId: 2, quantity: 0.75, schedule: 'alternate', weekdays: '', startDate: '2024-05-20', endDate: null,
+    }));
+    await waitFor(() => expect(Database.autoPostStandingOrders).toHaveBeenCalled());
+    expect(Alert.alert).toHaveBeenCalledWith('Sales Added', '1 sale was added from standing orders.');
+  });
+
+  it('changes the days of an existing order', async () => {
+    const { findByText, getByText } = renderWithProvider(<StandingOrdersScreen />);
+
+    fireEvent.press(await findByText('Cow Milk - 1.5 L'));
+    fireEvent.press(getByText('Fri'));
+    fireEvent.press(getByText('Sat'));
+    fireEvent.press(getByText('Save Order'));
+
+    await waitFor(() => expect(Database.saveStandingOrder).toHaveBeenCalledWith(expect.objectContaining({
+      id: 3, productId: 1, quantity: 1.5, schedule: 'weekdays', weekdays: '1,3,6', startDate: '2024-05-01',
+    })));
+  });
+
+  it('stops an order on long press', async () => {
+    Alert.alert.mockImplementationOnce((title, message, buttons) => buttons.find(b => b.text === 'Stop Order').onPress());
+    const { findByText } = renderWithProvider(<StandingOrdersScreen />);
+
+    fireEvent(await findByText('Cow Milk - 1.5 L'), 'longPress');
+
+    await waitFor(() => expect(Database.deleteStandingOrder).toHaveBeenCalledWith(3));
+  });
+});
@@ -0,0 +1,101 @@
+import React from 'react';
+import { Alert } from 'react-native';
+import { render, fireEvent, waitFor } from '@testing-library/react-native';
+import StockScreen from '../StockScreen';
+import { Provider as PaperProvider } from 'react-native-paper';
+import * as Database from '../../db/Database';
+
+/* ----------------------------- DB MOCKS ----------------------------- */
+jest.mock('../../db/Database', () => ({
+  getStockForDate: jest.fn(),
+  getStockLedger: jest.fn(),
+  recordStockEntry: jest.fn(),
+}));
+
+/* ------------------------- NAVIGATION MOCK -------------------------- */
+jest.mock('@react-navigation/native', () => {
+  const React = require('react');
+  return {
+    useFocusEffect: (cb) => {
+      React.useEffect(() => {
+        cb();
+      }, [cb]);
+    },
+  };
+});
+
+jest.mock('@react-native-community/datetimepicker', () => () => null);
+
+/* ----------------------- UTIL ----------------------- */
+const renderWithProvider = (ui) =>
+  render(<PaperProvider>{ui}</PaperProvider>);
+
+const milk = {
+  product_id: 1, name: 'Cow Milk', unit: 'L', pack_size: 0.5, tracked: true,
+  opening: 7, received: 10, sold: 15, wastage: 0, closing: 2, shortfall: 0, notes: '',
+};
+const curd = {
+  product_id: 2, name: 'Curd', unit: 'kg', pack_size: null, tracked: false,
+  opening: 0, received: 0, sold: 1, wastage: 0, closing: -1, shortfall: 0, notes: '',
+};
+
+/* ----------------------- TESTS ----------------------- */
+describe('StockScreen', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: new Date('2024-05-20T08:00:00'), advanceTimers: true });
+    Database.getStockForDate.mockResolvedValue([milk, curd]);
+    Database.recordStockEntry.mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('shows the day\'s stock for each product', async () => {
+    const { findByText, getByText } = renderWithProvider(<StockScreen />);
+
+    expect(await findByText('Closing stock: 2 L')).toBeTruthy();
+    expect(getByText('+10 L')).toBeTruthy();
+    expect(getByText('-15 L')).toBeTruthy();
+    expect(getByText('Not tracked yet - tap to record stock received')).toBeTruthy();
+    expect(Database.getStockForDate).toHaveBeenCalledWith('2024-05-20');
+  });
+
+  it('warns about products that sold more than was in stock', async () => {
+    Database.getStockForDate.mockResolvedValue([{ ...milk, sold: 19, closing: -2, shortfall: 2 }]);
+    const { findByText, getByText } = renderWithProvider(<StockScreen />);
+
+    expect(await findByText('Sold more than in stock: Cow Milk (2 L short)')).toBeTruthy();
+    expect(getByText('Sold 2 L more than was in stock')).toBeTruthy();
+  });
+
+  it('records received stock typed in cans and wastage in ml', async () => {
+    const { findByText, getAllByTestId, getByText } = renderWithProvider(<StockScreen />);
+
+    fireEvent.press(await findByText('Cow Milk'));
+    const [receivedInput, wastageInput] = getAllByTestId('text-input-outlined');
+    fireEvent.changeText(receivedInput, '2 × 20 L');
+    fireEvent.changeText(wastageInput, '500 ml');
+    fireEvent.press(getByText('Save Stock'));
+
+    await waitFor(() => expect(Database.recordStockEntry).toHaveBeenCalledWith(1, '2024-05-20', { received: 40, wastage: 0.5, notes: '' }));
+  });
+
+  it('raises a variance alert when the saved stock still falls short', async () => {
+    Database.getStockForDate
+      .mockResolvedValueOnce([milk, curd])
+      .mockResolvedValueOnce([milk, { ...curd, tracked: true, received: 0.5, closing: -0.5, shortfall: 0.5 }]);
+    const { findByText, getAllByTestId, getByText } = renderWithProvider(<StockScreen />);
+
+    fireEvent.press(await findByText('Curd'));
+    fireEvent.changeText(getAllByTestId('text-input-outlined')[0], '500 g');
+    fireEvent.press(getByText('Save Stock'));
+
+    await waitFor(() => expect(Alert.alert).toHaveBeenCalledWith(
+      'Stock Variance',
+      '1 kg of Curd was sold but only 500 g was in stock. Check the sales and the quantity received.'
+    ));
+    expect(Database.recordStockEntry).toHaveBeenCalledWith(2, '2024-05-20', { received: 0.5, wastage: 0, notes: '' });
+  });
+});
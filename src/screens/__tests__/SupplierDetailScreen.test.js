@@ -0,0 +1,111 @@
+import React from 'react';
+import { Alert } from 'react-native';
+import { render, fireEvent, waitFor } from '@testing-library/react-native';
+import SupplierDetailScreen from '../SupplierDetailScreen';
+import { Provider as PaperProvider } from 'react-native-paper';
+import * as Database from '../../db/Database';
+
+/* ----------------------------- DB MOCKS ----------------------------- */
+jest.mock('../../db/Database', () => ({
+  getSupplierById: jest.fn(),
+  getSupplierLedger: jest.fn(),
+  getAllProducts: jest.fn(),
+  recordPurchase: jest.fn(),
+  recordSupplierPayment: jest.fn(),
+  deletePurchase: jest.fn(),
+  deleteSupplierPayment: jest.fn(),
+  restoreFromRecycleBin: jest.fn(),
+}));
+
+/* ------------------------- NAVIGATION MOCK -------------------------- */
+jest.mock('@react-navigation/native', () => {
+  const React = require('react');
+  return {
+    useRoute: () => ({ params: { supplierId: 1 } }),
+    useFocusEffect: (cb) => {
+      React.useEffect(() => {
+        cb();
+      }, [cb]);
+    },
+  };
+});
+
+jest.mock('@react-native-community/datetimepicker', () => () => null);
+
+/* ----------------------- UTIL ----------------------- */
+const renderWithProvider = (ui) =>
+  render(<PaperProvider>{ui}</PaperProvider>);
+
+const ledger = [
+  { type: 'payment', id: 4, date: '2024-05-19', amount: 150000, notes: 'Cash' },
+  {
+    type: 'purchase', id: 7, date: '2024-05-18', amount: 180000, notes: '',
+    product_id: 1, product_name: 'Cow Milk', unit: 'L', quantity: 40, price_per_unit: 4500,
+  },
+];
+
+/* ----------------------- TESTS ----------------------- */
+describe('SupplierDetailScreen', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: new Date('2024-05-20T08:00:00'), advanceTimers: true });
+    Database.getSupplierById.mockResolvedValue({ id: 1, name: 'Gokul Dairy', phone: '9876543210' });
+    Database.getSupplierLedger.mockResolvedValue(ledger);
+    Database.getAllProducts.mockResolvedValue([
+      { id: 1, name: 'Cow Milk', unit: 'L', pack_size: null },
+      { id: 2, name: 'Buffalo Milk', unit: 'L', pack_size: null },
+    ]);
+    Database.recordPurchase.mockResolvedValue(8);
+    Database.recordSupplierPayment.mockResolvedValue();
+    Database.deletePurchase.mockResolvedValue(12);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('shows the ledger and the balance payable', async () => {
+    const { findByText, getByText } = renderWithProvider(<SupplierDetailScreen />);
+
+    expect(await findByText('Cow Milk - 40 L @ ₹45')).toBeTruthy();
+    expect(getByText('Gokul Dairy')).toBeTruthy();
+    expect(getByText('Payable')).toBeTruthy();
+    expect(getByText('₹300')).toBeTruthy();
+    expect(getByText('19 May 2024 - Cash')).toBeTruthy();
+  });
+
+  it('records a purchase at the rate last paid for the product', async () => {
+    const { findByText, getAllByTestId, getByText } = renderWithProvider(<SupplierDetailScreen />);
+
+    await findByText('Cow Milk - 40 L @ ₹45');
+    fireEvent.press(getByText('Record Purchase'));
+    const [quantityInput, rateInput] = getAllByTestId('text-input-outlined');
+    expect(rateInput.props.value).toBe('45');
+    fireEvent.changeText(quantityInput, '2 × 20 L');
+    fireEvent.press(getByText('Save Purchase'));
+
+    await waitFor(() => expect(Database.recordPurchase).toHaveBeenCalledWith(1, 1, 40, 4500, '2024-05-20', ''));
+  });
+
+  it('records a payment to the supplier', async () => {
+    const { findByText, getAllByTestId, getByText } = renderWithProvider(<SupplierDetailScreen />);
+
+    await findByText('Cow Milk - 40 L @ ₹45');
+    fireEvent.press(getByText('Record Payment'));
+    const [amountInput] = getAllByTestId('text-input-outlined');
+    fireEvent.changeText(amountInput, '1000');
+    fireEvent.press(getByText('Save Payment'));
+
+    await waitFor(() => expect(Database.recordSupplierPayment).toHaveBeenCalledWith(1, 100000, '2024-05-20', ''));
+  });
+
+  it('deletes a purchase to the recycle bin', async () => {
+    Alert.alert.mockImplementationOnce((title, message, buttons) => buttons.find(b => b.text === 'Delete').onPress());
+    const { findByText } = renderWithProvider(<SupplierDetailScreen />);
+
+    fireEvent.press(await findByText('Cow Milk - 40 L @ ₹45'));
+
+    await waitFor(() => expect(Database.deletePurchase).toHaveBeenCalledWith(7));
+    expect(await findByText('Purchase deleted')).toBeTruthy();
+  });
+});
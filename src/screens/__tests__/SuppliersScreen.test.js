@@ -0,0 +1,79 @@
+import React from 'react';
+import { Alert } from 'react-native';
+import { render, fireEvent, waitFor } from '@testing-library/react-native';
+import SuppliersScreen from '../SuppliersScreen';
+import { Provider as PaperProvider } from 'react-native-paper';
+import * as Database from '../../db/Database';
+
+/* ----------------------------- DB MOCKS ----------------------------- */
+jest.mock('../../db/Database', () => ({
+  getSupplierDues: jest.fn(),
+  addSupplier: jest.fn(),
+  updateSupplier: jest.fn(),
+  deleteSupplier: jest.fn(),
+}));
+
+/* ------------------------- NAVIGATION MOCK -------------------------- */
+const mockNavigate = jest.fn();
+jest.mock('@react-navigation/native', () => {
+  const React = require('react');
+  return {
+    useNavigation: () => ({ navigate: mockNavigate }),
+    useFocusEffect: (cb) => {
+      React.useEffect(() => {
+        cb();
+      }, [cb]);
+    },
+  };
+});
+
+/* ----------------------- UTIL ----------------------- */
+const renderWithProvider = (ui) =>
+  render(<PaperProvider>{ui}</PaperProvider>);
+
+const gokul = { id: 1, name: 'Gokul Dairy', phone: '9876543210', address: '', total_purchases: 272000, total_paid: 150000, total_due: 122000 };
+const amul = { id: 2, name: 'Amul Depot', phone: '', address: '', total_purchases: 10000, total_paid: 15000, total_due: -5000 };
+
+/* ----------------------- TESTS ----------------------- */
+describe('SuppliersScreen', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Database.getSupplierDues.mockResolvedValue([amul, gokul]);
+    Database.addSupplier.mockResolvedValue(3);
+  });
+
+  it('shows what is payable to each supplier', async () => {
+    const { findByText, getByText, getAllByText } = renderWithProvider(<SuppliersScreen />);
+
+    expect(await findByText('Gokul Dairy')).toBeTruthy();
+    // The total and Gokul's row: Amul's advance is not netted off what is owed to Gokul
+    expect(getAllByText('₹1,220')).toHaveLength(2);
+    expect(getByText('₹50')).toBeTruthy();
+    expect(getByText('Paid in advance')).toBeTruthy();
+
+    fireEvent.press(getByText('Gokul Dairy'));
+    expect(mockNavigate).toHaveBeenCalledWith('SupplierDetail', { supplierId: 1 });
+  });
+
+  it('adds a supplier', async () => {
+    const { findByText, getAllByTestId, getByText } = renderWithProvider(<SuppliersScreen />);
+
+    fireEvent.press(await findByText('Add Supplier'));
+    const [nameInput, phoneInput] = getAllByTestId('text-input-outlined');
+    fireEvent.changeText(nameInput, ' Sai Dairy ');
+    fireEvent.changeText(phoneInput, '9123456780');
+    fireEvent.press(getByText('Save Supplier'));
+
+    await waitFor(() => expect(Database.addSupplier).toHaveBeenCalledWith('Sai Dairy', '9123456780', ''));
+  });
+
+  it('asks for a name before saving', async () => {
+    const { findByText, getByText } = renderWithProvider(<SuppliersScreen />);
+
+    fireEvent.press(await findByText('Add Supplier'));
+    fireEvent.press(getByText('Save Supplier'));
+
+    expect(Alert.alert).toHaveBeenCalledWith('Validation Error', 'Supplier name is required.');
+    expect(Database.addSupplier).not.toHaveBeenCalled();
+  });
+});
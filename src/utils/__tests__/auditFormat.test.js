@@ -0,0 +1,63 @@
+import { describeAuditEntry } from '../auditFormat';
+
+/* ----------------------- TESTS ----------------------- */
+describe('describeAuditEntry', () => {
+  const sale = { id: 4, customer_id: 1, product_id: 2, quantity: 2, price_per_unit: 5600, total_amount: 11200, sale_date: '2024-05-02' };
+
+  it('lists only the fields an update changed', () => {
+    const entry = {
+      table_name: 'daily_sales',
+      action: 'update',
+      product_name: 'Cow Milk',
+      before: sale,
+      after: { ...sale, quantity: 1.5, total_amount: 8400 },
+    };
+
+    expect(describeAuditEntry(entry)).toEqual({
+      title: 'Sale (Cow Milk) changed',
+      lines: ['quantity: 2 → 1.5', 'total amount: ₹112 → ₹84'],
+    });
+  });
+
+  it('shows the removed values of a deletion', () => {
+    const entry = { table_name: 'expenses', action: 'delete', before: { id: 9, amount: 30050, category: 'Fuel', note: '', expense_date: '2024-05-03' }, after: null };
+
+    expect(describeAuditEntry(entry)).toEqual({
+      title: 'Expense deleted',
+      lines: ['amount: ₹300.50', 'category: Fuel', 'note: -', 'expense date: 2024-05-03'],
+    });
+  });
+
+  it('summarises a restore', () => {
+    const entry = { table_name: 'backup', action: 'restore', before: null, after: { mode: 'merge', backupDate: '2024-05-01', added: {} } };
+
+    expect(describeAuditEntry(entry).lines).toEqual(['Merged backup from 2024-05-01']);
+  });
+
+  it('lists the values of a record restored from the recycle bin', () => {
+    const entry = { table_name: 'daily_sales', action: 'restore', product_name: 'Cow Milk', before: null, after: sale };
+
+    expect(describeAuditEntry(entry)).toEqual({
+      title: 'Sale (Cow Milk) restored',
+      lines: ['quantity: 2', 'price per unit: ₹56', 'total amount: ₹112', 'sale date: 2024-05-02'],
+    });
+  });
+
+  it('describes a permanent customer deletion', () => {
+    const entry = { table_name: 'customers', action: 'purge', before: null, after: { id: 4 } };
+
+    expect(describeAuditEntry(entry)).toEqual({
+      title: 'Customer deleted permanently',
+      lines: ['The customer and all their sales, payments and history were removed'],
+    });
+  });
+
+  it('shows the anonymised customer', () => {
+    const entry = { table_name: 'customers', action: 'anonymise', before: null, after: { id: 4, name: 'Former customer #4', address: null, phone: null, isActive: 0 } };
+
+    expect(describeAuditEntry(entry)).toEqual({
+      title: 'Customer anonymised',
+      lines: ['name: Former customer #4', 'address: -', 'phone: -', 'isActive: 0'],
+    });
+  });
+});
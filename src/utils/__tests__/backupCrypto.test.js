@@ -0,0 +1,56 @@
+import { encryptBackup, decryptBackup, isEncryptedBackup, ENCRYPTED_BACKUP_FORMAT } from '../backupCrypto';
+
+/* ------------------------- LIB MOCKS ---------------------------- */
+jest.mock('expo-crypto', () => ({
+  getRandomBytes: jest.fn((count) => new Uint8Array(require('crypto').randomBytes(count))),
+}));
+
+const backup = {
+  backupDate: '2024-05-20',
+  schemaVersion: 2,
+  customers: [{ id: 1, name: 'Ramesh Pātil ₹ 🐄', phone: '9876543210', address: 'Pune' }],
+};
+
+/* ----------------------- TESTS ----------------------- */
+describe('backupCrypto', () => {
+  it('round-trips a backup through the documented container', async () => {
+    const container = JSON.parse(await encryptBackup(backup, 'correct horse'));
+
+    expect(isEncryptedBackup(container)).toBe(true);
+    expect(container).toMatchObject({
+      format: ENCRYPTED_BACKUP_FORMAT,
+      version: 1,
+      kdf: { name: 'PBKDF2-SHA256', iterations: 100000 },
+      cipher: { name: 'AES-256-GCM' },
+    });
+    expect(JSON.stringify(container)).not.toContain('9876543210');
+
+    expect(await decryptBackup(container, 'correct horse')).toEqual(backup);
+  });
+
+  it('rejects a wrong passphrase', async () => {
+    const container = JSON.parse(await encryptBackup(backup, 'correct horse'));
+
+    await expect(decryptBackup(container, 'wrong horse')).rejects.toThrow('Wrong passphrase');
+  });
+
+  it('detects a tampered header', async () => {
+    const container = JSON.parse(await encryptBackup(backup, 'correct horse'));
+    container.kdf.salt = container.cipher.nonce + 'AAAA';
+
+    await expect(decryptBackup(container, 'correct horse')).rejects.toThrow('Wrong passphrase');
+  });
+
+  it('refuses an iteration count far above the one it writes', async () => {
+    const container = JSON.parse(await encryptBackup(backup, 'correct horse'));
+    container.kdf.iterations = 1e9;
+
+    await expect(decryptBackup(container, 'correct horse')).rejects.toThrow('unsupported settings');
+  });
+
+  it('refuses short passphrases and unknown versions', async () => {
+    await expect(encryptBackup(backup, '123')).rejects.toThrow('at least 6 characters');
+    await expect(decryptBackup({ format: ENCRYPTED_BACKUP_FORMAT, version: 9 }, 'correct horse')).rejects.toThrow('Unsupported');
+    expect(isEncryptedBackup(backup)).toBe(false);
+  });
+});
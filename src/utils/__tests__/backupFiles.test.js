@@ -0,0 +1,143 @@
+import * as FileSystem from 'expo-file-system/legacy';
+import { getAllDataForBackup } from '../../db/Database';
+import {
+  BACKUP_DIR,
+  listBackups,
+  getBackupStatus,
+  runScheduledBackup,
+  writeBackupFile,
+  prepareBackupForSharing,
+} from '../backupFiles';
+import { decryptBackup } from '../backupCrypto';
+import { createProfile, switchProfile, DEFAULT_PROFILE_ID } from '../../db/profiles';
+
+/* ----------------------------- DB MOCKS ----------------------------- */
+jest.mock('../../db/Database', () => ({
+  getAllDataForBackup: jest.fn(),
+}));
+
+/* ------------------------- LIB MOCKS ---------------------------- */
+// In-memory file system: uri -> { content, modificationTime (seconds) }
+const mockFiles = new Map();
+
+jest.mock('expo-file-system/legacy', () => ({
+  documentDirectory: 'file:///test-directory/',
+  cacheDirectory: 'file:///test-cache/',
+  getInfoAsync: jest.fn(async (uri) => {
+    if (uri.endsWith('/')) return { exists: true };
+    const file = mockFiles.get(uri);
+    return file ? { exists: true, size: file.content.length, modificationTime: file.modificationTime } : { exists: false };
+  }),
+  makeDirectoryAsync: jest.fn(),
+  readAsStringAsync: jest.fn(async (uri) => mockFiles.get(uri).content),
+  readDirectoryAsync: jest.fn(async (dir) =>
+    [...mockFiles.keys()].filter(uri => uri.startsWith(dir)).map(uri => uri.slice(dir.length))
+  ),
+  writeAsStringAsync: jest.fn(async (uri, content) => {
+    mockFiles.set(uri, { content, modificationTime: Date.now() / 1000 });
+  }),
+  deleteAsync: jest.fn(async (uri) => { mockFiles.delete(uri); }),
+}));
+
+jest.mock('expo-crypto', () => ({
+  getRandomBytes: jest.fn((count) => new Uint8Array(require('crypto').randomBytes(count))),
+}));
+
+const addFile = (name, date) => {
+  mockFiles.set(BACKUP_DIR + name, { content: '{}', modificationTime: new Date(`${date}T06:00:00`).getTime() / 1000 });
+};
+
+/* ----------------------- TESTS ----------------------- */
+describe('backupFiles', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: new Date('2024-05-20T08:00:00') });
+    mockFiles.clear();
+    getAllDataForBackup.mockResolvedValue({ backupDate: '2024-05-20', schemaVersion: 2, customers: [] });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('writes a manual backup into the backups folder', async () => {
+    const uri = await writeBackupFile('backup');
+
+    expect(uri).toBe(BACKUP_DIR + 'milkwala_backup_2024-05-20.json');
+    expect(JSON.parse(mockFiles.get(uri).content).schemaVersion).toBe(2);
+  });
+
+  it('lists only backup files, newest first', async () => {
+    addFile('milkwala_auto_2024-05-18.json', '2024-05-18');
+    addFile('milkwala_backup_2024-05-19.json', '2024-05-19');
+    addFile('notes.txt', '2024-05-19');
+
+    const backups = await listBackups();
+
+    expect(backups.map(b => b.name)).toEqual(['milkwala_backup_2024-05-19.json', 'milkwala_auto_2024-05-18.json']);
+    expect(backups[1].kind).toBe('auto');
+  });
+
+  it('reports how old the newest backup is', async () => {
+    addFile('milkwala_auto_2024-05-10.json', '2024-05-10');
+
+    expect(await getBackupStatus()).toMatchObject({ daysAgo: 10, isStale: true });
+
+    addFile('milkwala_auto_2024-05-18.json', '2024-05-18');
+    expect(await getBackupStatus()).toMatchObject({ daysAgo: 2, isStale: false });
+  });
+
+  it('flags a device with no backups as stale', async () => {
+    expect(await getBackupStatus()).toEqual({ lastBackupAt: null, daysAgo: null, isStale: true });
+  });
+
+  it('writes one automatic backup per day and keeps the newest N', async () => {
+    ['2024-05-16', '2024-05-17', '2024-05-18', '2024-05-19'].forEach(date => addFile(`milkwala_auto_${date}.json`, date));
+    addFile('milkwala_backup_2024-05-01.json', '2024-05-01');
+
+    const uri = await runScheduledBackup({ keep: 3 });
+
+    expect(uri).toBe(BACKUP_DIR + 'milkwala_auto_2024-05-20.json');
+    const names = (await listBackups()).map(b => b.name);
+    expect(names).toEqual([
+      'milkwala_auto_2024-05-20.json',
+      'milkwala_auto_2024-05-19.json',
+      'milkwala_auto_2024-05-18.json',
+      'milkwala_backup_2024-05-01.json',
+    ]);
+
+    // Second launch on the same day does nothing
+    expect(await runScheduledBackup({ keep: 3 })).toBeNull();
+    expect(getAllDataForBackup).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps each business profile\'s backups in its own folder', async () => {
+    addFile('milkwala_auto_2024-05-19.json', '2024-05-19');
+    const route = await createProfile('Evening Route');
+    await switchProfile(route.id);
+
+    try {
+      expect(await listBackups()).toEqual([]);
+      const uri = await runScheduledBackup();
+      expect(uri).toBe(`${BACKUP_DIR}${route.id}/milkwala_auto_2024-05-20.json`);
+      expect((await listBackups()).map(b => b.name)).toEqual(['milkwala_auto_2024-05-20.json']);
+    } finally {
+      await switchProfile(DEFAULT_PROFILE_ID);
+    }
+
+    expect((await listBackups()).map(b => b.name)).toEqual(['milkwala_auto_2024-05-19.json']);
+  });
+
+  it('shares an encrypted copy and leaves the stored backup plain', async () => {
+    const uri = await writeBackupFile('backup');
+
+    expect(await prepareBackupForSharing(uri)).toBe(uri);
+
+    const sharedUri = await prepareBackupForSharing(uri, 'secret phrase');
+    expect(sharedUri).toBe('file:///test-cache/milkwala_backup_2024-05-20.encrypted.json');
+    expect(JSON.parse(mockFiles.get(uri).content).schemaVersion).toBe(2);
+
+    const container = JSON.parse(mockFiles.get(sharedUri).content);
+    expect(await decryptBackup(container, 'secret phrase')).toMatchObject({ backupDate: '2024-05-20', schemaVersion: 2 });
+  });
+});
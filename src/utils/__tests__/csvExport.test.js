@@ -0,0 +1,78 @@
+import * as FileSystem from 'expo-file-system/legacy';
+import { unzipSync, strFromU8 } from 'fflate';
+import { base64 } from '@scure/base';
+import { getDataForCsvExport } from '../../db/Database';
+import { toCsv } from '../csv';
+import { exportCsvBundle, CSV_EXPORT_FILES } from '../csvExport';
+
+/* ----------------------------- DB MOCKS ----------------------------- */
+jest.mock('../../db/Database', () => ({
+  getDataForCsvExport: jest.fn(),
+}));
+
+/* ------------------------- LIB MOCKS ---------------------------- */
+jest.mock('expo-file-system/legacy', () => ({
+  cacheDirectory: 'file:///test-cache/',
+  writeAsStringAsync: jest.fn(),
+}));
+
+const exportData = {
+  customers: [{ id: 1, name: 'Sharma, R.', phone: '9876543210', address: 'Flat 2\nMG Road', isActive: 1 }],
+  products: [{ id: 1, name: 'Cow Milk', unit: 'L', default_price: 5600 }],
+  customerProducts: [],
+  sales: [{ id: 7, sale_date: '2024-05-02', customer_id: 1, customer_name: 'Sharma, R.', product_id: 1, product_name: 'Cow Milk', product_unit: 'L', quantity: 1.5, price_per_unit: 5650, total_amount: 8475 }],
+  payments: [{ id: 3, payment_date: '2024-05-10', customer_id: 1, customer_name: 'Sharma, R.', amount_paid: 50000, notes: 'Paid "cash"' }],
+  expenses: [],
+};
+
+/* ----------------------- TESTS ----------------------- */
+describe('toCsv', () => {
+  it('quotes fields with commas, quotes and line breaks', () => {
+    const csv = toCsv([{ a: 'plain', b: 'x,y', c: 'say "hi"' }, { a: 'line\nbreak', b: null, c: 0 }], ['a', 'b', 'c']);
+
+    expect(csv).toBe('a,b,c\r\nplain,"x,y","say ""hi"""\r\n"line\nbreak",,0\r\n');
+  });
+
+  it('writes text that starts like a formula as plain text', () => {
+    const csv = toCsv([{ a: '=HYPERLINK("x")', b: '@SUM(A1)', c: -5 }, { a: '+91 98765', b: '-12.50', c: '- note' }], ['a', 'b', 'c']);
+
+    expect(csv).toBe('a,b,c\r\n"\'=HYPERLINK(""x"")",\'@SUM(A1),-5\r\n\'+91 98765,-12.50,\'- note\r\n');
+  });
+
+  it('writes the header for an empty table', () => {
+    expect(toCsv([], ['id', 'name'])).toBe('id,name\r\n');
+  });
+});
+
+describe('exportCsvBundle', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getDataForCsvExport.mockResolvedValue(exportData);
+  });
+
+  it('zips one CSV per table with joined names', async () => {
+    const uri = await exportCsvBundle({ startDate: '2024-05-01', endDate: '2024-05-31' });
+
+    expect(getDataForCsvExport).toHaveBeenCalledWith('2024-05-01', '2024-05-31');
+    expect(uri).toBe('file:///test-cache/milkwala_csv_2024-05-01_to_2024-05-31.zip');
+
+    const [, written, options] = FileSystem.writeAsStringAsync.mock.calls[0];
+    expect(options).toEqual({ encoding: 'base64' });
+    const files = unzipSync(base64.decode(written));
+    expect(Object.keys(files).sort()).toEqual(CSV_EXPORT_FILES.map(f => f.file).sort());
+
+    // Each file starts with a UTF-8 byte order mark (TextDecoder drops it again)
+    expect([...files['daily_sales.csv'].slice(0, 3)]).toEqual([0xef, 0xbb, 0xbf]);
+    const sales = strFromU8(files['daily_sales.csv']).split('\r\n');
+    expect(sales[0]).toBe('id,sale_date,customer_id,customer_name,product_id,product_name,product_unit,quantity,price_per_unit,total_amount');
+    expect(sales[1]).toBe('7,2024-05-02,1,"Sharma, R.",1,Cow Milk,L,1.5,56.50,84.75');
+    expect(strFromU8(files['expenses.csv'])).toBe('id,expense_date,category,amount,note\r\n');
+  });
+
+  it('exports everything when no range is given', async () => {
+    const uri = await exportCsvBundle();
+
+    expect(getDataForCsvExport).toHaveBeenCalledWith(null, null);
+    expect(uri).toBe('file:///test-cache/milkwala_csv_all.zip');
+  });
+});
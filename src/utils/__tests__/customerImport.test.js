@@ -0,0 +1,78 @@
+import { parseCsv } from '../csv';
+import { guessColumnMapping, buildImportPreview, groupImportRows } from '../customerImport';
+
+const products = [
+  { id: 1, name: 'Cow Milk', unit: 'Liter', default_price: 5600 },
+  { id: 2, name: 'Buffalo Milk', unit: 'Liter', default_price: 7000 },
+];
+
+const csv = [
+  '\uFEFFCustomer Name,Address,Mobile,Product,Rate,Qty',
+  'Sharma,"Flat 2, MG Road",9876543210,cow milk,,1.5',
+  'Sharma,"Flat 2, MG Road",9876543210,Buffalo Milk,68.5,',
+  'Patil,,12345,Cow Milk,,',
+  ',Somewhere,,,,',
+  'Joshi,,,Goat Milk,50,1',
+  'Kulkarni,,98765-43210,,,',
+  '',
+].join('\r\n');
+
+/* ----------------------- TESTS ----------------------- */
+describe('parseCsv', () => {
+  it('handles quoted commas, escaped quotes and line breaks', () => {
+    expect(parseCsv('a,b\n"x, y","say ""hi"""\n"two\nlines",\n\n')).toEqual([
+      ['a', 'b'],
+      ['x, y', 'say "hi"'],
+      ['two\nlines', ''],
+    ]);
+  });
+});
+
+describe('customer import', () => {
+  const [headers, ...rows] = parseCsv(csv);
+  const mapping = guessColumnMapping(headers);
+
+  it('recognises common column names', () => {
+    expect(mapping).toEqual({ name: 0, address: 1, phone: 2, product: 3, customPrice: 4, defaultQuantity: 5 });
+  });
+
+  it('validates each row with the customer form rules', () => {
+    const preview = buildImportPreview(rows, mapping, products);
+
+    expect(preview.map(row => [row.line, row.errors])).toEqual([
+      [2, []],
+      [3, []],
+      [4, ['Phone number must be exactly 10 digits.']],
+      [5, ['Customer name is required.']],
+      [6, ['Unknown product "Goat Milk".']],
+      [7, []],
+    ]);
+    // Blank price falls back to the product's default price, blank quantity to 1
+    expect(preview[0]).toMatchObject({ productId: 1, customPrice: 5600, defaultQuantity: 1.5 });
+    expect(preview[1]).toMatchObject({ productId: 2, customPrice: 6850, defaultQuantity: 1 });
+    expect(preview[5].phone).toBe('9876543210');
+  });
+
+  it('flags the same product twice for one customer', () => {
+    const preview = buildImportPreview([rows[0], rows[0]], mapping, products);
+
+    expect(preview[1].errors).toEqual(['Cow Milk is already listed for this customer.']);
+  });
+
+  it('groups valid rows into customers with their products', () => {
+    const entries = groupImportRows(buildImportPreview(rows, mapping, products));
+
+    expect(entries).toEqual([
+      {
+        name: 'Sharma',
+        address: 'Flat 2, MG Road',
+        phone: '9876543210',
+        products: [
+          { productId: 1, customPrice: 5600, defaultQuantity: 1.5 },
+          { productId: 2, customPrice: 6850, defaultQuantity: 1 },
+        ],
+      },
+      { name: 'Kulkarni', address: '', phone: '9876543210', products: [] },
+    ]);
+  });
+});
@@ -0,0 +1,32 @@
+import * as FileSystem from 'expo-file-system/legacy';
+import { buildIntegrityReport, exportIntegrityReport } from '../integrityReport';
+
+/* ------------------------- LIB MOCKS ---------------------------- */
+jest.mock('expo-file-system/legacy', () => ({
+  cacheDirectory: 'file:///test-cache/',
+  writeAsStringAsync: jest.fn(),
+}));
+
+const issues = [
+  { title: 'Sales of a missing product', table: 'daily_sales', recordId: 5, customerId: 1, message: 'Sale #5 is for product #9, which does not exist.', fixLabel: null },
+  { title: 'Product assignments to a missing customer or product', table: 'customer_products', recordId: '1-9', customerId: 1, message: 'Customer #1 is assigned product #9, but one of them does not exist.', fixLabel: 'Remove assignment' },
+];
+
+/* ----------------------- TESTS ----------------------- */
+describe('integrityReport', () => {
+  it('lists every problem with its automatic fix, if any', () => {
+    const lines = buildIntegrityReport(issues).trim().split('\r\n');
+
+    expect(lines[0]).toBe('check,table,record_id,customer_id,problem,automatic_fix');
+    expect(lines[1]).toBe('Sales of a missing product,daily_sales,5,1,"Sale #5 is for product #9, which does not exist.",');
+    expect(lines[2]).toMatch(/,Remove assignment$/);
+  });
+
+  it('writes the report to the cache directory with a BOM', async () => {
+    const uri = await exportIntegrityReport(issues);
+
+    expect(uri).toMatch(/^file:\/\/\/test-cache\/milkwala_data_check_\d{4}-\d{2}-\d{2}\.csv$/);
+    const written = FileSystem.writeAsStringAsync.mock.calls[0][1];
+    expect(written.startsWith('\uFEFF')).toBe(true);
+  });
+});
@@ -0,0 +1,49 @@
+import { parseReading, readingSteps, buildRateChart, findRate, payoutPeriod, summariseCollections } from '../milkCollection';
+
+const chart = buildRateChart({ fatFrom: 3.5, fatTo: 3.7, snfFrom: 8.0, snfTo: 8.2, baseRate: 3000, fatStepRate: 50, snfStepRate: 20 });
+
+/* ----------------------- TESTS ----------------------- */
+describe('milkCollection', () => {
+  it('reads fat and SNF to one decimal place', () => {
+    expect(parseReading(' 4.25 ', 'Fat %')).toBe(4.3);
+    expect(() => parseReading('', 'Fat %')).toThrow('Fat % must be a number between 0 and 20.');
+    expect(() => parseReading('abc', 'SNF %')).toThrow('SNF % must be a number between 0 and 20.');
+  });
+
+  it('builds a chart grid in steps of 0.1', () => {
+    expect(readingSteps(3.5, 3.8)).toEqual([3.5, 3.6, 3.7, 3.8]);
+    expect(chart).toHaveLength(9);
+    expect(chart[0]).toEqual({ fat: 3.5, snf: 8.0, rate: 3000 });
+    expect(chart[8]).toEqual({ fat: 3.7, snf: 8.2, rate: 3140 });
+    expect(() => buildRateChart({ fatFrom: 4, fatTo: 3, snfFrom: 8, snfTo: 9, baseRate: 0, fatStepRate: 0, snfStepRate: 0 }))
+      .toThrow('The highest fat and SNF must not be below the lowest.');
+    expect(() => buildRateChart({ fatFrom: 1, fatTo: 15, snfFrom: 1, snfTo: 15, baseRate: 0, fatStepRate: 0, snfStepRate: 0 }))
+      .toThrow('Narrow the fat or SNF range.');
+  });
+
+  it('finds the rate for a reading', () => {
+    expect(findRate(chart, 3.6, 8.1)).toBe(3070);
+    // Between steps: the step below; above the chart: its highest row and column
+    expect(findRate(chart, 3.64, 8.16)).toBe(3090);
+    expect(findRate(chart, 6.0, 9.5)).toBe(3140);
+    expect(findRate(chart, 3.4, 8.1)).toBeNull();
+    expect(findRate(chart, 3.6, 7.9)).toBeNull();
+    expect(findRate([], 3.6, 8.1)).toBeNull();
+  });
+
+  it('works out 10-day and 15-day payout periods', () => {
+    expect(payoutPeriod(new Date(2024, 4, 10), 10)).toEqual({ start: '2024-05-01', end: '2024-05-10' });
+    expect(payoutPeriod(new Date(2024, 4, 11), 10)).toEqual({ start: '2024-05-11', end: '2024-05-20' });
+    expect(payoutPeriod(new Date(2024, 4, 31), 10)).toEqual({ start: '2024-05-21', end: '2024-05-31' });
+    expect(payoutPeriod(new Date(2024, 1, 20), 15)).toEqual({ start: '2024-02-16', end: '2024-02-29' });
+    expect(payoutPeriod(new Date(2024, 1, 15), 15)).toEqual({ start: '2024-02-01', end: '2024-02-15' });
+  });
+
+  it('totals collections with fat and SNF averaged by quantity', () => {
+    expect(summariseCollections([
+      { quantity: 10, fat: 4.0, snf: 8.5, total_amount: 35000 },
+      { quantity: 5, fat: 3.4, snf: 8.2, total_amount: 16000 },
+    ])).toEqual({ quantity: 15, amount: 51000, fat: 3.8, snf: 8.4 });
+    expect(summariseCollections([])).toEqual({ quantity: 0, amount: 0, fat: 0, snf: 0 });
+  });
+});
@@ -0,0 +1,38 @@
+import { toPaise, toRupees, lineTotal, toDecimalString, formatRupees } from '../money';
+
+/* ----------------------- TESTS ----------------------- */
+describe('money', () => {
+  it('converts typed rupees to whole paise', () => {
+    expect(toPaise('56.5')).toBe(5650);
+    expect(toPaise(1.005)).toBe(101);
+    expect(toPaise(0.1 + 0.2)).toBe(30);
+    expect(toPaise('-12.34')).toBe(-1234);
+    expect(toPaise('')).toBeNaN();
+    expect(toPaise('abc')).toBeNaN();
+    expect(toRupees(5650)).toBe(56.5);
+  });
+
+  it('rounds sale lines to the paisa', () => {
+    expect(lineTotal(1.5, 5650)).toBe(8475);
+    expect(lineTotal(0.333, 6000)).toBe(1998);
+  });
+
+  it('adds up dues exactly', () => {
+    const sales = Array.from({ length: 30 }, () => lineTotal(0.5, 2810));
+    const total = sales.reduce((sum, amount) => sum + amount, 0);
+
+    expect(total).toBe(42150);
+    expect(formatRupees(total)).toBe('₹421.50');
+  });
+
+  it('formats rupees for display and files', () => {
+    expect(formatRupees(12345650)).toBe('₹1,23,456.50');
+    expect(formatRupees(5600)).toBe('₹56');
+    expect(formatRupees(5600, { decimals: 2 })).toBe('₹56.00');
+    expect(formatRupees(5650, { decimals: 0 })).toBe('₹57');
+    expect(formatRupees(-20005)).toBe('-₹200.05');
+    expect(formatRupees(null)).toBe('₹0');
+    expect(toDecimalString(8475)).toBe('84.75');
+    expect(toDecimalString(-5)).toBe('-0.05');
+  });
+});
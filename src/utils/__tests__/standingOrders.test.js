@@ -0,0 +1,60 @@
+import { parseWeekdays, formatWeekdays, isOrderDue, datesToPost, dayBefore, datesAddedByEarlierStart, describeSchedule, MAX_BACKFILL_DAYS } from '../standingOrders';
+
+const order = (fields) => ({ schedule: 'daily', weekdays: null, start_date: '2024-05-01', end_date: null, posted_through: null, ...fields });
+
+/* ----------------------- TESTS ----------------------- */
+describe('standingOrders', () => {
+  it('reads and writes chosen weekdays', () => {
+    expect(parseWeekdays('1,3,5')).toEqual([1, 3, 5]);
+    expect(parseWeekdays('')).toEqual([]);
+    expect(parseWeekdays(null)).toEqual([]);
+    expect(formatWeekdays([5, 1, 3, 1])).toBe('1,3,5');
+  });
+
+  it('works out which dates an order is due', () => {
+    expect(isOrderDue(order(), '2024-05-01')).toBe(true);
+    expect(isOrderDue(order(), '2024-04-30')).toBe(false);
+    expect(isOrderDue(order({ end_date: '2024-05-10' }), '2024-05-11')).toBe(false);
+
+    // Alternate days are counted from the start date
+    const alternate = order({ schedule: 'alternate' });
+    expect(['2024-05-01', '2024-05-02', '2024-05-03', '2024-06-01'].map(date => isOrderDue(alternate, date)))
+      .toEqual([true, false, true, false]);
+
+    // 2024-05-20 is a Monday, 2024-05-26 a Sunday
+    const weekdays = order({ schedule: 'weekdays', weekdays: '1,0' });
+    expect(['2024-05-20', '2024-05-21', '2024-05-26'].map(date => isOrderDue(weekdays, date))).toEqual([true, false, true]);
+  });
+
+  it('lists the dates still to post', () => {
+    expect(datesToPost(order({ start_date: '2024-05-18' }), '2024-05-20')).toEqual(['2024-05-18', '2024-05-19', '2024-05-20']);
+    expect(datesToPost(order({ posted_through: '2024-05-19' }), '2024-05-20')).toEqual(['2024-05-20']);
+    expect(datesToPost(order({ posted_through: '2024-05-20' }), '2024-05-20')).toEqual([]);
+    expect(datesToPost(order({ start_date: '2024-05-21' }), '2024-05-20')).toEqual([]);
+    expect(datesToPost(order({ start_date: '2024-05-17', end_date: '2024-05-18' }), '2024-05-20')).toEqual(['2024-05-17', '2024-05-18']);
+    expect(datesToPost(order({ schedule: 'alternate', start_date: '2024-05-15' }), '2024-05-20')).toEqual(['2024-05-15', '2024-05-17', '2024-05-19']);
+  });
+
+  it('backfills no more than the last MAX_BACKFILL_DAYS days', () => {
+    const dates = datesToPost(order({ start_date: '2023-01-01' }), '2024-05-20');
+    expect(dates).toHaveLength(MAX_BACKFILL_DAYS);
+    expect(dates[dates.length - 1]).toBe('2024-05-20');
+  });
+
+  it('lists only the dates an earlier start date adds', () => {
+    expect(dayBefore('2024-05-01')).toBe('2024-04-30');
+    const moved = order({ start_date: '2024-05-10' });
+    expect(datesAddedByEarlierStart(moved, '2024-05-13', '2024-05-20', '2024-05-20')).toEqual(['2024-05-10', '2024-05-11', '2024-05-12']);
+    // Not posted that far yet: the next run covers it
+    expect(datesAddedByEarlierStart(moved, '2024-05-13', '2024-05-11', '2024-05-20')).toEqual(['2024-05-10', '2024-05-11']);
+    expect(datesAddedByEarlierStart(moved, '2024-05-13', null, '2024-05-20')).toEqual([]);
+    expect(datesAddedByEarlierStart(moved, '2024-05-10', '2024-05-20', '2024-05-20')).toEqual([]);
+    expect(datesAddedByEarlierStart(order({ start_date: '2023-01-01' }), '2024-05-20', '2024-05-20', '2024-05-20')).toHaveLength(MAX_BACKFILL_DAYS - 1);
+  });
+
+  it('describes a schedule', () => {
+    expect(describeSchedule(order())).toBe('Every day');
+    expect(describeSchedule(order({ schedule: 'alternate' }))).toBe('Alternate days');
+    expect(describeSchedule(order({ schedule: 'weekdays', weekdays: '0,1,5' }))).toBe('Mon, Fri, Sun');
+  });
+});
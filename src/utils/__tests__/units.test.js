@@ -0,0 +1,57 @@
+import { normaliseUnit, parseQuantity, parsePackSize, formatQuantity, totalsByUnit } from '../units';
+
+const milk = { unit: 'L', pack_size: 0.5 };
+const paneer = { unit: 'kg', pack_size: 0.2 };
+const looseMilk = { unit: 'L', pack_size: null };
+
+/* ----------------------- TESTS ----------------------- */
+describe('units', () => {
+  it('recognises the usual spellings of the base units', () => {
+    expect(normaliseUnit('Liter')).toBe('L');
+    expect(normaliseUnit(' litres ')).toBe('L');
+    expect(normaliseUnit('KG')).toBe('kg');
+    expect(normaliseUnit('pieces')).toBe('pcs');
+    expect(normaliseUnit('ml')).toBeNull();
+    expect(normaliseUnit('Packet')).toBeNull();
+  });
+
+  it('reads quantities into the product\'s base unit', () => {
+    expect(parseQuantity('1.5', milk)).toBe(1.5);
+    expect(parseQuantity('750 ml', milk)).toBe(0.75);
+    expect(parseQuantity('2 × 500 ml', milk)).toBe(1);
+    expect(parseQuantity('2x500ml', milk)).toBe(1);
+    expect(parseQuantity('3 * 1 L', milk)).toBe(3);
+    expect(parseQuantity('3 packs', milk)).toBe(1.5);
+    expect(parseQuantity('2 × 200 g', paneer)).toBe(0.4);
+    expect(parseQuantity('1 pack', paneer)).toBe(0.2);
+  });
+
+  it('explains quantities it cannot read', () => {
+    expect(() => parseQuantity('', milk)).toThrow('Enter a quantity.');
+    expect(() => parseQuantity('2 packs', looseMilk)).toThrow('no pack size');
+    expect(() => parseQuantity('500 g', milk)).toThrow('"g" cannot be used for a product sold by L.');
+    expect(() => parseQuantity('lots', milk)).toThrow('Could not read the quantity "lots".');
+  });
+
+  it('reads pack sizes typed as printed on the pack', () => {
+    expect(parsePackSize('500 ml', 'L')).toBe(0.5);
+    expect(parsePackSize('200g', 'kg')).toBe(0.2);
+    expect(parsePackSize('  ', 'L')).toBeNull();
+    expect(() => parsePackSize('0', 'L')).toThrow('Pack size must be more than 0.');
+  });
+
+  it('shows small amounts in ml or g', () => {
+    expect(formatQuantity(0.5, 'L')).toBe('500 ml');
+    expect(formatQuantity(0.2, 'kg')).toBe('200 g');
+    expect(formatQuantity(1.5, 'Liter')).toBe('1.5 L');
+    expect(formatQuantity(4, 'Packet')).toBe('4 Packet');
+  });
+
+  it('adds up quantities per unit', () => {
+    expect(totalsByUnit([
+      { unit: 'L', quantity: 10.1 },
+      { unit: 'kg', quantity: 2 },
+      { unit: 'Liter', quantity: 0.2 },
+    ])).toEqual([{ unit: 'L', quantity: 10.3 }, { unit: 'kg', quantity: 2 }]);
+  });
+});
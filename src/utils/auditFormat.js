@@ -0,0 +1,82 @@
+/*
+================================================================================
+File: src/utils/auditFormat.js
+Description: Turns audit_log entries into readable text for the history screen.
+================================================================================
+*/
+import { formatRupees } from './money';
+
+const TABLE_LABELS = {
+    customers: 'Customer',
+    products: 'Product',
+    customer_products: 'Product assignment',
+    daily_sales: 'Sale',
+    payments: 'Payment',
+    expenses: 'Expense',
+    price_history: 'Price change',
+    stock_entries: 'Stock entry',
+    suppliers: 'Supplier',
+    supplier_purchases: 'Purchase',
+    supplier_payments: 'Supplier payment',
+    farmers: 'Farmer',
+    milk_collections: 'Milk collection',
+    rate_chart: 'Rate chart',
+    standing_orders: 'Standing order',
+    backup: 'Backup',
+};
+
+const ACTION_LABELS = {
+    create: 'added',
+    update: 'changed',
+    delete: 'deleted',
+    restore: 'restored',
+    purge: 'deleted permanently',
+    anonymise: 'anonymised',
+};
+
+// Internal columns that mean nothing to the reader
+const HIDDEN_FIELDS = ['id', 'customer_id', 'product_id', 'supplier_id', 'farmer_id'];
+
+// Columns holding paise, shown in rupees
+const MONEY_FIELDS = ['default_price', 'custom_price', 'price', 'price_per_unit', 'rate', 'total_amount', 'amount_paid', 'amount'];
+
+const fieldLabel = (field) => field.replace(/_/g, ' ');
+
+const formatValue = (field, value) => {
+    if (value === null || value === undefined || value === '') return '-';
+    if (typeof value === 'object') return JSON.stringify(value);
+    if (MONEY_FIELDS.includes(field) && typeof value === 'number') return formatRupees(value);
+    return String(value);
+};
+
+// Returns { title, lines } - lines list the changed fields for updates and the
+// stored values for additions and deletions.
+export const describeAuditEntry = (entry) => {
+    const tableLabel = TABLE_LABELS[entry.table_name] || entry.table_name;
+    const product = entry.product_name ? ` (${entry.product_name})` : '';
+    const title = `${tableLabel}${product} ${ACTION_LABELS[entry.action] || entry.action}`;
+
+    if (entry.action === 'restore' && entry.table_name === 'backup') {
+        const { mode, backupDate } = entry.after || {};
+        return { title, lines: [`${mode === 'merge' ? 'Merged' : 'Replaced all data with'} backup from ${backupDate || 'unknown date'}`] };
+    }
+
+    if (entry.action === 'purge') {
+        return { title, lines: ['The customer and all their sales, payments and history were removed'] };
+    }
+
+    if (entry.action === 'update') {
+        const before = entry.before || {};
+        const after = entry.after || {};
+        const lines = Object.keys(after)
+            .filter(field => !HIDDEN_FIELDS.includes(field) && formatValue(field, before[field]) !== formatValue(field, after[field]))
+            .map(field => `${fieldLabel(field)}: ${formatValue(field, before[field])} → ${formatValue(field, after[field])}`);
+        return { title, lines };
+    }
+
+    const row = entry.after || entry.before || {};
+    const lines = Object.keys(row)
+        .filter(field => !HIDDEN_FIELDS.includes(field))
+        .map(field => `${fieldLabel(field)}: ${formatValue(field, row[field])}`);
+    return { title, lines };
+};
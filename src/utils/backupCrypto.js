@@ -0,0 +1,98 @@
+/*
+================================================================================
+File: src/utils/backupCrypto.js
+Description: Passphrase encryption for backup files.
+
+Encrypted backups are JSON text files in this container format (version 1):
+
+    {
+      "format": "milkwala-encrypted-backup",
+      "version": 1,
+      "kdf":    { "name": "PBKDF2-SHA256", "iterations": 100000, "salt": "<base64, 16 bytes>" },
+      "cipher": { "name": "AES-256-GCM", "nonce": "<base64, 12 bytes>" },
+      "ciphertext": "<base64 of the encrypted backup JSON followed by the 16 byte GCM tag>"
+    }
+
+The 256-bit key is derived from the passphrase with PBKDF2-SHA256 using the
+salt and iteration count from the header. The header fields (everything except
+"ciphertext") are bound to the ciphertext as GCM associated data, so changing
+any of them makes decryption fail. A fresh salt and nonce are used for every file.
+================================================================================
+*/
+import { gcm } from '@noble/ciphers/aes';
+import { pbkdf2Async } from '@noble/hashes/pbkdf2';
+import { sha256 } from '@noble/hashes/sha2';
+import { utf8ToBytes, bytesToUtf8 } from '@noble/hashes/utils';
+import { base64 } from '@scure/base';
+import * as Crypto from 'expo-crypto';
+
+export const ENCRYPTED_BACKUP_FORMAT = 'milkwala-encrypted-backup';
+export const ENCRYPTED_BACKUP_VERSION = 1;
+export const MIN_PASSPHRASE_LENGTH = 6;
+
+const KDF_ITERATIONS = 100000;
+// Highest iteration count accepted from a file, so a crafted header cannot keep the phone busy for hours
+const MAX_KDF_ITERATIONS = KDF_ITERATIONS * 10;
+const SALT_BYTES = 16;
+const NONCE_BYTES = 12;
+const KEY_BYTES = 32;
+
+// Associated data: the header without the ciphertext, in a fixed field order
+const headerBytes = ({ format, version, kdf, cipher }) => utf8ToBytes(JSON.stringify({
+    format,
+    version,
+    kdf: { name: kdf.name, iterations: kdf.iterations, salt: kdf.salt },
+    cipher: { name: cipher.name, nonce: cipher.nonce },
+}));
+
+const deriveKey = (passphrase, salt, iterations) =>
+    pbkdf2Async(sha256, utf8ToBytes(passphrase), salt, { c: iterations, dkLen: KEY_BYTES });
+
+export const isEncryptedBackup = (parsed) =>
+    !!parsed && typeof parsed === 'object' && parsed.format === ENCRYPTED_BACKUP_FORMAT;
+
+// Encrypts a backup object and returns the container as a JSON string.
+export const encryptBackup = async (data, passphrase) => {
+    if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+    }
+
+    const salt = Crypto.getRandomBytes(SALT_BYTES);
+    const nonce = Crypto.getRandomBytes(NONCE_BYTES);
+    const header = {
+        format: ENCRYPTED_BACKUP_FORMAT,
+        version: ENCRYPTED_BACKUP_VERSION,
+        kdf: { name: 'PBKDF2-SHA256', iterations: KDF_ITERATIONS, salt: base64.encode(salt) },
+        cipher: { name: 'AES-256-GCM', nonce: base64.encode(nonce) },
+    };
+
+    const key = await deriveKey(passphrase, salt, KDF_ITERATIONS);
+    const ciphertext = gcm(key, nonce, headerBytes(header)).encrypt(utf8ToBytes(JSON.stringify(data)));
+
+    return JSON.stringify({ ...header, ciphertext: base64.encode(ciphertext) });
+};
+
+// Decrypts a parsed container back into the backup object.
+// Throws an Error with a user-readable message for unsupported files or a wrong passphrase.
+export const decryptBackup = async (container, passphrase) => {
+    if (!isEncryptedBackup(container)) {
+        throw new Error("This is not an encrypted Milkwala backup.");
+    }
+    if (container.version !== ENCRYPTED_BACKUP_VERSION) {
+        throw new Error(`Unsupported encrypted backup version ${container.version}. Please update the app.`);
+    }
+    const { kdf, cipher } = container;
+    if (kdf?.name !== 'PBKDF2-SHA256' || cipher?.name !== 'AES-256-GCM' || !Number.isInteger(kdf.iterations) || kdf.iterations < 1 || kdf.iterations > MAX_KDF_ITERATIONS) {
+        throw new Error("The encrypted backup uses unsupported settings.");
+    }
+
+    let plaintext;
+    try {
+        const key = await deriveKey(passphrase, base64.decode(kdf.salt), kdf.iterations);
+        plaintext = gcm(key, base64.decode(cipher.nonce), headerBytes(container)).decrypt(base64.decode(container.ciphertext));
+    } catch (error) {
+        throw new Error("Wrong passphrase, or the backup file is damaged.");
+    }
+
+    return JSON.parse(bytesToUtf8(plaintext));
+};
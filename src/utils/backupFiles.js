@@ -0,0 +1,123 @@
+/*
+================================================================================
+File: src/utils/backupFiles.js
+Description: Backup files stored on the device - manual backups, the daily
+automatic backup and its rotation. Each business profile has its own folder.
+================================================================================
+*/
+import * as FileSystem from 'expo-file-system/legacy';
+import { differenceInCalendarDays, format } from 'date-fns';
+import { getAllDataForBackup } from '../db/Database';
+import { encryptBackup } from './backupCrypto';
+import { getActiveProfile, DEFAULT_PROFILE_ID } from '../db/profiles';
+
+export const BACKUP_DIR = FileSystem.documentDirectory + 'backups/';
+
+// Backups of the active business. The first profile keeps using BACKUP_DIR itself,
+// so backups made before profiles existed still show up; others get a subfolder.
+export const getBackupDir = () => {
+    const profile = getActiveProfile();
+    return profile.id === DEFAULT_PROFILE_ID ? BACKUP_DIR : `${BACKUP_DIR}${profile.id}/`;
+};
+
+// How many automatic backups to keep before the oldest is deleted
+export const AUTO_BACKUP_KEEP = 7;
+
+// The Dashboard warns once the newest backup is older than this
+export const BACKUP_WARNING_DAYS = 7;
+
+const BACKUP_FILE_PATTERN = /^milkwala_(backup|auto)_(\d{4}-\d{2}-\d{2})\.json$/;
+
+const ensureBackupDir = async (dir) => {
+    const info = await FileSystem.getInfoAsync(dir);
+    if (!info.exists) {
+        await FileSystem.makeDirectoryAsync(dir, { intermediates: true });
+    }
+};
+
+// Writes a backup of the active business and returns its uri. kind is 'backup' (manual) or 'auto'.
+export const writeBackupFile = async (kind = 'backup') => {
+    const dir = getBackupDir();
+    await ensureBackupDir(dir);
+    const data = await getAllDataForBackup();
+    const fileUri = dir + `milkwala_${kind}_${data.backupDate}.json`;
+    await FileSystem.writeAsStringAsync(fileUri, JSON.stringify(data), { encoding: 'utf8' });
+    return fileUri;
+};
+
+// Returns a uri to share for a stored backup. With a passphrase, an encrypted copy is
+// written to the cache directory; the stored backup itself always stays plain JSON.
+export const prepareBackupForSharing = async (fileUri, passphrase) => {
+    if (!passphrase) return fileUri;
+
+    const content = await FileSystem.readAsStringAsync(fileUri, { encoding: 'utf8' });
+    const encrypted = await encryptBackup(JSON.parse(content), passphrase);
+    const fileName = fileUri.split('/').pop().replace(/\.json$/, '.encrypted.json');
+    const sharedUri = FileSystem.cacheDirectory + fileName;
+    await FileSystem.writeAsStringAsync(sharedUri, encrypted, { encoding: 'utf8' });
+    return sharedUri;
+};
+
+// Lists the active business's stored backups, newest first.
+export const listBackups = async () => {
+    const dir = getBackupDir();
+    await ensureBackupDir(dir);
+    const names = await FileSystem.readDirectoryAsync(dir);
+
+    const backups = await Promise.all(
+        names
+            .filter(name => BACKUP_FILE_PATTERN.test(name))
+            .map(async (name) => {
+                const [, kind, date] = name.match(BACKUP_FILE_PATTERN);
+                const uri = dir + name;
+                const info = await FileSystem.getInfoAsync(uri);
+                return {
+                    name,
+                    uri,
+                    kind,
+                    date,
+                    size: info.size || 0,
+                    // modificationTime is in seconds
+                    modifiedAt: info.modificationTime ? new Date(info.modificationTime * 1000) : new Date(date),
+                };
+            })
+    );
+
+    return backups.sort((a, b) => b.modifiedAt - a.modifiedAt);
+};
+
+// Returns { lastBackupAt, daysAgo, isStale } for the newest stored backup.
+export const getBackupStatus = async () => {
+    const [latest] = await listBackups();
+    if (!latest) {
+        return { lastBackupAt: null, daysAgo: null, isStale: true };
+    }
+    const daysAgo = differenceInCalendarDays(new Date(), latest.modifiedAt);
+    return { lastBackupAt: latest.modifiedAt, daysAgo, isStale: daysAgo > BACKUP_WARNING_DAYS };
+};
+
+const pruneAutoBackups = async (keep) => {
+    const autoBackups = (await listBackups()).filter(backup => backup.kind === 'auto');
+    const expired = autoBackups.slice(keep);
+    await Promise.all(expired.map(backup => FileSystem.deleteAsync(backup.uri, { idempotent: true })));
+    return expired.length;
+};
+
+// Writes today's automatic backup unless one already exists, then rotates old ones.
+// Meant to run once per launch; returns the new file's uri, or null if nothing was written.
+export const runScheduledBackup = async ({ keep = AUTO_BACKUP_KEEP } = {}) => {
+    try {
+        const today = format(new Date(), 'yyyy-MM-dd');
+        const existing = await listBackups();
+        if (existing.some(backup => backup.kind === 'auto' && backup.date === today)) {
+            return null;
+        }
+
+        const fileUri = await writeBackupFile('auto');
+        await pruneAutoBackups(keep);
+        return fileUri;
+    } catch (error) {
+        console.error("Scheduled backup failed:", error);
+        return null;
+    }
+};
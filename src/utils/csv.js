@@ -0,0 +1,75 @@
+/*
+================================================================================
+File: src/utils/csv.js
+Description: CSV formatting and parsing (RFC 4180: comma separated, CRLF line
+endings, fields quoted when they contain a comma, quote or line break).
+================================================================================
+*/
+
+// Byte order mark so spreadsheet apps read names in Indian scripts as UTF-8
+export const UTF8_BOM = '\uFEFF';
+
+// Text a spreadsheet app would run as a formula. Plain numbers such as "-12.50" are left alone.
+const looksLikeFormula = (text) => /^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text);
+
+const formatCsvValue = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    // A leading ' makes the spreadsheet show the cell as text instead of evaluating it
+    if (typeof value === 'string' && looksLikeFormula(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Turns an array of row objects into CSV text. `columns` fixes the column order and
+// header row, so an empty table still produces its header line.
+export const toCsv = (rows, columns) => {
+    const lines = [columns.map(formatCsvValue).join(',')];
+    rows.forEach(row => {
+        lines.push(columns.map(column => formatCsvValue(row[column])).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+};
+
+// Parses CSV text into an array of rows, each an array of field strings.
+// Accepts LF or CRLF line endings and a leading byte order mark; blank lines are skipped.
+export const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) endRow();
+
+    return rows;
+};
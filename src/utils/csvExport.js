@@ -0,0 +1,58 @@
+/*
+================================================================================
+File: src/utils/csvExport.js
+Description: Exports every ledger table as a CSV file and bundles them into a
+single zip for sharing.
+================================================================================
+*/
+import * as FileSystem from 'expo-file-system/legacy';
+import { zipSync, strToU8 } from 'fflate';
+import { base64 } from '@scure/base';
+import { getDataForCsvExport } from '../db/Database';
+import { toCsv, UTF8_BOM } from './csv';
+import { toDecimalString } from './money';
+
+// File name, export data key and column order for each CSV in the bundle.
+// `money` columns hold paise and are written as rupees with two decimals.
+export const CSV_EXPORT_FILES = [
+    { file: 'customers.csv', key: 'customers', columns: ['id', 'name', 'phone', 'address', 'isActive'] },
+    { file: 'products.csv', key: 'products', columns: ['id', 'name', 'unit', 'pack_size', 'default_price'], money: ['default_price'] },
+    { file: 'customer_products.csv', key: 'customerProducts', columns: ['customer_id', 'customer_name', 'product_id', 'product_name', 'product_unit', 'custom_price', 'default_quantity'], money: ['custom_price'] },
+    { file: 'daily_sales.csv', key: 'sales', columns: ['id', 'sale_date', 'customer_id', 'customer_name', 'product_id', 'product_name', 'product_unit', 'quantity', 'price_per_unit', 'total_amount'], money: ['price_per_unit', 'total_amount'] },
+    { file: 'payments.csv', key: 'payments', columns: ['id', 'payment_date', 'customer_id', 'customer_name', 'amount_paid', 'notes'], money: ['amount_paid'] },
+    { file: 'expenses.csv', key: 'expenses', columns: ['id', 'expense_date', 'category', 'amount', 'note'], money: ['amount'] },
+];
+
+// Builds the CSV files in memory: { 'customers.csv': '...', ... }
+export const buildCsvFiles = (data) => {
+    const files = {};
+    CSV_EXPORT_FILES.forEach(({ file, key, columns, money = [] }) => {
+        const rows = (data[key] || []).map(row => {
+            const converted = { ...row };
+            money.forEach(column => {
+                if (typeof row[column] === 'number') converted[column] = toDecimalString(row[column]);
+            });
+            return converted;
+        });
+        files[file] = toCsv(rows, columns);
+    });
+    return files;
+};
+
+// Writes the zip bundle into the cache directory and returns its uri.
+// startDate / endDate ('yyyy-MM-dd') limit sales, payments and expenses; omit both to export everything.
+export const exportCsvBundle = async ({ startDate = null, endDate = null } = {}) => {
+    const data = await getDataForCsvExport(startDate, endDate);
+    const files = buildCsvFiles(data);
+
+    const entries = {};
+    Object.entries(files).forEach(([name, text]) => {
+        entries[name] = strToU8(UTF8_BOM + text);
+    });
+    const zipped = zipSync(entries);
+
+    const range = startDate && endDate ? `${startDate}_to_${endDate}` : 'all';
+    const fileUri = FileSystem.cacheDirectory + `milkwala_csv_${range}.zip`;
+    await FileSystem.writeAsStringAsync(fileUri, base64.encode(zipped), { encoding: 'base64' });
+    return fileUri;
+};
@@ -0,0 +1,102 @@
+/*
+================================================================================
+File: src/utils/customerImport.js
+Description: Turns parsed CSV rows into customers and product assignments for
+the bulk import - column mapping, per-row validation and grouping.
+================================================================================
+*/
+import { validateCustomer, validateProductAssignment } from './validation';
+import { toPaise, toRupees } from './money';
+
+// Fields a CSV column can be mapped to. `aliases` are header names recognised automatically.
+export const IMPORT_FIELDS = [
+    { key: 'name', label: 'Name', required: true, aliases: ['name', 'customer', 'customer name', 'customer_name'] },
+    { key: 'address', label: 'Address', aliases: ['address', 'addr', 'flat', 'house'] },
+    { key: 'phone', label: 'Phone', aliases: ['phone', 'mobile', 'phone number', 'contact', 'mobile number'] },
+    { key: 'product', label: 'Product', aliases: ['product', 'product name', 'product_name', 'item'] },
+    { key: 'customPrice', label: 'Custom Price', aliases: ['custom price', 'custom_price', 'price', 'rate'] },
+    { key: 'defaultQuantity', label: 'Default Quantity', aliases: ['default quantity', 'default_quantity', 'quantity', 'qty'] },
+];
+
+const normalise = (text) => (text || '').trim().toLowerCase();
+
+// Maps each field to the index of the header that matches one of its aliases, or null.
+export const guessColumnMapping = (headers) => {
+    const normalisedHeaders = headers.map(normalise);
+    const mapping = {};
+    IMPORT_FIELDS.forEach(field => {
+        const index = normalisedHeaders.findIndex(header => field.aliases.includes(header));
+        mapping[field.key] = index >= 0 ? index : null;
+    });
+    return mapping;
+};
+
+// Validates every data row against the mapping and the existing products.
+// Returns one preview entry per row: { line, name, address, phone, productName, productId,
+// customPrice, defaultQuantity, errors }. `line` is the 1-based line in the file (header is line 1).
+// Prices in the file are rupees; customPrice comes back in paise.
+export const buildImportPreview = (dataRows, mapping, products) => {
+    const productsByName = new Map(products.map(p => [normalise(p.name), p]));
+    const read = (row, key) => (mapping[key] === null || mapping[key] === undefined ? '' : (row[mapping[key]] || '').trim());
+    const seenAssignments = new Set();
+
+    return dataRows.map((row, index) => {
+        const entry = {
+            line: index + 2,
+            name: read(row, 'name'),
+            address: read(row, 'address'),
+            phone: read(row, 'phone').replace(/[\s-]/g, ''),
+            productName: read(row, 'product'),
+            productId: null,
+            customPrice: null,
+            defaultQuantity: null,
+        };
+        const errors = validateCustomer(entry);
+
+        const rawPrice = read(row, 'customPrice');
+        const rawQuantity = read(row, 'defaultQuantity');
+        if (entry.productName) {
+            const product = productsByName.get(normalise(entry.productName));
+            if (!product) {
+                errors.push(`Unknown product "${entry.productName}".`);
+            } else {
+                entry.productId = product.id;
+                const customPrice = rawPrice === '' ? toRupees(product.default_price) : rawPrice;
+                const defaultQuantity = rawQuantity === '' ? 1 : rawQuantity;
+                const assignmentErrors = validateProductAssignment({ customPrice, defaultQuantity });
+                errors.push(...assignmentErrors);
+                if (assignmentErrors.length === 0) {
+                    entry.customPrice = toPaise(customPrice);
+                    entry.defaultQuantity = Number(defaultQuantity);
+                }
+
+                const assignmentKey = `${normalise(entry.name)}|${entry.phone}|${product.id}`;
+                if (seenAssignments.has(assignmentKey)) {
+                    errors.push(`${product.name} is already listed for this customer.`);
+                }
+                seenAssignments.add(assignmentKey);
+            }
+        } else if (rawPrice !== '' || rawQuantity !== '') {
+            errors.push("Price or quantity given without a product.");
+        }
+
+        return { ...entry, errors };
+    });
+};
+
+// Groups the valid preview rows by customer (same name and phone) for importCustomersWithProducts.
+export const groupImportRows = (previewRows) => {
+    const customers = new Map();
+    previewRows.filter(row => row.errors.length === 0).forEach(row => {
+        const key = `${normalise(row.name)}|${row.phone}`;
+        if (!customers.has(key)) {
+            customers.set(key, { name: row.name, address: row.address, phone: row.phone, products: [] });
+        }
+        const customer = customers.get(key);
+        if (!customer.address && row.address) customer.address = row.address;
+        if (row.productId !== null) {
+            customer.products.push({ productId: row.productId, customPrice: row.customPrice, defaultQuantity: row.defaultQuantity });
+        }
+    });
+    return [...customers.values()];
+};
@@ -0,0 +1,31 @@
+/*
+================================================================================
+File: src/utils/integrityReport.js
+Description: Writes the problems found by the data check to a CSV report that
+can be shared and worked through by hand.
+================================================================================
+*/
+import * as FileSystem from 'expo-file-system/legacy';
+import { format } from 'date-fns';
+import { toCsv, UTF8_BOM } from './csv';
+
+const REPORT_COLUMNS = ['check', 'table', 'record_id', 'customer_id', 'problem', 'automatic_fix'];
+
+export const buildIntegrityReport = (issues) => toCsv(
+    issues.map(issue => ({
+        check: issue.title,
+        table: issue.table,
+        record_id: issue.recordId,
+        customer_id: issue.customerId,
+        problem: issue.message,
+        automatic_fix: issue.fixLabel || '',
+    })),
+    REPORT_COLUMNS
+);
+
+// Writes the report into the cache directory and returns its uri
+export const exportIntegrityReport = async (issues) => {
+    const fileUri = FileSystem.cacheDirectory + `milkwala_data_check_${format(new Date(), 'yyyy-MM-dd')}.csv`;
+    await FileSystem.writeAsStringAsync(fileUri, UTF8_BOM + buildIntegrityReport(issues), { encoding: 'utf8' });
+    return fileUri;
+};
@@ -0,0 +1,98 @@
+/*
+================================================================================
+File: src/utils/milkCollection.js
+Description: Pricing of milk collected from farmers. The rate chart is a grid
+of rates in paise per litre, one row per fat % and one column per SNF %, in
+steps of 0.1. A reading between two steps is paid at the step below it, and a
+reading above the chart at its highest row or column. Also works out the
+10-day and 15-day payout periods and the totals on a payout statement.
+================================================================================
+*/
+import { format, endOfMonth } from 'date-fns';
+
+export const SHIFTS = [
+    { key: 'morning', label: 'Morning' },
+    { key: 'evening', label: 'Evening' },
+];
+
+// Days in a payout period, as offered on the payout statement
+export const PAYOUT_PERIODS = [10, 15];
+
+// Largest chart the editor will generate, so a mistyped range cannot freeze the app
+export const MAX_CHART_RATES = 2500;
+
+// Fat and SNF are read to one decimal place
+export const roundReading = (value) => Math.round(value * 10) / 10;
+
+// Fat or SNF typed on the collection form. Throws an Error with a user-readable message.
+export const parseReading = (text, label) => {
+    const value = Number(String(text ?? '').trim());
+    if (!String(text ?? '').trim() || !Number.isFinite(value) || value <= 0 || value > 20) {
+        throw new Error(`${label} must be a number between 0 and 20.`);
+    }
+    return roundReading(value);
+};
+
+// Readings from `from` to `to` in steps of `step`: readingSteps(3.5, 3.8) -> [3.5, 3.6, 3.7, 3.8]
+export const readingSteps = (from, to, step = 0.1) => {
+    const count = Math.round((to - from) / step);
+    return Array.from({ length: count + 1 }, (_, index) => roundReading(from + index * step));
+};
+
+// A full chart starting at baseRate for the lowest fat and SNF, going up by fatStepRate for each
+// step of fat and snfStepRate for each step of SNF. Rates are paise. Returns [{ fat, snf, rate }].
+// Throws an Error with a user-readable message for an empty or oversized range.
+export const buildRateChart = ({ fatFrom, fatTo, snfFrom, snfTo, step = 0.1, baseRate, fatStepRate, snfStepRate }) => {
+    if (!(fatTo >= fatFrom) || !(snfTo >= snfFrom)) {
+        throw new Error("The highest fat and SNF must not be below the lowest.");
+    }
+    const fats = readingSteps(fatFrom, fatTo, step);
+    const snfs = readingSteps(snfFrom, snfTo, step);
+    if (fats.length * snfs.length > MAX_CHART_RATES) {
+        throw new Error(`The chart would have ${fats.length * snfs.length} rates. Narrow the fat or SNF range.`);
+    }
+    return fats.flatMap((fat, fatIndex) => snfs.map((snf, snfIndex) => ({
+        fat,
+        snf,
+        rate: Math.round(baseRate + fatIndex * fatStepRate + snfIndex * snfStepRate),
+    })));
+};
+
+// Rate in paise per litre for a reading; null when the chart is empty or the reading is below it
+export const findRate = (chart, fat, snf) => {
+    const readFat = roundReading(fat);
+    const readSnf = roundReading(snf);
+    const row = chart
+        .filter(cell => cell.fat <= readFat)
+        .reduce((best, cell) => (best === null || cell.fat > best ? cell.fat : best), null);
+    if (row === null) return null;
+    const cell = chart
+        .filter(entry => entry.fat === row && entry.snf <= readSnf)
+        .reduce((best, entry) => (!best || entry.snf > best.snf ? entry : best), null);
+    return cell ? cell.rate : null;
+};
+
+// The payout period holding `date`: 1-10, 11-20 and 21 to month end for 10 days,
+// 1-15 and 16 to month end for 15 days. Returns { start, end } as 'yyyy-MM-dd'.
+export const payoutPeriod = (date, days) => {
+    const periodsInMonth = Math.floor(30 / days);
+    const index = Math.min(Math.floor((date.getDate() - 1) / days), periodsInMonth - 1);
+    const startDay = index * days + 1;
+    const start = new Date(date.getFullYear(), date.getMonth(), startDay);
+    const end = index === periodsInMonth - 1 ? endOfMonth(date) : new Date(date.getFullYear(), date.getMonth(), startDay + days - 1);
+    return { start: format(start, 'yyyy-MM-dd'), end: format(end, 'yyyy-MM-dd') };
+};
+
+// Totals for a payout statement: litres, amount in paise and the fat and SNF averaged by quantity
+export const summariseCollections = (collections) => {
+    const quantity = collections.reduce((sum, entry) => sum + entry.quantity, 0);
+    const weighted = (field) => (quantity > 0
+        ? roundReading(collections.reduce((sum, entry) => sum + entry[field] * entry.quantity, 0) / quantity)
+        : 0);
+    return {
+        quantity: Math.round(quantity * 1000) / 1000,
+        amount: collections.reduce((sum, entry) => sum + entry.total_amount, 0),
+        fat: weighted('fat'),
+        snf: weighted('snf'),
+    };
+};
@@ -0,0 +1,48 @@
+/*
+================================================================================
+File: src/utils/money.js
+Description: Money is stored and passed around as integer paise so totals and
+dues add up exactly. Amounts are converted from typed rupees with toPaise and
+shown to the user with formatRupees - nowhere else.
+================================================================================
+*/
+
+export const PAISE_PER_RUPEE = 100;
+
+// Rupees (a number or the text typed into a field) to integer paise; NaN when it is not a number.
+// Goes through the decimal string so 1.005 rounds to 101 paise instead of 100.
+export const toPaise = (rupees) => {
+    if (rupees === '' || rupees === null || rupees === undefined) return NaN;
+    const value = Number(rupees);
+    if (!Number.isFinite(value)) return NaN;
+    const shifted = Math.round(Number(`${Math.abs(value)}e2`));
+    const paise = Number.isFinite(shifted) ? shifted : Math.round(Math.abs(value) * PAISE_PER_RUPEE);
+    return value < 0 ? -paise : paise;
+};
+
+// Paise to a rupee number, for pre-filling an edit field
+export const toRupees = (paise) => (paise || 0) / PAISE_PER_RUPEE;
+
+// Amount of a sale line in paise; fractional quantities round to the nearest paisa
+export const lineTotal = (quantity, pricePerUnitPaise) => Math.round(quantity * pricePerUnitPaise);
+
+const splitPaise = (paise) => {
+    const whole = Math.round(paise || 0);
+    const abs = Math.abs(whole);
+    return { sign: whole < 0 ? '-' : '', rupees: Math.floor(abs / PAISE_PER_RUPEE), paise: abs % PAISE_PER_RUPEE };
+};
+
+// Plain decimal rupees with two places ("1234.50"), for CSV files and bill tables
+export const toDecimalString = (paise) => {
+    const parts = splitPaise(paise);
+    return `${parts.sign}${parts.rupees}.${String(parts.paise).padStart(2, '0')}`;
+};
+
+// "₹1,23,456.50". Paise are shown only when there are any, unless `decimals` is given:
+// 2 always shows them, 0 rounds to whole rupees.
+export const formatRupees = (paise, { decimals } = {}) => {
+    const parts = splitPaise(decimals === 0 ? Math.round((paise || 0) / PAISE_PER_RUPEE) * PAISE_PER_RUPEE : paise);
+    const showPaise = decimals === undefined ? parts.paise !== 0 : decimals > 0;
+    const fraction = showPaise ? `.${String(parts.paise).padStart(2, '0')}` : '';
+    return `${parts.sign}₹${parts.rupees.toLocaleString('en-IN')}${fraction}`;
+};
@@ -0,0 +1,99 @@
+/*
+================================================================================
+File: src/utils/standingOrders.js
+Description: Schedules for standing orders - a customer's regular delivery of
+one product. An order is due every day, on alternate days counted from its
+start date, or on chosen weekdays. Dates are 'yyyy-MM-dd' strings like
+sale_date. Also works out which dates the next auto-post run should create
+sales for.
+================================================================================
+*/
+import { format, parseISO, addDays, subDays, differenceInCalendarDays } from 'date-fns';
+
+export const SCHEDULES = [
+    { key: 'daily', label: 'Every day' },
+    { key: 'alternate', label: 'Alternate days' },
+    { key: 'weekdays', label: 'Chosen days' },
+];
+
+// Day numbers as stored in standing_orders.weekdays, 0 = Sunday like Date.getDay()
+export const WEEKDAYS = [
+    { key: 1, label: 'Mon' },
+    { key: 2, label: 'Tue' },
+    { key: 3, label: 'Wed' },
+    { key: 4, label: 'Thu' },
+    { key: 5, label: 'Fri' },
+    { key: 6, label: 'Sat' },
+    { key: 0, label: 'Sun' },
+];
+
+// Days the app goes back to when it has not been opened for a while. Older missed days are
+// left for the user to enter, so a long break does not fill the books with deliveries that
+// may never have happened.
+export const MAX_BACKFILL_DAYS = 60;
+
+// "1,3,5" -> [1, 3, 5]
+export const parseWeekdays = (text) => String(text ?? '')
+    .split(',')
+    .filter(part => part.trim() !== '')
+    .map(Number)
+    .filter(day => Number.isInteger(day) && day >= 0 && day <= 6);
+
+// [5, 1, 3] -> "1,3,5"
+export const formatWeekdays = (days) => [...new Set(days)].sort((a, b) => a - b).join(',');
+
+// Whether the order delivers on `date`, including its start and end dates
+export const isOrderDue = (order, date) => {
+    if (date < order.start_date || (order.end_date && date > order.end_date)) return false;
+    switch (order.schedule) {
+        case 'daily':
+            return true;
+        case 'alternate':
+            return differenceInCalendarDays(parseISO(date), parseISO(order.start_date)) % 2 === 0;
+        case 'weekdays':
+            return parseWeekdays(order.weekdays).includes(parseISO(date).getDay());
+        default:
+            return false;
+    }
+};
+
+// The dates up to and including `today` that the order still has to post: from the day after
+// posted_through (or its start date) but no more than MAX_BACKFILL_DAYS back.
+export const datesToPost = (order, today) => {
+    const from = [
+        order.start_date,
+        order.posted_through ? format(addDays(parseISO(order.posted_through), 1), 'yyyy-MM-dd') : null,
+        format(subDays(parseISO(today), MAX_BACKFILL_DAYS - 1), 'yyyy-MM-dd'),
+    ].filter(Boolean).reduce((latest, date) => (date > latest ? date : latest));
+    const to = order.end_date && order.end_date < today ? order.end_date : today;
+
+    const dates = [];
+    for (let day = parseISO(from); format(day, 'yyyy-MM-dd') <= to; day = addDays(day, 1)) {
+        const date = format(day, 'yyyy-MM-dd');
+        if (isOrderDue(order, date)) dates.push(date);
+    }
+    return dates;
+};
+
+// 'yyyy-MM-dd' of the day before `date`
+export const dayBefore = (date) => format(subDays(parseISO(date), 1), 'yyyy-MM-dd');
+
+// The dates an order newly covers when its start date moves back from previousStart: from the new
+// start date to the day before the old one, up to the last date already posted (the next run posts
+// the rest) and no more than MAX_BACKFILL_DAYS back. Nothing before the first run has been posted.
+export const datesAddedByEarlierStart = (order, previousStart, postedThrough, today) => {
+    if (!postedThrough || order.start_date >= previousStart) return [];
+    const last = [dayBefore(previousStart), postedThrough, order.end_date]
+        .filter(Boolean)
+        .reduce((earliest, date) => (date < earliest ? date : earliest));
+    return datesToPost({ ...order, end_date: last, posted_through: null }, today);
+};
+
+// Short description for lists: "Every day", "Alternate days" or "Mon, Wed, Fri"
+export const describeSchedule = (order) => {
+    if (order.schedule === 'weekdays') {
+        const days = parseWeekdays(order.weekdays);
+        return WEEKDAYS.filter(day => days.includes(day.key)).map(day => day.label).join(', ');
+    }
+    return SCHEDULES.find(schedule => schedule.key === order.schedule)?.label || order.schedule;
+};
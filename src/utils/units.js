@@ -0,0 +1,112 @@
+/*
+================================================================================
+File: src/utils/units.js
+Description: Units products are sold in. Every product has a base unit (litre,
+kilogram or piece) and quantities are stored in it, so "2 × 500 ml" of a milk
+sold by the litre is saved as 1. A product may also have a pack size in its
+base unit (0.5 for a 500 ml pouch), which lets a quantity be typed in packs.
+================================================================================
+*/
+
+// Base units a product can be sold in, in the order they are offered
+export const BASE_UNITS = [
+    { code: 'L', label: 'Litre' },
+    { code: 'kg', label: 'Kilogram' },
+    { code: 'pcs', label: 'Piece' },
+];
+
+// Spellings accepted when typing a quantity: the base unit each means and how many of it one is
+const UNIT_ALIASES = [
+    { names: ['l', 'ltr', 'ltrs', 'liter', 'liters', 'litre', 'litres'], base: 'L', factor: 1 },
+    { names: ['ml', 'mls', 'milliliter', 'milliliters', 'millilitre', 'millilitres'], base: 'L', factor: 0.001 },
+    { names: ['kg', 'kgs', 'kilo', 'kilos', 'kilogram', 'kilograms'], base: 'kg', factor: 1 },
+    { names: ['g', 'gm', 'gms', 'gram', 'grams'], base: 'kg', factor: 0.001 },
+    { names: ['pc', 'pcs', 'piece', 'pieces', 'no', 'nos'], base: 'pcs', factor: 1 },
+];
+
+// Words for one pack of the product, whatever its size
+const PACK_WORDS = ['pack', 'packs', 'packet', 'packets', 'pkt', 'pkts', 'pouch', 'pouches', 'bottle', 'bottles'];
+
+const findAlias = (name) => UNIT_ALIASES.find(alias => alias.names.includes(name.toLowerCase()));
+
+// Base unit code for a unit name ("Liter" -> "L"); null when it is not a known base unit.
+// Products saved before units were structured may still carry other names such as "Packet".
+export const normaliseUnit = (name) => {
+    const alias = findAlias((name || '').trim());
+    return alias && alias.factor === 1 ? alias.base : null;
+};
+
+// Removes floating point noise from converted quantities (0.1 + 0.2 and 3 × 0.001)
+const tidy = (value) => Math.round(value * 1e6) / 1e6;
+
+const NUMBER = '(\\d+(?:\\.\\d+)?|\\.\\d+)';
+const COUNT_TIMES_AMOUNT = new RegExp(`^${NUMBER}\\s*[x×*]\\s*${NUMBER}\\s*([a-z]*)$`);
+const AMOUNT = new RegExp(`^${NUMBER}\\s*([a-z]*)$`);
+
+// One amount with an optional unit word, in the product's base unit
+const toBaseUnit = (amount, word, product) => {
+    if (!word) return amount;
+    if (PACK_WORDS.includes(word)) {
+        if (!product.pack_size) throw new Error("This product has no pack size. Enter the quantity in its unit.");
+        return amount * product.pack_size;
+    }
+    const alias = findAlias(word);
+    const base = normaliseUnit(product.unit) || product.unit;
+    if (!alias || alias.base !== base) {
+        throw new Error(`"${word}" cannot be used for a product sold by ${base}.`);
+    }
+    return amount * alias.factor;
+};
+
+// Reads a typed quantity for a product ({ unit, pack_size }) and returns it in the product's
+// base unit. Accepts a plain number ("1.5"), an amount with a unit ("750 ml"), packs
+// ("2 packs") or a count of an amount ("2 × 500 ml", "2x500ml", "3 × 1").
+// Throws an Error with a user-readable message when the text cannot be read.
+export const parseQuantity = (text, product) => {
+    const input = String(text ?? '').trim().toLowerCase();
+    if (!input) throw new Error("Enter a quantity.");
+
+    const multiple = input.match(COUNT_TIMES_AMOUNT);
+    if (multiple) {
+        return tidy(Number(multiple[1]) * toBaseUnit(Number(multiple[2]), multiple[3], product));
+    }
+    const single = input.match(AMOUNT);
+    if (single) {
+        return tidy(toBaseUnit(Number(single[1]), single[2], product));
+    }
+    throw new Error(`Could not read the quantity "${String(text).trim()}". Type a number, or for example 2 × 500 ml.`);
+};
+
+// Pack size typed on a product form ("500 ml") in the product's base unit; null when left empty
+export const parsePackSize = (text, unit) => {
+    if (!String(text ?? '').trim()) return null;
+    const size = parseQuantity(text, { unit, pack_size: null });
+    if (!(size > 0)) throw new Error("Pack size must be more than 0.");
+    return size;
+};
+
+// A quantity in base unit for display: "1.5 L", and amounts under 1 L or 1 kg in ml or g ("500 ml")
+export const formatQuantity = (quantity, unit) => {
+    const value = Number(quantity) || 0;
+    const base = normaliseUnit(unit) || unit || '';
+    if (value > 0 && value < 1 && (base === 'L' || base === 'kg')) {
+        return `${tidy(value * 1000)} ${base === 'L' ? 'ml' : 'g'}`;
+    }
+    return `${Math.round(value * 1000) / 1000} ${base}`.trim();
+};
+
+// Adds up { unit, quantity } rows per base unit, in the order units first appear:
+// [{ unit: 'L', quantity: 120.5 }, { unit: 'kg', quantity: 3 }]
+export const totalsByUnit = (rows) => {
+    const totals = [];
+    for (const row of rows) {
+        const unit = normaliseUnit(row.unit) || row.unit;
+        const total = totals.find(entry => entry.unit === unit);
+        if (total) {
+            total.quantity = tidy(total.quantity + (row.quantity || 0));
+        } else {
+            totals.push({ unit, quantity: tidy(row.quantity || 0) });
+        }
+    }
+    return totals;
+};
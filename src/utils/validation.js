@@ -0,0 +1,38 @@
+/*
+================================================================================
+File: src/utils/validation.js
+Description: Field rules shared by the customer form and the CSV import.
+Each validator returns a list of user-readable error messages (empty when valid).
+================================================================================
+*/
+
+// A phone number is optional, but when given it must be exactly 10 digits
+export const isValidPhone = (phone) => {
+    const trimmed = (phone || '').trim();
+    return trimmed.length === 0 || /^\d{10}$/.test(trimmed);
+};
+
+export const validateCustomer = ({ name, phone }) => {
+    const errors = [];
+    if (!(name || '').trim()) {
+        errors.push("Customer name is required.");
+    }
+    if (!isValidPhone(phone)) {
+        errors.push("Phone number must be exactly 10 digits.");
+    }
+    return errors;
+};
+
+// customPrice (in rupees) / defaultQuantity may be numbers or the raw text typed or imported
+export const validateProductAssignment = ({ customPrice, defaultQuantity }) => {
+    const errors = [];
+    const price = Number(customPrice);
+    const quantity = Number(defaultQuantity);
+    if (customPrice === '' || customPrice === null || customPrice === undefined || isNaN(price) || price < 0) {
+        errors.push("Price must be a number of 0 or more.");
+    }
+    if (defaultQuantity === '' || defaultQuantity === null || defaultQuantity === undefined || isNaN(quantity) || quantity <= 0) {
+        errors.push("Default quantity must be more than 0.");
+    }
+    return errors;
+};